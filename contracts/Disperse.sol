@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title Disperse
+ * @notice Pays several recipients in one transaction, in native METIS or any ERC-20 token.
+ *
+ * Every transfer in a batch succeeds or the whole batch reverts, so a multi-send never
+ * settles halfway. The contract holds no funds between calls and has no owner.
+ */
+contract Disperse {
+  using SafeERC20 for IERC20;
+
+  // -------------------------
+  // Errors
+  // -------------------------
+  error LengthMismatch(uint256 recipients, uint256 values);
+  error EmptyBatch();
+  error ValueMismatch(uint256 expected, uint256 provided);
+  error ZeroRecipient(uint256 index);
+  error NativeTransferFailed(address recipient, uint256 value);
+
+  // -------------------------
+  // Events
+  // -------------------------
+  event Dispersed(address indexed sender, address indexed token, uint256 recipients, uint256 total);
+
+  /**
+   * @notice Send native METIS: `values[i]` to `recipients[i]`.
+   * Requirements:
+   * - recipients and values have the same, non-zero length
+   * - msg.value equals the sum of values
+   */
+  function disperseEther(address[] calldata recipients, uint256[] calldata values) external payable {
+    uint256 total = _checkBatch(recipients, values);
+    if (msg.value != total) revert ValueMismatch(total, msg.value);
+
+    for (uint256 i = 0; i < recipients.length; i++) {
+      (bool ok, ) = payable(recipients[i]).call{value: values[i]}("");
+      if (!ok) revert NativeTransferFailed(recipients[i], values[i]);
+    }
+    emit Dispersed(msg.sender, address(0), recipients.length, total);
+  }
+
+  /**
+   * @notice Send an ERC-20 token from the caller: `values[i]` to `recipients[i]`.
+   * The caller must have approved this contract for at least the sum of values.
+   */
+  function disperseToken(IERC20 token, address[] calldata recipients, uint256[] calldata values) external {
+    uint256 total = _checkBatch(recipients, values);
+
+    for (uint256 i = 0; i < recipients.length; i++) {
+      token.safeTransferFrom(msg.sender, recipients[i], values[i]);
+    }
+    emit Dispersed(msg.sender, address(token), recipients.length, total);
+  }
+
+  function _checkBatch(address[] calldata recipients, uint256[] calldata values) private pure returns (uint256 total) {
+    if (recipients.length != values.length) revert LengthMismatch(recipients.length, values.length);
+    if (recipients.length == 0) revert EmptyBatch();
+    for (uint256 i = 0; i < recipients.length; i++) {
+      if (recipients[i] == address(0)) revert ZeroRecipient(i);
+      total += values[i];
+    }
+  }
+}
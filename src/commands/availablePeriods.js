@@ -0,0 +1,29 @@
+const { getRewardService } = require('../services/rewardService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+module.exports = {
+  action: 'available_periods',
+  description: 'List reward periods you can claim',
+  category: 'rewards',
+  syntax: ['available periods'],
+  examples: ['which reward periods can I claim?'],
+  params: {},
+  failureMessage: 'available_periods.failure',
+
+  async execute(params, ctx) {
+    const rewardService = getRewardService();
+    if (!rewardService) return fail('rewards_disabled');
+    const claimable = await rewardService.getClaimableRewards(ctx.userId);
+    const periods = [...new Set(claimable.map(r => r.periodId))].sort((a, b) => b - a);
+    return ok({ periods });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { periods } = result.data;
+      if (!periods.length) return t(ctx.language, 'available_periods.none');
+      return t(ctx.language, 'available_periods.list', { periods: periods.join(', ') });
+    }
+  }
+};
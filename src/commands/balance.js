@@ -0,0 +1,85 @@
+const { setupLogger } = require('../utils/logger');
+const { getWalletForUser, getEnhancedBalance } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const priceService = require('../services/priceService');
+const { t } = require('../i18n');
+const { ok, fail, resolveUserId } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'balance',
+  description: 'Check your balance or the balance of another user',
+  category: 'wallet',
+  syntax: ['balance', 'balance {recipient}'],
+  examples: ['balance', "what's @bob's balance?"],
+  sensitive: true,
+  params: {
+    recipient: { type: 'string' }
+  },
+
+  parse: grammar([
+    '[check|show ][my ]balance|bal',
+    "what|what's [is ]my balance",
+    'balance [of|for ]{recipient:handle}',
+    "[what|what's [is ]]{recipient:handle}'s balance"
+  ]),
+
+  async execute(params, ctx) {
+    const { recipient } = params;
+    let targetUserId = ctx.userId;
+
+    // Only look up someone else when an explicit @handle was given; replies can otherwise
+    // pick up the original tweet author as a recipient
+    const isOther = Boolean(recipient && recipient.startsWith('@') && recipient.length > 1);
+    if (isOther) {
+      targetUserId = await resolveUserId(recipient);
+      if (!targetUserId) return fail('recipient_not_found', { recipient });
+    }
+
+    logger.info('Checking balance for user:', { targetUserId, recipient, requester: ctx.userId, channel: ctx.channel });
+
+    const wallet = await getWalletForUser(targetUserId);
+    if (!wallet || !wallet.address) {
+      return isOther ? fail('recipient_wallet_not_found', { recipient }) : fail('no_wallet');
+    }
+
+    const balanceInfo = await getEnhancedBalance(wallet.address);
+    let usdValue = null;
+    try {
+      usdValue = await priceService.convertMetisToUsd(balanceInfo.metis);
+    } catch {}
+    logger.info('Balance:', { address: wallet.address, metis: balanceInfo.metis, usdt: balanceInfo.usdt });
+
+    const isSelf = targetUserId === ctx.userId;
+    if (isSelf) {
+      try {
+        await xpService.awardForBalanceCheck(ctx.userId, ctx.username);
+      } catch (error) {
+        logger.error('Error awarding XP for balance check:', error);
+      }
+    }
+
+    return ok({
+      address: wallet.address,
+      metis: balanceInfo.metis,
+      usdt: balanceInfo.usdt,
+      formatted: balanceInfo.formatted,
+      usdValue,
+      recipient: isSelf ? null : recipient
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'no_wallet') return t(ctx.language, 'balance.no_wallet');
+      const { formatted, usdValue, recipient } = result.data;
+      const usd = typeof usdValue === 'number' ? ` (~$${usdValue.toFixed(2)})` : '';
+      return recipient
+        ? t(ctx.language, 'balance.other', { recipient, balance: formatted, usd })
+        : t(ctx.language, 'balance.own', { balance: formatted, usd });
+    }
+  }
+};
@@ -0,0 +1,81 @@
+const { ethers } = require('ethers');
+const { getWalletForUser } = require('../services/privyUserService');
+const gm2HyperionService = require('../services/gm2HyperionService');
+const priceService = require('../services/priceService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl } = require('./helpers');
+const { grammar } = require('./grammar');
+
+module.exports = {
+  action: 'buy',
+  description: 'Buy a GM2 bonding-curve token with METIS',
+  category: 'trading',
+  syntax: ['buy {tokenAddress} for ${usdAmount}', 'buy {tokenAddress} with {metisAmount} metis'],
+  examples: ['buy 0xToken... for $5', 'buy 0xToken... with 0.01 metis'],
+  cost: 'Network gas, paid from your wallet',
+  params: {
+    tokenAddress: { type: 'string', required: true, format: 'address' },
+    metisAmount: { type: 'string', format: 'amount' },
+    usdAmount: {
+      type: 'string',
+      format: 'amount',
+      ask: 'questions.buy_amount',
+      askIf: params => !params.metisAmount,
+      answer: grammar(['${usdAmount:amount}', '{usdAmount:amount} usd|dollars', '{metisAmount:amount} metis|tmetis'])
+    }
+  },
+
+  parse: grammar([
+    'buy {tokenAddress:address} [with|for ]${usdAmount:amount}',
+    'buy ${usdAmount:amount} [worth ][of ]{tokenAddress:address}',
+    'buy {tokenAddress:address} [with|for ]{metisAmount:amount} metis|tmetis',
+    'buy {metisAmount:amount} metis|tmetis [worth ][of ]{tokenAddress:address}'
+  ]),
+
+  outflow(params) {
+    const { tokenAddress, metisAmount, usdAmount } = params;
+    if (metisAmount) {
+      return { legs: [{ token: 'METIS', amount: metisAmount }], summary: `buy ${tokenAddress} with ${metisAmount} METIS` };
+    }
+    // Without an amount the executor rejects the command, nothing to confirm
+    const legs = usdAmount ? [{ token: 'USD', amount: usdAmount }] : [];
+    return { legs, summary: `buy ${tokenAddress} with $${usdAmount}` };
+  },
+
+  async execute(params, ctx) {
+    const { tokenAddress, metisAmount, usdAmount } = params;
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet) return fail('wallet_not_found');
+
+    let metisAmt = metisAmount ? parseFloat(metisAmount) : null;
+    if (!metisAmt && usdAmount) {
+      metisAmt = await priceService.convertUsdToMetis(parseFloat(usdAmount));
+    }
+    if (!metisAmt || metisAmt <= 0) return fail('invalid_amount');
+
+    const ethInWei = ethers.parseEther(metisAmt.toFixed(18));
+    try {
+      const result = await gm2HyperionService.buyWithEth({
+        walletId: senderWallet.id,
+        tokenAddress,
+        ethInWei,
+        slippageBps: 50,
+        twitterUserId: ctx.userId,
+        username: ctx.username
+      });
+      return ok({ tokenAddress, metisAmount: metisAmt, txHash: result.hash });
+    } catch (error) {
+      return fail('buy_failed', { reason: error.message });
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'invalid_amount') return t(ctx.language, 'buy.invalid_amount');
+      if (result.error === 'buy_failed') return t(ctx.language, 'buy.failed', { reason: result.data.reason });
+      const { metisAmount, tokenAddress, txHash } = result.data;
+      return t(ctx.language, 'buy.success', { amount: metisAmount, tokenAddress, url: explorerTxUrl(txHash) });
+    }
+  }
+};
@@ -0,0 +1,36 @@
+const { ScheduledPaymentService } = require('../services/scheduledPaymentService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+module.exports = {
+  action: 'cancel_scheduled_payment',
+  description: 'Cancel a scheduled or recurring payment by its ID',
+  category: 'transfers',
+  syntax: ['cancel payment {id}'],
+  examples: ['cancel payment K3F9Q2'],
+  params: {
+    id: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^(?:cancel|stop)\s+(?:scheduled\s+|recurring\s+)?(?:payment|schedule)\s+#?([A-Za-z0-9]{4,10})\s*$/i);
+    return match ? { id: match[1].toUpperCase() } : null;
+  },
+
+  async execute(params, ctx) {
+    const id = params.id.replace(/^#/, '').toUpperCase();
+    const cancelled = await ScheduledPaymentService.cancelScheduledPayment(ctx.userId, id);
+    if (!cancelled) return fail('schedule_not_found', { id });
+    return ok({ id, amount: cancelled.amount, token: cancelled.token, recipient: cancelled.recipient });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'schedule_not_found') {
+        return t(ctx.language, 'cancel_scheduled_payment.not_found', { id: result.data.id });
+      }
+      const { id, amount, token, recipient } = result.data;
+      return t(ctx.language, 'cancel_scheduled_payment.success', { id, amount, token, recipient });
+    }
+  }
+};
@@ -0,0 +1,38 @@
+const { ethers } = require('ethers');
+const { getRewardService } = require('../services/rewardService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+const MAX_LINES = 6;
+
+module.exports = {
+  action: 'check_rewards',
+  description: 'Show your claimable XP rewards',
+  category: 'rewards',
+  syntax: ['check rewards'],
+  examples: ['check my rewards'],
+  params: {},
+  failureMessage: 'check_rewards.failure',
+
+  async execute(params, ctx) {
+    const rewardService = getRewardService();
+    if (!rewardService) return fail('rewards_disabled');
+    const claimable = await rewardService.getClaimableRewards(ctx.userId);
+    const rewards = claimable
+      .sort((a, b) => b.periodId - a.periodId)
+      .map(r => ({ periodId: r.periodId, rank: r.rank, rewardAmount: ethers.formatEther(r.rewardAmount) }));
+    return ok({ rewards });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { rewards } = result.data;
+      if (!rewards.length) return t(ctx.language, 'check_rewards.none');
+      const lines = rewards
+        .slice(0, MAX_LINES)
+        .map(r => `• P${r.periodId} #${r.rank}: ${r.rewardAmount} METIS`);
+      if (rewards.length > MAX_LINES) lines.push(t(ctx.language, 'check_rewards.more', { count: rewards.length - MAX_LINES }));
+      return `${t(ctx.language, 'check_rewards.title')}\n${lines.join('\n')}`;
+    }
+  }
+};
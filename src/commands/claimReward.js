@@ -0,0 +1,52 @@
+const { getRewardService } = require('../services/rewardService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl } = require('./helpers');
+const { grammar } = require('./grammar');
+
+module.exports = {
+  action: 'claim_reward',
+  description: 'Claim your XP reward for a period (latest if omitted)',
+  category: 'rewards',
+  syntax: ['claim reward[ for period {periodId}]'],
+  examples: ['claim my rewards', 'claim reward for period 3'],
+  cost: 'Network gas, paid from your wallet',
+  sideEffects: true,
+  params: {
+    periodId: { type: 'number', format: 'integer' }
+  },
+
+  parse: grammar([
+    'claim[ my] reward|rewards',
+    'claim [my ][reward|rewards ][for ]period {periodId:integer}',
+    'claim reward|rewards {periodId:integer}'
+  ]),
+
+  async execute(params, ctx) {
+    const rewardService = getRewardService();
+    if (!rewardService) return fail('rewards_disabled');
+
+    let periodId = params.periodId !== undefined ? Math.floor(params.periodId) : null;
+    if (periodId === null) {
+      const claimable = await rewardService.getClaimableRewards(ctx.userId);
+      if (!claimable.length) return fail('nothing_to_claim');
+      periodId = claimable.sort((a, b) => b.periodId - a.periodId)[0].periodId;
+    }
+
+    try {
+      const result = await rewardService.claim(periodId, ctx.userId);
+      return ok({ periodId, txHash: result.txHash });
+    } catch (error) {
+      return fail('claim_failed', { periodId, message: error.message });
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.status === 'error') {
+        if (result.error === 'nothing_to_claim') return t(ctx.language, 'claim_reward.nothing_to_claim');
+        return result.data.message;
+      }
+      return t(ctx.language, 'claim_reward.success', { periodId: result.data.periodId, url: explorerTxUrl(result.data.txHash) });
+    }
+  }
+};
@@ -0,0 +1,59 @@
+const { setupLogger } = require('../utils/logger');
+const { getOrCreateWalletForUser } = require('../services/privyUserService');
+const { ClaimableTransferService } = require('../services/claimableTransferService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl } = require('./helpers');
+const { grammar } = require('./grammar');
+const claimReward = require('./claimReward');
+
+const logger = setupLogger();
+
+module.exports = {
+  action: 'claim_transfer',
+  description: 'Claim tokens sent to you before you had a wallet (creates your wallet)',
+  category: 'transfers',
+  syntax: ['claim[ transfers]'],
+  examples: ['claim', 'claim my tips'],
+  limits: () => [
+    `Unclaimed transfers go back to the sender after ${ClaimableTransferService.ttlDays} days`,
+    'With nothing to claim, "claim" claims your latest XP reward instead'
+  ],
+  cost: 'Free: the escrow pays the network gas',
+  sideEffects: true,
+  params: {},
+
+  parse: grammar([
+    'claim[ my]',
+    'claim [my ]transfer|transfers|payment|payments|funds|tokens|tip|tips'
+  ]),
+
+  async execute(params, ctx) {
+    if (ClaimableTransferService.isEnabled()) {
+      const wallet = await getOrCreateWalletForUser(ctx.userId, ctx.username);
+      const { claimed, failed } = await ClaimableTransferService.claimForUser(ctx.userId, wallet.address);
+      if (claimed.length > 0) return ok({ claimed, failed, address: wallet.address });
+      if (failed.length > 0) return fail('transfer_claim_failed', { failed });
+    }
+
+    // Nothing held for this user: a bare "claim" has always meant the XP reward
+    logger.info('No claimable transfers, claiming rewards instead', { userId: ctx.userId });
+    const result = await claimReward.execute({}, ctx);
+    return { ...result, data: { ...result.data, reward: true } };
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.data.reward) return claimReward.render.text(result, ctx);
+      if (result.error === 'transfer_claim_failed') {
+        return t(ctx.language, 'claim_transfer.failed', { count: result.data.failed.length });
+      }
+      const { claimed, failed, address } = result.data;
+      let text = `${t(ctx.language, 'claim_transfer.success', { count: claimed.length, address })}\n`;
+      claimed.forEach(transfer => {
+        text += `• ${transfer.amount} ${transfer.token} from @${transfer.senderUsername}: ${explorerTxUrl(transfer.payoutTxHash)}\n`;
+      });
+      if (failed.length > 0) text += `\n${t(ctx.language, 'claim_transfer.failed', { count: failed.length })}`;
+      return text.trimEnd();
+    }
+  }
+};
@@ -0,0 +1,58 @@
+const { setupLogger } = require('../utils/logger');
+const { PendingActionService } = require('../services/pendingActionService');
+const { t } = require('../i18n');
+const { fail } = require('./helpers');
+
+const logger = setupLogger();
+
+module.exports = {
+  action: 'confirm',
+  description: 'Confirm a pending high-value action with its code',
+  category: 'transfers',
+  syntax: ['confirm {code}'],
+  examples: ['confirm K3F9Q2'],
+  limits: () => [`Codes expire after ${PendingActionService.ttlMinutes} minutes`],
+  sideEffects: true,
+  params: {
+    code: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^confirm\s+([A-Za-z0-9]{4,10})\s*$/i);
+    return match ? { code: match[1].toUpperCase() } : null;
+  },
+
+  async execute(params, ctx) {
+    const code = params.code.toUpperCase();
+    const pending = await PendingActionService.claimPendingAction(ctx.userId, code);
+    if (!pending) {
+      const existing = await PendingActionService.findPendingAction(ctx.userId, code);
+      if (existing && existing.status === 'confirmed') return fail('already_confirmed', { code });
+      if (existing) return fail('confirmation_expired', { code, summary: existing.summary });
+      return fail('confirmation_not_found', { code });
+    }
+
+    // Required lazily: the registry itself loads this module
+    const { getCommand, executeCommand } = require('./index');
+    const definition = getCommand(pending.action);
+    if (!definition) return fail('confirmation_not_found', { code });
+
+    logger.info('Running confirmed action', { id: pending._id, action: pending.action, userId: ctx.userId });
+    const result = await executeCommand(definition, pending.params, { ...ctx, pendingActionId: pending._id, origin: pending.origin }, { confirmed: true });
+    try {
+      await PendingActionService.recordResult(pending._id, result);
+    } catch (error) {
+      logger.error('Failed to record pending action result', { id: pending._id, error: error.message });
+    }
+    return { ...result, confirmedAction: pending.action };
+  },
+
+  render: {
+    text(result, ctx) {
+      const { code, summary } = result.data;
+      if (result.error === 'already_confirmed') return t(ctx.language, 'confirm.already_confirmed', { code });
+      if (result.error === 'confirmation_expired') return t(ctx.language, 'confirm.expired', { code, summary });
+      return t(ctx.language, 'confirm.not_found', { code });
+    }
+  }
+};
@@ -0,0 +1,39 @@
+const { PendingActionService } = require('../services/pendingActionService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+module.exports = {
+  action: 'set_confirmation_threshold',
+  description: 'Lower the USD value above which transfers and trades need confirmation',
+  category: 'settings',
+  syntax: ['set confirmation threshold ${amount}'],
+  examples: ['set confirmation threshold $50'],
+  limits: () => [`Can only be lowered, up to the global $${PendingActionService.thresholdUsd}`],
+  params: {
+    amount: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^set\s+confirmation\s+threshold\s+(?:to\s+)?\$?(\d+(?:\.\d+)?)\s*(?:usd)?\s*$/i);
+    return match ? { amount: match[1] } : null;
+  },
+
+  async execute(params, ctx) {
+    try {
+      const thresholdUsd = await PendingActionService.setUserThreshold(ctx.userId, params.amount);
+      return ok({ thresholdUsd });
+    } catch (error) {
+      if (error.message.startsWith('Invalid threshold')) {
+        return fail('invalid_threshold', { reason: error.message });
+      }
+      throw error;
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'invalid_threshold') return result.data.reason;
+      return t(ctx.language, 'set_confirmation_threshold.success', { threshold: result.data.thresholdUsd });
+    }
+  }
+};
@@ -0,0 +1,161 @@
+const { setupLogger } = require('../utils/logger');
+const giveawayService = require('../services/giveawayService');
+const { XPService } = require('../services/xpService');
+const { t, localeFor } = require('../i18n');
+const { ok, fail } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+const IMPLICIT_TWEET_REFERENCE = /this (tweet|post|message)|replies|comments?|commenters|below|here/i;
+const TWEET_URL = /(twitter\.com|x\.com)\/\w+\/status\/(\d+)/;
+
+/**
+ * Pick the tweet whose replies enter the giveaway.
+ *
+ * On Twitter the parser often infers a URL from quotes or media, so anything that is not an
+ * explicit link to a tweet mentioned in the text falls back to the command tweet itself.
+ * Chat has no current tweet, so implicit references require the tweetUrl sent with the request.
+ * @returns {string|null}
+ */
+function resolveGiveawayTweetUrl(parsedUrl, ctx) {
+  const isImplicit = !parsedUrl || IMPLICIT_TWEET_REFERENCE.test(parsedUrl);
+
+  if (ctx.channel !== 'tweet') {
+    return isImplicit ? ctx.tweetUrl || null : parsedUrl;
+  }
+
+  const currentTweetUrl = `https://x.com/${ctx.username}/status/${ctx.tweet.id}`;
+  const match = !isImplicit && typeof parsedUrl === 'string' ? parsedUrl.match(TWEET_URL) : null;
+  if (!match || !String(ctx.text || '').includes(match[2])) {
+    logger.info('Using current tweet URL for giveaway', { originalTweetUrl: parsedUrl || 'implicit reference', newTweetUrl: currentTweetUrl });
+    return currentTweetUrl;
+  }
+  return parsedUrl;
+}
+
+const INSUFFICIENT_BALANCE = /^Insufficient (\w+) balance\. You have ([\d.]+) \w+, but need ([\d.]+)/;
+
+/**
+ * Map a GiveawayService error to a failed result; reason is a create_giveaway catalog key, left
+ * out for errors that get the generic failure reply.
+ */
+function giveawayFailure(message) {
+  const insufficient = message.match(INSUFFICIENT_BALANCE);
+  if (insufficient) return fail('insufficient_balance', { token: insufficient[1], balance: insufficient[2], required: insufficient[3] });
+  if (message.startsWith('Invalid duration')) return fail('giveaway_failed', { reason: 'invalid_duration' });
+  if (message.startsWith('Invalid tweet URL')) return fail('giveaway_failed', { reason: 'invalid_tweet_url' });
+  if (message.startsWith('Unsupported token')) return fail('giveaway_failed', { reason: 'unsupported_token' });
+  if (message.startsWith('Tweet not found')) return fail('giveaway_failed', { reason: 'tweet_not_found' });
+  return fail('giveaway_failed');
+}
+
+module.exports = {
+  action: 'create_giveaway',
+  description: 'Run a giveaway for users replying to a tweet',
+  category: 'giveaways',
+  syntax: ['giveaway {amount} {token} to {winners} winners in {duration}[ {tweetUrl}]'],
+  examples: ['giveaway 10 USDT to 3 winners in 24h', 'giveaway 1 METIS to 5 winners in 30m https://x.com/user/status/12345'],
+  limits: ['Winners are picked at random from the replies to the tweet', 'The prize total must be in your wallet when the giveaway starts'],
+  cost: 'The prizes plus network gas for each prize transfer, paid from your wallet when the giveaway ends',
+  params: {
+    tweetUrl: { type: 'string' },
+    amount: { type: 'string', required: true, format: 'amount', ask: 'questions.prize_amount' },
+    token: { type: 'string', required: true, format: 'token', ask: 'questions.prize_token' },
+    winners: { type: 'number', required: true, format: 'count', ask: 'questions.winners' },
+    duration: { type: 'string', required: true, format: 'duration', ask: 'questions.duration' }
+  },
+
+  parse: grammar([
+    'giveaway {amount} {token} {winners:integer} {duration}[ {tweetUrl:url}]',
+    '[create ]giveaway {amount} {token} [to ]{winners:integer} [random ]winners|commenters|replies[ [in|after ]{duration}][ {tweetUrl:url}]',
+    '[create ]giveaway [for ]{tweetUrl:url} pick {winners:integer} [random ]winners|comments|commenters|replies for {amount} {token} [in|after ]{duration}'
+  ]),
+
+  // The prize tweet and the command tweet, which the "confirm" reply or the answer to a question isn't
+  origin(params, ctx) {
+    const origin = { tweetUrl: resolveGiveawayTweetUrl(params.tweetUrl, ctx) };
+    if (ctx.channel === 'tweet') {
+      origin.currentTweetUrl = `https://x.com/${ctx.username}/status/${ctx.tweet.id}`;
+      origin.currentTweetId = ctx.tweet.id;
+    }
+    return origin;
+  },
+
+  outflow(params) {
+    const total = parseFloat(params.amount) * params.winners;
+    return {
+      legs: [{ token: params.token, amount: total }],
+      summary: `run a giveaway of ${total} ${params.token}`
+    };
+  },
+
+  async execute(params, ctx) {
+    const { amount, token, winners, duration } = params;
+    const { tweetUrl, currentTweetUrl, currentTweetId } = ctx.origin;
+    if (!tweetUrl) return fail('missing_tweet_url');
+
+    const giveawayParams = { tweetUrl, amount, token, winners, duration, currentTweetUrl, currentTweetId };
+
+    let giveaway;
+    try {
+      giveaway = await giveawayService.createGiveaway(ctx.userId, ctx.username, giveawayParams);
+    } catch (error) {
+      logger.error('Error creating giveaway', { error: error.message, userId: ctx.userId, params });
+      return giveawayFailure(error.message);
+    }
+
+    const giveawayId = giveaway._id.toString();
+    try {
+      await xpService.awardForGiveawayCreation(ctx.userId, ctx.username, {
+        amount,
+        token,
+        winners,
+        duration,
+        giveawayId
+      });
+    } catch (error) {
+      logger.error('Error awarding XP for giveaway creation:', error);
+    }
+
+    logger.info('Giveaway created successfully', { giveawayId, creator: ctx.username, tweetUrl, amount, token, winners, duration });
+    return ok({
+      giveawayId,
+      amount,
+      token,
+      winners,
+      endTime: giveaway.endTime,
+      totalPrizeAmount: giveaway.totalPrizeAmount
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'missing_tweet_url') return t(ctx.language, 'create_giveaway.missing_tweet_url');
+      if (result.error === 'giveaway_failed') {
+        const { reason } = result.data;
+        return t(ctx.language, reason ? `create_giveaway.${reason}` : 'create_giveaway.failed');
+      }
+
+      const { amount, token, winners, endTime, totalPrizeAmount } = result.data;
+      const ends = new Date(endTime).toLocaleString(localeFor(ctx.language), {
+        timeZone: 'UTC',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+      });
+      return t(ctx.language, 'create_giveaway.success', { amount, token, winners, ends, total: totalPrizeAmount });
+    }
+  },
+
+  // Results are posted as a reply to the confirmation tweet once the giveaway ends
+  async onReply(result, reply) {
+    if (result.status !== 'success' || !reply?.data?.id) return;
+    const { Giveaway } = require('../services/privyUserService');
+    await Giveaway.updateOne({ _id: result.data.giveawayId }, { $set: { confirmationTweetId: reply.data.id } });
+  }
+};
@@ -0,0 +1,41 @@
+const { setupLogger } = require('../utils/logger');
+const { getOrCreateWalletForUser, getEnhancedBalance } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'create_wallet',
+  description: 'Create your wallet or show its details',
+  category: 'wallet',
+  syntax: ['create wallet'],
+  examples: ['create wallet'],
+  cost: 'Free',
+  params: {},
+
+  async execute(params, ctx) {
+    logger.info('Processing create wallet command for user:', ctx.userId);
+
+    const wallet = await getOrCreateWalletForUser(ctx.userId, ctx.username);
+    logger.info('Wallet created/retrieved for create wallet command:', { walletId: wallet.id, address: wallet.address });
+    const balanceInfo = await getEnhancedBalance(wallet.address);
+
+    try {
+      await xpService.awardForWalletCreation(ctx.userId, ctx.username);
+    } catch (error) {
+      logger.error('Error awarding XP for create wallet command:', error);
+    }
+
+    return ok({ address: wallet.address, balance: balanceInfo });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { address, balance } = result.data;
+      return t(ctx.language, 'create_wallet.details', { address, balance: balance.formatted });
+    }
+  }
+};
@@ -0,0 +1,97 @@
+const { setupLogger } = require('../utils/logger');
+const { getOrCreateWalletForUser } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl, resolveAddress } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'drip',
+  description: 'Request testnet METIS from the faucet',
+  category: 'wallet',
+  syntax: ['drip[ [to ]{address}]'],
+  examples: ['drip', 'drip to my wallet'],
+  limits: ['Once every 24 hours per user and per address', 'Testnet METIS only'],
+  cost: 'Free, the faucet pays the gas',
+  sideEffects: true,
+  params: {
+    address: { type: 'string', format: 'addressOrContact' }
+  },
+
+  parse: grammar([
+    'drip',
+    'drip [to ]me',
+    'drip [to ]my wallet',
+    'drip [to ]{address}',
+    'drip [to ]{address:contact}'
+  ]),
+
+  async execute(params, ctx) {
+    let targetAddress;
+    let contact;
+    if (params.address) {
+      // Either an 0x address or a saved contact name
+      const resolved = await resolveAddress(params.address, ctx.userId);
+      if (!resolved) return fail('invalid_address', { address: params.address });
+      ({ address: targetAddress, contact } = resolved);
+    } else {
+      const wallet = await getOrCreateWalletForUser(ctx.userId, ctx.username);
+      targetAddress = wallet.address;
+    }
+
+    // Loaded lazily: the faucet contract artifact is only needed when someone actually drips
+    const faucetService = require('../services/faucetService');
+    let result;
+    try {
+      result = await faucetService.dripToUser(targetAddress, ctx.userId);
+    } catch (error) {
+      logger.error('Error processing drip command', { error: error.message, userId: ctx.userId, targetAddress });
+      return fail('drip_failed', { reason: error.message });
+    }
+
+    try {
+      await xpService.awardForDripUsage(ctx.userId, ctx.username, {
+        amount: result.amount,
+        targetAddress,
+        txHash: result.txHash
+      });
+    } catch (error) {
+      logger.error('Error awarding XP for drip usage:', error);
+    }
+
+    logger.info('Successfully processed drip command', {
+      userId: ctx.userId,
+      targetAddress,
+      amount: result.amount,
+      txHash: result.txHash
+    });
+    return ok({ amount: result.amount, targetAddress, contact, txHash: result.txHash, blockNumber: result.blockNumber });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'drip_failed') {
+        const { reason } = result.data;
+        if (reason.includes('You can only request drip once per 24 hours')) {
+          return t(ctx.language, 'drip.user_cooldown');
+        }
+        if (reason.includes('cooldown') || reason.includes('24 hours')) {
+          return t(ctx.language, 'drip.address_cooldown');
+        }
+        if (reason.includes('insufficient balance') || reason.includes('empty')) {
+          return t(ctx.language, 'drip.empty');
+        }
+        if (reason.includes('not authorized')) {
+          return t(ctx.language, 'drip.unavailable');
+        }
+        return t(ctx.language, 'drip.failed');
+      }
+      const { amount, targetAddress, contact, txHash } = result.data;
+      const target = contact ? `${contact} (${targetAddress})` : targetAddress;
+      return t(ctx.language, 'drip.success', { amount, target, url: explorerTxUrl(txHash) });
+    }
+  }
+};
@@ -0,0 +1,54 @@
+const { setupLogger } = require('../utils/logger');
+const { getOrCreateWalletForUser } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok, fail, resolveUserId } = require('./helpers');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'get_wallet_address',
+  description: 'Show your wallet address or the address of another user',
+  category: 'wallet',
+  syntax: ['wallet address[ {recipient}]'],
+  examples: ['wallet address', 'wallet address @bob'],
+  params: {
+    recipient: { type: 'string' }
+  },
+
+  async execute(params, ctx) {
+    const { recipient } = params;
+    let targetUserId = ctx.userId;
+
+    if (recipient && recipient.startsWith('@') && recipient.length > 1) {
+      targetUserId = await resolveUserId(recipient);
+      if (!targetUserId) return fail('recipient_not_found', { recipient });
+    }
+
+    logger.info('Getting or creating wallet address for user:', { targetUserId, recipient });
+
+    // Always get or create the wallet for the target user
+    const isSelf = targetUserId === ctx.userId;
+    const wallet = await getOrCreateWalletForUser(targetUserId, isSelf ? ctx.username : undefined);
+
+    if (isSelf) {
+      try {
+        await xpService.awardForWalletCreation(ctx.userId, ctx.username);
+      } catch (error) {
+        logger.error('Error awarding XP for wallet creation:', error);
+      }
+    }
+
+    return ok({ address: wallet.address, recipient: isSelf ? null : recipient });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { address, recipient } = result.data;
+      return recipient
+        ? t(ctx.language, 'get_wallet_address.other', { recipient, address })
+        : t(ctx.language, 'get_wallet_address.own', { address });
+    }
+  }
+};
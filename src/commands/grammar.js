@@ -0,0 +1,119 @@
+/**
+ * Template grammar for the commands' deterministic parsers, so canonical syntax is parsed
+ * without a round trip to the LLM.
+ *
+ * A rule is a template such as 'swap {amount} {fromToken:token} for|to {toToken:token}[ with {slippage:percent} slippage]':
+ * - words match literally and case-insensitively; a|b matches either word, and an apostrophe is optional
+ * - spaces match any run of whitespace
+ * - {name:slot} captures a slot into params.name; {name} uses the slot of the same name
+ * - [...] is optional
+ * The whole text has to match; trailing ".", "!" and "?" are ignored.
+ */
+
+const SLOTS = {
+  amount: { pattern: '\\d*\\.?\\d+' },
+  token: { pattern: '[A-Za-z][A-Za-z0-9]{0,11}', prefix: '\\$?' },
+  handle: { pattern: '@\\w{1,15}' },
+  handles: {
+    pattern: '@\\w{1,15}(?:\\s*(?:,|&|\\band\\b)?\\s*@\\w{1,15})+',
+    value: value => value.match(/@\w{1,15}/g)
+  },
+  address: { pattern: '0x[a-fA-F0-9]{40}' },
+  contact: { pattern: '[A-Za-z][\\w-]{0,31}' },
+  integer: { pattern: '\\d{1,6}' },
+  percent: { pattern: '\\d*\\.?\\d+\\s*%?', value: value => value.replace(/\s*%$/, '') },
+  duration: {
+    pattern: '\\d+\\s*(?:h|m|hours?|hrs?|minutes?|mins?)',
+    value: value => {
+      const [, count, unit] = value.match(/^(\d+)\s*([a-z]+)$/i);
+      return `${count}${unit[0].toLowerCase() === 'h' ? 'h' : 'm'}`;
+    }
+  },
+  url: { pattern: 'https?:\\/\\/\\S+' },
+  tokenAmount: { pattern: 'all|\\d*\\.?\\d+', value: value => value.toLowerCase() },
+  code: { pattern: '[A-Za-z0-9]{4,10}' },
+  // A command name for help, up to three words ("send", "multi send", "set_language")
+  topic: { pattern: '[A-Za-z][\\w-]*(?: [A-Za-z][\\w-]*){0,2}' },
+  // A language code or name in any script, up to two words ("es", "português", "tiếng việt", "中文")
+  language: { pattern: '[^\\s\\d.!?]+(?: [^\\s\\d.!?]+)?' }
+};
+
+const TEMPLATE_PART = /\{(\w+)(?::(\w+))?\}|\[|\]| +|[^\s{}[\]]+/g;
+
+function literal(word) {
+  return word.replace(/[.*+?^${}()\\/-]/g, '\\$&').replace(/'/g, '[\'’]?');
+}
+
+function compile(template) {
+  let source = '';
+  const slots = [];
+  for (const [part, name, slotName] of template.matchAll(TEMPLATE_PART)) {
+    if (name) {
+      const slot = SLOTS[slotName || name];
+      if (!slot) throw new Error(`Unknown grammar slot: ${slotName || name}`);
+      source += `${slot.prefix || ''}(${slot.pattern})`;
+      slots.push({ name, slot });
+    } else if (part === '[') {
+      source += '(?:';
+    } else if (part === ']') {
+      source += ')?';
+    } else if (part.startsWith(' ')) {
+      source += '\\s+';
+    } else {
+      if (part.startsWith('|') || part.endsWith('|')) throw new Error(`Invalid grammar template: ${template}`);
+      source += `(?:${part.split('|').map(literal).join('|')})`;
+    }
+  }
+  return { regex: new RegExp(`^${source}[.!?]*$`, 'i'), slots };
+}
+
+/**
+ * Build a parse(text) function from grammar rules, tried in order.
+ * @param {Array<string|[string, function(Object): (Object|null)]>} rules - Templates, optionally paired
+ *   with a function mapping the captured slots to params (returning null rejects the match)
+ * @returns {function(string): (Object|null)} Parser returning params, or null when no rule matches
+ */
+function grammar(rules) {
+  const compiled = rules.map(rule => {
+    const [template, map] = Array.isArray(rule) ? rule : [rule, null];
+    return { ...compile(template), template, map };
+  });
+  function parse(text) {
+    const input = (text || '').trim();
+    for (const rule of compiled) {
+      const match = input.match(rule.regex);
+      if (!match) continue;
+      const params = {};
+      rule.slots.forEach(({ name, slot }, index) => {
+        const value = match[index + 1];
+        if (value !== undefined) params[name] = slot.value ? slot.value(value) : value;
+      });
+      const result = rule.map ? rule.map(params) : params;
+      if (result) return result;
+    }
+    return null;
+  }
+  // Kept for the help command's syntax lines
+  parse.templates = compiled.map(rule => rule.template);
+  return parse;
+}
+
+/**
+ * Readable form of a template for help text: slots become <name>, only the first of a|b
+ * alternatives is kept and optional parts keep their brackets,
+ * e.g. 'send|transfer {amount}[ {token}] to {recipient:handle}' -> 'send <amount> [<token>] to <recipient>'.
+ */
+function describeTemplate(template) {
+  return template
+    .replace(/\{(\w+)(?::\w+)?\}/g, '<$1>')
+    .replace(/([^\s[\]|]+)(?:\|[^\s[\]|]+)+/g, '$1')
+    .replace(/\[ /g, ' [')
+    .replace(/ \]/g, '] ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  grammar,
+  describeTemplate
+};
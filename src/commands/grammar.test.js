@@ -0,0 +1,45 @@
+const { grammar, describeTemplate } = require('./grammar');
+
+describe('command grammar', () => {
+  it('captures slots, optional parts and alternatives', () => {
+    const parse = grammar(['swap {amount} {fromToken:token} for|to {toToken:token}[ with {slippage:percent} slippage]']);
+
+    expect(parse('swap 5 $USDT to METIS')).toEqual({ amount: '5', fromToken: 'USDT', toToken: 'METIS' });
+    expect(parse('Swap .5 usdt for metis with 1.5% slippage!')).toEqual({ amount: '.5', fromToken: 'usdt', toToken: 'metis', slippage: '1.5' });
+    expect(parse('please swap 5 USDT for METIS')).toBeNull();
+  });
+
+  it('normalizes handles, durations and apostrophes', () => {
+    const parse = grammar([
+      ['send {amount} {token} to {recipients:handles} in {duration}', params => params],
+      "what's {recipient:handle}'s balance"
+    ]);
+
+    expect(parse('send 1 METIS to @a, @b and @c in 2 hours')).toEqual({
+      amount: '1', token: 'METIS', recipients: ['@a', '@b', '@c'], duration: '2h'
+    });
+    expect(parse('whats @bob’s balance?')).toEqual({ recipient: '@bob' });
+  });
+
+  it('tries the next rule when a mapper rejects the match', () => {
+    const parse = grammar([
+      ['drip {address:contact}', ({ address }) => (address === 'me' ? null : { address })],
+      ['drip me', () => ({})]
+    ]);
+
+    expect(parse('drip me')).toEqual({});
+    expect(parse('drip cold')).toEqual({ address: 'cold' });
+  });
+
+  it('keeps the templates and describes them for help', () => {
+    const templates = ['send|transfer {amount}[ {token}] to {recipient:handle}', 'drip [to ]{address:contact}'];
+
+    expect(grammar(templates).templates).toEqual(templates);
+    expect(templates.map(describeTemplate)).toEqual(['send <amount> [<token>] to <recipient>', 'drip [to] <address>']);
+  });
+
+  it('rejects malformed templates', () => {
+    expect(() => grammar(['balance [of |for ]{recipient:handle}'])).toThrow('Invalid grammar template');
+    expect(() => grammar(['send {amount} {coin}'])).toThrow('Unknown grammar slot');
+  });
+});
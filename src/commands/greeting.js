@@ -0,0 +1,43 @@
+const { setupLogger } = require('../utils/logger');
+const { getOrCreateWalletForUser, getEnhancedBalance } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'greeting',
+  description: 'Say hello and get your wallet set up',
+  category: 'wallet',
+  syntax: ['hi'],
+  examples: ['hi', 'gm'],
+  params: {},
+
+  async execute(params, ctx) {
+    logger.info('Processing greeting command for user:', ctx.userId);
+
+    // Get or create wallet for the user (this automatically creates if doesn't exist)
+    const wallet = await getOrCreateWalletForUser(ctx.userId, ctx.username);
+    const balanceInfo = await getEnhancedBalance(wallet.address);
+
+    try {
+      await xpService.awardForWalletCreation(ctx.userId, ctx.username);
+    } catch (error) {
+      logger.error('Error awarding XP for greeting wallet creation:', error);
+    }
+
+    return ok({ address: wallet.address, balance: balanceInfo.formatted });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { address, balance } = result.data;
+      return t(ctx.language, 'greeting.text', { address, balance });
+    },
+    chat(result, ctx) {
+      return t(ctx.language, 'greeting.chat');
+    }
+  }
+};
@@ -0,0 +1,94 @@
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const CATEGORIES = ['wallet', 'transfers', 'trading', 'giveaways', 'rewards', 'settings'];
+
+function describeCommands(language) {
+  // Required lazily: the registry itself loads this module
+  const { listCommands, describeCommand } = require('./index');
+  return listCommands().filter(command => !command.hidden).map(command => describeCommand(command, language));
+}
+
+/**
+ * Commands a help topic refers to: the action itself ("multi send", "set_language") first, then
+ * every command whose action contains the topic ("limits", "wallet") or whose syntax starts with
+ * it ("send", "claim").
+ */
+function findCommands(commands, topic) {
+  const words = topic.trim().toLowerCase().split(/[\s_-]+/);
+  const key = words.join('_');
+  const phrase = words.join(' ');
+  const matches = commands.filter(command => (
+    `_${command.action}_`.includes(`_${key}_`)
+    || command.syntax.some(line => `${line.toLowerCase()} `.startsWith(`${phrase} `))
+  ));
+  return matches.sort((a, b) => (b.action === key) - (a.action === key));
+}
+
+function groupByCategory(commands) {
+  return CATEGORIES
+    .map(category => ({ category, commands: commands.filter(command => command.category === category) }))
+    .filter(group => group.commands.length);
+}
+
+function renderDetails(commands, language) {
+  return commands.map(command => {
+    const lines = [`${command.name}: ${command.description}`];
+    if (command.syntax.length) lines.push(`${t(language, 'help.syntax')}: ${command.syntax.join(' | ')}`);
+    if (command.examples.length) {
+      lines.push(`${t(language, 'help.examples')}: ${command.examples.map(example => `"${example}"`).join(', ')}`);
+    }
+    if (command.limits.length) lines.push(`${t(language, 'help.limits')}: ${command.limits.join('; ')}`);
+    if (command.cost) lines.push(`${t(language, 'help.cost')}: ${command.cost}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+// Tweets and DMs list command names per category; the outbound queue threads long replies
+function renderHelp(result, ctx) {
+  if (result.error === 'unknown_command') return t(ctx.language, 'help.unknown_command', { command: result.data.command });
+  if (result.data.topic) return renderDetails(result.data.commands, ctx.language);
+  const lines = groupByCategory(result.data.commands).map(({ category, commands }) => (
+    `${t(ctx.language, `help.categories.${category}`)}: ${commands.map(command => command.name).join(', ')}`
+  ));
+  return [t(ctx.language, 'help.title'), ...lines, t(ctx.language, 'help.more')].join('\n');
+}
+
+module.exports = {
+  action: 'help',
+  category: 'settings',
+  description: 'List the commands, or show the syntax, examples, limits and costs of one',
+  syntax: ['help[ {command}]'],
+  examples: ['help', 'help send', 'help giveaway'],
+  params: {
+    command: { type: 'string' }
+  },
+
+  parse: grammar([
+    'help[ me]',
+    'commands',
+    'what can you do',
+    'help [with|on ]{command:topic}'
+  ]),
+
+  async execute(params, ctx) {
+    const commands = describeCommands(ctx.language);
+    if (!params.command) return ok({ commands });
+    const matches = findCommands(commands, params.command);
+    if (!matches.length) return fail('unknown_command', { command: params.command });
+    return ok({ topic: params.command, commands: matches });
+  },
+
+  render: {
+    text: renderHelp,
+    chat(result, ctx) {
+      if (result.status === 'error' || result.data.topic) return renderHelp(result, ctx);
+      const sections = groupByCategory(result.data.commands).map(({ category, commands }) => [
+        `${t(ctx.language, `help.categories.${category}`)}:`,
+        ...commands.map(command => `• ${command.syntax[0] || command.name} - ${command.description}`)
+      ].join('\n'));
+      return [t(ctx.language, 'help.title'), ...sections, t(ctx.language, 'help.more')].join('\n\n');
+    }
+  }
+};
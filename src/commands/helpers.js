@@ -0,0 +1,207 @@
+const { setupLogger } = require('../utils/logger');
+const twitterService = require('../services/twitterService');
+const { getWalletForUser, getBalance, getTokenBalance, getContact, isValidContactName } = require('../services/privyUserService');
+const { TokenRegistryService } = require('../services/tokenRegistryService');
+const { isValidEthereumAddress } = require('../utils/addressValidator');
+const { t } = require('../i18n');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+
+const EXPLORER_URL = (process.env.BLOCK_EXPLORER_URL || 'https://hyperion-testnet-explorer.metisdevops.link').replace(/\/$/, '');
+
+// Handles whose user IDs are pinned to avoid a Twitter API lookup on every command
+const KNOWN_USER_IDS = {
+  lazydevpro: '1455231687357390853',
+  booinweb3: '1516740821688537088'
+};
+
+/**
+ * Build a successful command result.
+ * @param {Object} [data] - Structured payload consumed by the renderers
+ * @returns {{status: 'success', data: Object}}
+ */
+function ok(data = {}) {
+  return { status: 'success', data };
+}
+
+/**
+ * Build a failed command result.
+ * @param {string} error - Machine-readable error code (e.g. 'wallet_not_found')
+ * @param {Object} [data] - Details used to render the error message
+ * @returns {{status: 'error', error: string, data: Object}}
+ */
+function fail(error, data = {}) {
+  return { status: 'error', error, data };
+}
+
+function explorerTxUrl(txHash) {
+  return `${EXPLORER_URL}/tx/${txHash}`;
+}
+
+/**
+ * Resolve a Twitter handle (with or without the leading @) to a user ID.
+ * @param {string} handle
+ * @returns {Promise<string|null>}
+ */
+async function resolveUserId(handle) {
+  const username = String(handle || '').replace(/^@/, '');
+  if (!username) return null;
+  const known = KNOWN_USER_IDS[username.toLowerCase()];
+  if (known) return known;
+  const userInfo = await twitterService.getUserInfoByUsername(username);
+  return userInfo?.id || null;
+}
+
+/**
+ * Resolve an 0x address or a name from the owner's address book.
+ * @returns {Promise<{address: string, contact?: string}|null>}
+ */
+async function resolveAddress(value, ownerUserId) {
+  const input = typeof value === 'string' ? value.trim() : '';
+  if (isValidEthereumAddress(input)) return { address: input };
+  if (ownerUserId && isValidContactName(input)) {
+    const contact = await getContact(ownerUserId, input);
+    if (contact) return { address: contact.address, contact: contact.name };
+  }
+  return null;
+}
+
+/**
+ * Resolve a recipient (@handle, 0x address or saved contact name) to a wallet address.
+ * @param {string} recipient
+ * @param {string} [ownerUserId] - Sender, whose address book is searched for plain names
+ * @returns {Promise<{address?: string, userId?: string, contact?: string, error?: string}>}
+ */
+async function resolveRecipient(recipient, ownerUserId) {
+  if (typeof recipient !== 'string' || !recipient.trim()) {
+    return { error: 'invalid_recipient' };
+  }
+  const value = recipient.trim();
+  if (value.startsWith('@')) {
+    const userId = await resolveUserId(value);
+    if (!userId) {
+      logger.warn('Could not resolve user ID for handle', { recipient: value });
+      return { error: 'recipient_not_found' };
+    }
+    const wallet = await getWalletForUser(userId);
+    if (!wallet || !wallet.address) {
+      logger.warn('No wallet found for recipient handle', { recipient: value });
+      return { error: 'recipient_wallet_not_found', userId };
+    }
+    return { address: wallet.address, userId };
+  }
+  const resolved = await resolveAddress(value, ownerUserId);
+  return resolved || { error: 'invalid_recipient' };
+}
+
+function normalizeToken(token) {
+  const symbol = (token || 'METIS').toString().toUpperCase();
+  return symbol === 'TMETIS' ? 'METIS' : symbol;
+}
+
+/**
+ * Check that an address holds at least `required` of a registered token.
+ * @returns {Promise<Object|null>} A failed result when the balance is too low, otherwise null
+ */
+async function ensureBalance(address, token, required) {
+  const registered = await TokenRegistryService.getToken(token);
+  if (!registered) return fail('unsupported_token', { token });
+  const balance = parseFloat(registered.native
+    ? await getBalance(address)
+    : await getTokenBalance(address, registered.address, registered.decimals));
+  if (balance < required) {
+    return fail('insufficient_balance', { token, balance, required });
+  }
+  return null;
+}
+
+/**
+ * Classify a raw transaction error for the failure reply (see renderTransactionError).
+ * @returns {{reason: string, message: string}} reason is a key under transaction_errors in the
+ *   i18n catalogs; message is the raw error
+ */
+function describeTransactionError(error) {
+  const message = error?.message || String(error);
+  if (message.includes('insufficient funds')) return { reason: 'insufficient_funds', message };
+  if (message.includes('execution reverted')) return { reason: 'reverted', message };
+  return { reason: 'other', message };
+}
+
+/**
+ * Short user-facing reason for a failure classified by describeTransactionError.
+ */
+function renderTransactionError(language, { reason, message }) {
+  return t(language, `transaction_errors.${reason}`, { message });
+}
+
+const DEFAULT_SLIPPAGE = 0.005;
+const SLIPPAGE_PATTERN = /(\d+(?:\.\d+)?)\s*%\s*slippage|slippage\s*(?:of|at|:)?\s*(\d+(?:\.\d+)?)\s*%?/i;
+
+/**
+ * Resolve the swap slippage as a fraction (0.01 = 1%).
+ * Takes the parser's `slippage` param (a percentage) or, failing that, phrases like
+ * "with 1% slippage" in the message text; defaults to 0.5%.
+ * @param {string|number} [value] - Slippage percentage from the parser
+ * @param {string} [text] - Original message text
+ * @returns {number}
+ */
+function parseSlippage(value, text) {
+  let percent = value !== undefined && value !== null && value !== '' ? parseFloat(String(value).replace('%', '')) : NaN;
+  if (Number.isNaN(percent) && text) {
+    const match = String(text).match(SLIPPAGE_PATTERN);
+    if (match) percent = parseFloat(match[1] || match[2]);
+  }
+  return Number.isNaN(percent) ? DEFAULT_SLIPPAGE : percent / 100;
+}
+
+/**
+ * Classify a raw swap error for the failure reply (see renderSwapError).
+ * @returns {{reason: string, message: string, token: string}} reason is a key under swap_errors
+ *   in the i18n catalogs; message is the error detail shown for refused and other failed swaps
+ */
+function describeSwapError(error, fromToken = 'METIS') {
+  const message = error?.message || String(error);
+  const token = fromToken;
+  if (message.startsWith('Price impact too high') || message.startsWith('Invalid slippage')) {
+    return { reason: 'refused', message, token };
+  }
+  if (message.startsWith('Swap failed:')) return { reason: 'failed', message: message.replace(/^Swap failed:\s*/, ''), token };
+  if (message.startsWith('Unsupported token') || message.startsWith('Cannot swap')) {
+    return { reason: 'failed', message, token };
+  }
+  if (message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) return { reason: 'slippage', message, token };
+  if (message.includes('TransferHelper::transferFrom: transferFrom failed')) return { reason: 'approval', message, token };
+  if (message.includes('execution reverted')) return { reason: 'reverted', message, token };
+  if (message.includes('insufficient funds') || message.includes('insufficient balance') || message.includes('INSUFFICIENT_BALANCE')) {
+    return { reason: 'insufficient_balance', message, token };
+  }
+  return { reason: 'failed', message, token };
+}
+
+/**
+ * User-facing message for a failure classified by describeSwapError.
+ */
+function renderSwapError(language, { reason, message, token }) {
+  return t(language, `swap_errors.${reason}`, { message, token });
+}
+
+// Answer to "how much?", optionally with the token ("10" or "10 USDT")
+const parseAmountAnswer = grammar(['{amount}[ {token}]']);
+
+module.exports = {
+  ok,
+  fail,
+  explorerTxUrl,
+  resolveUserId,
+  resolveRecipient,
+  resolveAddress,
+  normalizeToken,
+  ensureBalance,
+  describeTransactionError,
+  renderTransactionError,
+  describeSwapError,
+  renderSwapError,
+  parseSlippage,
+  parseAmountAnswer
+};
@@ -0,0 +1,444 @@
+const { setupLogger } = require('../utils/logger');
+const { PendingActionService } = require('../services/pendingActionService');
+const { SpendingPolicyService } = require('../services/spendingPolicyService');
+const { IdempotencyService } = require('../services/idempotencyService');
+const { t } = require('../i18n');
+const { fail } = require('./helpers');
+const { describeTemplate } = require('./grammar');
+const { applyFormats, describeParamError } = require('./schema');
+
+const logger = setupLogger();
+
+/**
+ * Command registry shared by the tweet and chat handlers.
+ *
+ * Each command module exports:
+ * - action: the action name produced by the parser
+ * - description: one-line summary
+ * - params: schema of accepted params ({ name: { type, required, format?, ask?, askIf?, answer? } });
+ *   required is a boolean, or a function of the raw params for alternatives (amount or amounts);
+ *   formats (see ./schema) check and normalize values such as amounts, tokens and addresses before
+ *   execute runs. When ctx.canAsk is set, a missing param with an ask question (a catalog key, and
+ *   askIf(params) true, if given) is asked for instead of failing or defaulting; answer?(text)
+ *   parses the reply into params (by default the whole reply is the value)
+ * - execute(params, ctx): performs the action and returns a structured result (see helpers.ok/fail)
+ * - render: { text(result, ctx), tweet?(result, ctx), chat?(result, ctx) } reply renderers; the
+ *   channel-specific ones take precedence over text. Reply text comes from the i18n catalogs in
+ *   ctx.language
+ * - failureMessage?: catalog key of the reply used when the executor throws unexpectedly
+ * - onReply?(result, reply, ctx): optional hook run once the outbound queue has posted the tweet
+ *   reply; ctx only carries channel, userId, username and sourceId there
+ * - outflow?(params, ctx): { legs: [{ token, amount }], recipients?, summary, internal?,
+ *   confirmable? } for commands that move funds. Outflows are checked against the user's spending
+ *   limits (internal ones, like swaps, skip the 24h outflow limit) and, when worth more than the
+ *   user's confirmation threshold, stored and held until "confirm <code>" unless confirmable is
+ *   false
+ * - origin?(params, ctx): what the command resolves from where it was sent (the replied-to tweet,
+ *   the command tweet) rather than from params. It is resolved once and handed to outflow and
+ *   execute as ctx.origin, and stored apart from the params of a held command or of a clarifying
+ *   question so the tweet that confirms or answers doesn't change it. It is never part of the
+ *   params schema, so parsers can't set it
+ * - sideEffects?: true for commands without an outflow that still change state on-chain or run
+ *   stored actions (drip, claims, confirm); together with outflow commands they run at most once
+ *   per ctx.idempotencyKey
+ * - sensitive?: true when replies reveal personal details; for users in private mode the tweet
+ *   reply is sent by DM instead
+ * - parse?(text): deterministic matcher returning params (or null), tried before the NL parser;
+ *   usually built from grammar templates (see ./grammar)
+ * - category, syntax?, examples?, limits?, cost?, hidden?: help metadata (see ./help and
+ *   describeCommand). syntax lists grammar-style templates and defaults to the parser's templates;
+ *   limits is a list of notes, or a function returning one when it depends on configuration
+ *
+ * ctx carries the channel ('tweet' | 'dm' | 'chat'), userId, username, the cleaned text,
+ * channel-specific details (the source tweet, an explicit tweetUrl for chat), an optional
+ * idempotencyKey identifying the request across retries, canAsk when the user can answer a
+ * clarifying question in the same conversation and the reply language (see ../i18n).
+ */
+const COMMANDS = [
+  require('./availablePeriods'),
+  require('./checkRewards'),
+  require('./claimReward'),
+  require('./send'),
+  require('./sendToAddress'),
+  require('./multiSend'),
+  require('./split'),
+  require('./tip'),
+  require('./claimTransfer'),
+  require('./balance'),
+  require('./getWalletAddress'),
+  require('./swap'),
+  require('./swapUsdtToMetis'),
+  require('./buy'),
+  require('./sell'),
+  require('./tokenInfo'),
+  require('./topTokens'),
+  require('./greeting'),
+  require('./createWallet'),
+  require('./drip'),
+  require('./createGiveaway'),
+  require('./xp'),
+  require('./leaderboard'),
+  require('./rank'),
+  require('./xpHistory'),
+  require('./confirm'),
+  require('./confirmationThreshold'),
+  require('./spendingLimits'),
+  require('./setSpendingLimit'),
+  require('./saveContact'),
+  require('./listContacts'),
+  require('./removeContact'),
+  require('./schedulePayment'),
+  require('./listScheduledPayments'),
+  require('./cancelScheduledPayment'),
+  require('./privateMode'),
+  require('./setLanguage'),
+  require('./help')
+];
+
+const registry = new Map(COMMANDS.map(command => [command.action, command]));
+
+// Error codes shared across commands; command renderers only handle their own codes. Messages
+// live in the i18n catalogs under common.<code>.
+const COMMON_ERRORS = [
+  'wallet_not_found',
+  'recipient_not_found',
+  'recipient_wallet_not_found',
+  'invalid_recipient',
+  'invalid_address',
+  'insufficient_balance',
+  'unsupported_token',
+  'spending_limit',
+  'rewards_disabled',
+  'invalid_params',
+  'outcome_unknown',
+  'exception'
+];
+
+function renderCommonError(code, data, language) {
+  if (code !== 'invalid_params') return t(language, `common.${code}`, data);
+  const { missing = [], invalid = [], errors } = data;
+  const parts = [];
+  if (errors && errors.length) {
+    parts.push(...errors.map(error => describeParamError(error, language)));
+  } else {
+    if (missing.length) parts.push(t(language, 'common.missing_params', { params: missing.join(', ') }));
+    if (invalid.length) parts.push(t(language, 'common.invalid_param_names', { params: invalid.join(', ') }));
+  }
+  return t(language, 'common.invalid_params', { problems: parts.join('; ') });
+}
+
+function renderPendingConfirmation({ summary, valueUsd, code, expiresInMinutes }, language) {
+  const value = typeof valueUsd === 'number' ? ` (~$${valueUsd.toFixed(2)})` : '';
+  return t(language, 'common.pending_confirmation', { summary, value, code, minutes: expiresInMinutes });
+}
+
+function getCommand(action) {
+  return registry.get(action) || null;
+}
+
+function listCommands() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Describe a command for help replies and /api/commands.
+ * @param {Object} definition - Command module from the registry
+ * @param {string} [language] - Language of the generated notes (descriptions stay English)
+ * @returns {{action: string, name: string, category: string, description: string, syntax: string[],
+ *   examples: string[], params: Object[], limits: string[], cost: string|null, movesFunds: boolean}}
+ */
+function describeCommand(definition, language) {
+  const templates = definition.syntax || (definition.parse && definition.parse.templates) || [];
+  const limits = typeof definition.limits === 'function' ? definition.limits() : definition.limits || [];
+  return {
+    action: definition.action,
+    name: definition.action.replace(/_/g, ' '),
+    category: definition.category,
+    description: definition.description,
+    syntax: [...new Set(templates.map(describeTemplate))],
+    examples: definition.examples || [],
+    params: Object.entries(definition.params || {}).map(([name, spec]) => ({
+      name,
+      type: spec.type,
+      required: spec.required === true,
+      format: spec.format || null
+    })),
+    limits: definition.outflow ? [...limits, t(language, 'help.spending_limits')] : limits,
+    cost: definition.cost || null,
+    movesFunds: Boolean(definition.outflow)
+  };
+}
+
+/**
+ * Match text against the commands' deterministic parsers.
+ * @returns {{action: string, params: Object}|null}
+ */
+function parseDirectCommand(text) {
+  const input = (text || '').trim();
+  for (const command of registry.values()) {
+    if (!command.parse) continue;
+    const params = command.parse(input);
+    if (params) return { action: command.action, params };
+  }
+  return null;
+}
+
+function coerceParam(value, type) {
+  if (value === undefined || value === null || value === '') return undefined;
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : null;
+    case 'number': {
+      const n = Number(value);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'array':
+      if (Array.isArray(value)) return value;
+      if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+      return null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate and coerce raw parser params against a command's params schema.
+ * @returns {{params: Object, missing: string[], invalid: string[]}}
+ */
+function validateParams(definition, rawParams) {
+  const input = rawParams && typeof rawParams === 'object' ? rawParams : {};
+  const params = {};
+  const missing = [];
+  const invalid = [];
+  for (const [name, spec] of Object.entries(definition.params || {})) {
+    const value = coerceParam(input[name], spec.type);
+    if (value === undefined) {
+      if (typeof spec.required === 'function' ? spec.required(input) : spec.required) missing.push(name);
+      continue;
+    }
+    if (value === null) {
+      invalid.push(name);
+      continue;
+    }
+    params[name] = value;
+  }
+  return { params, missing, invalid };
+}
+
+/**
+ * First missing param the user can be asked for, in schema order.
+ * @returns {{param: string, question: string}|null}
+ */
+function nextQuestion(definition, params, language) {
+  for (const [name, spec] of Object.entries(definition.params || {})) {
+    if (!spec.ask || params[name] !== undefined) continue;
+    if (spec.askIf && !spec.askIf(params)) continue;
+    return { param: name, question: t(language, spec.ask) };
+  }
+  return null;
+}
+
+/**
+ * Origin of a command: the one carried over from a confirmation or a clarifying question, or else
+ * resolved from ctx.
+ */
+function resolveOrigin(definition, params, ctx) {
+  if (ctx.origin !== undefined || !definition.origin) return ctx.origin;
+  return definition.origin(params, ctx);
+}
+
+/**
+ * Run the type and format checks on parser params.
+ * @returns {Promise<{params: Object}|{reply: Object}>} Normalized params, or the result to reply
+ *   with: needs_input asking for the next missing param (when ctx.canAsk and nothing else is
+ *   wrong), unsupported_token when an unknown token is the only problem, otherwise invalid_params
+ *   with one { param, code, value } entry per problem
+ */
+async function checkParams(definition, rawParams, ctx) {
+  const { params: typed, missing, invalid } = validateParams(definition, rawParams);
+  const { params, errors: formatErrors } = await applyFormats(definition, typed);
+  const askable = missing.every(name => definition.params[name].ask);
+  if (ctx.canAsk && askable && !invalid.length && !formatErrors.length) {
+    const next = nextQuestion(definition, params, ctx.language);
+    if (next) {
+      const origin = resolveOrigin(definition, params, ctx);
+      return { reply: { status: 'needs_input', data: { action: definition.action, ...next, params, origin } } };
+    }
+  }
+  const errors = [
+    ...missing.map(param => ({ param, code: 'missing' })),
+    ...invalid.map(param => ({ param, code: 'invalid_type', value: rawParams[param] })),
+    ...formatErrors
+  ];
+  if (errors.length === 1 && errors[0].code === 'unsupported_token') {
+    return { reply: fail('unsupported_token', { token: errors[0].value }) };
+  }
+  if (errors.length) {
+    return {
+      reply: fail('invalid_params', {
+        missing,
+        invalid: [...invalid, ...formatErrors.map(error => error.param)],
+        errors
+      })
+    };
+  }
+  return { params };
+}
+
+/**
+ * Hold a high-value command as a pending action when it needs confirmation.
+ * @returns {Promise<Object|null>} A 'pending_confirmation' result, or null to run the command now
+ */
+async function requestConfirmation(definition, params, outflow, ctx) {
+  const { legs, summary } = outflow;
+  const check = await PendingActionService.checkConfirmation(ctx.userId, legs);
+  if (!check.required) return null;
+
+  const pending = await PendingActionService.createPendingAction({
+    twitterUserId: ctx.userId,
+    username: ctx.username,
+    action: definition.action,
+    params,
+    origin: ctx.origin,
+    channel: ctx.channel,
+    sourceId: ctx.sourceId,
+    summary,
+    valueUsd: check.valueUsd
+  });
+  return {
+    status: 'pending_confirmation',
+    data: {
+      code: pending.code,
+      summary,
+      valueUsd: check.valueUsd,
+      expiresAt: pending.expiresAt,
+      expiresInMinutes: PendingActionService.ttlMinutes
+    }
+  };
+}
+
+/**
+ * Validate params and run a command's executor.
+ *
+ * When ctx.idempotencyKey is set, commands with side effects run at most once per key: a repeat
+ * returns the recorded result, or outcome_unknown when the earlier run never finished.
+ * @param {Object} definition - Command module from the registry
+ * @param {Object} rawParams - Params as produced by the parser
+ * @param {Object} ctx - Execution context; ctx.origin is the stored origin of a confirmed or
+ *   completed command
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmed] - Skip the confirmation step (the user already confirmed)
+ * @returns {Promise<Object>} Structured result
+ */
+async function executeCommand(definition, rawParams, ctx, { confirmed = false } = {}) {
+  const checked = await checkParams(definition, rawParams, ctx);
+  if (checked.reply) return checked.reply;
+  const { params } = checked;
+  const { idempotencyKey, ...innerCtx } = ctx;
+  if (!idempotencyKey || !(definition.outflow || definition.sideEffects)) {
+    return runCommand(definition, params, innerCtx, confirmed);
+  }
+
+  // Storage errors here propagate so the caller can retry; nothing has run yet
+  const key = `${idempotencyKey}:${definition.action}`;
+  const previous = await IdempotencyService.begin(key, definition.action);
+  if (previous) {
+    return previous.status === 'completed' ? previous.result : fail('outcome_unknown');
+  }
+  const result = await runCommand(definition, params, innerCtx, confirmed);
+  try {
+    await IdempotencyService.complete(key, result);
+  } catch (error) {
+    logger.error('Failed to record command result', { key, error: error.message });
+  }
+  return result;
+}
+
+async function runCommand(definition, params, ctx, confirmed) {
+  try {
+    if (definition.origin) ctx = { ...ctx, origin: resolveOrigin(definition, params, ctx) };
+    if (!definition.outflow) return await definition.execute(params, ctx);
+
+    // Limits are checked again on confirmation, other outflows may have happened in between
+    const outflow = definition.outflow(params, ctx);
+    const policy = await SpendingPolicyService.evaluate(ctx.userId, outflow);
+    if (!policy.allowed) return fail('spending_limit', { reason: policy.reason });
+
+    if (!confirmed && outflow.confirmable !== false) {
+      const pending = await requestConfirmation(definition, params, outflow, ctx);
+      if (pending) return pending;
+    }
+
+    const result = await definition.execute(params, ctx);
+    if (result.status === 'success') {
+      try {
+        await SpendingPolicyService.recordOutflow(ctx.userId, definition.action, outflow, policy.valueUsd);
+      } catch (error) {
+        logger.error('Failed to record outflow', { action: definition.action, userId: ctx.userId, error: error.message });
+      }
+    }
+    return result;
+  } catch (error) {
+    logger.error('Command execution failed', { action: definition.action, channel: ctx.channel, error: error.message });
+    return fail('exception', { message: error.message });
+  }
+}
+
+/**
+ * Render the reply body (without the @mention) for a channel; channel renderers override the
+ * shared text renderer except for common errors, which read the same everywhere.
+ */
+function renderText(definition, result, ctx) {
+  if (result.status === 'pending_confirmation') {
+    return renderPendingConfirmation(result.data, ctx.language);
+  }
+  if (result.status === 'needs_input') return result.data.question;
+  // Confirmed actions render with the original command's renderers
+  if (result.confirmedAction && registry.has(result.confirmedAction)) {
+    const { confirmedAction, ...actionResult } = result;
+    return renderText(registry.get(confirmedAction), actionResult, ctx);
+  }
+  if (result.status === 'error' && result.error === 'exception' && definition.failureMessage) {
+    return t(ctx.language, definition.failureMessage);
+  }
+  if (result.status === 'error' && COMMON_ERRORS.includes(result.error)) {
+    return renderCommonError(result.error, result.data || {}, ctx.language);
+  }
+  const channelRenderer = definition.render[ctx.channel];
+  if (channelRenderer) return channelRenderer(result, ctx);
+  return definition.render.text(result, ctx);
+}
+
+/**
+ * Render a result as the text of a tweet reply.
+ */
+function renderTweetReply(definition, result, ctx) {
+  return `@${ctx.username} ${renderText(definition, result, ctx)}`;
+}
+
+/**
+ * Render a result as the JSON body returned by /api/chat.
+ */
+function renderChatResponse(definition, result, ctx) {
+  const response = {
+    status: result.status,
+    action: definition.action,
+    reply: `@${ctx.username} ${renderText(definition, result, ctx)}`
+  };
+  if (result.status !== 'error' && result.data && Object.keys(result.data).length) {
+    response.data = result.data;
+  }
+  return response;
+}
+
+module.exports = {
+  getCommand,
+  listCommands,
+  describeCommand,
+  parseDirectCommand,
+  validateParams,
+  executeCommand,
+  renderText,
+  renderTweetReply,
+  renderChatResponse
+};
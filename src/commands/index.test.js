@@ -0,0 +1,750 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('../services/privyUserService', () => ({
+  getWalletForUser: jest.fn(),
+  getOrCreateWalletForUser: jest.fn(),
+  getEnhancedBalance: jest.fn(),
+  getTokenBalance: jest.fn(),
+  getBalance: jest.fn(),
+  sendTokenTransaction: jest.fn(),
+  sendBatchTransaction: jest.fn(),
+  isBatchTransferEnabled: jest.fn(() => false),
+  swap: jest.fn(),
+  swapMetisToUSDTWithSushi: jest.fn(),
+  swapUSDTToMetisWithSushi: jest.fn(),
+  getContact: jest.fn(),
+  isValidContactName: jest.fn(name => /^[a-z][\w-]*$/i.test(name) && !/^0x/i.test(name)),
+  setPrivateMode: jest.fn(),
+  isPrivateModeEnabled: jest.fn(async () => false),
+  setLanguagePreference: jest.fn()
+}));
+jest.mock('../services/tokenRegistryService', () => {
+  const tokens = {
+    METIS: { symbol: 'METIS', address: null, decimals: 18, native: true },
+    USDT: { symbol: 'USDT', address: '0x3c099e287ec71b4aa61a7110287d715389329237', decimals: 6 }
+  };
+  return { TokenRegistryService: { getToken: jest.fn(async (symbol) => tokens[symbol] || null) } };
+});
+jest.mock('../services/pendingActionService', () => ({
+  PendingActionService: {
+    ttlMinutes: 10,
+    checkConfirmation: jest.fn(),
+    createPendingAction: jest.fn(),
+    claimPendingAction: jest.fn(),
+    findPendingAction: jest.fn(),
+    recordResult: jest.fn()
+  }
+}));
+jest.mock('../services/spendingPolicyService', () => ({
+  SpendingPolicyService: {
+    evaluate: jest.fn(),
+    recordOutflow: jest.fn()
+  }
+}));
+jest.mock('../services/idempotencyService', () => ({
+  IdempotencyService: {
+    begin: jest.fn(),
+    complete: jest.fn()
+  }
+}));
+jest.mock('../services/twitterService', () => ({ userId: 'bot1', getUserInfo: jest.fn(), getUserInfoByUsername: jest.fn(), getTweet: jest.fn() }));
+jest.mock('../services/xpService', () => ({
+  XPService: jest.fn().mockImplementation(() => ({
+    awardForTokenTransfer: jest.fn(),
+    awardForBalanceCheck: jest.fn()
+  }))
+}));
+jest.mock('../services/rewardService', () => ({ getRewardService: jest.fn(() => null) }));
+jest.mock('../services/priceService', () => ({ convertMetisToUsd: jest.fn(async () => 2) }));
+jest.mock('../services/gm2ApiService', () => ({}));
+jest.mock('../services/gm2HyperionService', () => ({}));
+jest.mock('../services/giveawayService', () => ({ createGiveaway: jest.fn() }));
+jest.mock('../services/parseMetricsService', () => ({ ParseMetricsService: { record: jest.fn() } }));
+jest.mock('../services/claimableTransferService', () => ({
+  ClaimableTransferService: {
+    ttlDays: 7,
+    isEnabled: jest.fn(() => false),
+    getEscrowAddress: jest.fn(() => '0xescrow'),
+    createClaimableTransfer: jest.fn(),
+    recordDeposit: jest.fn(),
+    failDeposit: jest.fn(),
+    confirmDeposit: jest.fn(),
+    claimForUser: jest.fn()
+  }
+}));
+jest.mock('../services/outboundTweetService', () => ({ OutboundTweetService: { enqueue: jest.fn() } }));
+
+const { getCommand, parseDirectCommand, validateParams, executeCommand, renderTweetReply, renderChatResponse } = require('./index');
+const { parseSlippage, explorerTxUrl } = require('./helpers');
+const privyUserService = require('../services/privyUserService');
+const { PendingActionService } = require('../services/pendingActionService');
+const { SpendingPolicyService } = require('../services/spendingPolicyService');
+const { IdempotencyService } = require('../services/idempotencyService');
+const { parseCommand } = require('../handlers/commandParser');
+const twitterService = require('../services/twitterService');
+const giveawayService = require('../services/giveawayService');
+const { ClaimableTransferService } = require('../services/claimableTransferService');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+
+const ctx = { channel: 'tweet', userId: 'user1', username: 'alice' };
+
+describe('command registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    privyUserService.isBatchTransferEnabled.mockReturnValue(false);
+    ClaimableTransferService.isEnabled.mockReturnValue(false);
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: false, valueUsd: 1, thresholdUsd: 100 });
+    SpendingPolicyService.evaluate.mockResolvedValue({ allowed: true, valueUsd: 1 });
+  });
+
+  it('coerces params and reports missing required ones', () => {
+    const send = getCommand('send');
+    expect(validateParams(send, { recipient: '@bob', amount: 1.5 })).toEqual({
+      params: { recipient: '@bob', amount: '1.5' },
+      missing: [],
+      invalid: []
+    });
+    expect(validateParams(send, { amount: '1' }).missing).toEqual(['recipient']);
+  });
+
+  it('renders the same result for tweets and chat', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getEnhancedBalance.mockResolvedValue({ metis: '1', usdt: '0', formatted: '1 METIS, 0 USDT' });
+
+    const balance = getCommand('balance');
+    const result = await executeCommand(balance, {}, ctx);
+
+    expect(result.status).toBe('success');
+    expect(renderTweetReply(balance, result, ctx)).toBe('@alice Your balance is 1 METIS, 0 USDT (~$2.00).');
+    expect(renderChatResponse(balance, result, { ...ctx, channel: 'chat' })).toMatchObject({
+      status: 'success',
+      action: 'balance',
+      reply: '@alice Your balance is 1 METIS, 0 USDT (~$2.00).'
+    });
+  });
+
+  it('returns a structured error instead of throwing', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('0.5');
+
+    const send = getCommand('send_to_address');
+    const result = await executeCommand(send, { address: '0x1111111111111111111111111111111111111111', amount: '2' }, ctx);
+
+    expect(result).toEqual({
+      status: 'error',
+      error: 'insufficient_balance',
+      data: { token: 'METIS', balance: 0.5, required: 2 }
+    });
+    expect(privyUserService.sendTokenTransaction).not.toHaveBeenCalled();
+    expect(renderTweetReply(send, result, ctx)).toBe('@alice Insufficient METIS balance. You have 0.5 METIS, but need 2 METIS.');
+  });
+
+  it('validates and normalizes parser params before running a command', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+    const send = getCommand('send_to_address');
+
+    const invalid = await executeCommand(send, { address: '0x742d35cc6632c0532c718c0a0d8a2234d8d9a53C', amount: 'abc', token: 'METIS' }, ctx);
+    expect(invalid).toEqual({
+      status: 'error',
+      error: 'invalid_params',
+      data: {
+        missing: [],
+        invalid: ['address', 'amount'],
+        errors: [
+          { param: 'address', code: 'invalid_address', value: '0x742d35cc6632c0532c718c0a0d8a2234d8d9a53C' },
+          { param: 'amount', code: 'invalid_amount', value: 'abc' }
+        ]
+      }
+    });
+    expect(renderTweetReply(send, invalid, ctx)).toBe(
+      '@alice I couldn\'t run that command: address must be a 0x address or a saved contact name (got "0x742d35cc6632c0532c718c0a0d8a2234d8d9a53C"); amount must be a positive number (got "abc").'
+    );
+    expect(privyUserService.sendTokenTransaction).not.toHaveBeenCalled();
+
+    const result = await executeCommand(send, { address: '0x742d35cc6632c0532c718c0a0d8a2234d8d9a53c', amount: '.5', token: '$usdt' }, ctx);
+    expect(result.status).toBe('success');
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledWith('w1', '0x742D35Cc6632c0532c718C0a0d8a2234d8D9a53C', '0.5', 'USDT');
+  });
+
+  it('resolves saved contact names to their address', async () => {
+    const address = '0x2222222222222222222222222222222222222222';
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.getContact.mockImplementation(async (userId, name) => (name === 'cold' ? { name: 'cold', address } : null));
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+
+    expect(parseDirectCommand(`save ${address} as Cold`)).toEqual({ action: 'save_contact', params: { address, name: 'Cold' } });
+
+    const send = getCommand('send_to_address');
+    const result = await executeCommand(send, { address: 'cold', amount: '5' }, ctx);
+    expect(privyUserService.getContact).toHaveBeenCalledWith('user1', 'cold');
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledWith('w1', address, '5', 'METIS');
+    expect(renderTweetReply(send, result, ctx)).toContain(`sent 5 METIS to cold (${address})`);
+
+    const unknown = await executeCommand(send, { address: 'warm', amount: '5' }, ctx);
+    expect(unknown).toMatchObject({ status: 'error', error: 'invalid_address' });
+  });
+
+  it('rejects swaps between tokens missing from the registry', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+
+    const swap = getCommand('swap');
+    const result = await executeCommand(swap, { amount: '1', fromToken: 'DOGE', toToken: 'METIS' }, ctx);
+
+    expect(result).toMatchObject({ status: 'error', error: 'unsupported_token', data: { token: 'DOGE' } });
+    expect(privyUserService.swap).not.toHaveBeenCalled();
+  });
+
+  it('holds high-value transfers until the author confirms the code', async () => {
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: true, valueUsd: 1000, thresholdUsd: 100 });
+    PendingActionService.createPendingAction.mockResolvedValue({ code: 'K7P2QX', expiresAt: new Date() });
+
+    const send = getCommand('send_to_address');
+    const params = { address: '0x1111111111111111111111111111111111111111', amount: '500' };
+    const held = await executeCommand(send, params, ctx);
+
+    expect(held.status).toBe('pending_confirmation');
+    expect(PendingActionService.createPendingAction).toHaveBeenCalledWith(expect.objectContaining({
+      twitterUserId: 'user1',
+      action: 'send_to_address',
+      params: { ...params, token: undefined }
+    }));
+    expect(privyUserService.sendTokenTransaction).not.toHaveBeenCalled();
+    expect(renderTweetReply(send, held, ctx)).toBe(
+      '@alice Please confirm: send 500 METIS to 0x1111111111111111111111111111111111111111 (~$1000.00). Reply "confirm K7P2QX" within 10 minutes to proceed.'
+    );
+
+    const command = parseDirectCommand('confirm k7p2qx');
+    expect(command).toEqual({ action: 'confirm', params: { code: 'K7P2QX' } });
+
+    PendingActionService.claimPendingAction.mockResolvedValue({ _id: 'p1', action: 'send_to_address', params });
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('600');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+
+    const confirm = getCommand('confirm');
+    const result = await executeCommand(confirm, command.params, ctx);
+
+    expect(PendingActionService.claimPendingAction).toHaveBeenCalledWith('user1', 'K7P2QX');
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledWith('w1', params.address, '500', 'METIS');
+    expect(renderTweetReply(confirm, result, ctx)).toMatch(/^@alice Successfully sent 500 METIS to 0x1111/);
+  });
+
+  it('holds large giveaways for confirmation with the prize tweet', async () => {
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: true, valueUsd: 600, thresholdUsd: 100 });
+    PendingActionService.createPendingAction.mockResolvedValue({ code: 'ABCDEF', expiresAt: new Date() });
+    const giveawayCtx = { ...ctx, text: 'giveaway 100 METIS to 3 winners in 24h', tweet: { id: '555' } };
+
+    const result = await executeCommand(getCommand('create_giveaway'), { amount: '100', token: 'METIS', winners: 3, duration: '24h' }, giveawayCtx);
+    expect(result.status).toBe('pending_confirmation');
+    expect(PendingActionService.createPendingAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'create_giveaway',
+      summary: 'run a giveaway of 300 METIS',
+      params: { amount: '100', token: 'METIS', winners: 3, duration: '24h' },
+      origin: { tweetUrl: 'https://x.com/alice/status/555', currentTweetUrl: 'https://x.com/alice/status/555', currentTweetId: '555' }
+    }));
+  });
+
+  it('keeps the prize tweet when a giveaway is completed by the answer to a question', async () => {
+    giveawayService.createGiveaway.mockResolvedValue({ _id: 'g1', endTime: new Date(), totalPrizeAmount: 2 });
+    const giveaway = getCommand('create_giveaway');
+    const params = { amount: '1', token: 'METIS', winners: 2 };
+    const asked = await executeCommand(giveaway, params, { ...ctx, canAsk: true, text: 'giveaway 1 METIS to 2 winners', tweet: { id: '555' } });
+    expect(asked.data).toMatchObject({ param: 'duration', origin: { tweetUrl: 'https://x.com/alice/status/555', currentTweetId: '555' } });
+
+    const command = await parseCommand('24h', 'user1', { channel: 'tweet', context: { turns: [], lastCommand: null, pending: asked.data } });
+    const result = await executeCommand(giveaway, command.params, { ...ctx, canAsk: true, text: '24h', tweet: { id: '777' }, origin: command.origin });
+    expect(result.status).toBe('success');
+    expect(giveawayService.createGiveaway).toHaveBeenCalledWith('user1', 'alice', {
+      ...params,
+      duration: '24h',
+      tweetUrl: 'https://x.com/alice/status/555',
+      currentTweetUrl: 'https://x.com/alice/status/555',
+      currentTweetId: '555'
+    });
+  });
+
+  it('blocks transfers over the spending limits before asking for confirmation', async () => {
+    SpendingPolicyService.evaluate.mockResolvedValue({
+      allowed: false,
+      valueUsd: 1000,
+      reason: 'This transaction (~$1000.00) exceeds your per-transaction limit of $500.'
+    });
+
+    const send = getCommand('send');
+    const result = await executeCommand(send, { recipient: '@bob', amount: '500' }, ctx);
+
+    expect(SpendingPolicyService.evaluate).toHaveBeenCalledWith('user1', expect.objectContaining({
+      legs: [{ token: 'METIS', amount: '500' }],
+      recipients: ['@bob']
+    }));
+    expect(PendingActionService.createPendingAction).not.toHaveBeenCalled();
+    expect(renderTweetReply(send, result, ctx)).toBe(
+      '@alice Blocked by your spending limits: This transaction (~$1000.00) exceeds your per-transaction limit of $500.'
+    );
+  });
+
+  it('runs side effects once per idempotency key', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+    IdempotencyService.begin.mockResolvedValueOnce(null);
+
+    const send = getCommand('send_to_address');
+    const params = { address: '0x1111111111111111111111111111111111111111', amount: '5' };
+    const keyed = { ...ctx, idempotencyKey: 'tweet:1' };
+    const first = await executeCommand(send, params, keyed);
+
+    expect(first.status).toBe('success');
+    expect(IdempotencyService.begin).toHaveBeenCalledWith('tweet:1:send_to_address', 'send_to_address');
+    expect(IdempotencyService.complete).toHaveBeenCalledWith('tweet:1:send_to_address', first);
+
+    // A retry replays the recorded result without sending again
+    IdempotencyService.begin.mockResolvedValueOnce({ status: 'completed', result: first });
+    await expect(executeCommand(send, params, keyed)).resolves.toEqual(first);
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledTimes(1);
+
+    // An interrupted earlier run is reported instead of repeated
+    IdempotencyService.begin.mockResolvedValueOnce({ status: 'started' });
+    const unknown = await executeCommand(send, params, keyed);
+    expect(unknown).toMatchObject({ status: 'error', error: 'outcome_unknown' });
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledTimes(1);
+
+    // Read-only commands are not keyed
+    await executeCommand(getCommand('balance'), {}, keyed);
+    expect(IdempotencyService.begin).toHaveBeenCalledTimes(3);
+  });
+
+  it('reports expired confirmation codes', async () => {
+    PendingActionService.claimPendingAction.mockResolvedValue(null);
+    PendingActionService.findPendingAction.mockResolvedValue({ status: 'expired', summary: 'send 500 METIS to @bob' });
+
+    const confirm = getCommand('confirm');
+    const result = await executeCommand(confirm, { code: 'ABCDEF' }, ctx);
+
+    expect(result.error).toBe('confirmation_expired');
+    expect(renderTweetReply(confirm, result, ctx)).toBe(
+      '@alice Code ABCDEF has expired, so I did not send 500 METIS to @bob. Send the command again if you still want it.'
+    );
+  });
+
+  it('parses canonical command syntax without the NL parser', () => {
+    const address = '0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C';
+    const cases = [
+      ['send 5 USDT to @bob', 'send', { amount: '5', token: 'USDT', recipient: '@bob' }],
+      ['send 10 METIS to @a, @b', 'multi_send', { amount: '10', token: 'METIS', recipients: ['@a', '@b'] }],
+      ['send 1 METIS to @a, 2 to @b and 3 to @c', 'multi_send', { recipients: ['@a', '@b', '@c'], amounts: ['1', '2', '3'], token: 'METIS' }],
+      ['split 30 USDT between @a @b and @c', 'split', { amount: '30', token: 'USDT', recipients: ['@a', '@b', '@c'] }],
+      ['split 10 METIS between @a 70%, @b 30%', 'split', { amount: '10', token: 'METIS', recipients: ['@a', '@b'], weights: ['70', '30'] }],
+      ['tip 1 METIS', 'tip', { amount: '1', token: 'METIS' }],
+      [`send 5 USDT to ${address}`, 'send_to_address', { amount: '5', token: 'USDT', address }],
+      ['send 1 METIS to @bob every Friday', 'schedule_payment', { amount: '1', token: 'METIS', recipient: '@bob', schedule: 'every Friday' }],
+      ['swap 5 USDT for METIS with 1% slippage', 'swap', { amount: '5', fromToken: 'USDT', toToken: 'METIS', slippage: '1' }],
+      ['drip to my wallet', 'drip', {}],
+      ["what's @bob's balance?", 'balance', { recipient: '@bob' }],
+      ['my xp', 'xp', {}],
+      ['rank', 'rank', {}],
+      ['giveaway 10 METIS to 2 random commenters in 24 hours', 'create_giveaway', { amount: '10', token: 'METIS', winners: '2', duration: '24h' }],
+      ['claim reward for period 3', 'claim_reward', { periodId: '3' }],
+      ['claim my rewards', 'claim_reward', {}],
+      ['claim', 'claim_transfer', {}],
+      [`buy ${address} with 0.01 metis`, 'buy', { tokenAddress: address, metisAmount: '0.01' }],
+      [`sell all ${address}`, 'sell', { tokenAddress: address, tokenAmount: 'all' }]
+    ];
+    for (const [text, action, params] of cases) {
+      expect(parseDirectCommand(text)).toEqual({ action, params });
+    }
+    expect(parseDirectCommand('could you send five bucks to bob?')).toBeNull();
+  });
+
+  it('settles a batched multi-send in one transaction, or sends nothing', async () => {
+    const [a, b] = ['0x742D35Cc6632c0532c718C0a0d8a2234d8D9a53C', '0x1111111111111111111111111111111111111111'];
+    expect(parseDirectCommand('send 1 USDT to @a, 2 METIS to @b')).toBeNull();
+    privyUserService.isBatchTransferEnabled.mockReturnValue(true);
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendBatchTransaction.mockResolvedValue({ hash: '0xbatch' });
+    const multiSend = getCommand('multi_send');
+
+    const { params } = parseDirectCommand(`send 1.5 METIS to ${a}, 2 to ${b}`);
+    const result = await executeCommand(multiSend, params, ctx);
+    expect(privyUserService.sendBatchTransaction).toHaveBeenCalledWith('w1', [{ to: a, amount: '1.5' }, { to: b, amount: '2' }], 'METIS');
+    expect(privyUserService.sendTokenTransaction).not.toHaveBeenCalled();
+    expect(renderTweetReply(multiSend, result, ctx)).toBe([
+      '@alice Multi-send Results:',
+      '',
+      '✅ Sent to 2 recipients in one transaction:',
+      `• ${a}: 1.5 METIS`,
+      `• ${b}: 2 METIS`,
+      `TX: ${explorerTxUrl('0xbatch')}`
+    ].join('\n'));
+
+    privyUserService.sendBatchTransaction.mockClear();
+    const unresolved = await executeCommand(multiSend, { recipients: [a, '@nobody'], amount: '1' }, ctx);
+    expect(unresolved.error).toBe('batch_failed');
+    expect(privyUserService.sendBatchTransaction).not.toHaveBeenCalled();
+    expect(renderTweetReply(multiSend, unresolved, ctx)).toContain('Nothing was sent: these recipients couldn\'t be paid.\n• @nobody: User not found');
+  });
+
+  it('splits an amount evenly or by weight in token units', async () => {
+    const [a, b, c] = ['0x1111111111111111111111111111111111111111', '0x2222222222222222222222222222222222222222', '0x3333333333333333333333333333333333333333'];
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getTokenBalance.mockResolvedValue('100');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+    const split = getCommand('split');
+
+    const even = await executeCommand(split, { amount: '10', token: 'USDT', recipients: [a, b, c] }, ctx);
+    expect(even.status).toBe('success');
+    expect(privyUserService.sendTokenTransaction.mock.calls.map(call => call.slice(1))).toEqual([
+      [a, '3.333334', 'USDT'],
+      [b, '3.333333', 'USDT'],
+      [c, '3.333333', 'USDT']
+    ]);
+
+    privyUserService.sendTokenTransaction.mockClear();
+    await executeCommand(split, { amount: '10', token: 'USDT', recipients: [a, b], weights: ['70%', '30%'] }, ctx);
+    expect(privyUserService.sendTokenTransaction.mock.calls.map(call => call.slice(1))).toEqual([[a, '7', 'USDT'], [b, '3', 'USDT']]);
+
+    const tooSmall = await executeCommand(split, { amount: '0.000001', token: 'USDT', recipients: [a, b] }, ctx);
+    expect(renderTweetReply(split, tooSmall, ctx)).toBe('@alice 0.000001 USDT is too small to split 2 ways.');
+
+    // Weights past six decimals are truncated; amounts past the token's decimals are refused
+    privyUserService.sendTokenTransaction.mockClear();
+    const thirds = await executeCommand(split, { amount: '3', token: 'USDT', recipients: [a, b, c], weights: ['33.3333333%', '33.3333333%', '33.3333334%'] }, ctx);
+    expect(thirds.status).toBe('success');
+    expect(privyUserService.sendTokenTransaction.mock.calls.map(call => call[2])).toEqual(['1', '1', '1']);
+    const tooPrecise = await executeCommand(split, { amount: '1.0000001', token: 'USDT', recipients: [a, b] }, ctx);
+    expect(renderTweetReply(split, tooPrecise, ctx)).toBe('@alice USDT only has 6 decimal places, so I can\'t split 1.0000001 USDT.');
+  });
+
+  it('tips the author of the replied-to tweet and keeps them when held for confirmation', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+    twitterService.getUserInfo.mockResolvedValue({ id: 'u9', username: 'carol' });
+    twitterService.getUserInfoByUsername.mockResolvedValue({ id: 'u9', username: 'carol' });
+    const tip = getCommand('tip');
+    const replyCtx = { ...ctx, tweet: { id: 't2', in_reply_to_id: 'u9', conversation_id: 't1' } };
+
+    // The target comes from the tweet, never from parsed params
+    const result = await executeCommand(tip, { amount: '1', token: 'METIS', recipientId: 'u666' }, replyCtx);
+    expect(twitterService.getUserInfo).toHaveBeenCalledTimes(1);
+    expect(twitterService.getUserInfo).toHaveBeenCalledWith('u9');
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledWith('w1', '0xabc', '1', 'METIS');
+    expect(renderTweetReply(tip, result, replyCtx)).toMatch(/^@alice Tipped @carol 1 METIS! View transaction: /);
+
+    const notAReply = await executeCommand(tip, { amount: '1' }, { ...ctx, tweet: { id: 't3', conversation_id: 't3' } });
+    expect(renderTweetReply(tip, notAReply, ctx)).toBe('@alice Reply to someone\'s tweet with "tip <amount> [token]" and mention me to tip its author.');
+    const self = await executeCommand(tip, { amount: '1' }, { ...ctx, tweet: { id: 't4', in_reply_to_id: 'user1' } });
+    expect(self.error).toBe('tip_self');
+
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: true, valueUsd: 500, thresholdUsd: 100 });
+    PendingActionService.createPendingAction.mockResolvedValue({ code: 'ABCDEF', expiresAt: new Date() });
+    await executeCommand(tip, { amount: '300' }, { ...ctx, tweet: { id: 't5', referenced_tweets: [{ type: 'replied_to', id: 't1' }] } });
+    expect(PendingActionService.createPendingAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'tip',
+      params: { amount: '300' },
+      origin: { tweetId: 't1' }
+    }));
+
+    // The confirming tweet replies to the bot; the stored origin still points at the tipped tweet
+    PendingActionService.claimPendingAction.mockResolvedValue({ _id: 'p2', action: 'tip', params: { amount: '3' }, origin: { tweetId: 't1' } });
+    twitterService.getTweet.mockResolvedValue({ id: 't1', author_id: 'u9' });
+    const confirmCtx = { ...ctx, tweet: { id: 't6', in_reply_to_id: 'bot1' } };
+    const confirmed = await executeCommand(getCommand('confirm'), { code: 'ABCDEF' }, confirmCtx);
+    expect(twitterService.getTweet).toHaveBeenCalledWith('t1');
+    expect(renderTweetReply(getCommand('confirm'), confirmed, confirmCtx)).toMatch(/^@alice Tipped @carol 3 METIS!/);
+  });
+
+  it('keeps the tip target when the tip is completed by the answer to a question', async () => {
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xhash' });
+    twitterService.getUserInfo.mockResolvedValue({ id: 'u9', username: 'carol' });
+    twitterService.getUserInfoByUsername.mockResolvedValue({ id: 'u9', username: 'carol' });
+    const tip = getCommand('tip');
+
+    const asked = await executeCommand(tip, {}, { ...ctx, canAsk: true, tweet: { id: 't2', in_reply_to_id: 'u9' } });
+    expect(asked.data).toMatchObject({ action: 'tip', param: 'amount', origin: { recipientId: 'u9' } });
+
+    // The answer replies to the bot's question, not to the tipped tweet
+    const command = await parseCommand('1 METIS', 'user1', { channel: 'tweet', context: { turns: [], lastCommand: null, pending: asked.data } });
+    expect(command).toEqual({ action: 'tip', params: { amount: '1', token: 'METIS' }, origin: { recipientId: 'u9' } });
+    const answerCtx = { ...ctx, canAsk: true, tweet: { id: 't3', in_reply_to_id: 'bot1' }, origin: command.origin };
+    const result = await executeCommand(tip, command.params, answerCtx);
+    expect(twitterService.getUserInfo).toHaveBeenCalledWith('u9');
+    expect(renderTweetReply(tip, result, answerCtx)).toMatch(/^@alice Tipped @carol 1 METIS!/);
+  });
+
+  it('holds a send to a handle without a wallet until it is claimed', async () => {
+    ClaimableTransferService.isEnabled.mockReturnValue(true);
+    privyUserService.getWalletForUser.mockImplementation(async userId => (userId === 'user1' ? { id: 'w1', address: '0xabc' } : null));
+    privyUserService.getBalance.mockResolvedValue('10');
+    privyUserService.sendTokenTransaction.mockResolvedValue({ hash: '0xdeposit' });
+    twitterService.getUserInfoByUsername.mockResolvedValue({ id: 'u9', username: 'dave' });
+    ClaimableTransferService.createClaimableTransfer.mockResolvedValue({ _id: 'c1' });
+    ClaimableTransferService.confirmDeposit.mockResolvedValue({ _id: 'c1', status: 'pending' });
+    const send = getCommand('send');
+    const sendCtx = { ...ctx, sourceId: 't1', language: 'en' };
+
+    const result = await executeCommand(send, { recipient: '@dave', amount: '2' }, sendCtx);
+    // The transfer is recorded before the deposit is sent
+    expect(ClaimableTransferService.createClaimableTransfer).toHaveBeenCalledWith(expect.objectContaining({
+      senderUserId: 'user1',
+      recipient: '@dave',
+      recipientUserId: 'u9',
+      amount: '2',
+      token: 'METIS',
+      sourceId: 't1'
+    }));
+    expect(ClaimableTransferService.createClaimableTransfer.mock.invocationCallOrder[0])
+      .toBeLessThan(privyUserService.sendTokenTransaction.mock.invocationCallOrder[0]);
+    expect(privyUserService.sendTokenTransaction).toHaveBeenCalledWith('w1', '0xescrow', '2', 'METIS');
+    expect(ClaimableTransferService.recordDeposit).toHaveBeenCalledWith('c1', '0xdeposit');
+    expect(ClaimableTransferService.confirmDeposit).toHaveBeenCalledWith('c1', '0xdeposit');
+    expect(OutboundTweetService.enqueue).toHaveBeenCalledWith({
+      text: '@dave @alice sent you 2 METIS! Reply "claim" within 7 days to create your wallet and receive it.',
+      inReplyToTweetId: 't1',
+      dedupeKey: 'claimable:c1'
+    });
+    expect(renderTweetReply(send, result, sendCtx)).toBe(
+      `@alice @dave doesn't have a wallet yet, so I'm holding 2 METIS for them. They have 7 days to claim it by saying "claim"; after that it comes back to you. Deposit: ${explorerTxUrl('0xdeposit')}`
+    );
+
+    // A DM send notifies the recipient by DM rather than in public
+    ClaimableTransferService.createClaimableTransfer.mockResolvedValue({ _id: 'c2' });
+    ClaimableTransferService.confirmDeposit.mockResolvedValue({ _id: 'c2', recipientUserId: 'u9' });
+    await executeCommand(send, { recipient: '@dave', amount: '2' }, { ...sendCtx, channel: 'dm' });
+    expect(OutboundTweetService.enqueue).toHaveBeenLastCalledWith({
+      channel: 'dm',
+      recipientUserId: 'u9',
+      text: '@alice sent you 2 METIS! Reply "claim" within 7 days to create your wallet and receive it.',
+      dedupeKey: 'claimable:c2'
+    });
+
+    // A deposit that fails to send marks the transfer failed
+    OutboundTweetService.enqueue.mockClear();
+    privyUserService.sendTokenTransaction.mockRejectedValueOnce(new Error('insufficient funds for gas'));
+    const unsent = await executeCommand(send, { recipient: '@dave', amount: '2' }, sendCtx);
+    expect(unsent.error).toBe('transaction_failed');
+    expect(ClaimableTransferService.failDeposit).toHaveBeenCalledWith('c2', 'insufficient funds for gas');
+
+    // Once the deposit has a hash the sender is pointed at it: a reverted deposit holds nothing,
+    // and one that isn't confirmed (or can't be recorded) is left for recoverStaleLocks
+    ClaimableTransferService.confirmDeposit.mockResolvedValueOnce(null);
+    const reverted = await executeCommand(send, { recipient: '@dave', amount: '2' }, sendCtx);
+    expect(renderTweetReply(send, reverted, sendCtx)).toBe(
+      `@alice Your deposit of 2 METIS for @dave reverted, so nothing is being held for them. Deposit: ${explorerTxUrl('0xdeposit')}`
+    );
+    ClaimableTransferService.confirmDeposit.mockRejectedValueOnce(new Error('Transaction 0xdeposit was not confirmed'));
+    const unconfirmed = await executeCommand(send, { recipient: '@dave', amount: '2' }, sendCtx);
+    expect(unconfirmed.error).toBe('claimable_unconfirmed');
+    expect(renderTweetReply(send, unconfirmed, sendCtx)).toContain(`isn't confirmed yet`);
+    ClaimableTransferService.recordDeposit.mockRejectedValueOnce(new Error('connection lost'));
+    const unrecorded = await executeCommand(send, { recipient: '@dave', amount: '2' }, sendCtx);
+    expect(unrecorded).toEqual(expect.objectContaining({ error: 'claimable_unconfirmed', data: expect.objectContaining({ txHash: '0xdeposit' }) }));
+    expect(ClaimableTransferService.failDeposit).toHaveBeenCalledTimes(1);
+    expect(OutboundTweetService.enqueue).not.toHaveBeenCalled();
+
+    // Nothing is escrowed for a handle that doesn't exist
+    ClaimableTransferService.createClaimableTransfer.mockClear();
+    twitterService.getUserInfoByUsername.mockResolvedValue(null);
+    const unknown = await executeCommand(send, { recipient: '@nobody', amount: '2' }, sendCtx);
+    expect(unknown.error).toBe('recipient_not_found');
+    expect(ClaimableTransferService.createClaimableTransfer).not.toHaveBeenCalled();
+
+    privyUserService.getOrCreateWalletForUser.mockResolvedValue({ id: 'w9', address: '0xdave' });
+    ClaimableTransferService.claimForUser.mockResolvedValue({
+      claimed: [{ amount: '2', token: 'METIS', senderUsername: 'alice', payoutTxHash: '0xpayout' }],
+      failed: []
+    });
+    const claim = getCommand('claim_transfer');
+    const daveCtx = { channel: 'tweet', userId: 'u9', username: 'dave' };
+    const claimed = await executeCommand(claim, {}, daveCtx);
+    expect(ClaimableTransferService.claimForUser).toHaveBeenCalledWith('u9', '0xdave');
+    expect(renderTweetReply(claim, claimed, daveCtx)).toBe(
+      `@dave ✅ Claimed 1 transfer(s) to your wallet 0xdave:\n• 2 METIS from @alice: ${explorerTxUrl('0xpayout')}`
+    );
+
+    // With nothing held, a bare "claim" still claims XP rewards
+    ClaimableTransferService.claimForUser.mockResolvedValue({ claimed: [], failed: [] });
+    const nothing = await executeCommand(claim, {}, daveCtx);
+    expect(renderTweetReply(claim, nothing, daveCtx)).toBe('@dave Rewards are not configured on this bot right now.');
+  });
+
+  it('holds high-value transfers and schedules payments sent by DM', async () => {
+    const { PendingAction } = jest.requireActual('../services/pendingActionService');
+    const { ScheduledPayment } = require('../services/scheduledPaymentService');
+    const dmCtx = { ...ctx, channel: 'dm', sourceId: 'dm_1' };
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    twitterService.getUserInfoByUsername.mockResolvedValue({ id: 'u2', username: 'bob' });
+    // The records are validated against the real schemas
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: true, valueUsd: 500, thresholdUsd: 100 });
+    PendingActionService.createPendingAction.mockImplementation(async fields => {
+      const pending = new PendingAction({ code: 'ABCDEF', expiresAt: new Date(Date.now() + 60000), ...fields });
+      await pending.validate();
+      return pending;
+    });
+    const countDocuments = jest.spyOn(ScheduledPayment, 'countDocuments').mockResolvedValue(0);
+    const create = jest.spyOn(ScheduledPayment, 'create').mockImplementation(async fields => {
+      const payment = new ScheduledPayment(fields);
+      await payment.validate();
+      return payment;
+    });
+
+    const held = await executeCommand(getCommand('send'), { recipient: '@bob', amount: '300' }, dmCtx);
+    expect(held).toMatchObject({ status: 'pending_confirmation', data: { code: 'ABCDEF' } });
+
+    PendingActionService.checkConfirmation.mockResolvedValue({ required: false, valueUsd: 1, thresholdUsd: 100 });
+    const scheduled = await executeCommand(getCommand('schedule_payment'), { recipient: '@bob', amount: '1', schedule: 'every Friday' }, dmCtx);
+    expect(scheduled.status).toBe('success');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ channel: 'dm', sourceId: 'dm_1' }));
+    countDocuments.mockRestore();
+    create.mockRestore();
+  });
+
+  it('renders transfer, swap, schedule and giveaway failures in the reply language', async () => {
+    const { ScheduledPayment } = require('../services/scheduledPaymentService');
+    const esCtx = { ...ctx, language: 'es', tweet: { id: '555' } };
+    privyUserService.getWalletForUser.mockResolvedValue({ id: 'w1', address: '0xabc' });
+    privyUserService.getBalance.mockResolvedValue('10');
+    twitterService.getUserInfoByUsername.mockResolvedValue({ id: 'u2', username: 'bob' });
+
+    const send = getCommand('send');
+    privyUserService.sendTokenTransaction.mockRejectedValue(new Error('insufficient funds for intrinsic transaction cost'));
+    const unsent = await executeCommand(send, { recipient: '@bob', amount: '1', token: 'METIS' }, esCtx);
+    expect(unsent.data).toMatchObject({ reason: 'insufficient_funds' });
+    expect(renderTweetReply(send, unsent, esCtx)).toBe('@alice No se pudo enviar 1 METIS a @bob. Saldo o gas insuficiente.');
+
+    const swap = getCommand('swap');
+    privyUserService.swap.mockRejectedValue(new Error('execution reverted: UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT'));
+    const swapped = await executeCommand(swap, { amount: '1', fromToken: 'METIS', toToken: 'USDT' }, esCtx);
+    expect(renderTweetReply(swap, swapped, esCtx)).toContain('El intercambio falló: el precio se movió');
+    expect(renderTweetReply(swap, swapped, ctx)).toBe(
+      '@alice Swap failed: Price moved beyond your slippage tolerance (try again or allow more slippage)'
+    );
+
+    const schedule = getCommand('schedule_payment');
+    const countDocuments = jest.spyOn(ScheduledPayment, 'countDocuments').mockResolvedValue(10);
+    const scheduled = await executeCommand(schedule, { recipient: '@bob', amount: '1', schedule: 'every Friday' }, esCtx);
+    expect(scheduled).toMatchObject({ error: 'too_many_scheduled', data: { max: 10 } });
+    expect(renderTweetReply(schedule, scheduled, esCtx)).toContain('Ya tienes el máximo de 10 pagos programados.');
+    countDocuments.mockRestore();
+
+    const giveaway = getCommand('create_giveaway');
+    const giveawayParams = { amount: '2', token: 'METIS', winners: 2, duration: '24h' };
+    giveawayService.createGiveaway.mockRejectedValueOnce(
+      new Error('Insufficient METIS balance. You have 1 METIS, but need 4 METIS for this giveaway.')
+    );
+    const poor = await executeCommand(giveaway, giveawayParams, esCtx);
+    expect(poor).toMatchObject({ error: 'insufficient_balance', data: { token: 'METIS', balance: '1', required: '4' } });
+    giveawayService.createGiveaway.mockRejectedValueOnce(new Error('Invalid tweet URL format. Please provide a valid Twitter/X URL.'));
+    const badUrl = await executeCommand(giveaway, giveawayParams, esCtx);
+    expect(renderTweetReply(giveaway, badUrl, esCtx)).toBe(
+      '@alice Esa no es una URL de tweet válida. Usa un enlace como https://x.com/user/status/12345.'
+    );
+  });
+
+  it('toggles private mode from the exact command form', async () => {
+    expect(parseDirectCommand('private mode on')).toEqual({ action: 'set_private_mode', params: { enabled: 'on' } });
+    expect(parseDirectCommand('Disable private mode')).toEqual({ action: 'set_private_mode', params: { enabled: 'disable' } });
+
+    privyUserService.setPrivateMode.mockResolvedValue(true);
+    const result = await executeCommand(getCommand('set_private_mode'), { enabled: 'disable' }, { ...ctx, channel: 'dm' });
+    expect(privyUserService.setPrivateMode).toHaveBeenCalledWith('user1', false);
+    expect(result).toEqual({ status: 'success', data: { enabled: false } });
+  });
+
+  it('sets the reply language and confirms in it', async () => {
+    expect(parseDirectCommand('reply in Spanish')).toEqual({ action: 'set_language', params: { language: 'Spanish' } });
+
+    privyUserService.setLanguagePreference.mockResolvedValue(true);
+    const command = getCommand('set_language');
+    const result = await executeCommand(command, { language: 'Spanish' }, ctx);
+    expect(privyUserService.setLanguagePreference).toHaveBeenCalledWith('user1', 'es');
+    expect(renderTweetReply(command, result, ctx)).toBe('@alice ¡Listo! Te responderé en español.');
+
+    const unsupported = await executeCommand(command, { language: 'klingon' }, ctx);
+    expect(renderTweetReply(command, unsupported, ctx)).toMatch(/^@alice I don't speak "klingon" yet\. Choose one of: English, Español/);
+  });
+
+  it('lists commands and describes one from the command definitions', async () => {
+    expect(parseDirectCommand('help')).toEqual({ action: 'help', params: {} });
+    expect(parseDirectCommand('help multi send')).toEqual({ action: 'help', params: { command: 'multi send' } });
+
+    const help = getCommand('help');
+    const overview = await executeCommand(help, {}, ctx);
+    expect(overview.data.commands.map(command => command.action)).not.toContain('swap_usdt_to_metis');
+    const reply = renderTweetReply(help, overview, ctx);
+    expect(reply).toContain('\nTransfers: send, send to address, multi send,');
+    expect(reply).toContain('\nGiveaways: create giveaway\n');
+
+    const details = await executeCommand(help, { command: 'multi send' }, ctx);
+    expect(renderTweetReply(help, details, ctx)).toBe([
+      '@alice multi send: Send the same amount, or a different amount each, to several recipients',
+      'Syntax: send <amount> [<token>] [each] to <recipients> | send <amount> [<token>] to <recipient>, <amount> to <recipient>[, ...]',
+      'Examples: "send 1 METIS to @alice, @bob and @carol", "send 1 METIS to @alice, 2 to @bob"',
+      'Limits: Up to 10 recipients, one transaction each; One token per multi-send; Counts against your spending limits (say "limits")',
+      'Cost: Network gas paid from your wallet: one transaction for the whole batch (plus a one-time approval for tokens), or one per recipient when batching is off'
+    ].join('\n'));
+
+    const send = await executeCommand(help, { command: 'send' }, ctx);
+    expect(send.data.commands.map(command => command.action)).toEqual(['send', 'send_to_address', 'multi_send', 'schedule_payment']);
+    // Sends without a token ask for one rather than sending METIS
+    const tipDetails = await executeCommand(help, { command: 'tip' }, ctx);
+    expect(renderTweetReply(help, tipDetails, ctx)).toContain(
+      'Limits: Only works in a reply to someone else\'s tweet; Asks which token to send when none is given;'
+    );
+
+    const unknown = await executeCommand(help, { command: 'teleport' }, ctx);
+    expect(renderTweetReply(help, unknown, ctx)).toBe('@alice I don\'t know a command called "teleport". Say "help" to see them all.');
+  });
+
+  it('reads slippage from params or the message text', () => {
+    expect(parseSlippage('1', '')).toBe(0.01);
+    expect(parseSlippage(undefined, 'swap 5 USDT for METIS with 2.5% slippage')).toBe(0.025);
+    expect(parseSlippage(undefined, 'swap 5 USDT for METIS slippage 1%')).toBe(0.01);
+    expect(parseSlippage(undefined, 'swap 5 USDT for METIS')).toBe(0.005);
+  });
+
+  it('asks for a missing param and completes the command with the answer', async () => {
+    const send = getCommand('send');
+    const command = parseDirectCommand('send 5 to @bob');
+    expect(command).toEqual({ action: 'send', params: { amount: '5', recipient: '@bob' } });
+
+    const asked = await executeCommand(send, command.params, { ...ctx, canAsk: true });
+    expect(asked).toEqual({
+      status: 'needs_input',
+      data: {
+        action: 'send',
+        param: 'token',
+        question: 'Which token should I send? (e.g. METIS or USDT)',
+        params: { amount: '5', recipient: '@bob' }
+      }
+    });
+    expect(renderTweetReply(send, asked, ctx)).toBe('@alice Which token should I send? (e.g. METIS or USDT)');
+    expect(privyUserService.sendTokenTransaction).not.toHaveBeenCalled();
+
+    const context = { turns: [], lastCommand: command, pending: asked.data };
+    await expect(parseCommand('usdt', 'user1', { channel: 'tweet', context })).resolves.toEqual({
+      action: 'send', params: { amount: '5', recipient: '@bob', token: 'usdt' }
+    });
+    await expect(parseCommand('DOGE', 'user1', { channel: 'tweet', context })).resolves.toBeNull();
+
+    const buy = getCommand('buy');
+    const address = '0x742D35Cc6632c0532c718C0a0d8a2234d8D9a53C';
+    const askedBuy = await executeCommand(buy, { tokenAddress: address }, { ...ctx, canAsk: true });
+    expect(askedBuy.data.param).toBe('usdAmount');
+    await expect(parseCommand('0.01 METIS', 'user1', { context: { turns: [], lastCommand: null, pending: askedBuy.data } })).resolves.toEqual({
+      action: 'buy', params: { tokenAddress: address, metisAmount: '0.01' }
+    });
+  });
+
+  it('keeps defaults and reports missing params when the user cannot be asked', async () => {
+    const result = await executeCommand(getCommand('create_giveaway'), { amount: '1', token: 'METIS', winners: 2 }, ctx);
+    expect(result).toMatchObject({ status: 'error', error: 'invalid_params', data: { missing: ['duration'] } });
+  });
+});
@@ -0,0 +1,40 @@
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+const xpService = new XPService();
+
+module.exports = {
+  action: 'leaderboard',
+  description: 'Show the top 10 XP leaderboard',
+  category: 'rewards',
+  syntax: ['leaderboard'],
+  examples: ['leaderboard'],
+  params: {},
+  failureMessage: 'leaderboard.failure',
+
+  async execute() {
+    const leaderboard = await xpService.getLeaderboard(10);
+    return ok({
+      leaderboard: leaderboard.map(user => ({ username: user.username, totalXP: user.totalXP, level: user.level }))
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { leaderboard } = result.data;
+      if (leaderboard.length === 0) return t(ctx.language, 'leaderboard.empty');
+      let text = `${t(ctx.language, 'leaderboard.title')}\n\n`;
+      leaderboard.forEach((user, index) => {
+        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+        text += `${t(ctx.language, 'leaderboard.line', {
+          medal,
+          username: user.username,
+          xp: user.totalXP.toLocaleString(),
+          level: user.level
+        })}\n`;
+      });
+      return text.trimEnd();
+    }
+  }
+};
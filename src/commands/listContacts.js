@@ -0,0 +1,40 @@
+const { getContacts } = require('../services/privyUserService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+module.exports = {
+  action: 'list_contacts',
+  description: 'List the addresses saved in your address book',
+  category: 'wallet',
+  syntax: ['contacts'],
+  examples: ['list contacts'],
+  params: {},
+
+  parse(text) {
+    return /^(?:list|show)?\s*(?:my\s+)?(?:contacts|address\s+book)\??$/i.test(text) ? {} : null;
+  },
+
+  async execute(params, ctx) {
+    const contacts = await getContacts(ctx.userId);
+    return ok({ contacts: contacts.map(c => ({ name: c.name, address: c.address })) });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { contacts } = result.data;
+      if (contacts.length === 0) return t(ctx.language, 'list_contacts.empty');
+      return t(ctx.language, 'list_contacts.list', {
+        contacts: contacts.map(c => `${c.name} (${shortAddress(c.address)})`).join(', ')
+      });
+    },
+    chat(result, ctx) {
+      const { contacts } = result.data;
+      if (contacts.length === 0) return t(ctx.language, 'list_contacts.empty');
+      return `${t(ctx.language, 'list_contacts.chat_title')}\n${contacts.map(c => `- ${c.name}: ${c.address}`).join('\n')}`;
+    }
+  }
+};
@@ -0,0 +1,46 @@
+const { ScheduledPaymentService } = require('../services/scheduledPaymentService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+module.exports = {
+  action: 'list_scheduled_payments',
+  description: 'List your scheduled and recurring payments',
+  category: 'transfers',
+  syntax: ['scheduled payments'],
+  examples: ['show my scheduled payments'],
+  params: {},
+
+  parse(text) {
+    return /^(?:list|show)?\s*(?:my\s+)?(?:scheduled|recurring)\s+payments\??$/i.test(text) ? {} : null;
+  },
+
+  async execute(params, ctx) {
+    const payments = await ScheduledPaymentService.listScheduledPayments(ctx.userId);
+    return ok({
+      payments: payments.map(p => ({
+        code: p.code,
+        recipient: p.recipient,
+        amount: p.amount,
+        token: p.token,
+        schedule: ScheduledPaymentService.describeSchedule(p.schedule),
+        nextRunAt: p.nextRunAt
+      }))
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { payments } = result.data;
+      if (payments.length === 0) return t(ctx.language, 'list_scheduled_payments.empty');
+      return t(ctx.language, 'list_scheduled_payments.list', {
+        payments: payments.map(p => t(ctx.language, 'list_scheduled_payments.line', p)).join('; ')
+      });
+    },
+    chat(result, ctx) {
+      const { payments } = result.data;
+      if (payments.length === 0) return t(ctx.language, 'list_scheduled_payments.empty');
+      const lines = payments.map(p => `- ${t(ctx.language, 'list_scheduled_payments.line', p)}`);
+      return `${t(ctx.language, 'list_scheduled_payments.chat_title')}\n${lines.join('\n')}`;
+    }
+  }
+};
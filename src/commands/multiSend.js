@@ -0,0 +1,234 @@
+const { setupLogger } = require('../utils/logger');
+const { getWalletForUser, sendTokenTransaction, sendBatchTransaction, isBatchTransferEnabled } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl, resolveRecipient, normalizeToken, ensureBalance, parseAmountAnswer } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+// Without the Disperse contract every recipient costs a transaction of its own
+const MAX_SEQUENTIAL_RECIPIENTS = 10;
+const MAX_BATCH_RECIPIENTS = parseInt(process.env.MULTI_SEND_MAX_RECIPIENTS || '50', 10);
+
+const parseEqualAmounts = grammar([
+  'send|transfer {amount}[ {token}] [each ]to {recipients:handles}'
+]);
+
+const parseTransfer = grammar([
+  '[send|transfer ]{amount}[ {token}] to {recipient:handle}',
+  '[send|transfer ]{amount}[ {token}] to {recipient:address}'
+]);
+
+/**
+ * "send 1 METIS to @a, 2 to @b and 3 to @c": one amount per recipient. Only the first transfer
+ * starts with the verb, and a token named more than once has to be the same everywhere.
+ */
+function parsePerRecipientAmounts(text) {
+  if (!/^(?:send|transfer)\s/i.test(text)) return null;
+  const parts = text.replace(/[.!?]+$/, '').split(/\s*(?:,|;|&|\band\b)\s*/i).filter(Boolean);
+  if (parts.length < 2) return null;
+  const transfers = parts.map((part, index) => (index > 0 && /^(?:send|transfer)\s/i.test(part) ? null : parseTransfer(part)));
+  if (transfers.some(transfer => !transfer)) return null;
+  const tokens = [...new Set(transfers.filter(transfer => transfer.token).map(transfer => transfer.token.toUpperCase()))];
+  if (tokens.length > 1) return null;
+  return {
+    recipients: transfers.map(transfer => transfer.recipient),
+    amounts: transfers.map(transfer => transfer.amount),
+    ...(tokens.length ? { token: tokens[0] } : {})
+  };
+}
+
+function maxRecipients() {
+  return isBatchTransferEnabled() ? MAX_BATCH_RECIPIENTS : MAX_SEQUENTIAL_RECIPIENTS;
+}
+
+// [{ recipient, amount }] from either one amount for everyone or one amount per recipient
+function transfersOf(params) {
+  return params.recipients.map((recipient, index) => ({
+    recipient,
+    amount: params.amounts ? params.amounts[index] : params.amount
+  }));
+}
+
+/**
+ * All-or-nothing: every recipient is resolved before anything is sent, then one Disperse
+ * transaction pays them all. Any failure leaves successful empty, with the failed recipients or
+ * the transaction error as message.
+ */
+async function sendBatch(senderWallet, transfers, token, ctx) {
+  const resolved = [];
+  const failed = [];
+  for (const transfer of transfers) {
+    const recipient = await resolveRecipient(transfer.recipient, ctx.userId);
+    if (recipient.error) {
+      failed.push({ recipient: transfer.recipient, error: recipient.error });
+    } else {
+      resolved.push({ ...transfer, to: recipient.address });
+    }
+  }
+  if (failed.length > 0) return { successful: [], failed };
+
+  try {
+    const transaction = await sendBatchTransaction(senderWallet.id, resolved.map(({ to, amount }) => ({ to, amount })), token);
+    const successful = resolved.map(transfer => ({
+      recipient: transfer.recipient,
+      amount: parseFloat(transfer.amount),
+      token,
+      txHash: transaction.hash
+    }));
+    return { successful, failed: [] };
+  } catch (error) {
+    logger.error('Batch multi-send failed', { userId: ctx.userId, recipients: transfers.length, error: error.message });
+    return { successful: [], failed: [], message: error.message };
+  }
+}
+
+async function sendOneByOne(senderWallet, transfers, token, ctx) {
+  const successful = [];
+  const failed = [];
+  for (const transfer of transfers) {
+    try {
+      const resolved = await resolveRecipient(transfer.recipient, ctx.userId);
+      if (resolved.error) {
+        failed.push({ recipient: transfer.recipient, error: resolved.error });
+        continue;
+      }
+      const transaction = await sendTokenTransaction(senderWallet.id, resolved.address, transfer.amount, token);
+      successful.push({ recipient: transfer.recipient, amount: parseFloat(transfer.amount), token, txHash: transaction.hash });
+    } catch (error) {
+      failed.push({ recipient: transfer.recipient, error: error.message });
+    }
+  }
+  return { successful, failed };
+}
+
+module.exports = {
+  action: 'multi_send',
+  description: 'Send the same amount, or a different amount each, to several recipients',
+  category: 'transfers',
+  syntax: [
+    'send|transfer {amount}[ {token}] [each ]to {recipients:handles}',
+    'send|transfer {amount}[ {token}] to {recipient:handle}, {amount} to {recipient:handle}[, ...]'
+  ],
+  examples: ['send 1 METIS to @alice, @bob and @carol', 'send 1 METIS to @alice, 2 to @bob'],
+  limits: () => [
+    isBatchTransferEnabled()
+      ? `Up to ${MAX_BATCH_RECIPIENTS} recipients, settled in one transaction: everyone is paid or nobody is`
+      : `Up to ${MAX_SEQUENTIAL_RECIPIENTS} recipients, one transaction each`,
+    'One token per multi-send'
+  ],
+  cost: 'Network gas paid from your wallet: one transaction for the whole batch (plus a one-time approval for tokens), or one per recipient when batching is off',
+  params: {
+    recipients: { type: 'array', required: true, format: 'recipients' },
+    amount: {
+      type: 'string',
+      required: params => params.amounts === undefined,
+      format: 'amount',
+      ask: 'questions.amount_each',
+      askIf: params => params.amounts === undefined,
+      answer: parseAmountAnswer
+    },
+    amounts: { type: 'array', format: 'amounts' },
+    token: { type: 'string', format: 'token', ask: 'questions.token' }
+  },
+
+  parse: text => parseEqualAmounts(text) || parsePerRecipientAmounts(text),
+
+  outflow(params) {
+    const token = normalizeToken(params.token);
+    const transfers = transfersOf(params);
+    const total = transfers.reduce((sum, transfer) => sum + parseFloat(transfer.amount), 0);
+    const summary = params.amounts
+      ? `send ${transfers.map(transfer => `${transfer.amount} ${token} to ${transfer.recipient}`).join(', ')}`
+      : `send ${params.amount} ${token} each to ${params.recipients.join(', ')}`;
+    return {
+      legs: [{ token, amount: total }],
+      recipients: params.recipients,
+      summary
+    };
+  },
+
+  async execute(params, ctx) {
+    const { recipients, amounts } = params;
+    const token = normalizeToken(params.token);
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet || !senderWallet.id) return fail('wallet_not_found');
+
+    if (recipients.length === 0) return fail('no_recipients');
+    if (amounts && amounts.length !== recipients.length) return fail('invalid_params', { invalid: ['amounts'] });
+    const max = maxRecipients();
+    if (recipients.length > max) return fail('too_many_recipients', { max });
+
+    const transfers = transfersOf(params);
+    const total = transfers.reduce((sum, transfer) => sum + parseFloat(transfer.amount), 0);
+    const insufficient = await ensureBalance(senderWallet.address, token, total);
+    if (insufficient) return insufficient;
+
+    const batched = isBatchTransferEnabled();
+    const { successful, failed, message } = batched
+      ? await sendBatch(senderWallet, transfers, token, ctx)
+      : await sendOneByOne(senderWallet, transfers, token, ctx);
+
+    for (const transfer of successful) {
+      try {
+        await xpService.awardForTokenTransfer(ctx.userId, ctx.username, {
+          amount: transfer.amount,
+          token: transfer.token,
+          recipient: transfer.recipient,
+          txHash: transfer.txHash
+        });
+      } catch (error) {
+        logger.error('Error awarding XP for multi-send:', error);
+      }
+    }
+
+    if (batched) {
+      if (successful.length === 0) return fail('batch_failed', { successful, failed, batched, message });
+      return ok({ successful, failed, batched, txHash: successful[0].txHash });
+    }
+    const data = { successful, failed };
+    return successful.length > 0 ? ok(data) : fail('all_transfers_failed', data);
+  },
+
+  render: {
+    text(result, ctx) {
+      const { language } = ctx;
+      if (result.error === 'no_recipients') return t(language, 'multi_send.no_recipients');
+      if (result.error === 'too_many_recipients') {
+        return t(language, 'multi_send.too_many_recipients', { max: result.data.max });
+      }
+
+      const { successful, failed, batched, txHash, message } = result.data;
+      const reasons = ['recipient_not_found', 'recipient_wallet_not_found', 'invalid_recipient'];
+      const reason = r => (reasons.includes(r.error) ? t(language, `multi_send.reason_${r.error}`) : r.error);
+      let text = `${t(language, 'multi_send.title')}\n\n`;
+      if (batched) {
+        if (successful.length > 0) {
+          text += `${t(language, 'multi_send.batched', { count: successful.length })}\n`;
+          successful.forEach(r => { text += `• ${r.recipient}: ${r.amount} ${r.token}\n`; });
+          text += `TX: ${explorerTxUrl(txHash)}\n`;
+        } else if (failed.length > 0) {
+          text += `${t(language, 'multi_send.unresolved')}\n`;
+          failed.forEach(r => { text += `• ${r.recipient}: ${reason(r)}\n`; });
+        } else {
+          text += t(language, 'multi_send.batch_failed', { message });
+        }
+        return text.trimEnd();
+      }
+      if (successful.length > 0) {
+        text += `${t(language, 'multi_send.successful', { count: successful.length })}\n`;
+        successful.forEach(r => {
+          text += `• ${r.recipient}: ${r.amount} ${r.token}\n  TX: ${explorerTxUrl(r.txHash)}\n`;
+        });
+      }
+      if (failed.length > 0) {
+        text += `\n${t(language, 'multi_send.failed', { count: failed.length })}\n`;
+        failed.forEach(r => { text += `• ${r.recipient}: ${reason(r)}\n`; });
+      }
+      return text.trimEnd();
+    }
+  }
+};
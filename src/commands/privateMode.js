@@ -0,0 +1,36 @@
+const { setPrivateMode } = require('../services/privyUserService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+const VALUES = { on: true, off: false, true: true, false: false, enable: true, disable: false };
+
+module.exports = {
+  action: 'set_private_mode',
+  description: 'Turn private mode on or off: balance and XP replies to your mentions go by DM',
+  category: 'settings',
+  syntax: ['private mode on', 'private mode off'],
+  examples: ['private mode on'],
+  params: {
+    enabled: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^(?:turn\s+)?private\s+mode\s+(on|off)\s*$/i) ||
+      text.match(/^(enable|disable)\s+private\s+mode\s*$/i);
+    return match ? { enabled: match[1].toLowerCase() } : null;
+  },
+
+  async execute(params, ctx) {
+    const enabled = VALUES[params.enabled.toLowerCase()];
+    if (enabled === undefined) return fail('invalid_params', { invalid: ['enabled'] });
+    const updated = await setPrivateMode(ctx.userId, enabled);
+    if (!updated) return fail('wallet_not_found');
+    return ok({ enabled });
+  },
+
+  render: {
+    text(result, ctx) {
+      return t(ctx.language, result.data.enabled ? 'set_private_mode.on' : 'set_private_mode.off');
+    }
+  }
+};
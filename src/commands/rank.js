@@ -0,0 +1,45 @@
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const xpService = new XPService();
+
+module.exports = {
+  action: 'rank',
+  description: 'Show your leaderboard rank',
+  category: 'rewards',
+  syntax: ['rank'],
+  examples: ['rank', "what's my rank"],
+  params: {},
+
+  parse: grammar([
+    '[check|show ][my ]rank',
+    "what|what's [is ]my rank"
+  ]),
+
+  failureMessage: 'rank.failure',
+
+  async execute(params, ctx) {
+    const rankInfo = await xpService.getUserRank(ctx.userId);
+    return ok(rankInfo ? {
+      rank: rankInfo.rank,
+      totalUsers: rankInfo.totalUsers,
+      totalXP: rankInfo.totalXP,
+      level: rankInfo.level
+    } : {});
+  },
+
+  render: {
+    text(result, ctx) {
+      const info = result.data;
+      if (!info.rank) return t(ctx.language, 'rank.none');
+      return t(ctx.language, 'rank.status', {
+        rank: info.rank,
+        total: info.totalUsers,
+        xp: info.totalXP.toLocaleString(),
+        level: info.level
+      });
+    }
+  }
+};
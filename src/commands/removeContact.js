@@ -0,0 +1,32 @@
+const { removeContact } = require('../services/privyUserService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+module.exports = {
+  action: 'remove_contact',
+  description: 'Remove a saved contact from your address book',
+  category: 'wallet',
+  syntax: ['remove {name}'],
+  examples: ['remove cold'],
+  params: {
+    name: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^(?:remove|delete)\s+(?:contact\s+)?([A-Za-z][\w-]{0,31})\s*$/i);
+    return match ? { name: match[1] } : null;
+  },
+
+  async execute(params, ctx) {
+    const removed = await removeContact(ctx.userId, params.name);
+    if (!removed) return fail('contact_not_found', { name: params.name });
+    return ok({ name: params.name.toLowerCase() });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'contact_not_found') return t(ctx.language, 'remove_contact.not_found', { name: result.data.name });
+      return t(ctx.language, 'remove_contact.success', { name: result.data.name });
+    }
+  }
+};
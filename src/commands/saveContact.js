@@ -0,0 +1,40 @@
+const { saveContact } = require('../services/privyUserService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+module.exports = {
+  action: 'save_contact',
+  description: 'Save an address under a name in your address book',
+  category: 'wallet',
+  syntax: ['save {address} as {name}'],
+  examples: ['save 0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C as cold'],
+  params: {
+    name: { type: 'string', required: true },
+    address: { type: 'string', required: true, format: 'address' }
+  },
+
+  parse(text) {
+    const match = text.match(/^save\s+(0x[a-fA-F0-9]{40})\s+as\s+([A-Za-z][\w-]{0,31})\s*$/i);
+    return match ? { address: match[1], name: match[2] } : null;
+  },
+
+  async execute(params, ctx) {
+    try {
+      const contact = await saveContact(ctx.userId, params.name, params.address);
+      return ok({ name: contact.name, address: contact.address });
+    } catch (error) {
+      if (error.message.startsWith('Invalid contact')) {
+        return fail('invalid_contact', { reason: error.message });
+      }
+      throw error;
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'invalid_contact') return result.data.reason;
+      const { name, address } = result.data;
+      return t(ctx.language, 'save_contact.success', { name, address });
+    }
+  }
+};
@@ -0,0 +1,99 @@
+const { getWalletForUser } = require('../services/privyUserService');
+const { ScheduledPaymentService } = require('../services/scheduledPaymentService');
+const { TokenRegistryService } = require('../services/tokenRegistryService');
+const { t } = require('../i18n');
+const { ok, fail, resolveRecipient, normalizeToken } = require('./helpers');
+
+module.exports = {
+  action: 'schedule_payment',
+  description: 'Schedule a one-off or recurring transfer',
+  category: 'transfers',
+  syntax: ['send {amount} {token} to {recipient} {schedule}'],
+  examples: ['send 1 METIS to @bob every Friday', 'send 10 USDT to cold on Dec 1', 'send 5 USDT to @bob daily at 9:00'],
+  limits: () => [
+    `Up to ${ScheduledPaymentService.maxActivePerUser} active payments`,
+    'Times are UTC, 12:00 unless given',
+    `Recurring payments pause after ${ScheduledPaymentService.maxConsecutiveFailures} failed runs in a row`
+  ],
+  cost: 'Network gas for each run, paid from your wallet',
+  params: {
+    recipient: { type: 'string', required: true, format: 'recipient' },
+    amount: { type: 'string', required: true, format: 'amount' },
+    token: { type: 'string', format: 'token' },
+    schedule: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const match = text.match(/^send\s+(\d*\.?\d+)\s+([A-Za-z]+)\s+to\s+(\S+)\s+((?:every|on|daily|weekly|monthly)\b.*?)[.!]?$/i);
+    return match ? { amount: match[1], token: match[2], recipient: match[3], schedule: match[4] } : null;
+  },
+
+  // Only the per-transaction limit applies now; each run is checked against the 24h limits
+  outflow(params) {
+    const token = normalizeToken(params.token);
+    return {
+      legs: [{ token, amount: params.amount }],
+      internal: true,
+      summary: `send ${params.amount} ${token} to ${params.recipient} ${params.schedule}`
+    };
+  },
+
+  async execute(params, ctx) {
+    const { recipient, amount } = params;
+    const token = normalizeToken(params.token);
+
+    const schedule = ScheduledPaymentService.parseSchedule(params.schedule);
+    if (!schedule) return fail('invalid_schedule', { schedule: params.schedule });
+    if (!(parseFloat(amount) > 0)) return fail('invalid_params', { invalid: ['amount'] });
+    if (!(await TokenRegistryService.getToken(token))) return fail('unsupported_token', { token });
+
+    const wallet = await getWalletForUser(ctx.userId);
+    if (!wallet || !wallet.id) return fail('wallet_not_found');
+
+    // Checked now so typos surface immediately; the recipient is resolved again at each run
+    const resolved = await resolveRecipient(recipient, ctx.userId);
+    if (resolved.error) return fail(resolved.error, { recipient });
+
+    let payment;
+    try {
+      payment = await ScheduledPaymentService.createScheduledPayment({
+        twitterUserId: ctx.userId,
+        username: ctx.username,
+        recipient,
+        amount,
+        token,
+        schedule,
+        channel: ctx.channel,
+        sourceId: ctx.sourceId
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid schedule: you already have')) {
+        return fail('too_many_scheduled', { max: ScheduledPaymentService.maxActivePerUser });
+      }
+      if (error.message.startsWith('Invalid schedule: the date is in the past')) {
+        return fail('schedule_in_past', { schedule: params.schedule });
+      }
+      if (error.message.startsWith('Invalid schedule')) return fail('invalid_schedule', { schedule: params.schedule });
+      throw error;
+    }
+
+    return ok({
+      code: payment.code,
+      recipient,
+      amount,
+      token,
+      schedule: ScheduledPaymentService.describeSchedule(schedule),
+      nextRunAt: payment.nextRunAt
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'invalid_schedule') return t(ctx.language, 'schedule_payment.invalid_schedule', { schedule: result.data.schedule });
+      if (result.error === 'schedule_in_past') return t(ctx.language, 'schedule_payment.in_past', { schedule: result.data.schedule });
+      if (result.error === 'too_many_scheduled') return t(ctx.language, 'schedule_payment.too_many', { max: result.data.max });
+      const { code, recipient, amount, token, schedule } = result.data;
+      return t(ctx.language, 'schedule_payment.success', { amount, token, recipient, schedule, code });
+    }
+  }
+};
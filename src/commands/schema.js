@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const { isValidContactName } = require('../services/privyUserService');
+const { TokenRegistryService } = require('../services/tokenRegistryService');
+const { normalizeToken } = require('./helpers');
+const { t } = require('../i18n');
+
+/**
+ * Value formats for command params schemas: { type, required, format }.
+ *
+ * The parser (grammar or LLM) produces loosely typed params; after the type check in
+ * validateParams each format checks the value and returns it normalized ({ value }), or names
+ * the problem ({ error: code }). Formats only run on params that are present.
+ */
+
+const DECIMAL = /^(?:\d+\.?\d*|\.\d+)$/;
+const HANDLE = /^@\w{1,15}$/;
+const ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const DURATION = /^(\d+)\s*(h|m|hours?|hrs?|minutes?|mins?)$/i;
+const MAX_DECIMALS = 18;
+
+function amount(value) {
+  // "1,000.5" -> "1000.5", ".5" -> "0.5", "5." -> "5"
+  const text = String(value).trim().replace(/^(\d{1,3}(?:,\d{3})+)(?=\.|$)/, match => match.replace(/,/g, ''));
+  if (!DECIMAL.test(text)) return { error: 'invalid_amount' };
+  const [whole, fraction = ''] = text.split('.');
+  if (fraction.length > MAX_DECIMALS || !(Number(text) > 0)) return { error: 'invalid_amount' };
+  const normalizedWhole = whole.replace(/^0+(?=\d)/, '') || '0';
+  return { value: fraction ? `${normalizedWhole}.${fraction}` : normalizedWhole };
+}
+
+function address(value) {
+  if (!ADDRESS.test(value)) return { error: 'invalid_address' };
+  try {
+    // Rejects mixed-case addresses with a wrong checksum, checksums lowercase ones
+    return { value: ethers.getAddress(value) };
+  } catch (error) {
+    return { error: 'invalid_address' };
+  }
+}
+
+function recipient(value) {
+  if (value.startsWith('@')) return HANDLE.test(value) ? { value } : { error: 'invalid_recipient' };
+  if (/^0x/i.test(value)) {
+    const checked = address(value);
+    return checked.error ? { error: 'invalid_recipient' } : checked;
+  }
+  return isValidContactName(value) ? { value } : { error: 'invalid_recipient' };
+}
+
+function integer(min) {
+  return value => (Number.isInteger(value) && value >= min ? { value } : { error: 'invalid_number' });
+}
+
+const FORMATS = {
+  amount,
+  amountOrAll: value => (String(value).trim().toLowerCase() === 'all' ? { value: 'all' } : amount(value)),
+  amounts: value => {
+    const amounts = [];
+    for (const item of value) {
+      const checked = amount(item);
+      if (checked.error) return checked;
+      amounts.push(checked.value);
+    }
+    return amounts.length ? { value: amounts } : { error: 'invalid_amount' };
+  },
+  // Relative shares: "2", "1.5" or "50%"
+  weights: value => FORMATS.amounts(value.map(item => String(item).trim().replace(/\s*%$/, ''))),
+  address,
+  addressOrContact: value => {
+    if (/^0x/i.test(value)) return address(value);
+    return isValidContactName(value) ? { value } : { error: 'invalid_address' };
+  },
+  recipient,
+  recipients: value => {
+    const recipients = [];
+    for (const item of value) {
+      const checked = typeof item === 'string' ? recipient(item.trim()) : { error: 'invalid_recipient' };
+      if (checked.error) return checked;
+      recipients.push(checked.value);
+    }
+    return recipients.length ? { value: recipients } : { error: 'invalid_recipient' };
+  },
+  async token(value) {
+    const registered = await TokenRegistryService.getToken(normalizeToken(String(value).replace(/^\$/, '')));
+    return registered ? { value: registered.symbol } : { error: 'unsupported_token' };
+  },
+  percent: value => {
+    const percent = Number(String(value).trim().replace(/\s*%$/, ''));
+    return percent > 0 && percent <= 100 ? { value: String(percent) } : { error: 'invalid_percent' };
+  },
+  duration: value => {
+    const match = String(value).trim().match(DURATION);
+    if (!match || Number(match[1]) <= 0) return { error: 'invalid_duration' };
+    return { value: `${Number(match[1])}${match[2][0].toLowerCase() === 'h' ? 'h' : 'm'}` };
+  },
+  count: integer(1),
+  integer: integer(0)
+};
+
+/**
+ * Check and normalize params against the formats in a command's params schema.
+ * @param {Object} definition - Command module from the registry
+ * @param {Object} params - Params that passed the type check
+ * @returns {Promise<{params: Object, errors: Array<{param: string, code: string, value: *}>}>}
+ */
+async function applyFormats(definition, params) {
+  const normalized = { ...params };
+  const errors = [];
+  for (const [name, spec] of Object.entries(definition.params || {})) {
+    if (!spec.format || normalized[name] === undefined) continue;
+    const format = FORMATS[spec.format];
+    if (!format) throw new Error(`Unknown param format: ${spec.format}`);
+    const checked = await format(normalized[name]);
+    if (checked.error) {
+      errors.push({ param: name, code: checked.error, value: params[name] });
+    } else {
+      normalized[name] = checked.value;
+    }
+  }
+  return { params: normalized, errors };
+}
+
+const ERROR_CODES = ['missing', 'invalid_type', 'invalid_amount', 'invalid_address', 'invalid_recipient', 'unsupported_token', 'invalid_percent', 'invalid_duration', 'invalid_number'];
+
+/**
+ * One-line, user-facing description of a param error (catalog keys params.<code>).
+ * @param {{param: string, code: string, value: *}} error
+ * @param {string} [language]
+ */
+function describeParamError(error, language) {
+  const code = ERROR_CODES.includes(error.code) ? error.code : 'invalid_type';
+  return t(language, `params.${code}`, error);
+}
+
+module.exports = {
+  applyFormats,
+  describeParamError
+};
@@ -0,0 +1,66 @@
+const { ethers } = require('ethers');
+const { getWalletForUser, getTokenBalance } = require('../services/privyUserService');
+const gm2HyperionService = require('../services/gm2HyperionService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl } = require('./helpers');
+const { grammar } = require('./grammar');
+
+module.exports = {
+  action: 'sell',
+  description: 'Sell a GM2 bonding-curve token for METIS',
+  category: 'trading',
+  syntax: ['sell {tokenAmount} of {tokenAddress}', 'sell all of {tokenAddress}'],
+  examples: ['sell 100000 of 0xToken...', 'sell all of 0xToken...'],
+  cost: 'Network gas, paid from your wallet',
+  sideEffects: true,
+  params: {
+    tokenAddress: { type: 'string', required: true, format: 'address' },
+    tokenAmount: { type: 'string', required: true, format: 'amountOrAll' }
+  },
+
+  parse: grammar([
+    'sell {tokenAmount} [tokens ][of ]{tokenAddress:address}',
+    'sell {tokenAddress:address} {tokenAmount}'
+  ]),
+
+  async execute(params, ctx) {
+    const { tokenAddress, tokenAmount } = params;
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet) return fail('wallet_not_found');
+
+    try {
+      const decimals = await gm2HyperionService.getTokenDecimals(tokenAddress);
+      let amountUnits;
+      if (tokenAmount.toLowerCase() === 'all') {
+        const balance = await getTokenBalance(senderWallet.address, tokenAddress, decimals);
+        amountUnits = ethers.parseUnits(balance, decimals);
+      } else {
+        amountUnits = ethers.parseUnits(tokenAmount, decimals);
+      }
+      if (amountUnits <= 0n) return fail('invalid_amount');
+
+      const result = await gm2HyperionService.sellTokensForEth({
+        walletId: senderWallet.id,
+        tokenAddress,
+        tokenAmountUnits: amountUnits,
+        tokenDecimals: decimals,
+        slippageBps: 50,
+        twitterUserId: ctx.userId,
+        username: ctx.username
+      });
+      return ok({ tokenAddress, tokenAmount, txHash: result.hash });
+    } catch (error) {
+      return fail('sell_failed', { reason: error.message });
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'invalid_amount') return t(ctx.language, 'sell.invalid_amount');
+      if (result.error === 'sell_failed') return t(ctx.language, 'sell.failed', { reason: result.data.reason });
+      const { tokenAmount, tokenAddress, txHash } = result.data;
+      return t(ctx.language, 'sell.success', { amount: tokenAmount, tokenAddress, url: explorerTxUrl(txHash) });
+    }
+  }
+};
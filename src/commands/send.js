@@ -0,0 +1,179 @@
+const { setupLogger } = require('../utils/logger');
+const { getWalletForUser, sendTokenTransaction, isPrivateModeEnabled } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { ClaimableTransferService } = require('../services/claimableTransferService');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+const { t } = require('../i18n');
+const {
+  ok,
+  fail,
+  explorerTxUrl,
+  resolveRecipient,
+  normalizeToken,
+  ensureBalance,
+  describeTransactionError,
+  renderTransactionError,
+  parseAmountAnswer
+} = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+/**
+ * Tell the recipient of a claimable transfer about it. Sends made in public reply to the sending
+ * tweet; sends made by DM or in chat, or by a user in private mode, reach the recipient by DM.
+ */
+async function notifyClaimableRecipient(transfer, { recipient, amount, token }, ctx) {
+  const notice = t(ctx.language, 'send.claimable_notice', { sender: `@${ctx.username}`, amount, token, days: ClaimableTransferService.ttlDays });
+  const dedupeKey = `claimable:${transfer._id}`;
+  if (ctx.channel === 'tweet' && !(await isPrivateModeEnabled(ctx.userId))) {
+    await OutboundTweetService.enqueue({ text: `${recipient} ${notice}`, inReplyToTweetId: ctx.sourceId, dedupeKey });
+    return;
+  }
+  await OutboundTweetService.enqueue({ channel: 'dm', recipientUserId: transfer.recipientUserId, text: notice, dedupeKey });
+}
+
+/**
+ * Deposit the amount in escrow for a user without a wallet and let them know so they can claim
+ * it; it goes back to the sender if they don't within ClaimableTransferService.ttlDays. The
+ * transfer is recorded before the deposit is sent and only becomes claimable once the deposit
+ * succeeds on-chain; one that isn't confirmed here is settled later by
+ * ClaimableTransferService.recoverStaleLocks().
+ */
+async function sendClaimable(senderWallet, { recipient, recipientUserId, amount, token }, ctx) {
+  const insufficient = await ensureBalance(senderWallet.address, token, parseFloat(amount));
+  if (insufficient) return insufficient;
+
+  const pending = await ClaimableTransferService.createClaimableTransfer({
+    senderUserId: ctx.userId,
+    senderUsername: ctx.username,
+    recipient,
+    recipientUserId,
+    amount,
+    token,
+    channel: ctx.channel,
+    sourceId: ctx.sourceId,
+    language: ctx.language
+  });
+
+  let transaction;
+  try {
+    transaction = await sendTokenTransaction(senderWallet.id, ClaimableTransferService.getEscrowAddress(), amount, token);
+  } catch (error) {
+    logger.error('Escrow deposit failed:', { error: error.message, id: pending._id, token, amount, recipient });
+    try {
+      await ClaimableTransferService.failDeposit(pending._id, error.message);
+    } catch (updateError) {
+      logger.error('Failed to mark claimable transfer deposit as failed', { id: pending._id, error: updateError.message });
+    }
+    return fail('transaction_failed', { amount, token, recipient, ...describeTransactionError(error) });
+  }
+
+  // The deposit is on its way: from here on the sender is pointed at its hash rather than told it failed
+  let transfer;
+  try {
+    await ClaimableTransferService.recordDeposit(pending._id, transaction.hash);
+    transfer = await ClaimableTransferService.confirmDeposit(pending._id, transaction.hash);
+  } catch (error) {
+    logger.error('Escrow deposit not confirmed', { id: pending._id, depositTxHash: transaction.hash, error: error.message });
+    return fail('claimable_unconfirmed', { amount, token, recipient, txHash: transaction.hash });
+  }
+  if (!transfer) return fail('claimable_reverted', { amount, token, recipient, txHash: transaction.hash });
+
+  try {
+    await notifyClaimableRecipient(transfer, { recipient, amount, token }, ctx);
+  } catch (error) {
+    logger.error('Failed to queue claimable transfer notice', { id: transfer._id, error: error.message });
+  }
+
+  return ok({ amount, token, recipient, txHash: transaction.hash, claimable: true, days: ClaimableTransferService.ttlDays });
+}
+
+module.exports = {
+  action: 'send',
+  description: 'Send tokens to a Twitter user',
+  category: 'transfers',
+  examples: ['send 5 USDT to @bob', 'send @bob 1 METIS'],
+  limits: () => [
+    'Asks which token to send when none is given',
+    ...(ClaimableTransferService.isEnabled()
+      ? [`Users without a wallet get ${ClaimableTransferService.ttlDays} days to claim, then it comes back to you`]
+      : [])
+  ],
+  cost: 'Network gas, paid from your wallet',
+  params: {
+    recipient: { type: 'string', required: true, format: 'recipient', ask: 'questions.recipient' },
+    amount: { type: 'string', required: true, format: 'amount', ask: 'questions.amount', answer: parseAmountAnswer },
+    token: { type: 'string', format: 'token', ask: 'questions.token' }
+  },
+
+  parse: grammar([
+    'send|transfer {amount}[ {token}] to {recipient:handle}',
+    'send|transfer {recipient:handle} {amount}[ {token}]'
+  ]),
+
+  outflow(params) {
+    const token = normalizeToken(params.token);
+    return {
+      legs: [{ token, amount: params.amount }],
+      recipients: [params.recipient],
+      summary: `send ${params.amount} ${token} to ${params.recipient}`
+    };
+  },
+
+  async execute(params, ctx) {
+    const { recipient, amount } = params;
+    const token = normalizeToken(params.token);
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet || !senderWallet.id) return fail('wallet_not_found');
+
+    const resolved = await resolveRecipient(recipient, ctx.userId);
+    // Known users who haven't created a wallet yet get a claimable transfer instead
+    if (resolved.error === 'recipient_wallet_not_found' && ClaimableTransferService.isEnabled()) {
+      return sendClaimable(senderWallet, { recipient, recipientUserId: resolved.userId, amount, token }, ctx);
+    }
+    if (resolved.error) return fail(resolved.error, { recipient });
+
+    const insufficient = await ensureBalance(senderWallet.address, token, parseFloat(amount));
+    if (insufficient) return insufficient;
+
+    let transaction;
+    try {
+      transaction = await sendTokenTransaction(senderWallet.id, resolved.address, amount, token);
+    } catch (error) {
+      logger.error('Transaction failed:', { error: error.message, token, amount, recipient });
+      return fail('transaction_failed', { amount, token, recipient, ...describeTransactionError(error) });
+    }
+
+    try {
+      await xpService.awardForTokenTransfer(ctx.userId, ctx.username, {
+        amount,
+        token,
+        recipient,
+        txHash: transaction.hash
+      });
+    } catch (error) {
+      logger.error('Error awarding XP for token transfer:', error);
+    }
+
+    return ok({ amount, token, recipient, txHash: transaction.hash });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { amount, token, recipient } = result.data;
+      if (result.error === 'claimable_unconfirmed' || result.error === 'claimable_reverted') {
+        return t(ctx.language, `send.${result.error}`, { amount, token, recipient, url: explorerTxUrl(result.data.txHash) });
+      }
+      if (result.status === 'error') {
+        return t(ctx.language, 'send.failed', { amount, token, recipient, reason: renderTransactionError(ctx.language, result.data) });
+      }
+      if (result.data.claimable) {
+        return t(ctx.language, 'send.claimable', { amount, token, recipient, days: result.data.days, url: explorerTxUrl(result.data.txHash) });
+      }
+      return t(ctx.language, 'send.success', { amount, token, recipient, url: explorerTxUrl(result.data.txHash) });
+    }
+  }
+};
@@ -0,0 +1,94 @@
+const { setupLogger } = require('../utils/logger');
+const { getWalletForUser, sendTokenTransaction } = require('../services/privyUserService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const {
+  ok,
+  fail,
+  explorerTxUrl,
+  resolveAddress,
+  normalizeToken,
+  ensureBalance,
+  describeTransactionError,
+  renderTransactionError,
+  parseAmountAnswer
+} = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'send_to_address',
+  description: 'Send tokens to an Ethereum address or a saved contact',
+  category: 'transfers',
+  examples: ['send 5 USDT to 0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C', 'send 5 USDT to cold'],
+  cost: 'Network gas, paid from your wallet',
+  params: {
+    address: { type: 'string', required: true, format: 'addressOrContact', ask: 'questions.address' },
+    amount: { type: 'string', required: true, format: 'amount', ask: 'questions.amount', answer: parseAmountAnswer },
+    token: { type: 'string', format: 'token', ask: 'questions.token' }
+  },
+
+  parse: grammar([
+    'send|transfer {amount}[ {token}] to {address}',
+    'send|transfer {amount}[ {token}] to {address:contact}'
+  ]),
+
+  outflow(params) {
+    const token = normalizeToken(params.token);
+    return {
+      legs: [{ token, amount: params.amount }],
+      recipients: [params.address],
+      summary: `send ${params.amount} ${token} to ${params.address}`
+    };
+  },
+
+  async execute(params, ctx) {
+    const { amount } = params;
+    const token = normalizeToken(params.token);
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet || !senderWallet.id) return fail('wallet_not_found');
+
+    // params.address may be a saved contact name
+    const resolved = await resolveAddress(params.address, ctx.userId);
+    if (!resolved) return fail('invalid_address', { address: params.address });
+    const { address, contact } = resolved;
+
+    const insufficient = await ensureBalance(senderWallet.address, token, parseFloat(amount));
+    if (insufficient) return insufficient;
+
+    let transaction;
+    try {
+      transaction = await sendTokenTransaction(senderWallet.id, address, amount, token);
+    } catch (error) {
+      logger.error('Address transaction failed:', { error: error.message, token, amount, address });
+      return fail('transaction_failed', { amount, token, address, contact, ...describeTransactionError(error) });
+    }
+
+    try {
+      await xpService.awardForTokenTransfer(ctx.userId, ctx.username, {
+        amount,
+        token,
+        recipient: address,
+        txHash: transaction.hash
+      });
+    } catch (error) {
+      logger.error('Error awarding XP for send_to_address:', error);
+    }
+
+    return ok({ amount, token, address, contact, txHash: transaction.hash });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { amount, token, address, contact } = result.data;
+      const recipient = contact ? `${contact} (${address})` : address;
+      if (result.status === 'error') {
+        return t(ctx.language, 'send.failed', { amount, token, recipient, reason: renderTransactionError(ctx.language, result.data) });
+      }
+      return t(ctx.language, 'send.success', { amount, token, recipient, url: explorerTxUrl(result.data.txHash) });
+    }
+  }
+};
@@ -0,0 +1,47 @@
+const { setLanguagePreference } = require('../services/privyUserService');
+const { SUPPORTED_LANGUAGES, t, normalizeLanguage, languageName } = require('../i18n');
+const { ok, fail } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const AUTO = ['auto', 'automatic', 'default', 'reset'];
+
+module.exports = {
+  action: 'set_language',
+  description: 'Choose the language I reply in, or "auto" to reply in the language you write in',
+  category: 'settings',
+  syntax: ['language {language}', 'language auto'],
+  examples: ['language es', 'reply in Turkish', 'language auto'],
+  params: {
+    language: { type: 'string', required: true }
+  },
+
+  parse: grammar([
+    'language {language}',
+    'set [my ]language [to ]{language}',
+    'reply|speak|talk [to me ]in {language}'
+  ]),
+
+  async execute(params, ctx) {
+    const requested = params.language.trim();
+    const auto = AUTO.includes(requested.toLowerCase());
+    const language = auto ? null : normalizeLanguage(requested);
+    if (!auto && !language) return fail('unsupported_language', { language: requested });
+    const updated = await setLanguagePreference(ctx.userId, language);
+    if (!updated) return fail('wallet_not_found');
+    return ok({ language });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'unsupported_language') {
+        return t(ctx.language, 'set_language.unsupported', {
+          language: result.data.language,
+          languages: SUPPORTED_LANGUAGES.map(languageName).join(', ')
+        });
+      }
+      // Confirm in the newly chosen language
+      const { language } = result.data;
+      return language ? t(language, 'set_language.success') : t(ctx.language, 'set_language.auto');
+    }
+  }
+};
@@ -0,0 +1,72 @@
+const { SpendingPolicyService } = require('../services/spendingPolicyService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+const LIMIT_FIELDS = {
+  per_transaction: 'maxPerTransactionUsd',
+  daily: 'maxDailyOutflowUsd',
+  recipients: 'maxRecipientsPerDay',
+  tokens: 'allowedTokens'
+};
+
+const LIMIT_ALIASES = {
+  'per transaction': 'per_transaction',
+  'per-transaction': 'per_transaction',
+  transaction: 'per_transaction',
+  daily: 'daily',
+  recipient: 'recipients',
+  recipients: 'recipients'
+};
+
+module.exports = {
+  action: 'set_spending_limit',
+  description: 'Lower one of your spending limits (per_transaction, daily, recipients or tokens)',
+  category: 'settings',
+  syntax: [
+    'set daily limit to ${value}',
+    'set transaction limit to ${value}',
+    'set recipient limit to {value}',
+    'only allow {tokens}'
+  ],
+  examples: ['set daily limit to $200', 'only allow METIS, USDT'],
+  limits: ['Limits can only be lowered; raising them needs an admin'],
+  params: {
+    limit: { type: 'string', required: true },
+    value: { type: 'string', required: true }
+  },
+
+  parse(text) {
+    const numeric = text.match(/^(?:set|lower)\s+(?:my\s+)?(per[\s-]transaction|transaction|daily|recipients?)\s+limit\s+(?:to\s+)?\$?(\d+(?:\.\d+)?)$/i);
+    if (numeric) return { limit: LIMIT_ALIASES[numeric[1].toLowerCase()], value: numeric[2] };
+    const tokens = text.match(/^(?:only\s+allow|limit\s+(?:my\s+)?tokens\s+to)\s+([A-Za-z0-9]+(?:\s*,\s*[A-Za-z0-9]+)*)$/i);
+    if (tokens) return { limit: 'tokens', value: tokens[1] };
+    return null;
+  },
+
+  async execute(params, ctx) {
+    const limit = LIMIT_ALIASES[params.limit.toLowerCase()] || params.limit.toLowerCase();
+    const field = LIMIT_FIELDS[limit];
+    if (!field) return fail('unknown_limit', { limit: params.limit });
+
+    const value = field === 'allowedTokens'
+      ? params.value.split(',').map(t => t.trim().toUpperCase()).filter(Boolean)
+      : params.value.replace(/^\$/, '');
+    try {
+      const policy = await SpendingPolicyService.setUserPolicy(ctx.userId, { [field]: value });
+      return ok({ limit, value: policy[field] });
+    } catch (error) {
+      if (error.message.startsWith('Invalid limit')) return fail('invalid_limit', { reason: error.message });
+      throw error;
+    }
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'unknown_limit') return t(ctx.language, 'set_spending_limit.unknown_limit', { limit: result.data.limit });
+      if (result.error === 'invalid_limit') return result.data.reason;
+      const { limit, value } = result.data;
+      if (limit === 'tokens') return t(ctx.language, 'set_spending_limit.tokens', { tokens: value.join(', ') });
+      return t(ctx.language, `set_spending_limit.${limit === 'recipients' || limit === 'daily' ? limit : 'per_transaction'}`, { value });
+    }
+  }
+};
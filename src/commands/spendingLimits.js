@@ -0,0 +1,45 @@
+const { SpendingPolicyService } = require('../services/spendingPolicyService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+
+function formatUsd(value, language) {
+  return value === null ? t(language, 'spending_limits.no_limit') : `$${value}`;
+}
+
+module.exports = {
+  action: 'spending_limits',
+  description: 'Show your spending limits and what you have used in the last 24h',
+  category: 'settings',
+  syntax: ['limits'],
+  examples: ['limits'],
+  params: {},
+
+  parse(text) {
+    return /^(?:show\s+)?(?:my\s+)?(?:spending\s+)?limits\??$/i.test(text) ? {} : null;
+  },
+
+  async execute(params, ctx) {
+    const [policy, usage] = await Promise.all([
+      SpendingPolicyService.getEffectivePolicy(ctx.userId),
+      SpendingPolicyService.getUsage(ctx.userId)
+    ]);
+    return ok({ ...policy, outflowUsd: usage.outflowUsd, recipientsUsed: usage.recipients.length });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { language } = ctx;
+      const { maxPerTransactionUsd, maxDailyOutflowUsd, maxRecipientsPerDay, allowedTokens, outflowUsd, recipientsUsed } = result.data;
+      const recipients = maxRecipientsPerDay === null
+        ? t(language, 'spending_limits.no_limit')
+        : t(language, 'spending_limits.recipients_used', { used: recipientsUsed, max: maxRecipientsPerDay });
+      return t(language, 'spending_limits.summary', {
+        perTransaction: formatUsd(maxPerTransactionUsd, language),
+        daily: formatUsd(maxDailyOutflowUsd, language),
+        used: outflowUsd.toFixed(2),
+        recipients,
+        tokens: allowedTokens ? allowedTokens.join(', ') : t(language, 'spending_limits.any_token')
+      });
+    }
+  }
+};
@@ -0,0 +1,122 @@
+const { ethers } = require('ethers');
+const { TokenRegistryService } = require('../services/tokenRegistryService');
+const { t } = require('../i18n');
+const { fail, normalizeToken, parseAmountAnswer } = require('./helpers');
+const { grammar } = require('./grammar');
+const multiSend = require('./multiSend');
+
+// Weights are scaled to integers with this many decimals before dividing
+const WEIGHT_DECIMALS = 6;
+
+const parseEvenSplit = grammar([
+  'split {amount}[ {token}] between|among|with {recipients:handles}'
+]);
+
+const parseSplitHead = grammar([
+  'split {amount}[ {token}] between|among|with'
+]);
+
+/**
+ * "split 30 USDT between @a 50%, @b 30% and @c 20%" or "... between @a:2 @b:1": shares in
+ * proportion to the weights, which don't have to add up to 100.
+ */
+function parseWeightedSplit(text) {
+  const match = text.match(/^(.+?\s(?:between|among|with))\s+(.+?)[.!?]*$/i);
+  const params = match && parseSplitHead(match[1]);
+  if (!params) return null;
+  const items = match[2].split(/\s*(?:,|&|\band\b)\s*|\s+(?=@)/i).filter(Boolean);
+  const shares = items.map(item => item.match(/^(@\w{1,15})\s*[:x×]?\s*(\d*\.?\d+)\s*%?$/i));
+  if (shares.length < 2 || shares.some(share => !share)) return null;
+  return {
+    ...params,
+    recipients: shares.map(share => share[1]),
+    weights: shares.map(share => share[2])
+  };
+}
+
+function decimalsOf(value) {
+  return (String(value).split('.')[1] || '').length;
+}
+
+// "33.3333333" -> "33.333333": weights are relative, so digits past WEIGHT_DECIMALS don't matter
+function truncateWeight(weight) {
+  const [whole, fraction = ''] = String(weight).split('.');
+  return fraction ? `${whole}.${fraction.slice(0, WEIGHT_DECIMALS)}` : whole;
+}
+
+/**
+ * Divide a total between recipients in token units, in proportion to the weights (even when
+ * none are given). Units that don't divide evenly go to the first recipients, one each.
+ * The total must not have more decimals than the token.
+ * @returns {string[]} Amounts in whole token units, in recipient order
+ */
+function splitAmount(total, decimals, count, weights) {
+  const units = ethers.parseUnits(total, decimals);
+  const scaled = weights ? weights.map(weight => ethers.parseUnits(truncateWeight(weight), WEIGHT_DECIMALS)) : Array(count).fill(1n);
+  const weightSum = scaled.reduce((sum, weight) => sum + weight, 0n);
+  if (weightSum === 0n) return scaled.map(() => '0');
+  const shares = scaled.map(weight => units * weight / weightSum);
+  let remainder = units - shares.reduce((sum, share) => sum + share, 0n);
+  for (let i = 0; remainder > 0n; i = (i + 1) % count, remainder -= 1n) shares[i] += 1n;
+  return shares.map(share => ethers.formatUnits(share, decimals).replace(/\.0$/, ''));
+}
+
+module.exports = {
+  action: 'split',
+  description: 'Split an amount between several recipients, evenly or by weight',
+  category: 'transfers',
+  syntax: [
+    'split {amount}[ {token}] between {recipients:handles}',
+    'split {amount}[ {token}] between {recipient:handle} {weight}%, {recipient:handle} {weight}%[, ...]'
+  ],
+  examples: ['split 30 USDT between @alice @bob @carol', 'split 10 METIS between @alice 70%, @bob 30%'],
+  limits: () => ['Shares are rounded down to the token\'s smallest unit; leftover units go to the first recipients', ...multiSend.limits()],
+  cost: multiSend.cost,
+  params: {
+    recipients: { type: 'array', required: true, format: 'recipients' },
+    amount: { type: 'string', required: true, format: 'amount', ask: 'questions.amount', answer: parseAmountAnswer },
+    weights: { type: 'array', format: 'weights' },
+    token: { type: 'string', format: 'token', ask: 'questions.token' }
+  },
+
+  parse: text => parseEvenSplit(text) || parseWeightedSplit(text),
+
+  outflow(params) {
+    const token = normalizeToken(params.token);
+    const between = params.weights
+      ? params.recipients.map((recipient, index) => `${recipient} (${params.weights[index]})`).join(', ')
+      : params.recipients.join(', ');
+    return {
+      legs: [{ token, amount: params.amount }],
+      recipients: params.recipients,
+      summary: `split ${params.amount} ${token} between ${between}`
+    };
+  },
+
+  async execute(params, ctx) {
+    const { recipients, amount, weights } = params;
+    const token = normalizeToken(params.token);
+    if (recipients.length === 0) return fail('no_recipients');
+    if (weights && weights.length !== recipients.length) return fail('invalid_params', { invalid: ['weights'] });
+
+    const registered = await TokenRegistryService.getToken(token);
+    if (!registered) return fail('unsupported_token', { token });
+    if (decimalsOf(amount) > registered.decimals) {
+      return fail('too_many_decimals', { amount, token, decimals: registered.decimals });
+    }
+    const amounts = splitAmount(amount, registered.decimals, recipients.length, weights);
+    if (amounts.some(share => !(Number(share) > 0))) {
+      return fail('share_too_small', { amount, token, count: recipients.length });
+    }
+
+    return multiSend.execute({ recipients, amounts, token }, ctx);
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'share_too_small') return t(ctx.language, 'split.share_too_small', result.data);
+      if (result.error === 'too_many_decimals') return t(ctx.language, 'split.too_many_decimals', result.data);
+      return multiSend.render.text(result, ctx);
+    }
+  }
+};
@@ -0,0 +1,111 @@
+const { setupLogger } = require('../utils/logger');
+const { getWalletForUser, swap } = require('../services/privyUserService');
+const { TokenRegistryService } = require('../services/tokenRegistryService');
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok, fail, explorerTxUrl, normalizeToken, ensureBalance, describeSwapError, renderSwapError, parseSlippage } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const logger = setupLogger();
+const xpService = new XPService();
+
+module.exports = {
+  action: 'swap',
+  description: 'Swap between any two registered tokens',
+  category: 'trading',
+  syntax: ['swap {amount} {fromToken} for {toToken}[ with {slippage}% slippage]'],
+  examples: ['swap 5 USDT for METIS', 'swap 0.5 METIS for USDT with 1% slippage'],
+  limits: ['Slippage is 0.5% unless given; swaps over the maximum slippage or price impact are refused', 'Pairs without a direct pool are routed through WMETIS'],
+  cost: 'Network gas and the DEX pool fee, paid from your wallet',
+  params: {
+    amount: { type: 'string', required: true, format: 'amount' },
+    fromToken: { type: 'string', required: true, format: 'token' },
+    toToken: { type: 'string', required: true, format: 'token' },
+    slippage: { type: 'string', format: 'percent' }
+  },
+
+  parse: grammar([
+    'swap {amount} {fromToken:token} for|to|into {toToken:token}[ [with ]{slippage:percent} slippage]',
+    'swap {amount} {fromToken:token} for|to|into {toToken:token} slippage {slippage:percent}'
+  ]),
+
+  outflow(params, ctx) {
+    const fromToken = normalizeToken(params.fromToken);
+    const toToken = normalizeToken(params.toToken);
+    // Keep slippage given in the message text, the confirming message won't repeat it
+    const slippage = parseSlippage(params.slippage, ctx.text);
+    return {
+      legs: [{ token: fromToken, amount: params.amount }],
+      internal: true,
+      summary: `swap ${params.amount} ${fromToken} for ${toToken}`,
+      params: { ...params, slippage: String(+(slippage * 100).toFixed(4)) }
+    };
+  },
+
+  async execute(params, ctx) {
+    const { amount } = params;
+    const slippage = parseSlippage(params.slippage, ctx.text);
+
+    const from = await TokenRegistryService.getToken(normalizeToken(params.fromToken));
+    if (!from) return fail('unsupported_token', { token: params.fromToken });
+    const to = await TokenRegistryService.getToken(normalizeToken(params.toToken));
+    if (!to) return fail('unsupported_token', { token: params.toToken });
+    if (from.symbol === to.symbol) return fail('same_token', { token: from.symbol });
+
+    logger.info('Initiating swap...', { amount, fromToken: from.symbol, toToken: to.symbol, slippage, channel: ctx.channel });
+
+    const senderWallet = await getWalletForUser(ctx.userId);
+    if (!senderWallet) return fail('wallet_not_found');
+
+    const insufficient = await ensureBalance(senderWallet.address, from.symbol, parseFloat(amount));
+    if (insufficient) return insufficient;
+
+    let executedTx;
+    try {
+      executedTx = await swap(senderWallet.id, from.symbol, to.symbol, amount, slippage);
+    } catch (error) {
+      logger.error('Swap failed:', { error: error.message, stack: error.stack });
+      return fail('swap_failed', describeSwapError(error, from.symbol));
+    }
+
+    logger.info('Swap successful:', { txHash: executedTx.hash, route: executedTx.route });
+    try {
+      await xpService.awardForChatSwap(ctx.userId, ctx.username, {
+        amount,
+        fromToken: from.symbol,
+        toToken: to.symbol,
+        txHash: executedTx.hash
+      });
+    } catch (error) {
+      logger.error('Error awarding XP for swap:', error);
+    }
+
+    return ok({
+      amount,
+      fromToken: from.symbol,
+      toToken: to.symbol,
+      route: executedTx.route,
+      slippage,
+      amountOutMin: executedTx.amountOutMin,
+      txHash: executedTx.hash
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'same_token') return t(ctx.language, 'swap.same_token', { token: result.data.token });
+      if (result.error === 'swap_failed') return renderSwapError(ctx.language, result.data);
+      const { amount, fromToken, toToken, route, amountOutMin, slippage, txHash } = result.data;
+      const via = route && route.length > 2 ? t(ctx.language, 'swap.via', { route: route.slice(1, -1).join(' → ') }) : '';
+      return t(ctx.language, 'swap.success', {
+        amount,
+        fromToken,
+        toToken,
+        via,
+        amountOutMin,
+        slippage: +(slippage * 100).toFixed(2),
+        url: explorerTxUrl(txHash)
+      });
+    }
+  }
+};
@@ -0,0 +1,23 @@
+const swapCommand = require('./swap');
+
+// Kept for parser output from older prompts; same as "swap <amount> USDT for METIS"
+module.exports = {
+  action: 'swap_usdt_to_metis',
+  description: 'Swap USDT for METIS',
+  category: 'trading',
+  hidden: true,
+  params: {
+    amount: { type: 'string', required: true, format: 'amount' },
+    slippage: { type: 'string', format: 'percent' }
+  },
+
+  outflow(params, ctx) {
+    return swapCommand.outflow({ ...params, fromToken: 'USDT', toToken: 'METIS' }, ctx);
+  },
+
+  execute(params, ctx) {
+    return swapCommand.execute({ ...params, fromToken: 'USDT', toToken: 'METIS' }, ctx);
+  },
+
+  render: swapCommand.render
+};
@@ -0,0 +1,96 @@
+const { setupLogger } = require('../utils/logger');
+const twitterService = require('../services/twitterService');
+const { t } = require('../i18n');
+const { fail, explorerTxUrl, normalizeToken, parseAmountAnswer } = require('./helpers');
+const { grammar } = require('./grammar');
+const send = require('./send');
+
+const logger = setupLogger();
+
+/**
+ * Whose tweet a tip goes to: the user the mention replies to (in_reply_to_user_id), or else the
+ * tweet it replies to or the conversation it belongs to, whose author is looked up on execute.
+ * This is the tip's origin, so a confirmed tip keeps it although the confirming tweet replies to
+ * the bot rather than to the tipped author.
+ * @returns {{recipientId?: string, tweetId?: string}|null}
+ */
+function tipTarget(ctx) {
+  const tweet = ctx.tweet;
+  if (!tweet) return null;
+  if (tweet.in_reply_to_id) return { recipientId: String(tweet.in_reply_to_id) };
+  const repliedTo = (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to');
+  if (repliedTo) return { tweetId: repliedTo.id };
+  if (tweet.conversation_id && tweet.conversation_id !== tweet.id) return { tweetId: tweet.conversation_id };
+  return null;
+}
+
+async function resolveTipRecipientId({ recipientId, tweetId }) {
+  if (recipientId) return recipientId;
+  const parent = await twitterService.getTweet(tweetId);
+  return parent ? parent.author_id : null;
+}
+
+module.exports = {
+  action: 'tip',
+  description: 'Tip the author of the tweet you are replying to',
+  category: 'transfers',
+  syntax: ['tip {amount}[ {token}]'],
+  examples: ['tip 1 METIS', 'tip 5 USDT'],
+  limits: ['Only works in a reply to someone else\'s tweet', 'Asks which token to send when none is given'],
+  cost: send.cost,
+  params: {
+    amount: { type: 'string', required: true, format: 'amount', ask: 'questions.amount', answer: parseAmountAnswer },
+    token: { type: 'string', format: 'token', ask: 'questions.token' }
+  },
+
+  parse: grammar([
+    'tip [them|op ]{amount}[ {token}]'
+  ]),
+
+  origin(params, ctx) {
+    return tipTarget(ctx);
+  },
+
+  outflow(params, ctx) {
+    const token = normalizeToken(params.token);
+    const target = ctx.origin;
+    // Without a target execute fails right away; there is nothing to hold for confirmation
+    if (!target) return { legs: [{ token, amount: params.amount }], summary: `tip ${params.amount} ${token}`, confirmable: false };
+    return {
+      legs: [{ token, amount: params.amount }],
+      recipients: [target.recipientId ? `user:${target.recipientId}` : `tweet:${target.tweetId}`],
+      summary: `tip ${params.amount} ${token} to the author of the tweet you replied to`
+    };
+  },
+
+  async execute(params, ctx) {
+    const target = ctx.origin;
+    if (!target) return fail('no_tip_target');
+
+    let recipientId;
+    try {
+      recipientId = await resolveTipRecipientId(target);
+    } catch (error) {
+      logger.error('Failed to look up the tipped tweet', { target, error: error.message });
+    }
+    if (!recipientId || recipientId === twitterService.userId) return fail('no_tip_target');
+    if (recipientId === ctx.userId) return fail('tip_self');
+
+    const author = await twitterService.getUserInfo(recipientId);
+    if (!author || !author.username) return fail('recipient_not_found', { recipient: recipientId });
+
+    // The send path resolves the author's wallet and records XP
+    return send.execute({ recipient: `@${author.username}`, amount: params.amount, token: params.token }, ctx);
+  },
+
+  render: {
+    text(result, ctx) {
+      if (result.error === 'no_tip_target') return t(ctx.language, 'tip.no_target');
+      if (result.error === 'tip_self') return t(ctx.language, 'tip.self');
+      // Errors and tips held in escrow for an author without a wallet read the same as a send
+      if (result.status === 'error' || result.data.claimable) return send.render.text(result, ctx);
+      const { amount, token, recipient, txHash } = result.data;
+      return t(ctx.language, 'tip.success', { amount, token, recipient, url: explorerTxUrl(txHash) });
+    }
+  }
+};
@@ -0,0 +1,63 @@
+const gm2ApiService = require('../services/gm2ApiService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+function formatMarketCap(value) {
+  return value ? `${(parseFloat(value) / 1e6).toFixed(2)}M` : 'N/A';
+}
+
+function renderCompact(result, ctx) {
+  if (result.error === 'token_not_found') return t(ctx.language, 'token_info.not_found');
+  if (result.error === 'lookup_failed') return t(ctx.language, 'token_info.lookup_failed', { reason: result.data.reason });
+  const info = result.data;
+  return t(ctx.language, 'token_info.compact', {
+    name: info.tokenName,
+    symbol: info.tokenSymbol,
+    price: info.currentPrice,
+    marketCap: info.totalMarketCap,
+    tvl: info.tvl,
+    holders: info.totalHolders,
+    tokenAddress: info.tokenAddress
+  });
+}
+
+module.exports = {
+  action: 'token_info',
+  description: 'Show GM2 token details',
+  category: 'trading',
+  syntax: ['token info {tokenAddress}'],
+  examples: ['token info 0xToken...'],
+  params: {
+    tokenAddress: { type: 'string', required: true, format: 'address' }
+  },
+
+  async execute(params) {
+    const { tokenAddress } = params;
+    let detail;
+    try {
+      detail = await gm2ApiService.getTokenDetail(tokenAddress);
+    } catch (error) {
+      return fail('lookup_failed', { reason: error.message });
+    }
+    if (!detail || !detail.tokenAddress) return fail('token_not_found', { tokenAddress });
+    return ok(detail);
+  },
+
+  render: {
+    // Tweets keep to the compact form
+    text: renderCompact,
+    chat(result, ctx) {
+      if (result.status === 'error') return renderCompact(result, ctx);
+      const info = result.data;
+      return t(ctx.language, 'token_info.details', {
+        tokenAddress: info.tokenAddress,
+        name: info.tokenName || 'N/A',
+        symbol: info.tokenSymbol || 'N/A',
+        price: info.currentPrice ? parseFloat(info.currentPrice).toFixed(8) : 'N/A',
+        marketCap: formatMarketCap(info.totalMarketCap),
+        holders: info.totalHolders || 'N/A',
+        volume: info.totalVolume ? parseFloat(info.totalVolume).toFixed(4) : 'N/A'
+      });
+    }
+  }
+};
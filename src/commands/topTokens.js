@@ -0,0 +1,64 @@
+const gm2ApiService = require('../services/gm2ApiService');
+const { t } = require('../i18n');
+const { ok, fail } = require('./helpers');
+
+const DEFAULT_LIMIT = 10;
+
+function renderCompact(result, ctx) {
+  if (result.error === 'no_tokens') return t(ctx.language, 'top_tokens.no_tokens');
+  if (result.error === 'lookup_failed') return t(ctx.language, 'top_tokens.lookup_failed', { reason: result.data.reason });
+  const { tokens } = result.data;
+  const lines = tokens.map((token, i) => t(ctx.language, 'top_tokens.line', {
+    rank: i + 1,
+    name: token.tokenName,
+    symbol: token.tokenSymbol,
+    marketCap: token.totalMarketCap,
+    tokenAddress: token.tokenAddress
+  }));
+  return `${t(ctx.language, 'top_tokens.title', { count: tokens.length })}\n` + lines.join('\n');
+}
+
+module.exports = {
+  action: 'top_tokens',
+  description: 'List the latest GM2 tokens',
+  category: 'trading',
+  syntax: ['top tokens'],
+  examples: ['top tokens'],
+  params: {
+    limit: { type: 'number', format: 'count' }
+  },
+
+  async execute(params) {
+    const limit = params.limit && params.limit > 0 ? Math.floor(params.limit) : DEFAULT_LIMIT;
+    let tokens;
+    try {
+      tokens = await gm2ApiService.listTokens({ limit, page: 1, sort: 'createdAt:desc' });
+    } catch (error) {
+      return fail('lookup_failed', { reason: error.message });
+    }
+    if (!Array.isArray(tokens) || tokens.length === 0) return fail('no_tokens');
+    return ok({ tokens: tokens.slice(0, limit) });
+  },
+
+  render: {
+    text: renderCompact,
+    chat(result, ctx) {
+      if (result.status === 'error') return renderCompact(result, ctx);
+      const { tokens } = result.data;
+      let text = `${t(ctx.language, 'top_tokens.chat_title', { count: tokens.length })}\n\n`;
+      tokens.forEach((token, index) => {
+        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+        const marketCap = token.totalMarketCap ? (parseFloat(token.totalMarketCap) / 1e6).toFixed(2) + 'M' : 'N/A';
+        const price = token.currentPrice ? parseFloat(token.currentPrice).toFixed(8) : 'N/A';
+        text += `${t(ctx.language, 'top_tokens.chat_line', {
+          medal,
+          symbol: token.tokenSymbol || 'N/A',
+          price,
+          marketCap,
+          tokenAddress: token.tokenAddress
+        })}\n\n`;
+      });
+      return text.trimEnd();
+    }
+  }
+};
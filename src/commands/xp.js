@@ -0,0 +1,54 @@
+const { XPService } = require('../services/xpService');
+const { t } = require('../i18n');
+const { ok } = require('./helpers');
+const { grammar } = require('./grammar');
+
+const xpService = new XPService();
+
+module.exports = {
+  action: 'xp',
+  description: 'Show your XP status',
+  category: 'rewards',
+  syntax: ['xp'],
+  examples: ['xp', 'my xp'],
+  sensitive: true,
+  params: {},
+
+  parse: grammar([
+    '[check|show ][my ]xp[ status]',
+    "what|what's [is ]my xp"
+  ]),
+
+  failureMessage: 'xp.failure',
+
+  async execute(params, ctx) {
+    let userXP = await xpService.getUserXP(ctx.userId);
+    const isNew = !userXP;
+    if (isNew) {
+      // Create initial XP record for new user
+      await xpService.awardForBalanceCheck(ctx.userId, ctx.username);
+      userXP = await xpService.getUserXP(ctx.userId);
+    }
+    return ok({
+      isNew,
+      level: userXP.level,
+      totalXP: userXP.totalXP,
+      rank: userXP.rank || null,
+      consecutiveDays: userXP.consecutiveDays,
+      recentTransactions: (userXP.recentTransactions || []).slice(0, 3).map(tx => ({ action: tx.action, xpAmount: tx.xpAmount }))
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      const xp = result.data;
+      const vars = { level: xp.level, xp: xp.totalXP.toLocaleString(), rank: xp.rank || 'N/A' };
+      if (xp.isNew) return t(ctx.language, 'xp.welcome', vars);
+      return t(ctx.language, 'xp.status', {
+        ...vars,
+        days: xp.consecutiveDays,
+        activity: xp.recentTransactions.map(tx => `${tx.action.replace(/_/g, ' ')} (+${tx.xpAmount.toLocaleString()})`).join(', ')
+      });
+    }
+  }
+};
@@ -0,0 +1,40 @@
+const { XPService } = require('../services/xpService');
+const { t, localeFor } = require('../i18n');
+const { ok } = require('./helpers');
+
+const xpService = new XPService();
+
+module.exports = {
+  action: 'xp_history',
+  description: 'Show your recent XP activity',
+  category: 'rewards',
+  syntax: ['xp history'],
+  examples: ['xp history'],
+  sensitive: true,
+  params: {},
+  failureMessage: 'xp_history.failure',
+
+  async execute(params, ctx) {
+    const xpHistory = await xpService.getXPHistory(ctx.userId, 10);
+    return ok({
+      history: xpHistory.map(tx => ({ action: tx.action, xpAmount: tx.xpAmount, timestamp: tx.timestamp }))
+    });
+  },
+
+  render: {
+    text(result, ctx) {
+      const { history } = result.data;
+      if (history.length === 0) return t(ctx.language, 'xp_history.empty');
+      let text = `${t(ctx.language, 'xp_history.title')}\n\n`;
+      history.forEach((transaction, index) => {
+        text += `${t(ctx.language, 'xp_history.line', {
+          index: index + 1,
+          action: transaction.action.replace(/_/g, ' ').toLowerCase(),
+          xp: transaction.xpAmount.toLocaleString(),
+          date: new Date(transaction.timestamp).toLocaleDateString(localeFor(ctx.language))
+        })}\n`;
+      });
+      return text.trimEnd();
+    }
+  }
+};
@@ -0,0 +1,121 @@
+const { setupLogger } = require('../utils/logger');
+const alithService = require('../services/alithService');
+const { ParseMetricsService } = require('../services/parseMetricsService');
+const { getCommand, parseDirectCommand, validateParams } = require('../commands');
+const { applyFormats } = require('../commands/schema');
+const { translateCommand } = require('../i18n');
+const { parseFollowUp } = require('./followUps');
+
+const logger = setupLogger();
+
+// Lightweight parsing for GM2-specific intents the NL parser misses
+function parseFallback(text) {
+  const lc = text.toLowerCase();
+  const addressMatch = text.match(/0x[a-fA-F0-9]{40}/);
+  if (lc.includes('buy') && addressMatch) {
+    const tokenAddress = addressMatch[0];
+    const usdMatch = text.match(/\$\s*(\d+(?:\.\d+)?)/);
+    const metisMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:metis|tmetis)/i);
+    if (usdMatch) return { action: 'buy', params: { tokenAddress, usdAmount: usdMatch[1] } };
+    if (metisMatch) return { action: 'buy', params: { tokenAddress, metisAmount: metisMatch[1] } };
+  } else if (lc.includes('sell') && addressMatch) {
+    const tokenAddress = addressMatch[0];
+    const amountMatch = text.match(/sell\s+(all|\d+(?:\.\d+)?)/i);
+    if (amountMatch) return { action: 'sell', params: { tokenAddress, tokenAmount: amountMatch[1] } };
+  } else if ((lc.includes('token info') || lc.startsWith('info ')) && addressMatch) {
+    return { action: 'token_info', params: { tokenAddress: addressMatch[0] } };
+  } else if (lc.includes('top') && lc.includes('token')) {
+    const limitMatch = text.match(/top\s+(\d{1,3})/i);
+    return { action: 'top_tokens', params: { limit: limitMatch ? parseInt(limitMatch[1], 10) : 10 } };
+  }
+  return null;
+}
+
+/**
+ * Complete a partial command with the user's answer to the bot's clarifying question. The answer
+ * only counts when it is a valid value for the asked param (e.g. a registered token after "Which
+ * token?"); anything else is left to the other parsers.
+ * @param {string} text
+ * @param {{action: string, params: Object, origin?: *, param: string}} pending - From ConversationService.getContext
+ * @returns {Promise<{action: string, params: Object, origin?: *}|null>} With the origin of the
+ *   asking turn, which the caller passes on as ctx.origin
+ */
+async function parseClarification(text, pending) {
+  const definition = pending && getCommand(pending.action);
+  const spec = definition && definition.params[pending.param];
+  if (!spec) return null;
+  const answer = (text || '').trim().replace(/[.!?]+$/, '');
+  const answered = spec.answer ? spec.answer(answer) : { [pending.param]: answer };
+  if (!answered || !answer) return null;
+
+  const { params: typed, invalid } = validateParams(definition, answered);
+  const { errors } = await applyFormats(definition, typed);
+  const names = Object.keys(answered);
+  if (names.some(name => typed[name] === undefined || invalid.includes(name))) return null;
+  if (errors.some(error => names.includes(error.param))) return null;
+  return { action: pending.action, params: { ...pending.params, ...typed }, origin: pending.origin };
+}
+
+// Recent turns and the last command go before the message so Alith can resolve follow-ups
+function withConversation(text, context) {
+  if (!context || (!context.turns.length && !context.lastCommand)) return text;
+  const lines = ['Conversation so far (oldest first):'];
+  for (const turn of context.turns) lines.push(`${turn.role === 'user' ? 'User' : 'Bot'}: ${turn.text}`);
+  if (context.lastCommand) lines.push(`Last command: ${JSON.stringify(context.lastCommand)}`);
+  lines.push('Current message:', text);
+  return lines.join('\n');
+}
+
+/**
+ * Parse a command from tweet, DM or chat text (already stripped of the bot's handle).
+ * Canonical syntax is matched by the commands' grammar (in English, or in another language through
+ * the i18n catalogs' command templates), then answers to a clarifying question
+ * ("USDT" after "Which token?") and follow-ups to the conversation's last command ("make it 10",
+ * "same to @bob"); only other free-form text goes to Alith (with the recent conversation), and the
+ * keyword fallback after it. The path taken is counted in ParseMetricsService.
+ * @param {string} text
+ * @param {string} authorId - Twitter user ID of the author, given to Alith as context
+ * @param {Object} [options]
+ * @param {string} [options.channel] - 'tweet', 'dm' or 'chat', recorded with the metric
+ * @param {string} [options.language] - Language of the message; its command templates are tried first
+ * @param {{turns: Object[], lastCommand: Object|null, pending: Object|null}} [options.context] - From
+ *   ConversationService.getContext
+ * @returns {Promise<{action: string, params: Object, origin?: *}|null>} origin is set for answers
+ *   to a clarifying question (see parseClarification)
+ */
+async function parseCommand(text, authorId, { channel, context, language } = {}) {
+  let path = 'grammar';
+  let command = parseDirectCommand(text);
+  if (!command) {
+    const translated = translateCommand(text, language);
+    if (translated) command = parseDirectCommand(translated);
+  }
+  if (!command && context && context.pending) {
+    path = 'clarification';
+    command = await parseClarification(text, context.pending);
+  }
+  if (!command && context && context.lastCommand) {
+    path = 'follow_up';
+    command = parseFollowUp(text, context.lastCommand);
+  }
+  if (!command) {
+    path = 'llm';
+    // Prepend author's ID to give Alith context about who sent the command
+    const textForAlith = withConversation(`${authorId} ${text}`, context);
+    logger.info('Text for Alith:', { textForAlith });
+    command = await alithService.understand(textForAlith);
+  }
+  if (!command) {
+    path = 'fallback';
+    command = parseFallback(text);
+  }
+  if (!command) path = 'none';
+
+  logger.info('Command parse path', { path, action: command ? command.action : null, channel });
+  await ParseMetricsService.record(path, command ? command.action : null, channel);
+  return command;
+}
+
+module.exports = {
+  parseCommand
+};
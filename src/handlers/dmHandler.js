@@ -0,0 +1,125 @@
+const { setupLogger } = require('../utils/logger');
+const alithService = require('../services/alithService');
+const twitterService = require('../services/twitterService');
+const { getOrCreateWalletForUser, addTweetReplyToHistory, getLanguagePreference } = require('../services/privyUserService');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+const { ConversationService } = require('../services/conversationService');
+const { getCommand, executeCommand, renderText } = require('../commands');
+const { DEFAULT_LANGUAGE, t, detectLanguage, languageName } = require('../i18n');
+const { parseCommand } = require('./commandParser');
+
+const logger = setupLogger();
+
+function isDirectMessageEnabled() {
+  return process.env.DM_COMMANDS_ENABLED === '1';
+}
+
+/**
+ * Record the reply in the sender's history and the conversation, and queue it as a DM. History
+ * entries use "dm_<event id>" as their tweetId so they can't collide with tweets.
+ * @param {Object} [conversation] - { ref, userText, command, pending } for ConversationService
+ */
+async function queueDirectReply(dm, replyText, entry, conversation) {
+  const historyId = `dm_${dm.id}`;
+  try {
+    await addTweetReplyToHistory(dm.sender_id, {
+      tweetId: historyId,
+      tweetText: dm.text,
+      replyId: null,
+      replyText,
+      createdAt: new Date(dm.created_at),
+      repliedAt: null,
+      replyStatus: 'queued',
+      ...entry
+    });
+  } catch (error) {
+    logger.error('Failed to record DM reply in history', { dmId: dm.id, error: error.message });
+  }
+  if (conversation) {
+    await ConversationService.recordTurn(conversation.ref, {
+      userText: conversation.userText,
+      botText: replyText,
+      command: conversation.command,
+      pending: conversation.pending
+    });
+  }
+  await OutboundTweetService.enqueue({
+    channel: 'dm',
+    recipientUserId: dm.sender_id,
+    text: replyText,
+    dedupeKey: `dm-reply:${dm.id}`,
+    history: { twitterUserId: dm.sender_id, tweetId: historyId }
+  });
+}
+
+/**
+ * Run a command received by direct message and reply privately.
+ * @param {Object} dm - Message in the twitterService.getDirectMessages shape
+ * @returns {Promise<boolean>} true once the message is handled
+ */
+async function handleDirectMessage(dm) {
+  if (dm.sender_id === twitterService.userId) return true;
+  const text = (dm.text || '').trim();
+  if (!text) return true;
+
+  logger.info('Processing direct message:', { dmId: dm.id, senderId: dm.sender_id });
+
+  const username = dm.senderUsername || (await twitterService.getUserInfo(dm.sender_id))?.username;
+  if (!username) {
+    logger.warn('Could not retrieve sender info, skipping direct message', { dmId: dm.id, senderId: dm.sender_id });
+    return true;
+  }
+  await getOrCreateWalletForUser(dm.sender_id, username);
+
+  const conversationRef = ConversationService.ref({
+    channel: 'dm',
+    conversationId: dm.dm_conversation_id || dm.sender_id,
+    userId: dm.sender_id
+  });
+  const context = await ConversationService.getContext(conversationRef);
+  const language = (await getLanguagePreference(dm.sender_id)) || detectLanguage(text) || DEFAULT_LANGUAGE;
+  const command = await parseCommand(text, dm.sender_id, { channel: 'dm', context, language });
+  const definition = command && getCommand(command.action);
+  if (!definition) {
+    const aiTextPrompt = `User @${username} said in a direct message: "${text}". Reply in ${languageName(language)}, concisely (<=240 chars), no JSON. If relevant, suggest a supported command syntax.`;
+    const aiReply = await alithService.respond(aiTextPrompt);
+    const replyText = aiReply || t(language, 'replies.help_fallback');
+    await queueDirectReply(dm, replyText, { status: 'success', error: null, action: 'ai_fallback' }, {
+      ref: conversationRef,
+      userText: text
+    });
+    return true;
+  }
+
+  logger.info('Parsed DM command:', command);
+  const ctx = {
+    channel: 'dm',
+    userId: dm.sender_id,
+    username,
+    text,
+    sourceId: dm.id,
+    createdAt: new Date(dm.created_at),
+    idempotencyKey: `dm:${dm.id}`,
+    canAsk: true,
+    language,
+    // What the asking turn resolved from its tweet, when this answers a clarifying question
+    origin: command.origin
+  };
+  const result = await executeCommand(definition, command.params, ctx);
+  await queueDirectReply(dm, renderText(definition, result, ctx), {
+    status: result.status,
+    error: result.status === 'error' ? result.error : null,
+    action: definition.action
+  }, {
+    ref: conversationRef,
+    userText: text,
+    command,
+    pending: result.status === 'needs_input' ? result.data : undefined
+  });
+  return true;
+}
+
+module.exports = {
+  isDirectMessageEnabled,
+  handleDirectMessage
+};
@@ -0,0 +1,59 @@
+const { grammar } = require('../commands/grammar');
+
+// Transfers that "same to <recipient>" can redirect
+const TRANSFER_ACTIONS = ['send', 'send_to_address', 'multi_send', 'schedule_payment'];
+
+const parseAmountChange = grammar([
+  'make|change it|that [to ]{amount}[ {token}]',
+  '[actually ]{amount}[ {token}] instead',
+  'actually {amount}[ {token}]'
+]);
+
+const parseRecipientChange = grammar([
+  'same [thing|again ]to|for {recipients:handles}',
+  'same [thing|again ]to|for {recipient:handle}',
+  'same [thing|again ]to|for {address}',
+  'same [thing|again ]to|for {address:contact}'
+]);
+
+const parseRepeat = grammar(['again', 'do it again', 'same again', 'repeat[ that]']);
+
+function withAmount({ action, params }, { amount, token }) {
+  if (params.amount === undefined) return null;
+  if (token && params.token === undefined) return null;
+  return { action, params: { ...params, amount, ...(token ? { token } : {}) } };
+}
+
+function withRecipient({ action, params }, { recipient, recipients, address }) {
+  if (!TRANSFER_ACTIONS.includes(action)) return null;
+  // Per-recipient amounts don't carry over to other recipients
+  if (params.amounts) return null;
+  const { recipient: oldRecipient, recipients: oldRecipients, address: oldAddress, ...rest } = params;
+  if (action === 'schedule_payment') {
+    return recipients ? null : { action, params: { ...rest, recipient: recipient || address } };
+  }
+  if (recipients) return { action: 'multi_send', params: { ...rest, recipients } };
+  if (recipient) return { action: 'send', params: { ...rest, recipient } };
+  return { action: 'send_to_address', params: { ...rest, address } };
+}
+
+/**
+ * Resolve a follow-up to the previous command in the conversation: "make it 10 [TOKEN]",
+ * "same to @bob" (or to several handles, an address or a contact) and "again".
+ * @param {string} text
+ * @param {{action: string, params: Object}} lastCommand
+ * @returns {{action: string, params: Object}|null}
+ */
+function parseFollowUp(text, lastCommand) {
+  if (!lastCommand) return null;
+  const amountChange = parseAmountChange(text);
+  if (amountChange) return withAmount(lastCommand, amountChange);
+  const recipientChange = parseRecipientChange(text);
+  if (recipientChange) return withRecipient(lastCommand, recipientChange);
+  if (parseRepeat(text)) return { action: lastCommand.action, params: { ...lastCommand.params } };
+  return null;
+}
+
+module.exports = {
+  parseFollowUp
+};
@@ -0,0 +1,34 @@
+const { parseFollowUp } = require('./followUps');
+
+describe('follow-up commands', () => {
+  const lastSend = { action: 'send', params: { amount: '5', token: 'USDT', recipient: '@alice' } };
+
+  it('changes the amount and token of the last command', () => {
+    expect(parseFollowUp('make it 10', lastSend)).toEqual({
+      action: 'send', params: { amount: '10', token: 'USDT', recipient: '@alice' }
+    });
+    expect(parseFollowUp('actually 2 METIS', lastSend)).toEqual({
+      action: 'send', params: { amount: '2', token: 'METIS', recipient: '@alice' }
+    });
+    expect(parseFollowUp('make it 10', { action: 'balance', params: {} })).toBeNull();
+  });
+
+  it('redirects a transfer to new recipients', () => {
+    expect(parseFollowUp('same to @bob', lastSend)).toEqual({
+      action: 'send', params: { amount: '5', token: 'USDT', recipient: '@bob' }
+    });
+    expect(parseFollowUp('same for @bob and @carol', lastSend)).toEqual({
+      action: 'multi_send', params: { amount: '5', token: 'USDT', recipients: ['@bob', '@carol'] }
+    });
+    expect(parseFollowUp('same to 0x742d35cc6632c0532c718c0a0d8a2234d8d9a53c', lastSend)).toEqual({
+      action: 'send_to_address', params: { amount: '5', token: 'USDT', address: '0x742d35cc6632c0532c718c0a0d8a2234d8d9a53c' }
+    });
+    expect(parseFollowUp('same to @bob', { action: 'swap', params: { amount: '5' } })).toBeNull();
+  });
+
+  it('repeats the last command and ignores unrelated text', () => {
+    expect(parseFollowUp('do it again', lastSend)).toEqual(lastSend);
+    expect(parseFollowUp('balance', lastSend)).toBeNull();
+    expect(parseFollowUp('again', null)).toBeNull();
+  });
+});
@@ -0,0 +1,288 @@
+const { setupLogger } = require('../utils/logger');
+const { handleTweet } = require('./tweetHandler');
+const { handleDirectMessage } = require('./dmHandler');
+const twitterService = require('../services/twitterService');
+const { MentionStateService } = require('../services/mentionStateService');
+const { TweetJobService } = require('../services/tweetJobService');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+const { getLanguagePreference } = require('../services/privyUserService');
+const { t, detectLanguage } = require('../i18n');
+
+const logger = setupLogger();
+
+let initialization = null;
+
+// Within one process, polling and webhook deliveries share one queue; across instances each tweet
+// is claimed in MongoDB before it is handled
+let ingestQueue = Promise.resolve();
+let isPollingMentions = false;
+let isPollingDirectMessages = false;
+let isProcessingTweetJobs = false;
+
+const TWEET_JOB_BATCH_SIZE = 20;
+const DM_CURSOR_KEY = 'direct_messages';
+
+function toIntOrNull(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.floor(n);
+}
+
+function computeStartTimestamp({ mode, lookbackSeconds, sinceTime }) {
+  const now = Date.now();
+  const lb = Math.max(0, lookbackSeconds ?? 0);
+  if (mode === 'since') {
+    if (!sinceTime) return new Date(now - lb * 1000).toISOString();
+    const t = new Date(sinceTime);
+    if (Number.isNaN(t.getTime())) return new Date(now - lb * 1000).toISOString();
+    return t.toISOString();
+  }
+  // mode === 'fresh' or 'resume' default start is now - lookback
+  return new Date(now - lb * 1000).toISOString();
+}
+
+async function initializeMentionCursor() {
+  // Modes:
+  // - resume (default): use saved cursor if present; if missing, start "now - lookback"
+  // - fresh: ignore saved cursor and start "now - lookback" (prevents historical backfill)
+  // - since: start at BOT_MENTIONS_START_TIME (RFC3339) or "now - lookback"
+  // fresh and since rewrite the shared cursor, so use resume when running several instances
+  const modeRaw = (process.env.BOT_MENTIONS_START_MODE || 'resume').toLowerCase();
+  const mode = (modeRaw === 'fresh' || modeRaw === 'since' || modeRaw === 'resume') ? modeRaw : 'resume';
+  const lookbackSeconds =
+    toIntOrNull(process.env.BOT_MENTIONS_LOOKBACK_SECONDS) ??
+    (mode === 'fresh' ? 30 : 0); // default: 30s lookback on fresh to avoid missing just-before-start mentions
+  const sinceTime = process.env.BOT_MENTIONS_START_TIME || null;
+
+  if (mode === 'fresh') {
+    const cursor = computeStartTimestamp({ mode, lookbackSeconds, sinceTime: null });
+    await MentionStateService.setCursor(cursor);
+    logger.warn('BOT_MENTIONS_START_MODE=fresh: starting from cursor (no historical mentions before this time)', {
+      cursor,
+      lookbackSeconds,
+    });
+    return;
+  }
+
+  if (mode === 'since') {
+    const cursor = computeStartTimestamp({ mode, lookbackSeconds, sinceTime });
+    await MentionStateService.setCursor(cursor);
+    logger.info('BOT_MENTIONS_START_MODE=since: starting from cursor', {
+      cursor,
+      lookbackSeconds,
+      sinceTime,
+    });
+    return;
+  }
+
+  // resume
+  await MentionStateService.importLegacyState();
+  const saved = await MentionStateService.getCursor();
+  if (!saved) {
+    const cursor = computeStartTimestamp({ mode, lookbackSeconds, sinceTime: null });
+    await MentionStateService.setCursor(cursor);
+    logger.info('BOT_MENTIONS_START_MODE=resume with no saved state: starting from cursor', {
+      cursor,
+      lookbackSeconds,
+    });
+  } else {
+    logger.info('BOT_MENTIONS_START_MODE=resume: using saved cursor', { cursor: saved });
+  }
+}
+
+/**
+ * Set up the shared mention cursor once per process.
+ */
+function initializeMentionState() {
+  if (!initialization) {
+    initialization = initializeMentionCursor().catch((error) => {
+      initialization = null;
+      throw error;
+    });
+  }
+  return initialization;
+}
+
+async function processMentions(mentions, kind = 'mention') {
+  // Process mentions in chronological order (oldest first)
+  const sortedMentions = [...mentions].sort((a, b) =>
+    new Date(a.created_at) - new Date(b.created_at)
+  );
+
+  let processedCount = 0;
+  for (const tweet of sortedMentions) {
+    // DM event IDs are prefixed so they can't collide with tweet IDs in the shared claim store
+    const claimId = kind === 'dm' ? `dm:${tweet.id}` : tweet.id;
+    let claimed = false;
+    try {
+      claimed = await MentionStateService.claimTweet(claimId);
+      if (!claimed) {
+        logger.info('Skipping tweet already processed or claimed by another instance.', { id: claimId });
+        continue;
+      }
+
+      // The job queue owns retries from here on, so the mention counts as ingested once queued
+      await TweetJobService.enqueue(tweet, { kind });
+      await MentionStateService.markProcessed(claimId);
+      await MentionStateService.advanceCursor(tweet.created_at, kind === 'dm' ? DM_CURSOR_KEY : undefined);
+      logger.info('Queued tweet for processing:', { id: claimId, text: tweet.text, createdAt: tweet.created_at });
+      processedCount++;
+    } catch (error) {
+      logger.error('Error queueing tweet:', { tweetId: claimId, error: error.message });
+      // Not marked as processed, so the next poll retries it
+      if (claimed) {
+        await MentionStateService.releaseClaim(claimId).catch((releaseError) => {
+          logger.error('Could not release tweet claim', { tweetId: claimId, error: releaseError.message });
+        });
+      }
+    }
+  }
+  return processedCount;
+}
+
+/**
+ * Queue mentions as tweet jobs with the shared dedupe, oldest first.
+ * @param {Object[]} mentions - Tweets in the shape returned by twitterService.getMentions
+ * @returns {Promise<number>} Number of newly queued tweets
+ */
+function ingestMentions(mentions) {
+  const run = ingestQueue.then(() => processMentions(mentions));
+  ingestQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queue direct messages to the bot as jobs, with the same dedupe as mentions.
+ * @param {Object[]} messages - DMs in the shape returned by twitterService.getDirectMessages
+ * @returns {Promise<number>} Number of newly queued messages
+ */
+function ingestDirectMessages(messages) {
+  const run = ingestQueue.then(() => processMentions(messages, 'dm'));
+  ingestQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Fetch mentions since the saved cursor and process them.
+ */
+async function pollMentions() {
+  if (isPollingMentions) {
+    logger.warn('pollMentions skipped: previous run still in progress');
+    return;
+  }
+  isPollingMentions = true;
+  try {
+    await initializeMentionState();
+    const mentions = await twitterService.getMentions(await MentionStateService.getCursor());
+    if (mentions.length > 0) {
+      await ingestMentions(mentions);
+    }
+  } catch (error) {
+    logger.error('Error checking mentions:', error);
+  } finally {
+    isPollingMentions = false;
+  }
+}
+
+/**
+ * Fetch direct messages since the saved DM cursor and process them. The first poll only sets the
+ * cursor, so messages sent before DM commands were enabled are not answered.
+ */
+async function pollDirectMessages() {
+  if (isPollingDirectMessages) {
+    logger.warn('pollDirectMessages skipped: previous run still in progress');
+    return;
+  }
+  isPollingDirectMessages = true;
+  try {
+    const cursor = await MentionStateService.getCursor(DM_CURSOR_KEY);
+    if (!cursor) {
+      await MentionStateService.setCursor(new Date().toISOString(), DM_CURSOR_KEY);
+      logger.info('Direct message cursor initialized; answering DMs from now on');
+      return;
+    }
+    const messages = await twitterService.getDirectMessages(cursor);
+    if (messages.length > 0) {
+      await ingestDirectMessages(messages);
+    }
+  } catch (error) {
+    logger.error('Error checking direct messages:', error);
+  } finally {
+    isPollingDirectMessages = false;
+  }
+}
+
+// Best effort: the user would otherwise never hear back about a dead-lettered tweet
+async function notifyDeadTweet(job) {
+  const { tweet } = job;
+  try {
+    const userId = job.kind === 'dm' ? tweet.sender_id : tweet.author_id;
+    const language = (await getLanguagePreference(userId)) || detectLanguage(tweet.text);
+    const message = t(language, 'replies.dead_letter', { attempts: job.attempts });
+    if (job.kind === 'dm') {
+      await OutboundTweetService.enqueue({
+        channel: 'dm',
+        recipientUserId: tweet.sender_id,
+        text: message,
+        dedupeKey: `dead:${job.tweetId}:${job.attempts}`
+      });
+      return;
+    }
+    const username = tweet.authorUsername || (await twitterService.getUserInfo(tweet.author_id))?.username;
+    if (!username) return;
+    await OutboundTweetService.enqueue({
+      text: `@${username} ${message}`,
+      inReplyToTweetId: tweet.id,
+      dedupeKey: `dead:${tweet.id}:${job.attempts}`
+    });
+  } catch (error) {
+    logger.error('Could not notify user about failed tweet', { tweetId: tweet.id, error: error.message });
+  }
+}
+
+/**
+ * Run due jobs through handleTweet (or handleDirectMessage for DMs), retrying failures with backoff.
+ * @returns {Promise<number>} Number of jobs attempted
+ */
+async function processTweetJobs() {
+  if (isProcessingTweetJobs) {
+    logger.warn('processTweetJobs skipped: previous run still in progress');
+    return 0;
+  }
+  isProcessingTweetJobs = true;
+  let attempted = 0;
+  try {
+    while (attempted < TWEET_JOB_BATCH_SIZE) {
+      const job = await TweetJobService.claimNext();
+      if (!job) break;
+      attempted++;
+      try {
+        if (job.kind === 'dm') {
+          await handleDirectMessage(job.tweet);
+        } else {
+          await handleTweet(job.tweet);
+        }
+        await TweetJobService.complete(job);
+        logger.info('Successfully processed tweet:', { id: job.tweetId, attempts: job.attempts });
+      } catch (error) {
+        const { dead } = await TweetJobService.fail(job, error);
+        if (dead) await notifyDeadTweet(job);
+      }
+    }
+  } catch (error) {
+    logger.error('Error processing tweet jobs:', { error: error.message });
+  } finally {
+    isProcessingTweetJobs = false;
+  }
+  return attempted;
+}
+
+module.exports = {
+  initializeMentionState,
+  ingestMentions,
+  ingestDirectMessages,
+  pollMentions,
+  pollDirectMessages,
+  processTweetJobs
+};
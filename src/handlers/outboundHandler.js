@@ -0,0 +1,79 @@
+const { setupLogger } = require('../utils/logger');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+const { updateTweetReply, Giveaway } = require('../services/privyUserService');
+const { ConversationService } = require('../services/conversationService');
+const { getCommand } = require('../commands');
+
+const logger = setupLogger();
+
+let isSendingTweets = false;
+
+// Work that needs the posted tweet's ID: the TweetHistory entry, command reply hooks, giveaway
+// results and the conversation the reply belongs to
+async function afterSend(message, response) {
+  const replyId = response?.data?.id || null;
+  if (message.history && message.history.twitterUserId) {
+    await updateTweetReply(message.history.twitterUserId, message.history.tweetId, {
+      replyId,
+      replyIds: response?.ids || (replyId ? [replyId] : []),
+      replyStatus: 'sent',
+      repliedAt: new Date()
+    });
+  }
+  const onSent = message.onSent || {};
+  if (onSent.action) {
+    const definition = getCommand(onSent.action);
+    if (definition && definition.onReply) await definition.onReply(onSent.result, response, onSent.ctx || {});
+  }
+  if (onSent.giveawayId && replyId) {
+    await Giveaway.updateOne({ _id: onSent.giveawayId }, { $set: { resultsTweetId: replyId } });
+  }
+  if (onSent.conversationKey) {
+    await ConversationService.addTweetIds(onSent.conversationKey, response?.ids || (replyId ? [replyId] : []));
+  }
+}
+
+/**
+ * Post queued tweets and DMs while their rate-limit budgets allow.
+ * @returns {Promise<number>} Number of messages sent
+ */
+async function processOutboundTweets() {
+  if (isSendingTweets) {
+    logger.warn('processOutboundTweets skipped: previous run still in progress');
+    return 0;
+  }
+  isSendingTweets = true;
+  let sent = 0;
+  try {
+    for (let i = 0; i < OutboundTweetService.batchSize; i++) {
+      const channels = await OutboundTweetService.getAvailableChannels();
+      if (channels.length === 0) {
+        logger.debug('Outbound messages paused by rate limits');
+        break;
+      }
+      const message = await OutboundTweetService.claimNext(channels);
+      if (!message) break;
+
+      const { status, response } = await OutboundTweetService.send(message);
+      if (status === 'failed' && message.history && message.history.twitterUserId) {
+        await updateTweetReply(message.history.twitterUserId, message.history.tweetId, { replyStatus: 'failed' });
+      }
+      if (status !== 'sent') continue;
+      sent++;
+      try {
+        await afterSend(message, response);
+      } catch (error) {
+        logger.error('Error running outbound tweet follow-up', { id: message._id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Error sending outbound tweets', { error: error.message });
+  } finally {
+    isSendingTweets = false;
+  }
+  return sent;
+}
+
+module.exports = {
+  processOutboundTweets
+};
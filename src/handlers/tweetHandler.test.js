@@ -19,6 +19,24 @@ jest.mock('../services/twitterService', () => ({
   userId: 'botuser123'
 }));
 
+jest.mock('../services/outboundTweetService', () => ({
+  OutboundTweetService: { enqueue: jest.fn() }
+}));
+
+jest.mock('../services/parseMetricsService', () => ({
+  ParseMetricsService: { record: jest.fn() }
+}));
+
+jest.mock('../services/conversationService', () => ({
+  ConversationService: {
+    ref: jest.fn(ref => ({ key: `${ref.channel}:${ref.conversationId}:${ref.userId}`, ...ref })),
+    resolveTweetConversationId: jest.fn(tweet => tweet.conversation_id || tweet.id),
+    getContext: jest.fn(),
+    recordTurn: jest.fn(),
+    addTweetIds: jest.fn()
+  }
+}));
+
 // Mock dexService and ethereumService to avoid real initialization
 jest.mock('../services/ethereumService', () => ({
   executeTransaction: jest.fn(),
@@ -39,6 +57,8 @@ const { handleTweet } = require('./tweetHandler');
 const privyUserService = require('../services/privyUserService');
 const alithService = require('../services/alithService');
 const twitterService = require('../services/twitterService');
+const { OutboundTweetService } = require('../services/outboundTweetService');
+const { ConversationService } = require('../services/conversationService');
 
 // Mock logger
 jest.mock('../utils/logger', () => ({
@@ -234,4 +254,49 @@ describe('handleTweet', () => {
     await handleTweet(tweet, new Set());
     // No assertion: just ensure no error is thrown
   });
-}); 
\ No newline at end of file
+
+  it('queues the reply once per tweet instead of posting it directly', async () => {
+    twitterService.getUserInfo.mockResolvedValue({ id: 'author5', username: 'author5' });
+    alithService.understand.mockResolvedValue(null);
+    const tweet = {
+      id: '5',
+      text: '@testbot hello',
+      author_id: 'author5',
+      created_at: '2025-06-20T14:29:44.000Z'
+    };
+    await handleTweet(tweet, new Set());
+    expect(twitterService.replyToTweet).not.toHaveBeenCalled();
+    expect(OutboundTweetService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      inReplyToTweetId: '5',
+      dedupeKey: 'reply:5',
+      history: { twitterUserId: 'author5', tweetId: '5' }
+    }));
+  });
+
+  it('resolves a follow-up against the last command in the thread', async () => {
+    twitterService.getUserInfo.mockResolvedValue({ id: 'author6', username: 'author6' });
+    ConversationService.getContext.mockResolvedValueOnce({
+      turns: [{ role: 'user', text: 'balance' }, { role: 'bot', text: '@author6 Your balance: 1 METIS' }],
+      lastCommand: { action: 'balance', params: {} }
+    });
+    privyUserService.getOrCreateWalletForUser.mockResolvedValue({ id: 'wallet123', address: '0xabc' });
+    const tweet = {
+      id: '6',
+      conversation_id: '100',
+      text: '@testbot again',
+      author_id: 'author6',
+      created_at: '2025-06-20T14:29:44.000Z',
+      in_reply_to_id: 'botuser123'
+    };
+    await handleTweet(tweet, new Set());
+    expect(ConversationService.getContext).toHaveBeenCalledWith(expect.objectContaining({ key: 'tweet:100:author6' }));
+    expect(alithService.understand).not.toHaveBeenCalled();
+    expect(ConversationService.recordTurn).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'tweet:100:author6' }),
+      expect.objectContaining({ userText: 'again', command: { action: 'balance', params: {} }, tweetIds: ['6'] })
+    );
+    expect(OutboundTweetService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      onSent: expect.objectContaining({ conversationKey: 'tweet:100:author6' })
+    }));
+  });
+});
@@ -0,0 +1,176 @@
+const { grammar } = require('../commands/grammar');
+
+/**
+ * Localization for bot replies and command parsing.
+ *
+ * Each language has a catalog in ./locales/<code>.json with:
+ * - messages: nested reply templates looked up by dotted key ('send.success'); {name}
+ *   placeholders are filled verbatim, so amounts, tokens, handles, addresses and links are never
+ *   translated
+ * - language: { name, aliases } used to pick a language by name ("español", "türkçe", "中文")
+ * - detect: { chars, words } hints for detectLanguage
+ * - grammar: [localized template, English template] pairs that rewrite canonical commands into
+ *   the English syntax the command parsers understand; slots are copied over unchanged, and [...]
+ *   parts of the English template are left out when their slots are empty
+ *
+ * Missing translations fall back to English, then to the key itself.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'es', 'pt', 'tr', 'vi', 'zh'];
+
+// BCP 47 locales for dates and numbers
+const LOCALES = {
+  en: 'en-US',
+  es: 'es-ES',
+  pt: 'pt-BR',
+  tr: 'tr-TR',
+  vi: 'vi-VN',
+  zh: 'zh-CN'
+};
+
+const catalogs = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [code, require(`./locales/${code}.json`)]));
+
+const CJK = /[\u3400-\u9fff\uf900-\ufaff]/;
+// Handles, addresses, links and numbers are left out of language detection
+const NEUTRAL_WORDS = /@\w+|0x[a-fA-F0-9]+|https?:\/\/\S+|\$?\d[\d.,]*/g;
+
+function lookup(messages, key) {
+  let node = messages;
+  for (const part of key.split('.')) {
+    if (!node || typeof node !== 'object') return undefined;
+    node = node[part];
+  }
+  return typeof node === 'string' ? node : undefined;
+}
+
+/**
+ * Render a reply template.
+ * @param {string} [language] - Language code; unknown or missing codes use English
+ * @param {string} key - Dotted message key, e.g. 'send.success'
+ * @param {Object} [vars] - Placeholder values
+ * @returns {string}
+ */
+function t(language, key, vars = {}) {
+  const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+  const template = lookup(catalog.messages, key) ?? lookup(catalogs[DEFAULT_LANGUAGE].messages, key) ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] === undefined ? placeholder : String(vars[name])));
+}
+
+function isSupportedLanguage(code) {
+  return SUPPORTED_LANGUAGES.includes(code);
+}
+
+/**
+ * Map a language code or name ("es", "Spanish", "español", "中文") to a supported code.
+ * @returns {string|null}
+ */
+function normalizeLanguage(value) {
+  const name = String(value || '').trim().toLowerCase();
+  if (!name) return null;
+  if (isSupportedLanguage(name)) return name;
+  for (const code of SUPPORTED_LANGUAGES) {
+    const aliases = catalogs[code].language.aliases.map(alias => alias.toLowerCase());
+    if (aliases.includes(name)) return code;
+  }
+  return null;
+}
+
+function languageName(code) {
+  return (catalogs[code] || catalogs[DEFAULT_LANGUAGE]).language.name;
+}
+
+function localeFor(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Guess the language of a message from script, letters and common words. English is the
+ * default, so it is only returned when no other language matches.
+ * @returns {string|null} A supported code, or null when the text gives no hint
+ */
+function detectLanguage(text) {
+  const input = String(text || '').normalize('NFC').replace(NEUTRAL_WORDS, ' ').toLowerCase();
+  if (!input.trim()) return null;
+  if (CJK.test(input)) return 'zh';
+
+  const words = input.split(/[^\p{L}']+/u).filter(Boolean);
+  let best = null;
+  let bestScore = 0;
+  for (const code of SUPPORTED_LANGUAGES) {
+    const { chars = '', words: hints = [] } = catalogs[code].detect;
+    let score = 0;
+    for (const char of chars) if (input.includes(char)) score += 2;
+    for (const word of words) if (hints.includes(word)) score += 1;
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Put spaces between CJK and other characters so templates can match "发送5 USDT给@bob"
+function spaceOutCJK(text) {
+  return text
+    .replace(/[，、]/g, ', ')
+    .replace(/[。！？]+$/, '')
+    .replace(/([\u3400-\u9fff\uf900-\ufaff])(?=[^\s,\u3400-\u9fff\uf900-\ufaff])/g, '$1 ')
+    .replace(/([^\s\u3400-\u9fff\uf900-\ufaff])(?=[\u3400-\u9fff\uf900-\ufaff])/g, '$1 ');
+}
+
+// Spanish-style opening marks are dropped, and "@a y @b" style lists are joined with commas so the
+// handles slot reads them
+function normalizeCommand(text) {
+  return text
+    .replace(/^[¿¡]+/, '')
+    .replace(/(@\w{1,15})\s+(?:y|e|ve|và|和|与|及)\s+(?=@)/gi, '$1, ');
+}
+
+// Optional [...] parts of an English template are dropped when one of their placeholders has no value
+function fillTemplate(template, params) {
+  const hasValues = part => Array.from(part.matchAll(/\{(\w+)\}/g)).every(([, name]) => params[name] !== undefined);
+  const text = template.replace(/\[([^\]]*)\]/g, (group, part) => (hasValues(part) ? part : ''));
+  if (!hasValues(text)) return null;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    return Array.isArray(value) ? value.join(', ') : value;
+  });
+}
+
+const translators = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [
+  code,
+  grammar((catalogs[code].grammar || []).map(([localized, english]) => [localized, params => fillTemplate(english, params)]))
+]));
+
+/**
+ * Rewrite a canonical command written in another language into English syntax, e.g.
+ * "enviar 5 USDT a @bob" -> "send 5 USDT to @bob".
+ * @param {string} text
+ * @param {string} [language] - Language to try first; the others are tried after it
+ * @returns {string|null} English command text, or null when no localized template matches
+ */
+function translateCommand(text, language) {
+  const input = normalizeCommand(String(text || '').normalize('NFC').trim());
+  if (!input) return null;
+  const order = isSupportedLanguage(language)
+    ? [language, ...SUPPORTED_LANGUAGES.filter(code => code !== language)]
+    : SUPPORTED_LANGUAGES;
+  for (const code of order) {
+    const english = translators[code](code === 'zh' ? normalizeCommand(spaceOutCJK(input)) : input);
+    if (english) return english;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  t,
+  isSupportedLanguage,
+  normalizeLanguage,
+  languageName,
+  localeFor,
+  detectLanguage,
+  translateCommand
+};
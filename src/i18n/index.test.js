@@ -0,0 +1,59 @@
+const { SUPPORTED_LANGUAGES, t, normalizeLanguage, detectLanguage, translateCommand } = require('./index');
+
+function messageKeys(messages, prefix = '') {
+  return Object.entries(messages).flatMap(([key, value]) => (
+    typeof value === 'string' ? [`${prefix}${key}`] : messageKeys(value, `${prefix}${key}.`)
+  ));
+}
+
+function placeholders(text) {
+  return Array.from(text.matchAll(/\{(\w+)\}/g), ([, name]) => name).sort();
+}
+
+describe('i18n', () => {
+  const english = require('./locales/en.json').messages;
+
+  it.each(SUPPORTED_LANGUAGES.filter(code => code !== 'en'))('translates every message with the same placeholders (%s)', code => {
+    const { messages } = require(`./locales/${code}.json`);
+    expect(messageKeys(messages).sort()).toEqual(messageKeys(english).sort());
+    for (const key of messageKeys(english)) {
+      expect([key, placeholders(t(code, key))]).toEqual([key, placeholders(t('en', key))]);
+    }
+  });
+
+  it('fills placeholders and falls back to English, then to the key', () => {
+    expect(t('es', 'send.success', { amount: 5, token: 'USDT', recipient: '@bob', url: 'https://x' }))
+      .toBe('¡Enviado 5 USDT a @bob! Ver transacción: https://x');
+    expect(t('xx', 'balance.own', { balance: '1 METIS', usd: '' })).toBe('Your balance is 1 METIS.');
+    expect(t('es', 'no.such.key')).toBe('no.such.key');
+  });
+
+  it('maps language names and codes to supported codes', () => {
+    expect(normalizeLanguage('Spanish')).toBe('es');
+    expect(normalizeLanguage('português')).toBe('pt');
+    expect(normalizeLanguage('中文')).toBe('zh');
+    expect(normalizeLanguage('TR')).toBe('tr');
+    expect(normalizeLanguage('klingon')).toBeNull();
+  });
+
+  it('detects the language of a message', () => {
+    expect(detectLanguage('¿cuál es mi saldo?')).toBe('es');
+    expect(detectLanguage('qual é o meu saldo')).toBe('pt');
+    expect(detectLanguage('bakiyem ne kadar')).toBe('tr');
+    expect(detectLanguage('số dư của tôi')).toBe('vi');
+    expect(detectLanguage('我的余额')).toBe('zh');
+    expect(detectLanguage('what is my balance')).toBe('en');
+    expect(detectLanguage('@bob 0x1234 5')).toBeNull();
+  });
+
+  it('rewrites localized commands into English syntax', () => {
+    expect(translateCommand('enviar 5 USDT a @bob', 'es')).toBe('send 5 USDT to @bob');
+    expect(translateCommand('¿cuál es mi saldo?')).toBe('balance');
+    expect(translateCommand('trocar 10 USDT por METIS')).toBe('swap 10 USDT for METIS');
+    expect(translateCommand("@a, @b ve @c'ye 1 METIS yolla", 'tr')).toBe('send 1 METIS to @a, @b, @c');
+    expect(translateCommand('gửi 5 USDT cho @bob và @carol')).toBe('send 5 USDT to @bob, @carol');
+    expect(translateCommand('发送5 USDT给@bob')).toBe('send 5 USDT to @bob');
+    expect(translateCommand('抽奖10 USDT，3名中奖者，24小时')).toBe('giveaway 10 USDT to 3 winners in 24h');
+    expect(translateCommand('send 5 USDT to @bob')).toBeNull();
+  });
+});
@@ -1,170 +1,34 @@
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
 const { setupLogger } = require('./utils/logger');
-const { handleTweet } = require('./handlers/tweetHandler');
-const twitterService = require('./services/twitterService');
+const { initializeMentionState, pollMentions, pollDirectMessages, processTweetJobs } = require('./handlers/mentionHandler');
+const { isDirectMessageEnabled } = require('./handlers/dmHandler');
+const twitterWebhookService = require('./services/twitterWebhookService');
 const giveawayService = require('./services/giveawayService');
 const { getRewardService } = require('./services/rewardService');
+const swapReconcilerService = require('./services/swapReconcilerService');
+const { PendingActionService } = require('./services/pendingActionService');
+const { ScheduledPaymentService } = require('./services/scheduledPaymentService');
+const { ClaimableTransferService } = require('./services/claimableTransferService');
+const { addChatEntryToHistory, getLanguagePreference, getWalletForUser } = require('./services/privyUserService');
+const { LeaderLockService } = require('./services/leaderLockService');
+const { TweetJobService } = require('./services/tweetJobService');
+const { OutboundTweetService } = require('./services/outboundTweetService');
+const { processOutboundTweets } = require('./handlers/outboundHandler');
+const { getCommand, executeCommand, renderText } = require('./commands');
+const { explorerTxUrl } = require('./commands/helpers');
+const { t } = require('./i18n');
 
 const logger = setupLogger();
 const rewardService = getRewardService();
 
-const STATE_FILE = path.join(__dirname, '..', 'last_processed_state.json');
-
-// Keep track of the last processed tweet's timestamp
-let lastProcessedTweetTimestamp = null;
-let processedTweetIds = new Set();
-
 // Concurrency guards to prevent overlapping runs that can cause double replies
-let isCheckingMentions = false;
 let isProcessingGiveaways = false;
+let isReconcilingSwaps = false;
+let isExpiringPendingActions = false;
+let isProcessingScheduledPayments = false;
+let isRefundingClaimableTransfers = false;
 
-function toIntOrNull(v) {
-  if (v === undefined || v === null || v === '') return null;
-  const n = Number(v);
-  if (!Number.isFinite(n)) return null;
-  return Math.floor(n);
-}
-
-function computeStartTimestamp({ mode, lookbackSeconds, sinceTime }) {
-  const now = Date.now();
-  const lb = Math.max(0, lookbackSeconds ?? 0);
-  if (mode === 'since') {
-    if (!sinceTime) return new Date(now - lb * 1000).toISOString();
-    const t = new Date(sinceTime);
-    if (Number.isNaN(t.getTime())) return new Date(now - lb * 1000).toISOString();
-    return t.toISOString();
-  }
-  // mode === 'fresh' or 'resume' default start is now - lookback
-  return new Date(now - lb * 1000).toISOString();
-}
-
-function loadState() {
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      const state = JSON.parse(data);
-      if (state.lastProcessedTweetTimestamp) {
-        lastProcessedTweetTimestamp = state.lastProcessedTweetTimestamp;
-        logger.info(`Loaded last processed timestamp: ${lastProcessedTweetTimestamp}`);
-      }
-      if (state.processedTweetIds) {
-        processedTweetIds = new Set(state.processedTweetIds);
-        logger.info(`Loaded ${processedTweetIds.size} processed tweet IDs.`);
-      }
-    }
-  } catch (error) {
-    logger.error('Could not load state', { error: error.message });
-  }
-}
-
-function saveState() {
-  try {
-    const state = {
-      lastProcessedTweetTimestamp,
-      processedTweetIds: Array.from(processedTweetIds)
-    };
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state));
-    logger.info(`Saved state. Last processed timestamp: ${lastProcessedTweetTimestamp}, Processed IDs: ${processedTweetIds.size}`);
-  } catch (error) {
-    logger.error('Could not save state', { error: error.message });
-  }
-}
-
-function initializeMentionCursor() {
-  // Modes:
-  // - resume (default): use saved cursor if present; if missing, start "now - lookback"
-  // - fresh: ignore saved cursor and start "now - lookback" (prevents historical backfill)
-  // - since: start at BOT_MENTIONS_START_TIME (RFC3339) or "now - lookback"
-  const modeRaw = (process.env.BOT_MENTIONS_START_MODE || 'resume').toLowerCase();
-  const mode = (modeRaw === 'fresh' || modeRaw === 'since' || modeRaw === 'resume') ? modeRaw : 'resume';
-  const lookbackSeconds =
-    toIntOrNull(process.env.BOT_MENTIONS_LOOKBACK_SECONDS) ??
-    (mode === 'fresh' ? 30 : 0); // default: 30s lookback on fresh to avoid missing just-before-start mentions
-  const sinceTime = process.env.BOT_MENTIONS_START_TIME || null;
-
-  if (mode === 'fresh') {
-    processedTweetIds = new Set();
-    lastProcessedTweetTimestamp = computeStartTimestamp({ mode, lookbackSeconds, sinceTime: null });
-    logger.warn('BOT_MENTIONS_START_MODE=fresh: starting from cursor (no historical mentions before this time)', {
-      cursor: lastProcessedTweetTimestamp,
-      lookbackSeconds,
-    });
-    saveState();
-    return;
-  }
-
-  if (mode === 'since') {
-    processedTweetIds = new Set(processedTweetIds); // keep any loaded dedupe, but not required
-    lastProcessedTweetTimestamp = computeStartTimestamp({ mode, lookbackSeconds, sinceTime });
-    logger.info('BOT_MENTIONS_START_MODE=since: starting from cursor', {
-      cursor: lastProcessedTweetTimestamp,
-      lookbackSeconds,
-      sinceTime,
-    });
-    saveState();
-    return;
-  }
-
-  // resume
-  if (!lastProcessedTweetTimestamp) {
-    lastProcessedTweetTimestamp = computeStartTimestamp({ mode, lookbackSeconds, sinceTime: null });
-    logger.info('BOT_MENTIONS_START_MODE=resume with no saved state: starting from cursor', {
-      cursor: lastProcessedTweetTimestamp,
-      lookbackSeconds,
-    });
-    saveState();
-  } else {
-    logger.info('BOT_MENTIONS_START_MODE=resume: using saved cursor', { cursor: lastProcessedTweetTimestamp });
-  }
-}
-
-async function checkMentions() {
-  if (isCheckingMentions) {
-    logger.warn('checkMentions skipped: previous run still in progress');
-    return;
-  }
-  isCheckingMentions = true;
-  try {
-    const mentions = await twitterService.getMentions(lastProcessedTweetTimestamp);
-
-    if (mentions.length > 0) {
-      // Process mentions in chronological order (oldest first)
-      const sortedMentions = mentions.sort((a, b) =>
-        new Date(a.created_at) - new Date(b.created_at)
-      );
-
-      let stateChanged = false;
-      for (const tweet of sortedMentions) {
-        try {
-          if (processedTweetIds.has(tweet.id)) {
-            logger.info('Skipping already processed tweet in main loop.', { id: tweet.id });
-            continue;
-          }
-          
-          const processed = await handleTweet(tweet, processedTweetIds);
-          if (processed) {
-            processedTweetIds.add(tweet.id);
-            lastProcessedTweetTimestamp = tweet.created_at > (lastProcessedTweetTimestamp || '') ? tweet.created_at : lastProcessedTweetTimestamp;
-            logger.info('Successfully processed tweet:', { id: tweet.id, text: tweet.text, createdAt: tweet.created_at });
-            stateChanged = true;
-          }
-        } catch (error) {
-          logger.error('Error handling tweet:', {tweetId: tweet.id, error: error.message});
-        }
-      }
-
-      if (stateChanged) {
-        saveState();
-      }
-    }
-  } catch (error) {
-    logger.error('Error checking mentions:', error);
-  } finally {
-    isCheckingMentions = false;
-  }
-}
+const GIVEAWAY_INTERVAL_SECONDS = 5 * 60;
 
 async function processGiveaways() {
   if (isProcessingGiveaways) {
@@ -173,6 +37,12 @@ async function processGiveaways() {
   }
   isProcessingGiveaways = true;
   try {
+    // Only one instance draws winners and pays out; the lease outlives the interval so it renews
+    if (!(await LeaderLockService.acquire('giveaways', GIVEAWAY_INTERVAL_SECONDS * 2))) {
+      logger.debug('processGiveaways skipped: another instance holds the giveaways lock');
+      return;
+    }
+
     // Get all active giveaways that have ended
     const activeGiveaways = await giveawayService.getActiveGiveaways();
     
@@ -193,30 +63,19 @@ async function processGiveaways() {
         }
         
         const { giveaway: updatedGiveaway, winners, noParticipants } = result;
+        // Results are announced in the creator's language
+        const language = await getLanguagePreference(updatedGiveaway.creatorTwitterUserId);
         
         if (noParticipants) {
           // No participants - just announce completion
-          const message = `🎉 Giveaway Results\n\n` +
-            `Unfortunately, no comments were found on the tweet, so no winners could be selected.\n\n` +
-            `Prize Pool: ${updatedGiveaway.totalPrizeAmount} ${updatedGiveaway.token} (returned to creator)`;
+          const message = t(language, 'giveaway_results.no_participants', {
+            total: updatedGiveaway.totalPrizeAmount,
+            token: updatedGiveaway.token
+          });
           
-          // Reply to the original giveaway tweet instead of creating a new tweet
-          let resultTweet;
-          if (updatedGiveaway.confirmationTweetId) {
-            // Reply to the confirmation tweet
-            resultTweet = await twitterService.replyToTweet(updatedGiveaway.confirmationTweetId, message);
-          } else if (updatedGiveaway.tweetId) {
-            // Reply to the original giveaway tweet
-            resultTweet = await twitterService.replyToTweet(updatedGiveaway.tweetId, message);
-          } else {
-            // Fallback to creating a new tweet if no tweet IDs are available
-            resultTweet = await twitterService.createTweet(message);
-          }
-          
-          if (resultTweet && resultTweet.data && resultTweet.data.id) {
-            updatedGiveaway.resultsTweetId = resultTweet.data.id;
-            await updatedGiveaway.save();
-          }
+          // Reply to the confirmation tweet, else the original giveaway tweet, else post a new tweet;
+          // resultsTweetId is saved once the outbound queue has posted it
+          await queueGiveawayResults(updatedGiveaway, message);
           
           logger.info('Giveaway completed with no participants', { 
             giveawayId: updatedGiveaway._id 
@@ -239,12 +98,12 @@ async function processGiveaways() {
           const successfulTransfers = transferResult.transferResults.filter(r => r.status === 'success');
           const failedTransfers = transferResult.transferResults.filter(r => r.status === 'failed');
           
-          let resultsMessage = `🎉 Giveaway Results!\n\n`;
-          resultsMessage += `💰 Prize: ${updatedGiveaway.amount} ${updatedGiveaway.token} each\n`;
-          resultsMessage += `👥 Winners Selected: ${winners.length}\n\n`;
+          let resultsMessage = t(language, 'giveaway_results.title');
+          resultsMessage += t(language, 'giveaway_results.prize', { amount: updatedGiveaway.amount, token: updatedGiveaway.token });
+          resultsMessage += t(language, 'giveaway_results.winners', { count: winners.length });
           
           if (successfulTransfers.length > 0) {
-            resultsMessage += `✅ Successfully transferred:\n`;
+            resultsMessage += t(language, 'giveaway_results.transferred');
             successfulTransfers.forEach((transfer, index) => {
               resultsMessage += `${index + 1}. @${transfer.winner} - ${transfer.amount} ${transfer.token}\n`;
               resultsMessage += `   TX: https://hyperion-testnet-explorer.metisdevops.link/tx/${transfer.txHash}\n`;
@@ -252,31 +111,17 @@ async function processGiveaways() {
           }
           
           if (failedTransfers.length > 0) {
-            resultsMessage += `\n❌ Failed transfers:\n`;
+            resultsMessage += t(language, 'giveaway_results.failed');
             failedTransfers.forEach((transfer, index) => {
               resultsMessage += `${index + 1}. @${transfer.winner} - ${transfer.error}\n`;
             });
           }
           
-          resultsMessage += `\nCongratulations to all winners! 🎊`;
-          
-          // Reply to the original giveaway tweet instead of creating a new tweet
-          let resultTweet;
-          if (updatedGiveaway.confirmationTweetId) {
-            // Reply to the confirmation tweet
-            resultTweet = await twitterService.replyToTweet(updatedGiveaway.confirmationTweetId, resultsMessage);
-          } else if (updatedGiveaway.tweetId) {
-            // Reply to the original giveaway tweet
-            resultTweet = await twitterService.replyToTweet(updatedGiveaway.tweetId, resultsMessage);
-          } else {
-            // Fallback to creating a new tweet if no tweet IDs are available
-            resultTweet = await twitterService.createTweet(resultsMessage);
-          }
+          resultsMessage += t(language, 'giveaway_results.congratulations');
           
-          if (resultTweet && resultTweet.data && resultTweet.data.id) {
-            updatedGiveaway.resultsTweetId = resultTweet.data.id;
-            await updatedGiveaway.save();
-          }
+          // Reply to the confirmation tweet, else the original giveaway tweet, else post a new tweet;
+          // resultsTweetId is saved once the outbound queue has posted it
+          await queueGiveawayResults(updatedGiveaway, resultsMessage);
           
           logger.info('Giveaway completed and results announced', {
             giveawayId: updatedGiveaway._id,
@@ -301,24 +146,258 @@ async function processGiveaways() {
   }
 }
 
+async function queueGiveawayResults(giveaway, message) {
+  await OutboundTweetService.enqueue({
+    text: message,
+    inReplyToTweetId: giveaway.confirmationTweetId || giveaway.tweetId || undefined,
+    dedupeKey: `giveaway-results:${giveaway._id}`,
+    onSent: { giveawayId: String(giveaway._id) }
+  });
+}
+
+async function reconcileSwaps() {
+  if (isReconcilingSwaps) {
+    logger.warn('reconcileSwaps skipped: previous run still in progress');
+    return;
+  }
+  isReconcilingSwaps = true;
+  try {
+    await swapReconcilerService.reconcilePending();
+  } catch (error) {
+    logger.error('Error reconciling swap transactions', { error: error.message });
+  } finally {
+    isReconcilingSwaps = false;
+  }
+}
+
+/**
+ * Tell a user about something that happened outside a request: a reply to their original tweet,
+ * or an entry in their chat history for chat requests.
+ */
+async function notifyUser({ channel, sourceId, username, twitterUserId }, message, { status, error = null, action }) {
+  if (channel === 'tweet' && sourceId) {
+    await OutboundTweetService.enqueue({ text: `@${username} ${message}`, inReplyToTweetId: sourceId });
+    return;
+  }
+  if (channel === 'dm') {
+    await OutboundTweetService.enqueue({ channel: 'dm', recipientUserId: twitterUserId, text: message });
+    return;
+  }
+  await addChatEntryToHistory(twitterUserId, {
+    tweetId: `chat_${Date.now()}`,
+    tweetText: null,
+    replyId: null,
+    replyText: message,
+    createdAt: new Date(),
+    repliedAt: new Date(),
+    status,
+    error,
+    action
+  });
+}
+
+async function expirePendingActions() {
+  if (isExpiringPendingActions) {
+    logger.warn('expirePendingActions skipped: previous run still in progress');
+    return;
+  }
+  isExpiringPendingActions = true;
+  try {
+    const expired = await PendingActionService.expireDue();
+    for (const action of expired) {
+      try {
+        const language = await getLanguagePreference(action.twitterUserId);
+        const message = t(language, 'replies.confirmation_expired', {
+          summary: action.summary,
+          minutes: PendingActionService.ttlMinutes
+        });
+        await notifyUser(action, message, { status: 'error', error: 'confirmation_expired', action: action.action });
+      } catch (error) {
+        logger.error('Failed to report expired pending action', { id: action._id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Error expiring pending actions', { error: error.message });
+  } finally {
+    isExpiringPendingActions = false;
+  }
+}
+
+async function processScheduledPayments() {
+  if (isProcessingScheduledPayments) {
+    logger.warn('processScheduledPayments skipped: previous run still in progress');
+    return;
+  }
+  isProcessingScheduledPayments = true;
+  try {
+    const due = await ScheduledPaymentService.claimDue();
+    for (const payment of due) {
+      // Recipients are stored as typed: @handles go through send, addresses and contacts through send_to_address
+      const isHandle = payment.recipient.startsWith('@');
+      const definition = getCommand(isHandle ? 'send' : 'send_to_address');
+      const params = isHandle
+        ? { recipient: payment.recipient, amount: payment.amount, token: payment.token }
+        : { address: payment.recipient, amount: payment.amount, token: payment.token };
+      const ctx = {
+        channel: payment.channel,
+        userId: payment.twitterUserId,
+        username: payment.username,
+        text: `scheduled payment ${payment.code}`,
+        sourceId: payment.sourceId,
+        createdAt: new Date()
+      };
+
+      try {
+        ctx.language = await getLanguagePreference(payment.twitterUserId);
+        // The schedule itself was confirmed when it was created; limits and balance are checked now
+        const result = await executeCommand(definition, params, ctx, { confirmed: true });
+        const updated = await ScheduledPaymentService.recordRun(payment, result);
+        logger.info('Ran scheduled payment', { id: payment._id, status: result.status, error: result.error });
+
+        let message = t(ctx.language, 'replies.scheduled_payment', { code: payment.code, result: renderText(definition, result, ctx) });
+        if (updated && updated.status === 'failed' && payment.schedule.frequency !== 'once') {
+          message += t(ctx.language, 'replies.scheduled_payment_paused', { failures: updated.consecutiveFailures });
+        }
+        await notifyUser(payment, message, { status: result.status, error: result.error, action: definition.action });
+      } catch (error) {
+        logger.error('Error running scheduled payment', { id: payment._id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Error processing scheduled payments', { error: error.message });
+  } finally {
+    isProcessingScheduledPayments = false;
+  }
+}
+
+// A deposit confirmed after the sender's reply: tell the sender it went through and the recipient they can claim it
+async function reportClaimableDeposit(transfer) {
+  const language = transfer.language || await getLanguagePreference(transfer.senderUserId);
+  const vars = { amount: transfer.amount, token: transfer.token, days: ClaimableTransferService.ttlDays };
+  await notifyUser(
+    { channel: transfer.channel, sourceId: transfer.sourceId, username: transfer.senderUsername, twitterUserId: transfer.senderUserId },
+    t(language, 'send.claimable', { ...vars, recipient: `@${transfer.recipientHandle}`, url: explorerTxUrl(transfer.depositTxHash) }),
+    { status: 'success', action: 'send' }
+  );
+  await OutboundTweetService.enqueue({
+    channel: 'dm',
+    recipientUserId: transfer.recipientUserId,
+    text: t(language, 'send.claimable_notice', { ...vars, sender: `@${transfer.senderUsername}` }),
+    dedupeKey: `claimable:${transfer._id}`
+  });
+}
+
+async function refundClaimableTransfers() {
+  if (isRefundingClaimableTransfers) {
+    logger.warn('refundClaimableTransfers skipped: previous run still in progress');
+    return;
+  }
+  isRefundingClaimableTransfers = true;
+  try {
+    // Settle or release transfers a crash or a slow transaction left locked before refunding new ones
+    const { settled, deposited } = await ClaimableTransferService.recoverStaleLocks();
+    for (const transfer of deposited) {
+      try {
+        await reportClaimableDeposit(transfer);
+      } catch (error) {
+        logger.error('Failed to report claimable transfer deposit', { id: transfer._id, error: error.message });
+      }
+    }
+    const refunded = settled.filter(transfer => transfer.status === 'refunded');
+    refunded.push(...await ClaimableTransferService.refundExpired(async userId => {
+      const wallet = await getWalletForUser(userId);
+      return wallet ? wallet.address : null;
+    }));
+    for (const transfer of refunded) {
+      try {
+        const language = transfer.language || await getLanguagePreference(transfer.senderUserId);
+        const message = t(language, 'replies.claimable_refunded', {
+          recipient: `@${transfer.recipientHandle}`,
+          amount: transfer.amount,
+          token: transfer.token,
+          days: ClaimableTransferService.ttlDays,
+          url: explorerTxUrl(transfer.payoutTxHash)
+        });
+        await notifyUser(
+          { channel: transfer.channel, sourceId: transfer.sourceId, username: transfer.senderUsername, twitterUserId: transfer.senderUserId },
+          message,
+          { status: 'success', action: 'send' }
+        );
+      } catch (error) {
+        logger.error('Failed to report refunded claimable transfer', { id: transfer._id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Error refunding claimable transfers', { error: error.message });
+  } finally {
+    isRefundingClaimableTransfers = false;
+  }
+}
+
+async function snapshotRewards() {
+  await LeaderLockService.runAsLeader(
+    'reward-snapshots',
+    rewardService.snapshotCheckIntervalSeconds * 2,
+    () => rewardService.snapshotIfNeeded()
+  );
+}
+
+// Hand leader locks over right away when a rolling deploy stops this instance
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, releasing leader locks`);
+  try {
+    await LeaderLockService.releaseAll();
+  } catch (error) {
+    logger.error('Failed to release leader locks', { error: error.message });
+  }
+  process.exit(0);
+}
+
 async function main() {
   try {
     logger.info('Starting Twitter bot...');
 
-    loadState();
-    initializeMentionCursor();
+    // In webhook mode the API server receives mentions from the Account Activity API
+    const pollingEnabled = !twitterWebhookService.isEnabled();
+    const dmPollingEnabled = pollingEnabled && isDirectMessageEnabled();
 
     // Initial checks
-    await checkMentions();
+    if (pollingEnabled) {
+      await initializeMentionState();
+      await pollMentions();
+      if (dmPollingEnabled) await pollDirectMessages();
+    } else {
+      logger.info('MENTION_INGESTION_MODE=webhook: mentions are delivered to the API server webhook, not polled');
+    }
+    // Both ingestion modes queue mentions as jobs; the bot works through them here
+    await processTweetJobs();
+    await processOutboundTweets();
     if (process.env.BOT_DISABLE_GIVEAWAYS !== '1') {
       await processGiveaways();
     } else {
       logger.info('BOT_DISABLE_GIVEAWAYS=1: skipping giveaways processing');
     }
+    if (process.env.BOT_DISABLE_SWAP_RECONCILER !== '1') {
+      await reconcileSwaps();
+    } else {
+      logger.info('BOT_DISABLE_SWAP_RECONCILER=1: skipping swap status reconciliation');
+    }
+    if (process.env.BOT_DISABLE_PENDING_ACTION_EXPIRY !== '1') {
+      await expirePendingActions();
+    }
+    if (process.env.BOT_DISABLE_SCHEDULED_PAYMENTS !== '1') {
+      await processScheduledPayments();
+    } else {
+      logger.info('BOT_DISABLE_SCHEDULED_PAYMENTS=1: skipping scheduled payments');
+    }
+    const claimableRefundsEnabled = ClaimableTransferService.isEnabled() && process.env.BOT_DISABLE_CLAIMABLE_REFUNDS !== '1';
+    if (claimableRefundsEnabled) {
+      await refundClaimableTransfers();
+    }
     if (rewardService) {
       try {
         if (process.env.BOT_DISABLE_SNAPSHOTS !== '1') {
-          await rewardService.snapshotIfNeeded();
+          await snapshotRewards();
         } else {
           logger.info('BOT_DISABLE_SNAPSHOTS=1: skipping reward snapshots');
         }
@@ -338,11 +417,42 @@ async function main() {
     }
 
     // Check for new mentions every 1.5 minute
-    setInterval(checkMentions, 90 * 1000); // 1.5 minutes
+    if (pollingEnabled) {
+      setInterval(pollMentions, 90 * 1000); // 1.5 minutes
+    }
+    if (dmPollingEnabled) {
+      setInterval(pollDirectMessages, 90 * 1000);
+    }
+
+    // Handle queued mentions and retry failed ones once their backoff has passed
+    setInterval(processTweetJobs, TweetJobService.intervalSeconds * 1000);
+
+    // Post queued replies and tweets within the Twitter rate-limit budget
+    setInterval(processOutboundTweets, OutboundTweetService.intervalSeconds * 1000);
 
     // Process giveaways every 5 minutes
     if (process.env.BOT_DISABLE_GIVEAWAYS !== '1') {
-      setInterval(processGiveaways, 5 * 60 * 1000); // 5 minutes
+      setInterval(processGiveaways, GIVEAWAY_INTERVAL_SECONDS * 1000); // 5 minutes
+    }
+
+    // Move pending swap records to their on-chain status
+    if (process.env.BOT_DISABLE_SWAP_RECONCILER !== '1') {
+      setInterval(reconcileSwaps, swapReconcilerService.intervalSeconds * 1000);
+    }
+
+    // Expire unconfirmed high-value actions and tell their authors
+    if (process.env.BOT_DISABLE_PENDING_ACTION_EXPIRY !== '1') {
+      setInterval(expirePendingActions, PendingActionService.intervalSeconds * 1000);
+    }
+
+    // Run due scheduled and recurring payments
+    if (process.env.BOT_DISABLE_SCHEDULED_PAYMENTS !== '1') {
+      setInterval(processScheduledPayments, ScheduledPaymentService.intervalSeconds * 1000);
+    }
+
+    // Send transfers nobody claimed in time back to their senders
+    if (claimableRefundsEnabled) {
+      setInterval(refundClaimableTransfers, ClaimableTransferService.intervalSeconds * 1000);
     }
 
     // Snapshot XP rewards on a configurable interval
@@ -350,7 +460,7 @@ async function main() {
       if (process.env.BOT_DISABLE_SNAPSHOTS !== '1') {
         setInterval(async () => {
           try {
-            await rewardService.snapshotIfNeeded();
+            await snapshotRewards();
           } catch (e) {
             logger.error('Reward snapshot interval failed', { error: e.message });
           }
@@ -366,6 +476,8 @@ async function main() {
 }
 
 if (require.main === module) {
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
   main();
 }
 
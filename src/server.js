@@ -4,12 +4,13 @@ require('dotenv').config();
 const { getOrCreateWalletForUser, getTweetHistoryForUser } = require('./services/privyUserService');
 const cors = require('cors');
 const { getRewardService, getRewardServiceInitError } = require('./services/rewardService');
+const { AuthService } = require('./services/authService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies; the raw body is kept for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cors());
 
 function requireAdmin(req, res) {
@@ -21,6 +22,166 @@ function requireAdmin(req, res) {
   return false;
 }
 
+// Derive the caller from the Bearer session token (or X-Twitter-User-Id in AUTH_DEV_MODE)
+function requireUser(req, res, next) {
+  const session = AuthService.authenticateRequest(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized: log in via /api/auth/twitter/login and send Authorization: Bearer <token>' });
+  }
+  req.twitterUserId = session.twitterUserId;
+  req.twitterUsername = session.username || null;
+  next();
+}
+
+// --- Twitter Account Activity webhook (MENTION_INGESTION_MODE=webhook) ---
+app.get('/api/webhooks/twitter', (req, res) => {
+  try {
+    const twitterWebhookService = require('./services/twitterWebhookService');
+    if (!twitterWebhookService.isEnabled()) return res.status(404).json({ error: 'Webhook ingestion is disabled' });
+    if (!req.query.crc_token) return res.status(400).json({ error: 'Missing crc_token' });
+    return res.json({ response_token: twitterWebhookService.crcResponse(req.query.crc_token) });
+  } catch (err) {
+    console.error('Error in /api/webhooks/twitter (CRC):', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks/twitter', (req, res) => {
+  try {
+    const twitterWebhookService = require('./services/twitterWebhookService');
+    if (!twitterWebhookService.isEnabled()) return res.status(404).json({ error: 'Webhook ingestion is disabled' });
+    if (!twitterWebhookService.verifySignature(req.rawBody, req.headers['x-twitter-webhooks-signature'])) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    const mentions = twitterWebhookService.extractMentions(req.body);
+    const { isDirectMessageEnabled } = require('./handlers/dmHandler');
+    const messages = isDirectMessageEnabled() ? twitterWebhookService.extractDirectMessages(req.body) : [];
+    // Acknowledge right away: Twitter expects a response within a few seconds
+    res.status(200).end();
+    if (mentions.length > 0) {
+      const { ingestMentions } = require('./handlers/mentionHandler');
+      ingestMentions(mentions).catch(err => console.error('Error ingesting webhook mentions:', err));
+    }
+    if (messages.length > 0) {
+      const { ingestDirectMessages } = require('./handlers/mentionHandler');
+      ingestDirectMessages(messages).catch(err => console.error('Error ingesting webhook direct messages:', err));
+    }
+  } catch (err) {
+    console.error('Error in /api/webhooks/twitter:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/webhooks/twitter/register', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const twitterWebhookService = require('./services/twitterWebhookService');
+    return res.json(await twitterWebhookService.registerWebhook());
+  } catch (err) {
+    console.error('Error in /api/admin/webhooks/twitter/register:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Admin: Tweet job queue ---
+app.get('/api/admin/jobs', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { TweetJobService } = require('./services/tweetJobService');
+    const { status, limit } = req.query;
+    if (status && !['queued', 'processing', 'completed', 'dead'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    const jobs = await TweetJobService.listJobs({ status, limit });
+    return res.json({ jobs });
+  } catch (err) {
+    console.error('Error in /api/admin/jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/jobs/:id/replay', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { TweetJobService } = require('./services/tweetJobService');
+    const job = await TweetJobService.replay(req.params.id);
+    if (!job) {
+      const existing = await TweetJobService.getJob(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Only dead jobs can be replayed (status: ${existing.status})` });
+    }
+    return res.json({ job });
+  } catch (err) {
+    console.error('Error in /api/admin/jobs/:id/replay:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/outbound-tweets/status', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { OutboundTweetService } = require('./services/outboundTweetService');
+    return res.json(await OutboundTweetService.getStatus());
+  } catch (err) {
+    console.error('Error in /api/admin/outbound-tweets/status:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Admin: Command parse paths (grammar vs LLM) ---
+app.get('/api/admin/parse-metrics', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { ParseMetricsService } = require('./services/parseMetricsService');
+    return res.json(await ParseMetricsService.getStats({ days: req.query.days || 7 }));
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid days')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in /api/admin/parse-metrics:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Auth: Twitter OAuth 2.0 (PKCE) login ---
+app.get('/api/auth/twitter/login', async (req, res) => {
+  try {
+    if (!AuthService.isOAuthConfigured()) {
+      return res.status(503).json({ error: 'Twitter login is not configured' });
+    }
+    const { url, state } = await AuthService.createLoginUrl();
+    return res.json({ url, state });
+  } catch (err) {
+    console.error('Error in /api/auth/twitter/login:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/twitter/callback', async (req, res) => {
+  try {
+    if (!AuthService.isOAuthConfigured()) {
+      return res.status(503).json({ error: 'Twitter login is not configured' });
+    }
+    const { token, expiresAt, user } = await AuthService.completeLogin({ state: req.query.state, code: req.query.code });
+    const redirectUrl = process.env.AUTH_SUCCESS_REDIRECT_URL;
+    if (redirectUrl) {
+      // Fragment, not query string, so the token stays out of server logs and Referer headers
+      return res.redirect(`${redirectUrl}#token=${encodeURIComponent(token)}&expiresAt=${encodeURIComponent(expiresAt.toISOString())}`);
+    }
+    return res.json({ token, expiresAt, user });
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid login')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in /api/auth/twitter/callback:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/session', requireUser, async (req, res) => {
+  return res.json({ twitterUserId: req.twitterUserId, username: req.twitterUsername });
+});
+
 // --- Admin: Snapshot status / manual run ---
 app.get('/api/admin/rewards/snapshot/status', async (req, res) => {
   try {
@@ -53,13 +214,141 @@ app.post('/api/admin/rewards/snapshot/run', async (req, res) => {
   }
 });
 
-// --- /api/wallet endpoint ---
-app.get('/api/wallet', async (req, res) => {
+// --- Spending limits ---
+app.get('/api/spending-limits', requireUser, async (req, res) => {
+  try {
+    const { SpendingPolicyService } = require('./services/spendingPolicyService');
+    const [policy, usage] = await Promise.all([
+      SpendingPolicyService.getEffectivePolicy(req.twitterUserId),
+      SpendingPolicyService.getUsage(req.twitterUserId)
+    ]);
+    return res.json({ policy, usage: { outflowUsd: usage.outflowUsd, recipients: usage.recipients.length } });
+  } catch (err) {
+    console.error('Error in /api/spending-limits:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/spending-policy', async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
+    if (!requireAdmin(req, res)) return;
+    const { SpendingPolicyService } = require('./services/spendingPolicyService');
+    return res.json(await SpendingPolicyService.getGlobalPolicy());
+  } catch (err) {
+    console.error('Error in /api/admin/spending-policy:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/admin/spending-policy', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { SpendingPolicyService } = require('./services/spendingPolicyService');
+    return res.json(await SpendingPolicyService.setGlobalPolicy(req.body || {}));
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid limit')) {
+      return res.status(400).json({ error: err.message });
     }
+    console.error('Error in /api/admin/spending-policy:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/spending-policy/users/:twitterUserId', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { SpendingPolicyService } = require('./services/spendingPolicyService');
+    const { twitterUserId } = req.params;
+    const [policy, usage] = await Promise.all([
+      SpendingPolicyService.getEffectivePolicy(twitterUserId),
+      SpendingPolicyService.getUsage(twitterUserId)
+    ]);
+    return res.json({ policy, usage });
+  } catch (err) {
+    console.error('Error in /api/admin/spending-policy/users/:twitterUserId:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/admin/spending-policy/users/:twitterUserId', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { SpendingPolicyService } = require('./services/spendingPolicyService');
+    const policy = await SpendingPolicyService.setUserPolicy(req.params.twitterUserId, req.body || {}, { admin: true });
+    return res.json(policy);
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid limit')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in /api/admin/spending-policy/users/:twitterUserId:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Command catalog (help and autocomplete) ---
+app.get('/api/commands', async (req, res) => {
+  try {
+    const { listCommands, describeCommand } = require('./commands');
+    const { normalizeLanguage, DEFAULT_LANGUAGE } = require('./i18n');
+    const language = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const commands = listCommands()
+      .filter(command => !command.hidden)
+      .map(command => describeCommand(command, language))
+      .filter(command => !query || [command.name, ...command.syntax, ...command.examples]
+        .some(text => text.toLowerCase().startsWith(query)));
+    res.json({ commands });
+  } catch (err) {
+    console.error('Error in /api/commands:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Token registry ---
+app.get('/api/tokens', async (req, res) => {
+  try {
+    const { TokenRegistryService } = require('./services/tokenRegistryService');
+    const tokens = await TokenRegistryService.listTokens();
+    res.json({ tokens });
+  } catch (err) {
+    console.error('Error in /api/tokens:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/tokens', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { TokenRegistryService } = require('./services/tokenRegistryService');
+    const { symbol, name, address, decimals, native, aliases } = req.body || {};
+    const token = await TokenRegistryService.upsertToken({ symbol, name, address, decimals, native, aliases });
+    res.json({ token });
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid token')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in /api/admin/tokens:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/tokens/:symbol', async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const { TokenRegistryService } = require('./services/tokenRegistryService');
+    const removed = await TokenRegistryService.removeToken(req.params.symbol);
+    if (!removed) return res.status(404).json({ error: 'Token not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/admin/tokens/:symbol:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- /api/wallet endpoint ---
+app.get('/api/wallet', requireUser, async (req, res) => {
+  try {
+    const twitterUserId = req.twitterUserId;
     // Fetch or create wallet for this Twitter user using privyUserService
     const wallet = await getOrCreateWalletForUser(twitterUserId);
     return res.json({ address: wallet.address });
@@ -70,12 +359,9 @@ app.get('/api/wallet', async (req, res) => {
 });
 
 // --- /api/wallet/export endpoint ---
-app.post('/api/wallet/export', async (req, res) => {
+app.post('/api/wallet/export', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     // Import decrypt helper and Wallet model
     const { decrypt } = require('./services/privyUserService');
     const mongoose = require('mongoose');
@@ -92,13 +378,49 @@ app.post('/api/wallet/export', async (req, res) => {
   }
 });
 
-// --- /api/history endpoint ---
-app.get('/api/history', async (req, res) => {
+// --- /api/contacts endpoints (address book) ---
+app.get('/api/contacts', requireUser, async (req, res) => {
+  try {
+    const { getContacts } = require('./services/privyUserService');
+    const contacts = await getContacts(req.twitterUserId);
+    res.json({ contacts: contacts.map(({ name, address, createdAt }) => ({ name, address, createdAt })) });
+  } catch (err) {
+    console.error('Error in /api/contacts:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/contacts', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
+    const { saveContact } = require('./services/privyUserService');
+    const { name, address } = req.body || {};
+    const contact = await saveContact(req.twitterUserId, name, address);
+    res.json({ contact: { name: contact.name, address: contact.address, createdAt: contact.createdAt } });
+  } catch (err) {
+    if (err.message && err.message.startsWith('Invalid contact')) {
+      return res.status(400).json({ error: err.message });
     }
+    console.error('Error in /api/contacts:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/contacts/:name', requireUser, async (req, res) => {
+  try {
+    const { removeContact } = require('./services/privyUserService');
+    const removed = await removeContact(req.twitterUserId, req.params.name);
+    if (!removed) return res.status(404).json({ error: 'Contact not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/contacts/:name:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- /api/history endpoint ---
+app.get('/api/history', requireUser, async (req, res) => {
+  try {
+    const twitterUserId = req.twitterUserId;
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     let history = await getTweetHistoryForUser(twitterUserId);
@@ -123,12 +445,9 @@ app.get('/api/history', async (req, res) => {
 });
 
 // Add dedicated endpoint for chat history
-app.get('/api/history/chat', async (req, res) => {
+app.get('/api/history/chat', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     const { getChatHistoryForUser } = require('./services/privyUserService');
@@ -155,19 +474,32 @@ app.get('/api/history/chat', async (req, res) => {
 // --- /api/chat endpoint ---
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, twitterUserId: bodyUserId, twitterUsername, tweetUrl } = req.body || {};
-    const headerUserId = req.headers['x-twitter-user-id'];
-    const twitterUserId = bodyUserId || headerUserId;
+    const { message, tweetUrl, sessionId } = req.body || {};
+    let twitterUserId = null;
+    let twitterUsername = null;
+
+    const session = AuthService.authenticateRequest(req);
+    if (session) {
+      twitterUserId = session.twitterUserId;
+      twitterUsername = session.username || null;
+    } else if (AuthService.devMode) {
+      // Dev mode only: act as any user named in the body
+      twitterUserId = req.body?.twitterUserId || null;
+      twitterUsername = req.body?.twitterUsername || null;
+    }
 
     if (!message || typeof message !== 'string') {
       return res.status(400).json({ error: 'Missing or invalid message' });
     }
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !/^[\w-]{1,64}$/.test(sessionId))) {
+      return res.status(400).json({ error: 'Invalid sessionId: use up to 64 letters, digits, _ or -' });
+    }
     if (!twitterUserId && !twitterUsername) {
-      return res.status(400).json({ error: 'Provide X-Twitter-User-Id header or twitterUsername in body' });
+      return res.status(401).json({ error: 'Unauthorized: log in via /api/auth/twitter/login and send Authorization: Bearer <token>' });
     }
 
     const { handleChat } = require('./handlers/chatHandler');
-    const result = await handleChat({ message, twitterUserId, twitterUsername, tweetUrl });
+    const result = await handleChat({ message, twitterUserId, twitterUsername, tweetUrl, sessionId });
 
     // Normalize HTTP status
     if (result.status === 'error') {
@@ -180,6 +512,70 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// --- /api/pending-actions endpoint ---
+app.get('/api/pending-actions', requireUser, async (req, res) => {
+  try {
+    const twitterUserId = req.twitterUserId;
+
+    const { PendingActionService } = require('./services/pendingActionService');
+    const actions = await PendingActionService.listPendingActions(twitterUserId);
+    const thresholdUsd = await PendingActionService.getThreshold(twitterUserId);
+
+    return res.json({
+      thresholdUsd,
+      actions: actions.map(a => ({
+        code: a.code,
+        action: a.action,
+        summary: a.summary,
+        valueUsd: a.valueUsd,
+        channel: a.channel,
+        createdAt: a.createdAt,
+        expiresAt: a.expiresAt
+      }))
+    });
+  } catch (err) {
+    console.error('Error in /api/pending-actions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- /api/scheduled-payments endpoints ---
+app.get('/api/scheduled-payments', requireUser, async (req, res) => {
+  try {
+    const { ScheduledPaymentService } = require('./services/scheduledPaymentService');
+    const payments = await ScheduledPaymentService.listScheduledPayments(req.twitterUserId);
+    return res.json({
+      payments: payments.map(p => ({
+        id: p.code,
+        recipient: p.recipient,
+        amount: p.amount,
+        token: p.token,
+        schedule: ScheduledPaymentService.describeSchedule(p.schedule),
+        status: p.status,
+        nextRunAt: p.nextRunAt,
+        runs: p.runs,
+        lastRunAt: p.lastRunAt,
+        lastResult: p.lastResult
+      }))
+    });
+  } catch (err) {
+    console.error('Error in /api/scheduled-payments:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/scheduled-payments/:id', requireUser, async (req, res) => {
+  try {
+    const { ScheduledPaymentService } = require('./services/scheduledPaymentService');
+    const cancelled = await ScheduledPaymentService.cancelScheduledPayment(req.twitterUserId, req.params.id);
+    if (!cancelled) return res.status(404).json({ error: 'Scheduled payment not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/scheduled-payments/:id:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // --- /api/leaderboard endpoint ---
 app.get('/api/leaderboard', async (req, res) => {
   try {
@@ -200,12 +596,9 @@ app.get('/api/leaderboard', async (req, res) => {
 });
 
 // --- /api/user/xp endpoint ---
-app.get('/api/user/xp', async (req, res) => {
+app.get('/api/user/xp', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     
     const { XPService } = require('./services/xpService');
     const xpService = new XPService();
@@ -223,12 +616,9 @@ app.get('/api/user/xp', async (req, res) => {
 });
 
 // --- /api/user/rank endpoint ---
-app.get('/api/user/rank', async (req, res) => {
+app.get('/api/user/rank', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     
     const { XPService } = require('./services/xpService');
     const xpService = new XPService();
@@ -323,12 +713,9 @@ app.get('/api/xp/stats', async (req, res) => {
 });
 
 // --- GM2 Portfolio Endpoints ---
-app.get('/api/portfolio/gm2', async (req, res) => {
+app.get('/api/portfolio/gm2', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     const { SwapTransaction } = require('./services/swapTransactionService');
     const gm2Api = require('./services/gm2ApiService');
     const gm2Hyperion = require('./services/gm2HyperionService');
@@ -376,12 +763,9 @@ app.get('/api/portfolio/gm2', async (req, res) => {
 // --- Swap Transaction Endpoints ---
 
 // GET /api/swap/transactions - Get user's swap transactions
-app.get('/api/swap/transactions', async (req, res) => {
+app.get('/api/swap/transactions', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
@@ -468,15 +852,12 @@ app.get('/api/swap/search', async (req, res) => {
 });
 
 // POST /api/swap/transactions - Create new swap transaction
-app.post('/api/swap/transactions', async (req, res) => {
+app.post('/api/swap/transactions', requireUser, async (req, res) => {
   try {
-    const twitterUserId = req.headers['x-twitter-user-id'];
-    if (!twitterUserId) {
-      return res.status(400).json({ error: 'Missing X-Twitter-User-Id header' });
-    }
+    const twitterUserId = req.twitterUserId;
     
     const { SwapTransactionService } = require('./services/swapTransactionService');
-    const swapTx = await SwapTransactionService.createSwapTransaction(req.body);
+    const swapTx = await SwapTransactionService.createSwapTransaction({ ...req.body, twitterUserId });
     
     return res.status(201).json(swapTx);
   } catch (err) {
@@ -532,6 +913,12 @@ mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopol
     console.log('Connected to MongoDB');
     app.listen(PORT, () => {
       console.log(`API server listening on port ${PORT}`);
+      const twitterWebhookService = require('./services/twitterWebhookService');
+      if (twitterWebhookService.isEnabled()) {
+        // Catch up on mentions made while the server was down; later ones arrive via the webhook
+        const { pollMentions } = require('./handlers/mentionHandler');
+        pollMentions().catch(err => console.error('Error catching up on mentions:', err));
+      }
     });
   })
   .catch((err) => {
@@ -1,29 +1,24 @@
-const { Agent } = require("alith");
 const { setupLogger } = require("../utils/logger");
+const { createProvider } = require("./llmProviders");
 
 const logger = setupLogger();
-class AlithService {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      logger.error("OPENAI_API_KEY is not set in environment variables");
-      throw new Error("OPENAI_API_KEY is not set in environment variables");
-    }
-    this.agent = new Agent({
-      model: "gpt-4",
-      preamble: `You are an AI assistant that understands user requests from tweets and translates them into a specific command format.
+
+const INTENT_PREAMBLE = `You are an AI assistant that understands user requests from tweets and translates them into a specific command format.
                 The command format is a JSON object with 'action' and 'params'.
-                'action' can be 'send', 'multi_send', 'send_to_address', 'balance', 'get_wallet_address', 'swap', 'swap_usdt_to_metis', 'greeting', 'create_wallet', 'drip', 'create_giveaway', 'xp', 'leaderboard', 'rank', 'xp_history', 'buy', 'sell', 'token_info', 'top_tokens', 'available_periods', 'check_rewards', 'claim_reward'.
+                'action' can be 'send', 'multi_send', 'split', 'tip', 'send_to_address', 'balance', 'get_wallet_address', 'swap', 'swap_usdt_to_metis', 'greeting', 'create_wallet', 'drip', 'create_giveaway', 'xp', 'leaderboard', 'rank', 'xp_history', 'buy', 'sell', 'token_info', 'top_tokens', 'available_periods', 'check_rewards', 'claim_reward', 'claim_transfer', 'confirm', 'set_confirmation_threshold', 'spending_limits', 'set_spending_limit', 'save_contact', 'list_contacts', 'remove_contact', 'schedule_payment', 'list_scheduled_payments', 'cancel_scheduled_payment', 'set_private_mode', 'set_language', 'help'.
                 
                 For 'send', 'params' should include 'recipient', 'amount', and 'token'.
-                For 'multi_send', 'params' should include 'recipients' (array), 'amount', and 'token' (when sending to multiple recipients separated by commas).
-                For 'send_to_address', 'params' should include 'address' (Ethereum address), 'amount', and 'token'.
+                For 'multi_send', 'params' should include 'recipients' (array), 'amount', and 'token' (when sending to multiple recipients separated by commas). When each recipient gets a different amount, use 'amounts' (array, in the same order as 'recipients') instead of 'amount'.
+                For 'split', params should include 'recipients' (array), 'amount' (the total to divide), 'token' and, for uneven shares, 'weights' (array of numbers or percentages, in the same order as 'recipients').
+                For 'tip', params should include 'amount' and 'token'; the recipient is the author of the tweet being replied to, so never guess one.
+                For 'send_to_address', 'params' should include 'address' (Ethereum address, or the name of a saved contact), 'amount', and 'token'. When a user sends to a plain name that is not an @handle (e.g. "cold"), use 'send_to_address' with the name as 'address'.
                 For 'balance', 'params' should include 'recipient' (the user whose balance is being requested, or empty/null for requester's own balance).
                 For 'get_wallet_address', 'params' should include 'recipient' (the user whose wallet address is being requested).
-                For 'swap', 'params' should include 'amount', 'fromToken', and 'toToken' (METIS to USDT only).
-                For 'swap_usdt_to_metis', 'params' should include 'amount' (USDT to METIS swap).
+                For 'swap', 'params' should include 'amount', 'fromToken', and 'toToken' as token symbols (any registered token, e.g. METIS, WMETIS, USDT), plus 'slippage' as a percentage number (e.g. "1" for 1%) when the user specifies one.
+                For 'swap_usdt_to_metis', 'params' should include 'amount' (USDT to METIS swap), plus 'slippage' as a percentage number when the user specifies one.
                 For 'greeting', 'params' should be empty (greetings like hello, hi, hey, etc.).
                 For 'create_wallet', 'params' should be empty (requests to create or show wallet).
-                For 'drip', 'params' should include 'address' (optional - if not provided, drip to user's own wallet).
+                For 'drip', 'params' should include 'address' (optional Ethereum address or saved contact name - if not provided, drip to user's own wallet).
                 For 'create_giveaway', 'params' should include 'tweetUrl', 'amount', 'token', 'winners', and 'duration' (e.g., "24h", "12h", "48h"). If no specific tweet URL is mentioned, use "this tweet" as the tweetUrl.
                 For 'buy', params should include 'tokenAddress' and either 'metisAmount' (e.g., 0.01) or 'usdAmount' (e.g., 5). If user writes "$" or "USD", set 'usdAmount'.
                 For 'sell', params should include 'tokenAddress' and 'tokenAmount' in token units (not wei). Support keywords like 'all'.
@@ -31,9 +26,26 @@ class AlithService {
                 For 'top_tokens', params may include 'limit' (default 10).
                 For 'available_periods', params should be empty.
                 For 'check_rewards', params should be empty.
-                For 'claim_reward', params may include 'periodId' (number) or be empty to claim the latest available.
+                For 'claim_reward', params may include 'periodId' (number) or be empty to claim the latest available. Use it only when rewards are mentioned.
+                For 'claim_transfer', params should be empty (a bare "claim", or claiming tokens, tips or transfers sent to the user).
+                For 'confirm', params should include 'code' (the confirmation code the bot sent, e.g. "confirm K7P2QX").
+                For 'set_confirmation_threshold', params should include 'amount' in USD (e.g. "set confirmation threshold to $50").
+                For 'spending_limits', params should be empty (requests to see spending or transfer limits).
+                For 'set_spending_limit', params should include 'limit' ('per_transaction', 'daily', 'recipients' or 'tokens') and 'value' (a USD amount, a number of recipients, or a comma-separated token list).
+                For 'save_contact', params should include 'address' (Ethereum address) and 'name' (e.g. "save 0x... as cold").
+                For 'list_contacts', params should be empty (requests to see saved contacts or the address book).
+                For 'remove_contact', params should include 'name' of the contact to delete.
+                For 'schedule_payment', params should include 'recipient' (@handle, Ethereum address or saved contact name), 'amount', 'token' and 'schedule' (the timing phrase as written, e.g. "every Friday", "on Dec 1", "daily at 9:00", "every month on the 1st"). Use it instead of 'send'/'send_to_address' whenever a transfer has a date or repeats.
+                For 'list_scheduled_payments', params should be empty.
+                For 'cancel_scheduled_payment', params should include 'id' (the scheduled payment ID, e.g. "A1B2C3").
+                For 'set_private_mode', params should include 'enabled' ('on' or 'off'); private mode sends balance and XP replies by DM.
+                For 'set_language', params should include 'language' (a language code or name such as "es" or "Spanish", or "auto" to reply in the language the user writes in).
+                For 'help', params may include 'command' (the command the user asks how to use, e.g. "send" or "giveaway"); leave it out to list every command.
                 
                 The user's request will be prepended with their twitter user ID.
+                Some requests start with the conversation so far and the last command, followed by "Current message:". Use them to resolve follow-ups: "make it 10" repeats the last command with amount 10, "same to @bob" repeats it with a new recipient, and a short answer such as "USDT" fills in what the bot asked for. Only output the command for the current message.
+                Leave out params the user did not give instead of guessing them (for example, don't default the token of a send); the bot asks the user for them.
+                Requests may be written in any language (for example Spanish, Portuguese, Turkish, Vietnamese or Chinese). Always answer with the English action and param names above, and copy amounts, token symbols, @handles, addresses, contact names and URLs exactly as written.
                 
                 EXAMPLES:
                 Tweet: "1455231687357390853 send 100 USDC to @user"
@@ -42,9 +54,48 @@ class AlithService {
                 Tweet: "1455231687357390853 send 10 METIS to @user1, @user2, @user3"
                 Output: { "action": "multi_send", "params": { "recipients": ["@user1", "@user2", "@user3"], "amount": "10", "token": "METIS" } }
                 
+                Tweet: "1455231687357390853 send 1 METIS to @user1, 2 to @user2"
+                Output: { "action": "multi_send", "params": { "recipients": ["@user1", "@user2"], "amounts": ["1", "2"], "token": "METIS" } }
+                
+                Tweet: "1455231687357390853 split 30 USDT between @user1 and @user2, 2/3 for @user1"
+                Output: { "action": "split", "params": { "recipients": ["@user1", "@user2"], "amount": "30", "token": "USDT", "weights": ["2", "1"] } }
+                
+                Tweet: "1455231687357390853 tip this person 1 METIS"
+                Output: { "action": "tip", "params": { "amount": "1", "token": "METIS" } }
+                
                 Tweet: "1455231687357390853 send 5 USDT to 0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C"
                 Output: { "action": "send_to_address", "params": { "address": "0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C", "amount": "5", "token": "USDT" } }
                 
+                Tweet: "1455231687357390853 send 5 USDT to cold"
+                Output: { "action": "send_to_address", "params": { "address": "cold", "amount": "5", "token": "USDT" } }
+                
+                Tweet: "1455231687357390853 save 0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C as cold"
+                Output: { "action": "save_contact", "params": { "address": "0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C", "name": "cold" } }
+                
+                Tweet: "1455231687357390853 send 1 METIS to @user every Friday"
+                Output: { "action": "schedule_payment", "params": { "recipient": "@user", "amount": "1", "token": "METIS", "schedule": "every Friday" } }
+                
+                Tweet: "1455231687357390853 send 10 USDT to 0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C on Dec 1"
+                Output: { "action": "schedule_payment", "params": { "recipient": "0x742d35Cc6632C0532C718C0a0d8A2234d8d9a53C", "amount": "10", "token": "USDT", "schedule": "on Dec 1" } }
+                
+                Tweet: "1455231687357390853 envíale 5 USDT a @user por favor"
+                Output: { "action": "send", "params": { "recipient": "@user", "amount": "5", "token": "USDT" } }
+                
+                Tweet: "1455231687357390853 quanto tenho na carteira?"
+                Output: { "action": "balance", "params": {} }
+                
+                Tweet: "1455231687357390853 @user kullanıcısına 2 METIS yolla"
+                Output: { "action": "send", "params": { "recipient": "@user", "amount": "2", "token": "METIS" } }
+                
+                Tweet: "1455231687357390853 đổi 0.5 METIS sang USDT giúp mình"
+                Output: { "action": "swap", "params": { "amount": "0.5", "fromToken": "METIS", "toToken": "USDT" } }
+                
+                Tweet: "1455231687357390853 帮我查一下@user的钱包地址"
+                Output: { "action": "get_wallet_address", "params": { "recipient": "@user" } }
+                
+                Tweet: "1455231687357390853 reply to me in Portuguese"
+                Output: { "action": "set_language", "params": { "language": "Portuguese" } }
+                
                 Tweet: "1455231687357390853 what's my balance?"
                 Output: { "action": "balance", "params": {} }
                 
@@ -60,9 +111,15 @@ class AlithService {
                 Tweet: "1455231687357390853 swap 0.1 METIS for USDT"
                 Output: { "action": "swap", "params": { "amount": "0.1", "fromToken": "METIS", "toToken": "USDT" } }
                 
+                Tweet: "1455231687357390853 swap 10 USDT for WMETIS"
+                Output: { "action": "swap", "params": { "amount": "10", "fromToken": "USDT", "toToken": "WMETIS" } }
+                
                 Tweet: "1455231687357390853 swap 100 USDT for METIS"
                 Output: { "action": "swap_usdt_to_metis", "params": { "amount": "100" } }
                 
+                Tweet: "1455231687357390853 swap 5 USDT for METIS with 1% slippage"
+                Output: { "action": "swap_usdt_to_metis", "params": { "amount": "5", "slippage": "1" } }
+                
                 Tweet: "1455231687357390853 hello"
                 Output: { "action": "greeting", "params": {} }
                 
@@ -72,6 +129,12 @@ class AlithService {
                 Tweet: "1455231687357390853 create wallet"
                 Output: { "action": "create_wallet", "params": {} }
                 
+                Tweet: "1455231687357390853 what can I do with this bot?"
+                Output: { "action": "help", "params": {} }
+                
+                Tweet: "1455231687357390853 how do giveaways work?"
+                Output: { "action": "help", "params": { "command": "giveaway" } }
+                
                 Tweet: "1516740821688537088 my wallet"
                 Output: { "action": "create_wallet", "params": {} }
                 
@@ -148,25 +211,61 @@ class AlithService {
                 Output: { "action": "top_tokens", "params": { "limit": 10 } }
                 
                 Tweet: "1455231687357390853 gm2 top tokens"
-                Output: { "action": "top_tokens", "params": { "limit": 10 } }`,
-    });
+                Output: { "action": "top_tokens", "params": { "limit": 10 } }`;
+
+// Conversational replies when no command is recognized
+const CHAT_PREAMBLE = `You are a helpful assistant for a Twitter crypto bot. If the user's tweet does not map to a supported command, reply conversationally in under 240 characters. Be friendly, informative, and suggest how to phrase supported commands (like balance, send, swap, drip, create_wallet, create_giveaway). Never output JSON. Address the user if an @handle is provided in the prompt.`;
+
+/**
+ * Command parsing and conversational replies through a configurable LLM provider (see
+ * llmProviders.js). Providers are created on first use, so importing this module needs no API key.
+ */
+class AlithService {
+  constructor() {
+    this.timeoutMs = Number(process.env.LLM_TIMEOUT_SECONDS || 20) * 1000;
+    this.preambles = { intent: INTENT_PREAMBLE, chat: CHAT_PREAMBLE };
+    this.providers = {};
+  }
+
+  getProvider(task) {
+    if (!this.providers[task]) {
+      this.providers[task] = createProvider(task, { preamble: this.preambles[task], timeoutMs: this.timeoutMs });
+    }
+    return this.providers[task];
+  }
 
-    // A separate agent for conversational replies when no command is recognized
-    this.chatAgent = new Agent({
-      model: "gpt-4",
-      preamble: `You are a helpful assistant for a Twitter crypto bot. If the user's tweet does not map to a supported command, reply conversationally in under 240 characters. Be friendly, informative, and suggest how to phrase supported commands (like balance, send, swap, drip, create_wallet, create_giveaway). Never output JSON. Address the user if an @handle is provided in the prompt.`,
+  /**
+   * Replace the provider for a task ('intent' or 'chat'), e.g. with a StubProvider in tests.
+   */
+  setProvider(task, provider) {
+    this.providers[task] = provider;
+  }
+
+  // Providers without their own timeout (the Alith SDK) are cut off here as well
+  async complete(task, prompt) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`LLM ${task} request timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
     });
+    try {
+      return await Promise.race([this.getProvider(task).complete(prompt), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   async understand(text) {
+    let response;
     try {
-      const response = await this.agent.prompt(text);
-      console.log("alith response", response);
+      response = await this.complete('intent', text);
+      logger.debug('LLM intent response', { response });
 
       // The response might not be a valid JSON object.
       // Let's try to parse it, but handle failures gracefully.
-      if (response && response.trim().startsWith('{')) {
-        return JSON.parse(response);
+      // Local models often wrap the JSON in a Markdown code fence
+      const json = typeof response === 'string' ? response.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1') : '';
+      if (json.startsWith('{')) {
+        return this.toCommand(JSON.parse(json));
       }
       logger.info('Alith response is not a JSON object, ignoring.', { response });
       return null;
@@ -176,15 +275,29 @@ class AlithService {
     }
   }
 
+  /**
+   * Keep only the { action, params } shape from the model's JSON; params are checked against the
+   * command's schema when it runs.
+   * @returns {{action: string, params: Object}|null}
+   */
+  toCommand(parsed) {
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.action !== 'string' || !parsed.action.trim()) {
+      logger.info('Alith response has no action, ignoring.', { parsed });
+      return null;
+    }
+    const params = parsed.params && typeof parsed.params === 'object' && !Array.isArray(parsed.params) ? parsed.params : {};
+    return { action: parsed.action.trim(), params };
+  }
+
   async respond(text) {
     try {
-      const reply = await this.chatAgent.prompt(text);
+      const reply = await this.complete('chat', text);
       if (typeof reply === 'string' && reply.trim().length > 0) {
         return reply.trim();
       }
       return null;
     } catch (error) {
-      logger.error("Error responding with Alith chatAgent:", { error: error.message });
+      logger.error("Error responding with Alith:", { error: error.message });
       return null;
     }
   }
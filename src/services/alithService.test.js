@@ -0,0 +1,62 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { StubProvider, OpenAICompatibleProvider, createProvider } = require('./llmProviders');
+
+describe('alithService', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...env };
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('loads without an API key and uses the stub provider under jest', async () => {
+    const alithService = require('./alithService');
+
+    expect(alithService.getProvider('intent')).toBeInstanceOf(require('./llmProviders').StubProvider);
+    await expect(alithService.understand('123 hello')).resolves.toBeNull();
+    await expect(alithService.respond('hi')).resolves.toBeNull();
+  });
+
+  it('parses fenced JSON from the intent provider and keeps only action and params', async () => {
+    const alithService = require('./alithService');
+    alithService.setProvider('intent', new StubProvider(() => '```json\n{ "action": "balance", "params": null, "note": "x" }\n```'));
+
+    await expect(alithService.understand('123 how much do I have')).resolves.toEqual({ action: 'balance', params: {} });
+  });
+
+  it('gives up on providers that take longer than the timeout', async () => {
+    process.env.LLM_TIMEOUT_SECONDS = '0.01';
+    const alithService = require('./alithService');
+    alithService.setProvider('chat', new StubProvider(() => new Promise(resolve => setTimeout(() => resolve('late'), 200))));
+
+    await expect(alithService.respond('hi')).resolves.toBeNull();
+  });
+
+  it('builds OpenAI-compatible providers with per-task models', async () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_BASE_URL = 'http://localhost:11434/v1/';
+    process.env.LLM_MODEL = 'llama3.1';
+    process.env.LLM_CHAT_MODEL = 'qwen2.5:3b';
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'Hello!' } }] } });
+
+    const provider = createProvider('chat', { preamble: 'Be nice.', timeoutMs: 5000 });
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    await expect(provider.complete('hi')).resolves.toBe('Hello!');
+    expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/v1/chat/completions', {
+      model: 'qwen2.5:3b',
+      messages: [{ role: 'system', content: 'Be nice.' }, { role: 'user', content: 'hi' }],
+      temperature: 0.7
+    }, { headers: { 'Content-Type': 'application/json' }, timeout: 5000 });
+    expect(createProvider('intent', { preamble: '', timeoutMs: 5000 }).model).toBe('llama3.1');
+  });
+});
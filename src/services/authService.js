@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TwitterApi } = require('twitter-api-v2');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+const OAUTH_SCOPES = ['tweet.read', 'users.read'];
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// PKCE verifier for an in-flight Twitter OAuth 2.0 login, removed by the TTL index
+const OAuthStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  codeVerifier: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: OAUTH_STATE_TTL_SECONDS }
+});
+
+const OAuthState = mongoose.model('OAuthState', OAuthStateSchema);
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Session handling for the HTTP API.
+ *
+ * Users log in with Twitter OAuth 2.0 (PKCE) and receive a short-lived HS256 JWT whose subject
+ * is their Twitter user ID. AUTH_DEV_MODE=1 additionally accepts the raw X-Twitter-User-Id
+ * header for local development.
+ */
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.AUTH_JWT_SECRET || null;
+    this.sessionTtlSeconds = Number(process.env.AUTH_SESSION_TTL_MINUTES || 60) * 60;
+    this.devMode = process.env.AUTH_DEV_MODE === '1';
+    this.clientId = process.env.TWITTER_CLIENT_ID || null;
+    this.clientSecret = process.env.TWITTER_CLIENT_SECRET || null;
+    this.callbackUrl = process.env.TWITTER_OAUTH_CALLBACK_URL || null;
+    if (this.devMode) {
+      logger.warn('AUTH_DEV_MODE=1: the API trusts the X-Twitter-User-Id header. Never enable this in production.');
+    }
+  }
+
+  isOAuthConfigured() {
+    return Boolean(this.jwtSecret && this.clientId && this.callbackUrl);
+  }
+
+  /**
+   * Issue a session token for a Twitter user.
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  issueSession({ twitterUserId, username }) {
+    if (!this.jwtSecret) throw new Error('AUTH_JWT_SECRET is not configured');
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: String(twitterUserId), username, iat: now, exp: now + this.sessionTtlSeconds };
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${body}`).digest());
+    return { token: `${header}.${body}.${signature}`, expiresAt: new Date(payload.exp * 1000) };
+  }
+
+  /**
+   * Verify a session token.
+   * @returns {{twitterUserId: string, username: string, expiresAt: Date}|null} null when invalid or expired
+   */
+  verifySession(token) {
+    if (!this.jwtSecret || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const [header, body, signature] = parts;
+
+    const expected = base64url(crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${body}`).digest());
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) return null;
+
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+      if (alg !== 'HS256') return null;
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.sub || !payload.exp || payload.exp * 1000 <= Date.now()) return null;
+      return { twitterUserId: payload.sub, username: payload.username, expiresAt: new Date(payload.exp * 1000) };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the caller of an API request.
+   * @returns {{twitterUserId: string, username?: string}|null}
+   */
+  authenticateRequest(req) {
+    const authHeader = req.headers.authorization || '';
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+    if (match) return this.verifySession(match[1].trim());
+
+    if (this.devMode && req.headers['x-twitter-user-id']) {
+      return { twitterUserId: String(req.headers['x-twitter-user-id']), dev: true };
+    }
+    return null;
+  }
+
+  getOAuthClient() {
+    return new TwitterApi({ clientId: this.clientId, clientSecret: this.clientSecret || undefined });
+  }
+
+  /**
+   * Start a Twitter OAuth 2.0 PKCE login.
+   * @returns {Promise<{url: string, state: string}>}
+   */
+  async createLoginUrl() {
+    if (!this.isOAuthConfigured()) throw new Error('Twitter login is not configured');
+    const { url, codeVerifier, state } = this.getOAuthClient().generateOAuth2AuthLink(this.callbackUrl, { scope: OAUTH_SCOPES });
+    await OAuthState.create({ state, codeVerifier });
+    return { url, state };
+  }
+
+  /**
+   * Finish a Twitter OAuth 2.0 login and issue a session for the authenticated user.
+   * @returns {Promise<{token: string, expiresAt: Date, user: {twitterUserId: string, username: string}}>}
+   */
+  async completeLogin({ state, code }) {
+    if (!this.isOAuthConfigured()) throw new Error('Twitter login is not configured');
+    if (!state || !code) throw new Error('Invalid login: missing state or code');
+
+    // One-shot: the verifier is removed as it is read so a state cannot be replayed
+    const saved = await OAuthState.findOneAndDelete({ state }).lean();
+    if (!saved) throw new Error('Invalid login: unknown or expired state');
+
+    const { client } = await this.getOAuthClient().loginWithOAuth2({
+      code,
+      codeVerifier: saved.codeVerifier,
+      redirectUri: this.callbackUrl
+    });
+    const { data: me } = await client.v2.me();
+    const user = { twitterUserId: me.id, username: me.username };
+    const session = this.issueSession(user);
+    logger.info('User logged in via Twitter OAuth', { twitterUserId: me.id, username: me.username });
+    return { ...session, user };
+  }
+}
+
+module.exports = {
+  OAuthState,
+  AuthService: new AuthService()
+};
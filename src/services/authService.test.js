@@ -0,0 +1,38 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+process.env.AUTH_JWT_SECRET = 'test-secret';
+process.env.AUTH_SESSION_TTL_MINUTES = '5';
+
+const { AuthService } = require('./authService');
+
+describe('AuthService sessions', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    AuthService.devMode = false;
+  });
+
+  it('issues tokens that verify to the same user', () => {
+    const { token, expiresAt } = AuthService.issueSession({ twitterUserId: '123', username: 'alice' });
+    expect(AuthService.verifySession(token)).toEqual({ twitterUserId: '123', username: 'alice', expiresAt });
+    expect(AuthService.authenticateRequest({ headers: { authorization: `Bearer ${token}` } })).toMatchObject({ twitterUserId: '123' });
+  });
+
+  it('rejects tampered and expired tokens', () => {
+    const { token } = AuthService.issueSession({ twitterUserId: '123', username: 'alice' });
+    const [header, , signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ sub: '999', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+    expect(AuthService.verifySession(`${header}.${forgedBody}.${signature}`)).toBeNull();
+
+    jest.useFakeTimers().setSystemTime(Date.now() + 6 * 60 * 1000);
+    expect(AuthService.verifySession(token)).toBeNull();
+  });
+
+  it('only trusts X-Twitter-User-Id in dev mode', () => {
+    const req = { headers: { 'x-twitter-user-id': '123' } };
+    expect(AuthService.authenticateRequest(req)).toBeNull();
+    AuthService.devMode = true;
+    expect(AuthService.authenticateRequest(req)).toMatchObject({ twitterUserId: '123' });
+  });
+});
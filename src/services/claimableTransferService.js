@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { setupLogger } = require('../utils/logger');
+const { TokenRegistryService } = require('./tokenRegistryService');
+
+const logger = setupLogger();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ERC20_TRANSFER_ABI = ['function transfer(address to, uint256 value) returns (bool)'];
+
+// Puts a locked transfer back up for claiming or refunding
+const RELEASE = { status: 'pending', claimedByUserId: null, lockedAt: null, payoutTxHash: null, payoutNonce: null };
+
+const ClaimableTransferSchema = new mongoose.Schema({
+  senderUserId: { type: String, required: true, index: true },
+  senderUsername: String,
+  recipientUserId: { type: String, required: true, index: true }, // Only this account can claim
+  recipientHandle: { type: String, required: true, lowercase: true }, // Without the @, for display
+  amount: { type: String, required: true },
+  token: { type: String, required: true },
+  depositTxHash: String, // Sender -> escrow; set once broadcast
+  channel: { type: String, enum: ['tweet', 'dm', 'chat'], required: true },
+  sourceId: String, // Tweet that sent the transfer; the refund notification replies to it
+  language: String, // Sender's reply language, used for the recipient notice and the refund
+  status: {
+    type: String,
+    enum: ['depositing', 'failed', 'pending', 'claiming', 'claimed', 'refunding', 'refunded'],
+    default: 'depositing'
+  },
+  expiresAt: { type: Date, required: true },
+  claimedByUserId: String,
+  lockedAt: Date, // When the transfer started depositing, claiming or refunding
+  payoutTxHash: String, // Escrow -> recipient on claim, escrow -> sender on refund; set once broadcast
+  payoutNonce: Number, // Escrow nonce of the payout, to tell a dropped payout from a slow one
+  lastError: String,
+  claimedAt: Date,
+  refundedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+ClaimableTransferSchema.index({ recipientUserId: 1, status: 1 });
+ClaimableTransferSchema.index({ status: 1, expiresAt: 1 });
+
+const ClaimableTransfer = mongoose.model('ClaimableTransfer', ClaimableTransferSchema);
+
+/**
+ * Transfers to @handles that don't have a wallet yet.
+ *
+ * The transfer is recorded as depositing before the sender's funds go to a bot-controlled escrow
+ * wallet (ESCROW_PRIVATE_KEY), and becomes pending for the recipient's Twitter user ID once the
+ * deposit is confirmed; recoverStaleLocks() settles deposits nobody waited out. When the
+ * recipient says "claim" the escrow pays their new wallet; transfers left unclaimed after
+ * CLAIMABLE_TRANSFER_TTL_DAYS go back to the sender. Status changes are guarded and a transfer
+ * only counts as paid once its payout receipt succeeds, so each one is paid out at most once.
+ */
+class ClaimableTransferService {
+  constructor() {
+    this.ttlDays = Number(process.env.CLAIMABLE_TRANSFER_TTL_DAYS || 7);
+    this.intervalSeconds = Number(process.env.CLAIMABLE_TRANSFER_REFUND_INTERVAL_SECONDS || 300);
+    this.receiptTimeoutSeconds = Number(process.env.CLAIMABLE_TRANSFER_RECEIPT_TIMEOUT_SECONDS || 120);
+    this.staleLockMinutes = Number(process.env.CLAIMABLE_TRANSFER_STALE_LOCK_MINUTES || 30);
+    this.escrowPrivateKey = process.env.ESCROW_PRIVATE_KEY;
+    this.escrowWallet = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.escrowPrivateKey);
+  }
+
+  getEscrowWallet() {
+    if (!this.isEnabled()) throw new Error('Claimable transfers are not configured: set ESCROW_PRIVATE_KEY');
+    if (!this.escrowWallet) {
+      const provider = new ethers.JsonRpcProvider(process.env.ETH_RPC_URL);
+      this.escrowWallet = new ethers.Wallet(this.escrowPrivateKey, provider);
+    }
+    return this.escrowWallet;
+  }
+
+  /**
+   * Address senders deposit claimable transfers to.
+   */
+  getEscrowAddress() {
+    return this.getEscrowWallet().address;
+  }
+
+  /**
+   * Wait for a transaction's receipt on the escrow's network.
+   * @throws When no receipt arrives within CLAIMABLE_TRANSFER_RECEIPT_TIMEOUT_SECONDS
+   */
+  async waitForReceipt(hash) {
+    const receipt = await this.getEscrowWallet().provider.waitForTransaction(hash, 1, this.receiptTimeoutSeconds * 1000);
+    if (!receipt) throw new Error(`Transaction ${hash} was not confirmed`);
+    return receipt;
+  }
+
+  /**
+   * Record a transfer before its deposit is sent, so a deposit is never left without a record.
+   * It stays depositing until confirmDeposit() or recoverStaleLocks() settles it.
+   */
+  async createClaimableTransfer({ senderUserId, senderUsername, recipient, recipientUserId, amount, token, channel, sourceId, language }) {
+    const transfer = await ClaimableTransfer.create({
+      senderUserId,
+      senderUsername,
+      recipientUserId,
+      recipientHandle: String(recipient).replace(/^@/, ''),
+      amount: String(amount),
+      token,
+      channel,
+      sourceId,
+      language,
+      status: 'depositing',
+      lockedAt: new Date(),
+      expiresAt: new Date(Date.now() + this.ttlDays * DAY_MS)
+    });
+    logger.info('Created claimable transfer', { id: transfer._id, senderUserId, recipient, recipientUserId, amount, token });
+    return transfer.toObject();
+  }
+
+  /**
+   * Store the hash of a transfer's deposit as soon as it is broadcast.
+   */
+  async recordDeposit(id, hash) {
+    await ClaimableTransfer.updateOne({ _id: id, status: 'depositing' }, { depositTxHash: hash });
+  }
+
+  /**
+   * Mark a transfer whose deposit was never sent as failed.
+   */
+  async failDeposit(id, message) {
+    await ClaimableTransfer.updateOne({ _id: id, status: 'depositing' }, { status: 'failed', lockedAt: null, lastError: message });
+  }
+
+  /**
+   * Make a depositing transfer claimable once its deposit succeeded; the claim window starts now.
+   */
+  async settleDeposit(id, hash) {
+    return ClaimableTransfer.findOneAndUpdate(
+      { _id: id, status: 'depositing' },
+      { status: 'pending', depositTxHash: hash, lockedAt: null, lastError: null, expiresAt: new Date(Date.now() + this.ttlDays * DAY_MS) },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Wait for a transfer's deposit to escrow and settle the transfer: pending when it succeeded,
+   * failed when it reverted.
+   * @returns {Promise<Object|null>} The pending transfer, or null when the deposit reverted
+   * @throws When the deposit wasn't confirmed in time; the transfer is left depositing
+   */
+  async confirmDeposit(id, hash) {
+    const receipt = await this.waitForReceipt(hash);
+    if (receipt.status !== 1) {
+      logger.error('Escrow deposit reverted', { id, txHash: hash });
+      await this.failDeposit(id, `Deposit ${hash} reverted`);
+      return null;
+    }
+    return this.settleDeposit(id, hash);
+  }
+
+  /**
+   * Broadcast a token amount out of the escrow wallet.
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async broadcastPayout(to, amount, token) {
+    const registered = await TokenRegistryService.requireToken(token);
+    const escrow = this.getEscrowWallet();
+    const value = ethers.parseUnits(String(amount), registered.decimals);
+    if (registered.native) return escrow.sendTransaction({ to, value });
+    const contract = new ethers.Contract(registered.address, ERC20_TRANSFER_ABI, escrow);
+    return contract.transfer(to, value);
+  }
+
+  /**
+   * Pay a locked transfer out to an address and record the outcome.
+   *
+   * The payout hash is stored as soon as it is broadcast. A payout that reverts puts the transfer
+   * back to pending; one whose receipt doesn't arrive in time stays locked until
+   * recoverStaleLocks() can tell whether it was mined.
+   * @param {Object} settled - Update applied once the payout succeeded
+   * @returns {Promise<Object|null>} The settled transfer, or null when it wasn't paid (yet)
+   */
+  async settle(locked, to, settled) {
+    let tx;
+    try {
+      tx = await this.broadcastPayout(to, locked.amount, locked.token);
+    } catch (error) {
+      logger.error('Failed to send claimable transfer payout', { id: locked._id, error: error.message });
+      await ClaimableTransfer.updateOne({ _id: locked._id }, { ...RELEASE, lastError: error.message });
+      return null;
+    }
+    await ClaimableTransfer.updateOne({ _id: locked._id }, { payoutTxHash: tx.hash, payoutNonce: tx.nonce });
+
+    let receipt;
+    try {
+      receipt = await this.waitForReceipt(tx.hash);
+    } catch (error) {
+      logger.warn('Claimable transfer payout not confirmed yet', { id: locked._id, txHash: tx.hash, error: error.message });
+      await ClaimableTransfer.updateOne({ _id: locked._id }, { lastError: error.message });
+      return null;
+    }
+    if (receipt.status !== 1) {
+      logger.error('Claimable transfer payout reverted', { id: locked._id, txHash: tx.hash });
+      await ClaimableTransfer.updateOne({ _id: locked._id }, { ...RELEASE, lastError: `Payout ${tx.hash} reverted` });
+      return null;
+    }
+    return ClaimableTransfer.findOneAndUpdate(
+      { _id: locked._id },
+      { ...settled, lastError: null },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Pay every unexpired transfer held for a Twitter user to the given wallet address.
+   *
+   * Transfers are matched by the recipient's user ID, so a handle that changes hands later
+   * doesn't take its pending transfers with it.
+   * @returns {Promise<{claimed: Object[], failed: Object[]}>} Transfers paid out, and those whose
+   *   payout failed or is still unconfirmed
+   */
+  async claimForUser(twitterUserId, address) {
+    const pending = await ClaimableTransfer.find({ recipientUserId: twitterUserId, status: 'pending', expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: 1 })
+      .lean();
+    const claimed = [];
+    const failed = [];
+    for (const transfer of pending) {
+      // Guard against a second claim or a refund landing between the find and the update
+      const locked = await ClaimableTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'claiming', claimedByUserId: twitterUserId, lockedAt: new Date() },
+        { new: true }
+      ).lean();
+      if (!locked) continue;
+      const updated = await this.settle(locked, address, { status: 'claimed', claimedAt: new Date() });
+      if (updated) claimed.push(updated);
+      else failed.push(locked);
+    }
+    if (claimed.length > 0) logger.info('Claimed transfers', { twitterUserId, count: claimed.length });
+    return { claimed, failed };
+  }
+
+  /**
+   * Send overdue unclaimed transfers back to their senders' wallets.
+   * @param {function(string): Promise<string|null>} resolveSenderAddress - Wallet address of a sender
+   * @returns {Promise<Object[]>} The transfers refunded by this call; failed refunds are retried
+   *   on the next run
+   */
+  async refundExpired(resolveSenderAddress, limit = 20) {
+    const due = await ClaimableTransfer.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+    const refunded = [];
+    for (const transfer of due) {
+      const locked = await ClaimableTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: 'pending' },
+        { status: 'refunding', lockedAt: new Date() },
+        { new: true }
+      ).lean();
+      if (!locked) continue;
+      let address;
+      try {
+        address = await resolveSenderAddress(locked.senderUserId);
+      } catch (error) {
+        logger.error('Failed to look up claimable transfer sender', { id: locked._id, error: error.message });
+      }
+      if (!address) {
+        await ClaimableTransfer.updateOne({ _id: locked._id }, { ...RELEASE, lastError: 'Sender wallet not found' });
+        continue;
+      }
+      const updated = await this.settle(locked, address, { status: 'refunded', refundedAt: new Date() });
+      if (updated) refunded.push(updated);
+    }
+    if (refunded.length > 0) logger.info('Refunded unclaimed transfers', { count: refunded.length });
+    return refunded;
+  }
+
+  /**
+   * Settle a deposit nobody waited out: pending once it was mined, failed when it reverted, was
+   * never broadcast or is no longer known to the network. Deposits still waiting to be mined are
+   * left alone.
+   * @returns {Promise<Object|null>} The transfer when it became claimable
+   */
+  async recoverDeposit(transfer) {
+    let lastError = 'Deposit was not sent';
+    if (transfer.depositTxHash) {
+      const provider = this.getEscrowWallet().provider;
+      const receipt = await provider.getTransactionReceipt(transfer.depositTxHash);
+      if (receipt && receipt.status === 1) return this.settleDeposit(transfer._id, transfer.depositTxHash);
+      if (!receipt && await provider.getTransaction(transfer.depositTxHash)) return null;
+      lastError = receipt ? `Deposit ${transfer.depositTxHash} reverted` : `Deposit ${transfer.depositTxHash} was dropped`;
+    }
+    await this.failDeposit(transfer._id, lastError);
+    return null;
+  }
+
+  /**
+   * Resolve transfers left in depositing, claiming or refunding for longer than
+   * CLAIMABLE_TRANSFER_STALE_LOCK_MINUTES by a crash or a slow transaction. Deposits are settled
+   * with recoverDeposit(). A payout that was mined is recorded as claimed or refunded; one that
+   * reverted, was never broadcast or whose nonce was taken by another transaction goes back to
+   * pending. Transactions still waiting to be mined are left alone.
+   * @returns {Promise<{settled: Object[], released: number, deposited: Object[]}>} Settled payouts
+   *   (the caller notifies refunded senders), how many went back to pending, and deposits that
+   *   became claimable (the caller notifies their recipients)
+   */
+  async recoverStaleLocks(limit = 20) {
+    const stale = await ClaimableTransfer.find({
+      status: { $in: ['depositing', 'claiming', 'refunding'] },
+      lockedAt: { $lte: new Date(Date.now() - this.staleLockMinutes * 60 * 1000) }
+    })
+      .limit(limit)
+      .lean();
+    const settled = [];
+    const deposited = [];
+    let released = 0;
+    for (const transfer of stale) {
+      const claiming = transfer.status === 'claiming';
+      try {
+        if (transfer.status === 'depositing') {
+          const pending = await this.recoverDeposit(transfer);
+          if (pending) deposited.push(pending);
+          continue;
+        }
+        let receipt = null;
+        if (transfer.payoutTxHash) {
+          const provider = this.getEscrowWallet().provider;
+          receipt = await provider.getTransactionReceipt(transfer.payoutTxHash);
+          if (!receipt) {
+            const nonce = await provider.getTransactionCount(this.getEscrowAddress(), 'latest');
+            // Not mined and its nonce still free: the payout may yet land
+            if (transfer.payoutNonce === undefined || transfer.payoutNonce === null || nonce <= transfer.payoutNonce) continue;
+          }
+        }
+        if (receipt && receipt.status === 1) {
+          const update = claiming ? { status: 'claimed', claimedAt: new Date() } : { status: 'refunded', refundedAt: new Date() };
+          const updated = await ClaimableTransfer.findOneAndUpdate(
+            { _id: transfer._id, status: transfer.status },
+            { ...update, lastError: null },
+            { new: true }
+          ).lean();
+          if (updated) settled.push(updated);
+          continue;
+        }
+        let lastError = 'Payout was not sent';
+        if (receipt) lastError = `Payout ${transfer.payoutTxHash} reverted`;
+        else if (transfer.payoutTxHash) lastError = `Payout ${transfer.payoutTxHash} was dropped`;
+        const result = await ClaimableTransfer.updateOne({ _id: transfer._id, status: transfer.status }, { ...RELEASE, lastError });
+        if (result.modifiedCount > 0) released += 1;
+      } catch (error) {
+        logger.error('Failed to recover claimable transfer', { id: transfer._id, error: error.message });
+      }
+    }
+    if (settled.length > 0 || released > 0 || deposited.length > 0) {
+      logger.info('Recovered claimable transfers', { settled: settled.length, released, deposited: deposited.length });
+    }
+    return { settled, released, deposited };
+  }
+}
+
+module.exports = {
+  ClaimableTransfer,
+  ClaimableTransferService: new ClaimableTransferService()
+};
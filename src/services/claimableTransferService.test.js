@@ -0,0 +1,119 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('./tokenRegistryService', () => ({
+  TokenRegistryService: {
+    requireToken: jest.fn(async () => ({ symbol: 'METIS', address: null, decimals: 18, native: true }))
+  }
+}));
+
+const { ClaimableTransfer, ClaimableTransferService } = require('./claimableTransferService');
+
+const query = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const list = (value) => ({ sort() { return this; }, limit() { return this; }, lean: jest.fn().mockResolvedValue(value) });
+
+describe('ClaimableTransferService', () => {
+  const transfer = { _id: 'c1', recipientUserId: 'u9', amount: '2', token: 'METIS', status: 'pending' };
+  let escrow;
+  let update;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    escrow = {
+      address: '0xescrow',
+      sendTransaction: jest.fn().mockResolvedValue({ hash: '0xpayout', nonce: 7 }),
+      provider: {
+        waitForTransaction: jest.fn(),
+        getTransactionReceipt: jest.fn(),
+        getTransactionCount: jest.fn(),
+        getTransaction: jest.fn()
+      }
+    };
+    ClaimableTransferService.escrowPrivateKey = '0xkey';
+    ClaimableTransferService.escrowWallet = escrow;
+    update = jest.spyOn(ClaimableTransfer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('only counts a claim as paid once the payout receipt succeeds', async () => {
+    jest.spyOn(ClaimableTransfer, 'find').mockReturnValue(list([transfer]));
+    jest.spyOn(ClaimableTransfer, 'findOneAndUpdate').mockImplementation((filter, change) => query({ ...transfer, ...change }));
+
+    escrow.provider.waitForTransaction.mockResolvedValue({ status: 1 });
+    const paid = await ClaimableTransferService.claimForUser('u9', '0xdave');
+    expect(ClaimableTransfer.find).toHaveBeenCalledWith(expect.objectContaining({ recipientUserId: 'u9', status: 'pending' }));
+    expect(update).toHaveBeenCalledWith({ _id: 'c1' }, { payoutTxHash: '0xpayout', payoutNonce: 7 });
+    expect(paid.claimed).toEqual([expect.objectContaining({ status: 'claimed' })]);
+
+    // A reverted payout goes back to pending
+    escrow.provider.waitForTransaction.mockResolvedValue({ status: 0 });
+    const reverted = await ClaimableTransferService.claimForUser('u9', '0xdave');
+    expect(reverted).toEqual({ claimed: [], failed: [expect.objectContaining({ _id: 'c1' })] });
+    expect(update).toHaveBeenLastCalledWith({ _id: 'c1' }, expect.objectContaining({ status: 'pending', payoutTxHash: null }));
+
+    // One that isn't confirmed in time stays locked for recovery
+    update.mockClear();
+    escrow.provider.waitForTransaction.mockRejectedValue(new Error('timeout'));
+    await ClaimableTransferService.claimForUser('u9', '0xdave');
+    expect(update).toHaveBeenLastCalledWith({ _id: 'c1' }, { lastError: 'timeout' });
+  });
+
+  it('only makes a transfer claimable once its deposit succeeds', async () => {
+    jest.spyOn(ClaimableTransfer, 'findOneAndUpdate').mockImplementation((filter, change) => query({ _id: filter._id, ...change }));
+
+    escrow.provider.waitForTransaction.mockResolvedValue({ status: 0 });
+    await expect(ClaimableTransferService.confirmDeposit('c1', '0xdeposit')).resolves.toBeNull();
+    expect(update).toHaveBeenCalledWith({ _id: 'c1', status: 'depositing' }, expect.objectContaining({ status: 'failed' }));
+
+    escrow.provider.waitForTransaction.mockResolvedValue({ status: 1 });
+    const pending = await ClaimableTransferService.confirmDeposit('c1', '0xdeposit');
+    expect(ClaimableTransfer.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'c1', status: 'depositing' }, expect.any(Object), { new: true });
+    expect(pending).toEqual(expect.objectContaining({ status: 'pending', depositTxHash: '0xdeposit' }));
+
+    // Not confirmed in time: left depositing for recoverStaleLocks
+    update.mockClear();
+    escrow.provider.waitForTransaction.mockResolvedValue(null);
+    await expect(ClaimableTransferService.confirmDeposit('c1', '0xdeposit')).rejects.toThrow('Transaction 0xdeposit was not confirmed');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('settles deposits nobody waited out', async () => {
+    const depositing = [
+      { _id: 'mined', status: 'depositing', depositTxHash: '0xa' },
+      { _id: 'reverted', status: 'depositing', depositTxHash: '0xb' },
+      { _id: 'waiting', status: 'depositing', depositTxHash: '0xc' },
+      { _id: 'dropped', status: 'depositing', depositTxHash: '0xd' },
+      { _id: 'unsent', status: 'depositing' }
+    ];
+    jest.spyOn(ClaimableTransfer, 'find').mockReturnValue(list(depositing));
+    jest.spyOn(ClaimableTransfer, 'findOneAndUpdate').mockImplementation((filter, change) => query({ _id: filter._id, ...change }));
+    escrow.provider.getTransactionReceipt.mockImplementation(async hash => ({ '0xa': { status: 1 }, '0xb': { status: 0 } })[hash] || null);
+    escrow.provider.getTransaction.mockImplementation(async hash => (hash === '0xc' ? { hash } : null));
+
+    const { deposited, released } = await ClaimableTransferService.recoverStaleLocks();
+    expect(deposited).toEqual([expect.objectContaining({ _id: 'mined', status: 'pending' })]);
+    expect(released).toBe(0);
+    expect(update.mock.calls).toEqual([
+      [{ _id: 'reverted', status: 'depositing' }, expect.objectContaining({ status: 'failed', lastError: 'Deposit 0xb reverted' })],
+      [{ _id: 'dropped', status: 'depositing' }, expect.objectContaining({ status: 'failed', lastError: 'Deposit 0xd was dropped' })],
+      [{ _id: 'unsent', status: 'depositing' }, expect.objectContaining({ status: 'failed', lastError: 'Deposit was not sent' })]
+    ]);
+  });
+
+  it('settles or releases transfers left locked', async () => {
+    const locked = [
+      { _id: 'mined', status: 'refunding', payoutTxHash: '0xa', payoutNonce: 1 },
+      { _id: 'dropped', status: 'claiming', payoutTxHash: '0xb', payoutNonce: 2 },
+      { _id: 'waiting', status: 'claiming', payoutTxHash: '0xc', payoutNonce: 5 },
+      { _id: 'unsent', status: 'claiming' }
+    ];
+    jest.spyOn(ClaimableTransfer, 'find').mockReturnValue(list(locked));
+    jest.spyOn(ClaimableTransfer, 'findOneAndUpdate').mockImplementation((filter, change) => query({ _id: filter._id, ...change }));
+    escrow.provider.getTransactionReceipt.mockImplementation(async hash => (hash === '0xa' ? { status: 1 } : null));
+    escrow.provider.getTransactionCount.mockResolvedValue(4);
+
+    const { settled, released } = await ClaimableTransferService.recoverStaleLocks();
+    expect(settled).toEqual([expect.objectContaining({ _id: 'mined', status: 'refunded' })]);
+    expect(released).toBe(2);
+    expect(update.mock.calls.map(([filter]) => filter._id)).toEqual(['dropped', 'unsent']);
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+// Recent turns and the last command of one user in one conversation (a tweet thread, a DM
+// conversation or a chat session), so follow-ups like "make it 10" can be parsed. Removed by the
+// TTL index once the conversation has been idle past expiresAt.
+const ConversationSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  channel: { type: String, enum: ['tweet', 'dm', 'chat'], required: true },
+  conversationId: { type: String, required: true },
+  twitterUserId: { type: String, required: true },
+  turns: [{
+    _id: false,
+    role: { type: String, enum: ['user', 'bot'] },
+    text: String,
+    at: Date
+  }],
+  lastCommand: {
+    action: String,
+    params: { type: mongoose.Schema.Types.Mixed },
+    at: Date
+  },
+  // Partial command waiting for the answer to a clarifying question ("Which token?")
+  pending: {
+    action: String,
+    params: { type: mongoose.Schema.Types.Mixed },
+    origin: { type: mongoose.Schema.Types.Mixed }, // The command's ctx.origin, from the asking turn
+    param: String,
+    question: String,
+    expiresAt: Date
+  },
+  // Tweets in the thread (the user's and the bot's replies), used to find the conversation of a
+  // reply when the tweet comes without a conversation_id (webhook deliveries)
+  tweetIds: [String],
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+ConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ConversationSchema.index({ tweetIds: 1 });
+
+const Conversation = mongoose.model('Conversation', ConversationSchema);
+
+const MAX_TWEET_IDS = 50;
+
+/**
+ * Conversation memory for multi-turn commands. Context is best effort: storage errors are logged
+ * and the message is parsed on its own.
+ */
+class ConversationService {
+  constructor() {
+    this.ttlMinutes = Number(process.env.CONVERSATION_TTL_MINUTES || 60);
+    this.maxTurns = Number(process.env.CONVERSATION_MAX_TURNS || 6);
+    this.clarificationTtlMinutes = Number(process.env.CLARIFICATION_TTL_MINUTES || 10);
+  }
+
+  /**
+   * @param {Object} ref
+   * @param {string} ref.channel - 'tweet', 'dm' or 'chat'
+   * @param {string} ref.conversationId - Tweet conversation ID, DM conversation ID or chat session ID
+   * @param {string} ref.userId - Twitter user ID of the author
+   * @returns {{key: string, channel: string, conversationId: string, userId: string}}
+   */
+  ref({ channel, conversationId, userId }) {
+    return { key: `${channel}:${conversationId}:${userId}`, channel, conversationId: String(conversationId), userId };
+  }
+
+  /**
+   * Conversation ID of a tweet: its conversation_id, or for webhook deliveries (which have none)
+   * the conversation of the tweet it replies to, or else the tweet itself.
+   */
+  async resolveTweetConversationId(tweet) {
+    if (tweet.conversation_id) return tweet.conversation_id;
+    const repliedTo = (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to');
+    if (repliedTo) {
+      try {
+        const conversation = await Conversation.findOne({ tweetIds: repliedTo.id }, { conversationId: 1 }).lean();
+        if (conversation) return conversation.conversationId;
+      } catch (error) {
+        logger.error('Failed to look up tweet conversation', { tweetId: tweet.id, error: error.message });
+      }
+    }
+    return tweet.id;
+  }
+
+  /**
+   * @returns {Promise<{turns: Object[], lastCommand: Object|null, pending: Object|null}|null>} null
+   *   when there is no recent conversation; pending is the unexpired partial command, if any
+   */
+  async getContext(ref) {
+    try {
+      const conversation = await Conversation.findOne({ key: ref.key, expiresAt: { $gt: new Date() } }).lean();
+      if (!conversation) return null;
+      return {
+        turns: conversation.turns || [],
+        lastCommand: conversation.lastCommand && conversation.lastCommand.action
+          ? { action: conversation.lastCommand.action, params: conversation.lastCommand.params || {} }
+          : null,
+        pending: conversation.pending && conversation.pending.action && conversation.pending.expiresAt > new Date()
+          ? {
+            action: conversation.pending.action,
+            params: conversation.pending.params || {},
+            origin: conversation.pending.origin,
+            param: conversation.pending.param,
+            question: conversation.pending.question
+          }
+          : null
+      };
+    } catch (error) {
+      logger.error('Failed to load conversation context', { key: ref.key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Append a user message and the bot's reply. Any earlier partial command is dropped unless the
+   * reply asks a new clarifying question.
+   * @param {Object} ref - From ref()
+   * @param {Object} turn
+   * @param {string} turn.userText
+   * @param {string} turn.botText
+   * @param {{action: string, params: Object}} [turn.command] - Command that was run, kept as the last command
+   * @param {{action: string, params: Object, origin?: *, param: string, question: string}} [turn.pending] -
+   *   Partial command from a needs_input result, completed by the user's next answer
+   * @param {string[]} [turn.tweetIds] - Tweets belonging to the conversation
+   */
+  async recordTurn(ref, { userText, botText, command, pending, tweetIds = [] }) {
+    const now = new Date();
+    const update = {
+      $push: {
+        turns: {
+          $each: [{ role: 'user', text: userText, at: now }, { role: 'bot', text: botText, at: now }],
+          $slice: -this.maxTurns * 2
+        }
+      },
+      $set: {
+        channel: ref.channel,
+        conversationId: ref.conversationId,
+        twitterUserId: ref.userId,
+        updatedAt: now,
+        expiresAt: new Date(now.getTime() + this.ttlMinutes * 60 * 1000)
+      }
+    };
+    if (command) update.$set.lastCommand = { action: command.action, params: command.params || {}, at: now };
+    if (pending) {
+      update.$set.pending = {
+        action: pending.action,
+        params: pending.params || {},
+        origin: pending.origin,
+        param: pending.param,
+        question: pending.question,
+        expiresAt: new Date(now.getTime() + this.clarificationTtlMinutes * 60 * 1000)
+      };
+    } else {
+      update.$unset = { pending: '' };
+    }
+    if (tweetIds.length) update.$push.tweetIds = { $each: tweetIds, $slice: -MAX_TWEET_IDS };
+    try {
+      await Conversation.updateOne({ key: ref.key }, update, { upsert: true });
+    } catch (error) {
+      logger.error('Failed to record conversation turn', { key: ref.key, error: error.message });
+    }
+  }
+
+  /**
+   * Link posted bot replies to the conversation so replies to them find it.
+   */
+  async addTweetIds(key, tweetIds) {
+    if (!tweetIds || !tweetIds.length) return;
+    try {
+      await Conversation.updateOne({ key }, { $push: { tweetIds: { $each: tweetIds, $slice: -MAX_TWEET_IDS } } });
+    } catch (error) {
+      logger.error('Failed to link tweets to conversation', { key, error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  Conversation,
+  ConversationService: new ConversationService()
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+// One record per side-effecting command run. 'started' without a result means the run was
+// interrupted and its on-chain outcome is unknown.
+const IdempotencyRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  action: String,
+  status: { type: String, enum: ['started', 'completed'], default: 'started' },
+  result: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  expiresAt: { type: Date, required: true }
+});
+IdempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', IdempotencyRecordSchema);
+
+/**
+ * Idempotency keys around commands with side effects (transfers, swaps, claims), so a retried
+ * tweet job replays the recorded result instead of moving funds again.
+ */
+class IdempotencyService {
+  constructor() {
+    this.ttlDays = Number(process.env.IDEMPOTENCY_TTL_DAYS || 30);
+  }
+
+  /**
+   * Start a keyed run.
+   * @returns {Promise<Object|null>} null when the caller should run the command, otherwise the
+   *   existing record ({ status: 'completed', result } or { status: 'started' } for an interrupted run)
+   */
+  async begin(key, action) {
+    try {
+      await IdempotencyRecord.create({
+        key,
+        action,
+        expiresAt: new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000)
+      });
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    const existing = await IdempotencyRecord.findOne({ key }).lean();
+    logger.warn('Idempotency key already used', { key, action, status: existing && existing.status });
+    return existing || { status: 'started' };
+  }
+
+  async complete(key, result) {
+    await IdempotencyRecord.updateOne(
+      { key },
+      { status: 'completed', result, completedAt: new Date() }
+    );
+  }
+}
+
+module.exports = {
+  IdempotencyRecord,
+  IdempotencyService: new IdempotencyService()
+};
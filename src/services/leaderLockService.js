@@ -0,0 +1,93 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+// Identifies this process in locks and tweet claims
+const instanceId = process.env.BOT_INSTANCE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const LeaderLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  owner: { type: String, required: true },
+  acquiredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+const LeaderLock = mongoose.model('LeaderLock', LeaderLockSchema);
+
+/**
+ * Lease-based leader election for loops that must only run on one bot instance at a time.
+ *
+ * The holder renews its lease every time it runs the loop; another instance takes over once the
+ * lease has expired (crash) or was released (graceful shutdown during a rolling deploy).
+ */
+class LeaderLockService {
+  constructor() {
+    this.instanceId = instanceId;
+    this.held = new Set();
+  }
+
+  /**
+   * Acquire or renew a named lock.
+   * @param {string} name
+   * @param {number} ttlSeconds - Lease length; keep it longer than the loop interval
+   * @returns {Promise<boolean>} true when this instance holds the lock
+   */
+  async acquire(name, ttlSeconds) {
+    const now = new Date();
+    try {
+      const lock = await LeaderLock.findOneAndUpdate(
+        { name, $or: [{ owner: this.instanceId }, { expiresAt: { $lte: now } }] },
+        {
+          $set: { owner: this.instanceId, expiresAt: new Date(now.getTime() + ttlSeconds * 1000) },
+          $setOnInsert: { acquiredAt: now }
+        },
+        { upsert: true, new: true }
+      ).lean();
+      const acquired = Boolean(lock) && lock.owner === this.instanceId;
+      if (acquired && !this.held.has(name)) {
+        logger.info('Acquired leader lock', { name, instanceId: this.instanceId });
+        this.held.add(name);
+      }
+      return acquired;
+    } catch (error) {
+      // Another instance holds an unexpired lease, so the upsert collided with its document
+      if (error.code === 11000) {
+        if (this.held.delete(name)) logger.warn('Lost leader lock', { name, instanceId: this.instanceId });
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn only if this instance holds (or can take) the named lock.
+   * @returns {Promise<boolean>} Whether fn ran
+   */
+  async runAsLeader(name, ttlSeconds, fn) {
+    if (!(await this.acquire(name, ttlSeconds))) {
+      logger.debug('Not the leader, skipping', { name });
+      return false;
+    }
+    await fn();
+    return true;
+  }
+
+  /**
+   * Release every lock held by this instance so a replacement can take over immediately.
+   */
+  async releaseAll() {
+    if (this.held.size === 0) return;
+    await LeaderLock.deleteMany({ name: { $in: Array.from(this.held) }, owner: this.instanceId });
+    logger.info('Released leader locks', { names: Array.from(this.held) });
+    this.held.clear();
+  }
+}
+
+module.exports = {
+  LeaderLock,
+  instanceId,
+  LeaderLockService: new LeaderLockService()
+};
@@ -0,0 +1,126 @@
+const axios = require('axios');
+
+/**
+ * LLM providers behind alithService. Every provider exposes complete(prompt) and resolves to the
+ * model's text reply; timeouts and error handling live in alithService.
+ *
+ * - alith: the Alith agent SDK (OpenAI by default, or any endpoint given by LLM_BASE_URL)
+ * - openai: plain OpenAI-compatible /chat/completions over HTTP, which also covers local servers
+ *   such as Ollama (http://localhost:11434/v1) and llama.cpp (http://localhost:8080/v1)
+ * - stub: deterministic replies for tests and offline development
+ */
+
+const PROVIDERS = ['alith', 'openai', 'stub'];
+const TASKS = ['intent', 'chat'];
+
+class AlithProvider {
+  constructor({ model, preamble, baseUrl, apiKey }) {
+    this.model = model;
+    this.preamble = preamble;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.agent = null;
+  }
+
+  async complete(prompt) {
+    if (!this.agent) {
+      if (!this.apiKey && !this.baseUrl) {
+        throw new Error('OPENAI_API_KEY (or LLM_API_KEY) is not set in environment variables');
+      }
+      // Loaded on first use: the SDK ships a native binary that tests and offline setups don't need
+      const { Agent } = require('alith');
+      this.agent = new Agent({
+        model: this.model,
+        preamble: this.preamble,
+        ...(this.baseUrl ? { baseUrl: this.baseUrl } : {}),
+        ...(this.apiKey ? { apiKey: this.apiKey } : {})
+      });
+    }
+    return this.agent.prompt(prompt);
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor({ model, preamble, baseUrl, apiKey, timeoutMs, temperature }) {
+    this.model = model;
+    this.preamble = preamble;
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.temperature = temperature;
+  }
+
+  async complete(prompt) {
+    const messages = [];
+    if (this.preamble) messages.push({ role: 'system', content: this.preamble });
+    messages.push({ role: 'user', content: prompt });
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: this.temperature
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      timeout: this.timeoutMs
+    });
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+}
+
+class StubProvider {
+  /**
+   * @param {function(string): (string|Promise<string>)} [reply] - Maps a prompt to the reply;
+   *   defaults to an empty reply, which reads as "no command" and "no chat reply"
+   */
+  constructor(reply = () => '') {
+    this.reply = reply;
+  }
+
+  async complete(prompt) {
+    return this.reply(prompt);
+  }
+}
+
+/**
+ * Build the provider for a task from the environment:
+ * LLM_PROVIDER (default alith, stub under jest), LLM_BASE_URL, LLM_API_KEY (falls back to
+ * OPENAI_API_KEY), LLM_MODEL (default gpt-4) with per-task LLM_INTENT_MODEL / LLM_CHAT_MODEL.
+ * @param {string} task - 'intent' (command parsing) or 'chat' (conversational replies)
+ * @param {Object} options
+ * @param {string} options.preamble - System prompt for the task
+ * @param {number} options.timeoutMs
+ */
+function createProvider(task, { preamble, timeoutMs }) {
+  if (!TASKS.includes(task)) throw new Error(`Invalid LLM task: ${task}`);
+  const name = (process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : 'alith')).toLowerCase();
+  const options = {
+    model: process.env[`LLM_${task.toUpperCase()}_MODEL`] || process.env.LLM_MODEL || 'gpt-4',
+    preamble,
+    baseUrl: process.env.LLM_BASE_URL || undefined,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || undefined,
+    timeoutMs,
+    // Command parsing should be repeatable; chat replies can vary a little
+    temperature: task === 'intent' ? 0 : 0.7
+  };
+  switch (name) {
+    case 'alith':
+      return new AlithProvider(options);
+    case 'openai':
+      return new OpenAICompatibleProvider(options);
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Invalid LLM_PROVIDER: ${name} (use ${PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  TASKS,
+  AlithProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  createProvider
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+const { instanceId } = require('./leaderLockService');
+
+const logger = setupLogger();
+
+const CURSOR_KEY = 'mentions';
+const LEGACY_STATE_FILE = path.join(__dirname, '..', '..', 'last_processed_state.json');
+
+// Where mention polling resumes from; one document per cursor key
+const MentionCursorSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  lastProcessedAt: Date,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MentionCursor = mongoose.model('MentionCursor', MentionCursorSchema);
+
+// One document per tweet: 'processing' while an instance holds the claim, 'processed' once handled.
+// Removed by the TTL index after expiresAt so the collection does not grow forever.
+const ProcessedTweetSchema = new mongoose.Schema({
+  tweetId: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['processing', 'processed'], default: 'processing' },
+  owner: String,
+  claimedAt: { type: Date, default: Date.now },
+  processedAt: Date,
+  expiresAt: { type: Date, required: true }
+});
+ProcessedTweetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ProcessedTweet = mongoose.model('ProcessedTweet', ProcessedTweetSchema);
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+/**
+ * Durable mention cursor and processed-tweet store shared by all bot instances.
+ *
+ * Each tweet is claimed atomically before it is handled, so two replicas (or the poller and the
+ * webhook) never reply to the same tweet. A claim left behind by a crashed instance can be taken
+ * over once its lease has expired.
+ */
+class MentionStateService {
+  constructor() {
+    this.retentionDays = Number(process.env.MENTION_PROCESSED_TTL_DAYS || 7);
+    this.claimLeaseSeconds = Number(process.env.MENTION_CLAIM_LEASE_SECONDS || 300);
+  }
+
+  expiresAt() {
+    return new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * @param {string} [key] - Cursor name; 'mentions' unless another source (e.g. DMs) is polled
+   * @returns {Promise<string|null>} ISO timestamp of the newest processed mention
+   */
+  async getCursor(key = CURSOR_KEY) {
+    const doc = await MentionCursor.findOne({ key }).lean();
+    return doc && doc.lastProcessedAt ? doc.lastProcessedAt.toISOString() : null;
+  }
+
+  /**
+   * Overwrite the cursor (start modes 'fresh' and 'since').
+   */
+  async setCursor(timestamp, key = CURSOR_KEY) {
+    await MentionCursor.findOneAndUpdate(
+      { key },
+      { lastProcessedAt: new Date(timestamp), updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Move the cursor forward; it never moves back when instances finish out of order.
+   */
+  async advanceCursor(timestamp, key = CURSOR_KEY) {
+    const at = new Date(timestamp);
+    try {
+      await MentionCursor.updateOne(
+        { key, $or: [{ lastProcessedAt: { $lt: at } }, { lastProcessedAt: null }] },
+        { lastProcessedAt: at, updatedAt: new Date() },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The upsert races with a newer cursor written by another instance
+      if (!isDuplicateKeyError(error)) throw error;
+    }
+  }
+
+  /**
+   * Atomically claim a tweet for processing.
+   * @returns {Promise<boolean>} true when this instance should handle the tweet
+   */
+  async claimTweet(tweetId) {
+    const now = new Date();
+    try {
+      await ProcessedTweet.create({ tweetId, owner: instanceId, claimedAt: now, expiresAt: this.expiresAt() });
+      return true;
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+    }
+    // Take over a claim whose owner died before finishing
+    const stale = await ProcessedTweet.findOneAndUpdate(
+      {
+        tweetId,
+        status: 'processing',
+        claimedAt: { $lt: new Date(now.getTime() - this.claimLeaseSeconds * 1000) }
+      },
+      { owner: instanceId, claimedAt: now },
+      { new: true }
+    ).lean();
+    if (stale) logger.warn('Took over a stale tweet claim', { tweetId });
+    return Boolean(stale);
+  }
+
+  async markProcessed(tweetId) {
+    await ProcessedTweet.updateOne(
+      { tweetId },
+      { status: 'processed', processedAt: new Date(), expiresAt: this.expiresAt() }
+    );
+  }
+
+  /**
+   * Drop this instance's claim so the tweet is retried on a later poll.
+   */
+  async releaseClaim(tweetId) {
+    await ProcessedTweet.deleteOne({ tweetId, owner: instanceId, status: 'processing' });
+  }
+
+  /**
+   * One-time import of last_processed_state.json written by earlier versions.
+   */
+  async importLegacyState(file = LEGACY_STATE_FILE) {
+    if (!fs.existsSync(file)) return false;
+    if (await MentionCursor.exists({ key: CURSOR_KEY })) return false;
+    try {
+      const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (state.lastProcessedTweetTimestamp) await this.setCursor(state.lastProcessedTweetTimestamp);
+      const ids = Array.isArray(state.processedTweetIds) ? state.processedTweetIds : [];
+      if (ids.length) {
+        const expiresAt = this.expiresAt();
+        await ProcessedTweet.bulkWrite(ids.map(tweetId => ({
+          updateOne: {
+            filter: { tweetId },
+            update: { $setOnInsert: { tweetId, status: 'processed', processedAt: new Date(), expiresAt } },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+      logger.info('Imported legacy mention state', { file, cursor: state.lastProcessedTweetTimestamp, processedIds: ids.length });
+      return true;
+    } catch (error) {
+      logger.error('Could not import legacy mention state', { file, error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  MentionCursor,
+  ProcessedTweet,
+  MentionStateService: new MentionStateService()
+};
@@ -0,0 +1,55 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+const { ProcessedTweet, MentionStateService } = require('./mentionStateService');
+const { LeaderLock, LeaderLockService } = require('./leaderLockService');
+
+const query = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('MentionStateService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a new tweet once', async () => {
+    jest.spyOn(ProcessedTweet, 'create').mockResolvedValueOnce({}).mockRejectedValueOnce(duplicateKey());
+    const takeover = jest.spyOn(ProcessedTweet, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    await expect(MentionStateService.claimTweet('100')).resolves.toBe(true);
+    await expect(MentionStateService.claimTweet('100')).resolves.toBe(false);
+    // Only claims older than the lease can be taken over
+    expect(takeover).toHaveBeenCalledWith(
+      expect.objectContaining({ tweetId: '100', status: 'processing', claimedAt: { $lt: expect.any(Date) } }),
+      expect.any(Object),
+      { new: true }
+    );
+  });
+
+  it('takes over a stale claim left by a crashed instance', async () => {
+    jest.spyOn(ProcessedTweet, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(ProcessedTweet, 'findOneAndUpdate').mockReturnValue(query({ tweetId: '100', status: 'processing' }));
+
+    await expect(MentionStateService.claimTweet('100')).resolves.toBe(true);
+  });
+});
+
+describe('LeaderLockService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    LeaderLockService.held.clear();
+  });
+
+  it('only runs the loop on the instance holding the lease', async () => {
+    jest.spyOn(LeaderLock, 'findOneAndUpdate')
+      .mockReturnValueOnce(query({ name: 'giveaways', owner: LeaderLockService.instanceId }))
+      .mockReturnValueOnce({ lean: jest.fn().mockRejectedValue(duplicateKey()) });
+    const loop = jest.fn();
+
+    await expect(LeaderLockService.runAsLeader('giveaways', 600, loop)).resolves.toBe(true);
+    await expect(LeaderLockService.runAsLeader('giveaways', 600, loop)).resolves.toBe(false);
+    expect(loop).toHaveBeenCalledTimes(1);
+    expect(LeaderLockService.held.has('giveaways')).toBe(false);
+  });
+});
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+const { instanceId } = require('./leaderLockService');
+
+const logger = setupLogger();
+
+// Tweets and DMs have separate posting budgets
+const CHANNELS = ['tweet', 'dm'];
+const RATE_LIMIT_KEYS = { tweet: 'tweets:post', dm: 'dm:post' };
+
+// Tweets, replies and direct messages waiting to be sent. dedupeKey keeps retried jobs from
+// queueing the same reply twice; onSent describes follow-up work once the tweet ID is known.
+const OutboundTweetSchema = new mongoose.Schema({
+  dedupeKey: { type: String, unique: true, sparse: true },
+  channel: { type: String, enum: CHANNELS, default: 'tweet' },
+  text: { type: String, required: true },
+  inReplyToTweetId: String,
+  recipientUserId: String, // DM recipient
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedUntil: Date,
+  history: { twitterUserId: String, tweetId: String }, // TweetHistory entry to receive the reply ID
+  onSent: { type: mongoose.Schema.Types.Mixed },
+  tweetId: String, // ID of the posted tweet (the first one of a thread)
+  tweetIds: [String], // Every posted part, so a failed thread resumes where it stopped
+  lastError: String,
+  createdAt: { type: Date, default: Date.now },
+  sentAt: Date
+});
+
+OutboundTweetSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const OutboundTweet = mongoose.model('OutboundTweet', OutboundTweetSchema);
+
+// Last known posting budget, shared by all bot instances
+const TweetRateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  limit: Number,
+  remaining: Number,
+  resetAt: Date,
+  pausedUntil: Date,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const TweetRateLimit = mongoose.model('TweetRateLimit', TweetRateLimitSchema);
+
+function headerDate(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Outbound tweet queue.
+ *
+ * Tweets are posted by the bot loop within the budget reported by the v2 rate-limit headers:
+ * when the window is used up (or Twitter answers 429) posting pauses until the reset time.
+ * 5xx and network errors are retried with backoff; other errors fail the tweet permanently.
+ */
+class OutboundTweetService {
+  constructor() {
+    this.intervalSeconds = Number(process.env.OUTBOUND_TWEET_INTERVAL_SECONDS || 5);
+    this.maxAttempts = Number(process.env.OUTBOUND_TWEET_MAX_ATTEMPTS || 8);
+    this.backoffSeconds = Number(process.env.OUTBOUND_TWEET_BACKOFF_SECONDS || 15);
+    this.maxBackoffSeconds = Number(process.env.OUTBOUND_TWEET_MAX_BACKOFF_SECONDS || 15 * 60);
+    this.batchSize = Number(process.env.OUTBOUND_TWEET_BATCH_SIZE || 10);
+    this.leaseSeconds = 120;
+  }
+
+  /**
+   * Queue a tweet. With a dedupeKey, queueing the same tweet again returns the existing entry.
+   * @param {Object} message
+   * @param {string} message.text
+   * @param {string} [message.inReplyToTweetId] - Post as a reply to this tweet
+   * @param {string} [message.channel='tweet'] - 'dm' sends a direct message to recipientUserId
+   * @param {string} [message.recipientUserId]
+   * @param {string} [message.dedupeKey]
+   * @param {Object} [message.history] - { twitterUserId, tweetId } of the TweetHistory entry to update
+   * @param {Object} [message.onSent] - Follow-up data for the sender once posted
+   */
+  async enqueue({ text, inReplyToTweetId, channel = 'tweet', recipientUserId, dedupeKey, history, onSent }) {
+    if (channel === 'dm' && !recipientUserId) throw new Error('Invalid outbound message: recipientUserId is required for DMs');
+    const doc = {
+      text,
+      channel,
+      inReplyToTweetId,
+      recipientUserId,
+      history,
+      onSent,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: new Date()
+    };
+    if (!dedupeKey) return (await OutboundTweet.create(doc)).toObject();
+    return OutboundTweet.findOneAndUpdate(
+      { dedupeKey },
+      { $setOnInsert: { dedupeKey, ...doc } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  /**
+   * Channels with budget left ('tweet', 'dm'); the others are paused until their reset time.
+   */
+  async getAvailableChannels() {
+    const paused = await TweetRateLimit.find({ pausedUntil: { $gt: new Date() } }).lean();
+    const pausedKeys = new Set(paused.map(state => state.key));
+    return CHANNELS.filter(channel => !pausedKeys.has(RATE_LIMIT_KEYS[channel]));
+  }
+
+  async claimNext(channels = CHANNELS) {
+    const now = new Date();
+    return OutboundTweet.findOneAndUpdate(
+      {
+        channel: { $in: channels },
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'sending',
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + this.leaseSeconds * 1000)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * Save the posting budget from the rate-limit headers ({ limit, remaining, reset } in epoch
+   * seconds), pausing until the reset once it is used up.
+   */
+  async recordRateLimit(rateLimit, pausedUntil = null, channel = 'tweet') {
+    if (!rateLimit && !pausedUntil) return;
+    const resetAt = rateLimit ? headerDate(rateLimit.reset) : null;
+    const exhausted = rateLimit && rateLimit.remaining <= 0 && resetAt;
+    const pause = pausedUntil || (exhausted ? resetAt : null);
+    await TweetRateLimit.updateOne(
+      { key: RATE_LIMIT_KEYS[channel] },
+      {
+        $set: {
+          ...(rateLimit ? { limit: rateLimit.limit, remaining: rateLimit.remaining, resetAt } : {}),
+          pausedUntil: pause,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    if (pause) logger.warn('Posting budget exhausted, pausing outbound queue', { channel, pausedUntil: pause });
+  }
+
+  backoffMs(attempts) {
+    return Math.min(this.backoffSeconds * 2 ** Math.max(0, attempts - 1), this.maxBackoffSeconds) * 1000;
+  }
+
+  /**
+   * When a 429 lifts: the 24h user/app limits when they are the ones used up, else the
+   * 15-minute window.
+   */
+  rateLimitResetAt(error) {
+    const headers = error.headers || {};
+    const resets = [];
+    for (const scope of ['user', 'app']) {
+      if (headers[`x-${scope}-limit-24hour-remaining`] === '0') {
+        resets.push(headerDate(headers[`x-${scope}-limit-24hour-reset`]));
+      }
+    }
+    resets.push(headerDate(error.rateLimit && error.rateLimit.reset));
+    const known = resets.filter(Boolean);
+    if (known.length) return new Date(Math.max(...known.map(d => d.getTime())));
+    return new Date(Date.now() + this.backoffMs(1));
+  }
+
+  /**
+   * Post a claimed tweet or send a claimed DM.
+   * @returns {Promise<{status: string, response?: Object}>} 'sent' with the twitter-api-v2 response,
+   *   'queued' when it will be retried or 'failed'
+   */
+  async send(message) {
+    // Loaded lazily: the API server reads queue status without Twitter credentials
+    const twitterService = require('./twitterService');
+    let response;
+    try {
+      if (message.channel === 'dm') {
+        response = await twitterService.sendDirectMessage(message.recipientUserId, message.text);
+      } else {
+        response = await twitterService.postTweet(message.text, {
+          inReplyToTweetId: message.inReplyToTweetId,
+          postedIds: message.tweetIds || [],
+          onPosted: (tweetId) => OutboundTweet.updateOne({ _id: message._id }, { $push: { tweetIds: tweetId } })
+        });
+      }
+    } catch (error) {
+      return { status: await this.recordFailure(message, error) };
+    }
+    const tweetId = response && response.data && response.data.id;
+    await OutboundTweet.updateOne(
+      { _id: message._id },
+      { status: 'sent', tweetId, sentAt: new Date(), lockedUntil: null, lastError: null }
+    );
+    if (message.channel !== 'dm') {
+      try {
+        await this.recordRateLimit(await twitterService.getPostRateLimit());
+      } catch (error) {
+        logger.error('Failed to record tweet rate limit', { error: error.message });
+      }
+    }
+    logger.info('Posted outbound message', {
+      id: message._id,
+      channel: message.channel,
+      tweetId,
+      parts: response.ids.length,
+      inReplyToTweetId: message.inReplyToTweetId
+    });
+    return { status: 'sent', response };
+  }
+
+  async recordFailure(message, error) {
+    const status = typeof error.code === 'number' ? error.code : null;
+    const retryable = status === null || status === 429 || status >= 500;
+    const update = { lastError: error.message, lockedUntil: null };
+
+    if (status === 429) {
+      const pausedUntil = this.rateLimitResetAt(error);
+      await this.recordRateLimit(error.rateLimit, pausedUntil, message.channel || 'tweet');
+      // Rate limiting says nothing about the tweet itself, so it doesn't use up an attempt
+      Object.assign(update, { status: 'queued', nextAttemptAt: pausedUntil, attempts: message.attempts - 1 });
+    } else if (retryable && message.attempts < message.maxAttempts) {
+      Object.assign(update, { status: 'queued', nextAttemptAt: new Date(Date.now() + this.backoffMs(message.attempts)) });
+    } else {
+      update.status = 'failed';
+    }
+
+    await OutboundTweet.updateOne({ _id: message._id }, update);
+    logger[update.status === 'failed' ? 'error' : 'warn']('Failed to send outbound message', {
+      id: message._id,
+      channel: message.channel,
+      inReplyToTweetId: message.inReplyToTweetId,
+      status,
+      attempts: message.attempts,
+      error: error.message,
+      nextAttemptAt: update.nextAttemptAt
+    });
+    return update.status;
+  }
+
+  /**
+   * Queue depth and posting budget for the status endpoint.
+   */
+  async getStatus() {
+    const [counts, oldest, rateLimit, dmRateLimit] = await Promise.all([
+      OutboundTweet.aggregate([
+        { $match: { status: { $in: ['queued', 'sending', 'failed'] } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      OutboundTweet.findOne({ status: 'queued' }).sort({ createdAt: 1 }).lean(),
+      TweetRateLimit.findOne({ key: RATE_LIMIT_KEYS.tweet }).lean(),
+      TweetRateLimit.findOne({ key: RATE_LIMIT_KEYS.dm }).lean()
+    ]);
+    const byStatus = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    return {
+      queued: byStatus.queued || 0,
+      sending: byStatus.sending || 0,
+      failed: byStatus.failed || 0,
+      oldestQueuedAt: oldest ? oldest.createdAt : null,
+      rateLimit: rateLimit
+        ? { limit: rateLimit.limit, remaining: rateLimit.remaining, resetAt: rateLimit.resetAt, pausedUntil: rateLimit.pausedUntil }
+        : null,
+      dmPausedUntil: dmRateLimit && dmRateLimit.pausedUntil > new Date() ? dmRateLimit.pausedUntil : null
+    };
+  }
+}
+
+module.exports = {
+  OutboundTweet,
+  TweetRateLimit,
+  OutboundTweetService: new OutboundTweetService()
+};
@@ -0,0 +1,55 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+const { OutboundTweet, TweetRateLimit, OutboundTweetService } = require('./outboundTweetService');
+
+const apiError = (code, extra = {}) => Object.assign(new Error(`Request failed with code ${code}`), { code, ...extra });
+
+describe('OutboundTweetService', () => {
+  const message = { _id: 'm1', inReplyToTweetId: '100', attempts: 1, maxAttempts: 8 };
+  let update;
+  let rateLimit;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    update = jest.spyOn(OutboundTweet, 'updateOne').mockResolvedValue({});
+    rateLimit = jest.spyOn(TweetRateLimit, 'updateOne').mockResolvedValue({});
+  });
+
+  it('pauses until the rate-limit reset on 429 without using up an attempt', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 600;
+    const status = await OutboundTweetService.recordFailure(message, apiError(429, {
+      rateLimit: { limit: 200, remaining: 0, reset }
+    }));
+
+    expect(status).toBe('queued');
+    expect(update).toHaveBeenCalledWith({ _id: 'm1' }, expect.objectContaining({
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date(reset * 1000)
+    }));
+    expect(rateLimit).toHaveBeenCalledWith(
+      { key: 'tweets:post' },
+      { $set: expect.objectContaining({ remaining: 0, pausedUntil: new Date(reset * 1000) }) },
+      { upsert: true }
+    );
+  });
+
+  it('waits for the 24-hour limit when that is the one used up', () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const error = apiError(429, {
+      rateLimit: { limit: 200, remaining: 150, reset: Math.floor(Date.now() / 1000) + 60 },
+      headers: { 'x-user-limit-24hour-remaining': '0', 'x-user-limit-24hour-reset': String(reset) }
+    });
+
+    expect(OutboundTweetService.rateLimitResetAt(error)).toEqual(new Date(reset * 1000));
+  });
+
+  it('retries server errors with backoff and fails on other client errors', async () => {
+    await expect(OutboundTweetService.recordFailure(message, apiError(503))).resolves.toBe('queued');
+    await expect(OutboundTweetService.recordFailure({ ...message, attempts: 8 }, apiError(503))).resolves.toBe('failed');
+    await expect(OutboundTweetService.recordFailure(message, apiError(403))).resolves.toBe('failed');
+    expect(rateLimit).not.toHaveBeenCalled();
+  });
+});
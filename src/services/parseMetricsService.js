@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+const PARSE_PATHS = ['grammar', 'clarification', 'follow_up', 'llm', 'fallback', 'none'];
+
+// Daily counters of how commands were parsed: the command grammar, an answer to a clarifying
+// question, a follow-up to the previous command, the LLM, the keyword fallback, or not at all
+const ParseMetricSchema = new mongoose.Schema({
+  day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+  path: { type: String, enum: PARSE_PATHS, required: true },
+  action: { type: String, default: null },
+  channel: { type: String, default: null },
+  count: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+ParseMetricSchema.index({ day: 1, path: 1, action: 1, channel: 1 }, { unique: true });
+
+const ParseMetric = mongoose.model('ParseMetric', ParseMetricSchema);
+
+class ParseMetricsService {
+  /**
+   * Count one parsed message. Failures are logged and never block command handling.
+   * @param {string} path - One of PARSE_PATHS
+   * @param {string|null} action - Parsed action, null when nothing was parsed
+   * @param {string} [channel] - 'tweet', 'dm' or 'chat'
+   */
+  async record(path, action, channel) {
+    try {
+      const now = new Date();
+      await ParseMetric.updateOne(
+        { day: now.toISOString().slice(0, 10), path, action: action || null, channel: channel || null },
+        { $inc: { count: 1 }, $set: { updatedAt: now } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to record parse metric', { path, action, error: error.message });
+    }
+  }
+
+  /**
+   * Parse path counts for the last `days` days (today included).
+   * @returns {Promise<{since: string, totals: Object, byAction: Object[], byDay: Object[]}>}
+   */
+  async getStats({ days = 7 } = {}) {
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > 90) {
+      throw new Error('Invalid days: use a whole number between 1 and 90');
+    }
+    const since = new Date(Date.now() - (dayCount - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const metrics = await ParseMetric.find({ day: { $gte: since } }).lean();
+
+    const emptyCounts = () => Object.fromEntries(PARSE_PATHS.map(path => [path, 0]));
+    const totals = emptyCounts();
+    const actions = new Map();
+    const daysById = new Map();
+    for (const metric of metrics) {
+      totals[metric.path] += metric.count;
+      if (metric.action) {
+        if (!actions.has(metric.action)) actions.set(metric.action, { action: metric.action, ...emptyCounts() });
+        actions.get(metric.action)[metric.path] += metric.count;
+      }
+      if (!daysById.has(metric.day)) daysById.set(metric.day, { day: metric.day, ...emptyCounts() });
+      daysById.get(metric.day)[metric.path] += metric.count;
+    }
+    return {
+      since,
+      totals,
+      byAction: Array.from(actions.values()).sort((a, b) => a.action.localeCompare(b.action)),
+      byDay: Array.from(daysById.values()).sort((a, b) => a.day.localeCompare(b.day))
+    };
+  }
+}
+
+module.exports = {
+  PARSE_PATHS,
+  ParseMetric,
+  ParseMetricsService: new ParseMetricsService()
+};
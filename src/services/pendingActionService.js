@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+const priceService = require('./priceService');
+
+const logger = setupLogger();
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes survive being retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const PendingActionSchema = new mongoose.Schema({
+  code: { type: String, required: true, uppercase: true },
+  twitterUserId: { type: String, required: true, index: true },
+  username: String,
+  action: { type: String, required: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  origin: { type: mongoose.Schema.Types.Mixed }, // The command's ctx.origin, resolved from the requesting tweet
+  channel: { type: String, enum: ['tweet', 'dm', 'chat'], required: true },
+  sourceId: String, // Tweet ID (or chat message ID) that requested the action
+  summary: String,
+  valueUsd: Number, // Estimated value at request time; null when it could not be priced
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'expired'],
+    default: 'pending'
+  },
+  result: { type: mongoose.Schema.Types.Mixed }, // { status, error } of the executed command
+  expiresAt: { type: Date, required: true },
+  confirmedAt: Date,
+  expiredAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+PendingActionSchema.index({ twitterUserId: 1, code: 1 });
+PendingActionSchema.index({ status: 1, expiresAt: 1 });
+
+const PendingAction = mongoose.model('PendingAction', PendingActionSchema);
+
+const ConfirmationSettingSchema = new mongoose.Schema({
+  twitterUserId: { type: String, required: true, unique: true },
+  thresholdUsd: { type: Number, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const ConfirmationSetting = mongoose.model('ConfirmationSetting', ConfirmationSettingSchema);
+
+/**
+ * Two-step confirmation for high-value commands.
+ *
+ * Commands whose estimated value exceeds the user's threshold are stored as pending actions with
+ * a short code and only run once the same user sends "confirm <code>" before expiresAt.
+ */
+class PendingActionService {
+  constructor() {
+    this.thresholdUsd = Number(process.env.CONFIRMATION_THRESHOLD_USD || 100);
+    this.ttlMinutes = Number(process.env.PENDING_ACTION_TTL_MINUTES || 10);
+    this.intervalSeconds = Number(process.env.PENDING_ACTION_EXPIRY_INTERVAL_SECONDS || 60);
+  }
+
+  /**
+   * Effective confirmation threshold in USD for a user.
+   */
+  async getThreshold(twitterUserId) {
+    const setting = await ConfirmationSetting.findOne({ twitterUserId }).lean();
+    return setting ? setting.thresholdUsd : this.thresholdUsd;
+  }
+
+  /**
+   * Set a per-user threshold. Users can only lower it below the global threshold.
+   */
+  async setUserThreshold(twitterUserId, thresholdUsd) {
+    const value = Number(thresholdUsd);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error('Invalid threshold: use a non-negative USD amount');
+    }
+    if (value > this.thresholdUsd) {
+      throw new Error(`Invalid threshold: it cannot be higher than the global limit of $${this.thresholdUsd}`);
+    }
+    await ConfirmationSetting.findOneAndUpdate(
+      { twitterUserId },
+      { thresholdUsd: value, updatedAt: new Date() },
+      { upsert: true }
+    );
+    logger.info('Updated confirmation threshold', { twitterUserId, thresholdUsd: value });
+    return value;
+  }
+
+  /**
+   * Decide whether a command needs confirmation. Values that cannot be priced always do.
+   * @returns {Promise<{required: boolean, valueUsd: number|null, thresholdUsd: number}>}
+   */
+  async checkConfirmation(twitterUserId, legs) {
+    const [valueUsd, thresholdUsd] = await Promise.all([
+      priceService.estimateUsdValue(legs),
+      this.getThreshold(twitterUserId)
+    ]);
+    const required = valueUsd === null || valueUsd > thresholdUsd;
+    return { required, valueUsd, thresholdUsd };
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    return code;
+  }
+
+  async createPendingAction({ twitterUserId, username, action, params, origin, channel, sourceId, summary, valueUsd }) {
+    const pending = await PendingAction.create({
+      code: this.generateCode(),
+      twitterUserId,
+      username,
+      action,
+      params,
+      origin,
+      channel,
+      sourceId,
+      summary,
+      valueUsd,
+      expiresAt: new Date(Date.now() + this.ttlMinutes * 60 * 1000)
+    });
+    logger.info('Created pending action', { id: pending._id, twitterUserId, action, valueUsd });
+    return pending;
+  }
+
+  /**
+   * Atomically claim an unexpired pending action for execution, so a code can only run once.
+   * @returns {Promise<Object|null>} The claimed action, or null when none matches
+   */
+  async claimPendingAction(twitterUserId, code) {
+    return PendingAction.findOneAndUpdate(
+      {
+        twitterUserId,
+        code: String(code).toUpperCase(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      },
+      { status: 'confirmed', confirmedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+
+  async findPendingAction(twitterUserId, code) {
+    return PendingAction.findOne({ twitterUserId, code: String(code).toUpperCase() })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async recordResult(id, result) {
+    await PendingAction.updateOne(
+      { _id: id },
+      { result: { status: result.status, error: result.error || null } }
+    );
+  }
+
+  async listPendingActions(twitterUserId) {
+    return PendingAction.find({ twitterUserId, status: 'pending', expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Mark overdue pending actions as expired.
+   * @returns {Promise<Object[]>} The actions expired by this call
+   */
+  async expireDue(limit = 50) {
+    const due = await PendingAction.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+    const expired = [];
+    for (const action of due) {
+      // Guard against a confirmation landing between the find and the update
+      const updated = await PendingAction.findOneAndUpdate(
+        { _id: action._id, status: 'pending' },
+        { status: 'expired', expiredAt: new Date() },
+        { new: true }
+      ).lean();
+      if (updated) expired.push(updated);
+    }
+    if (expired.length > 0) {
+      logger.info('Expired pending actions', { count: expired.length });
+    }
+    return expired;
+  }
+}
+
+module.exports = {
+  PendingAction,
+  ConfirmationSetting,
+  PendingActionService: new PendingActionService()
+};
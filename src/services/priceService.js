@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { parseUnits, formatUnits } = require('viem');
 const { setupLogger } = require('../utils/logger');
 
 const logger = setupLogger();
@@ -30,6 +31,77 @@ class PriceService {
     const price = await this.getMetisUsdPrice();
     return Number(metisAmount) * price;
   }
+
+  /**
+   * Value an amount of a registry token in USDT from the Sushi router, on a direct pool or
+   * through WMETIS. The quote is scaled back up by its price impact so large amounts are valued
+   * at the pool's spot price, not at what selling them would fetch.
+   * @returns {Promise<number|null>} null when the token isn't registered or has no route to USDT
+   */
+  async quoteTokenUsd(token, amount) {
+    const { TokenRegistryService } = require('./tokenRegistryService');
+    const { quoteSushiSwap } = require('./privyUserService');
+    const [registered, usdt] = await Promise.all([TokenRegistryService.getToken(token), TokenRegistryService.getToken('USDT')]);
+    if (!registered || !registered.address || !usdt || !usdt.address) return null;
+    if (Number(amount) === 0) return 0;
+
+    const amountIn = parseUnits(Number(amount).toFixed(registered.decimals), registered.decimals);
+    const paths = [[registered.address, usdt.address]];
+    try {
+      const wrapped = await TokenRegistryService.getWrappedNative();
+      if (wrapped.address !== registered.address) paths.push([registered.address, wrapped.address, usdt.address]);
+    } catch (error) {
+      logger.debug('No wrapped native token to route the price quote through', { error: error.message });
+    }
+
+    let best = null;
+    for (const path of paths) {
+      try {
+        const quote = await quoteSushiSwap(amountIn, path);
+        if (!best || quote.amountOut > best.amountOut) best = quote;
+      } catch (error) {
+        logger.debug('No price quote for path', { token, path, error: error.message });
+      }
+    }
+    if (!best) return null;
+    const quoted = Number(formatUnits(best.amountOut, usdt.decimals));
+    return best.priceImpact < 1 ? quoted / (1 - best.priceImpact) : quoted;
+  }
+
+  /**
+   * Estimate the USD value of a list of token amounts.
+   * @param {{token: string, amount: number|string}[]} legs - 'USD' legs are taken at face value;
+   *   METIS is priced from CoinGecko and other registry tokens from the router (quoteTokenUsd)
+   * @returns {Promise<number|null>} null when any leg cannot be priced
+   */
+  async estimateUsdValue(legs) {
+    let total = 0;
+    for (const { token, amount } of legs) {
+      const value = Number(amount);
+      if (!Number.isFinite(value)) return null;
+      const symbol = String(token || 'METIS').toUpperCase();
+      if (symbol === 'USD' || symbol === 'USDT') {
+        total += value;
+      } else if (symbol === 'METIS' || symbol === 'TMETIS' || symbol === 'WMETIS') {
+        try {
+          total += await this.convertMetisToUsd(value);
+        } catch (error) {
+          logger.warn('Could not price METIS amount', { error: error.message });
+          return null;
+        }
+      } else {
+        let usd = null;
+        try {
+          usd = await this.quoteTokenUsd(token, value);
+        } catch (error) {
+          logger.warn('Could not price token amount', { token: symbol, error: error.message });
+        }
+        if (usd === null) return null;
+        total += usd;
+      }
+    }
+    return total;
+  }
 }
 
 module.exports = new PriceService();
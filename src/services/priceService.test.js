@@ -0,0 +1,49 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('axios', () => ({ get: jest.fn(async () => ({ data: { 'metis-token': { usd: 20 } } })) }));
+jest.mock('./tokenRegistryService', () => {
+  const tokens = {
+    METIS: { symbol: 'METIS', address: null, decimals: 18, native: true },
+    WMETIS: { symbol: 'WMETIS', address: '0xwmetis', decimals: 18 },
+    USDT: { symbol: 'USDT', address: '0xusdt', decimals: 6 },
+    USDC: { symbol: 'USDC', address: '0xusdc', decimals: 6 },
+    WETH: { symbol: 'WETH', address: '0xweth', decimals: 18 }
+  };
+  return {
+    TokenRegistryService: {
+      getToken: jest.fn(async (symbol) => tokens[String(symbol).toUpperCase()] || null),
+      getWrappedNative: jest.fn(async () => tokens.WMETIS)
+    }
+  };
+});
+jest.mock('./privyUserService', () => ({ quoteSushiSwap: jest.fn() }));
+
+const priceService = require('./priceService');
+const { quoteSushiSwap } = require('./privyUserService');
+
+describe('priceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('values registry tokens from the router quote to USDT', async () => {
+    // USDC has a direct pool; WETH only routes through WMETIS
+    quoteSushiSwap.mockImplementation(async (amountIn, path) => {
+      if (path.join() === '0xusdc,0xusdt') return { amountOut: 9990000n, priceImpact: 0.001 };
+      if (path.join() === '0xweth,0xwmetis,0xusdt') return { amountOut: 3000000000n, priceImpact: 0 };
+      throw new Error('Swap failed: No liquidity for this pair');
+    });
+
+    expect(await priceService.estimateUsdValue([{ token: 'USDC', amount: '10' }])).toBeCloseTo(10);
+    expect(quoteSushiSwap).toHaveBeenCalledWith(10000000n, ['0xusdc', '0xusdt']);
+    expect(await priceService.estimateUsdValue([{ token: 'WETH', amount: 1 }, { token: 'METIS', amount: 2 }])).toBeCloseTo(3040);
+  });
+
+  it('cannot value tokens that are unregistered or have no route to USDT', async () => {
+    quoteSushiSwap.mockRejectedValue(new Error('Swap failed: No liquidity for this pair'));
+    expect(await priceService.estimateUsdValue([{ token: 'WETH', amount: '1' }])).toBeNull();
+    expect(await priceService.estimateUsdValue([{ token: 'DOGE', amount: '1' }])).toBeNull();
+    expect(quoteSushiSwap).toHaveBeenCalledTimes(2);
+  });
+});
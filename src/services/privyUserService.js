@@ -2,9 +2,10 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const { createViemAccount } = require('@privy-io/server-auth/viem');
-const { createWalletClient, http, parseEther, encodeFunctionData } = require('viem');
+const { createWalletClient, http, parseEther, parseUnits, formatUnits, encodeFunctionData } = require('viem');
 const privy = require('./privyService');
 const { setupLogger } = require('../utils/logger');
+const { isValidEthereumAddress } = require('../utils/addressValidator');
 const logger = setupLogger();
 
 // --- MongoDB Setup ---
@@ -20,10 +21,26 @@ const WalletSchema = new mongoose.Schema({
   address: String,
   encryptedPrivateKey: String, // Encrypted!
   username: String, // New field
+  privateMode: { type: Boolean, default: false }, // reply to balance/xp lookups by DM instead of in public
+  language: { type: String, default: null }, // reply language chosen by the user; null follows each message
   createdAt: { type: Date, default: Date.now }
 });
 const Wallet = mongoose.model('Wallet', WalletSchema);
 
+// Address book: named addresses saved by a user, usable wherever a recipient address is expected
+const ContactSchema = new mongoose.Schema({
+  twitterUserId: { type: String, required: true },
+  name: { type: String, required: true, lowercase: true, trim: true },
+  address: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+ContactSchema.index({ twitterUserId: 1, name: 1 }, { unique: true });
+const Contact = mongoose.model('Contact', ContactSchema);
+
+const CONTACT_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/i;
+const MAX_CONTACTS = 100;
+
 const TweetSchema = new mongoose.Schema({
   id: { type: String, unique: true },
   text: String,
@@ -42,7 +59,9 @@ const TweetHistorySchema = new mongoose.Schema({
       createdAt: Date,
       repliedAt: Date,
       status: String, // e.g. 'success', 'error'
-      error: String // optional
+      error: String, // optional
+      replyStatus: String, // 'queued', 'sent' or 'failed' for replies posted through the outbound queue
+      replyIds: [String] // every tweet of a threaded reply; replyId is the first one
     }
   ]
 });
@@ -179,6 +198,45 @@ async function getWalletByUsername(username) {
   return Wallet.findOne({ username });
 }
 
+function isValidContactName(name) {
+  return typeof name === 'string' && CONTACT_NAME_PATTERN.test(name.trim()) && !/^0x/i.test(name.trim());
+}
+
+// Save (or overwrite) a named address in the user's address book
+async function saveContact(twitterUserId, name, address) {
+  if (!isValidContactName(name)) {
+    throw new Error('Invalid contact name: use 1-32 letters, digits, "-" or "_", starting with a letter');
+  }
+  if (!isValidEthereumAddress(address)) {
+    throw new Error(`Invalid contact address: ${address}`);
+  }
+  const normalized = name.trim().toLowerCase();
+  const exists = await Contact.exists({ twitterUserId, name: normalized });
+  if (!exists && (await Contact.countDocuments({ twitterUserId })) >= MAX_CONTACTS) {
+    throw new Error(`Invalid contact: address book is full (${MAX_CONTACTS} contacts)`);
+  }
+  return Contact.findOneAndUpdate(
+    { twitterUserId, name: normalized },
+    { address, updatedAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+async function getContacts(twitterUserId) {
+  return Contact.find({ twitterUserId }).sort({ name: 1 }).lean();
+}
+
+async function getContact(twitterUserId, name) {
+  if (!isValidContactName(name)) return null;
+  return Contact.findOne({ twitterUserId, name: name.trim().toLowerCase() }).lean();
+}
+
+async function removeContact(twitterUserId, name) {
+  if (!isValidContactName(name)) return false;
+  const result = await Contact.deleteOne({ twitterUserId, name: name.trim().toLowerCase() });
+  return result.deletedCount > 0;
+}
+
 async function getBalance(address) {
   const { ethers } = require('ethers');
   const provider = new ethers.JsonRpcProvider(process.env.ETH_RPC_URL);
@@ -203,14 +261,13 @@ async function getTokenBalance(address, tokenAddress, decimals = 18) {
 
 // Enhanced balance function that returns both METIS and USDT balances
 async function getEnhancedBalance(address) {
-  const USDT_ADDRESS = '0x3c099e287ec71b4aa61a7110287d715389329237'; // USDT token address
-  const USDT_DECIMALS = 6; // USDT typically uses 6 decimals
-  
   try {
+    const { TokenRegistryService } = require('./tokenRegistryService');
+    const usdt = await TokenRegistryService.requireToken('USDT');
     // Get both balances in parallel for better performance
     const [metisBalance, usdtBalance] = await Promise.all([
       getBalance(address), // Get native METIS balance
-      getTokenBalance(address, USDT_ADDRESS, USDT_DECIMALS) // Get USDT balance
+      getTokenBalance(address, usdt.address, usdt.decimals) // Get USDT balance
     ]);
     
     return {
@@ -278,19 +335,24 @@ async function sendTransaction(walletId, to, amount) {
   }
 }
 
-// New function to send USDT tokens
+// Send USDT tokens
 async function sendUSDTTransaction(walletId, to, amount) {
+  const { TokenRegistryService } = require('./tokenRegistryService');
+  const usdt = await TokenRegistryService.requireToken('USDT');
+  return sendErc20Transaction(walletId, to, amount, usdt);
+}
+
+// Send any ERC-20 token from the token registry
+async function sendErc20Transaction(walletId, to, amount, token) {
   try {
-    console.log('sendUSDTTransaction called with:', { walletId, to, amount });
+    console.log('sendErc20Transaction called with:', { walletId, to, amount, token: token.symbol });
     
-    const USDT_ADDRESS = '0x3c099e287ec71b4aa61a7110287d715389329237';
-    const USDT_DECIMALS = 6;
     const { ethers } = require('ethers');
     
     const walletDoc = await Wallet.findOne({ walletId });
     if (!walletDoc) throw new Error('Wallet not found for walletId: ' + walletId);
     
-    console.log('Found wallet for USDT transaction:', { address: walletDoc.address, walletId });
+    console.log('Found wallet for token transaction:', { address: walletDoc.address, walletId });
   
   const address = walletDoc.address;
   const account = await createViemAccount({ walletId, address, privy });
@@ -327,8 +389,8 @@ async function sendUSDTTransaction(walletId, to, amount) {
     "type": "function"
   }];
   
-  // Convert amount to the correct decimal format for USDT (6 decimals)
-  const amountInWei = ethers.parseUnits(amount.toString(), USDT_DECIMALS);
+  // Convert amount to the token's decimal format
+  const amountInWei = ethers.parseUnits(amount.toString(), token.decimals);
   
   // Encode the transfer function call
   const transferData = encodeFunctionData({
@@ -338,16 +400,16 @@ async function sendUSDTTransaction(walletId, to, amount) {
   });
   
     // Send the contract transaction
-    console.log('Sending USDT transaction:', { to, amount: amountInWei.toString(), contractAddress: USDT_ADDRESS });
+    console.log('Sending token transaction:', { to, amount: amountInWei.toString(), contractAddress: token.address });
     const hash = await client.sendTransaction({
-      to: USDT_ADDRESS,
+      to: token.address,
       data: transferData,
     });
     
-    console.log('USDT transaction sent successfully:', { hash });
+    console.log('Token transaction sent successfully:', { hash, token: token.symbol });
     return { hash };
   } catch (error) {
-    console.error('Error in sendUSDTTransaction:', error);
+    console.error('Error in sendErc20Transaction:', error);
     throw error;
   }
 }
@@ -367,17 +429,17 @@ async function getChatHistoryForUser(twitterUserId) {
   return doc ? doc.history : [];
 }
 
-// Enhanced send function that supports both METIS and USDT
+// Send native METIS or any ERC-20 token from the token registry
 async function sendTokenTransaction(walletId, to, amount, token = 'METIS') {
-  const normalizedToken = token.toUpperCase();
-  
-  if (normalizedToken === 'METIS' || normalizedToken === 'METIS' || normalizedToken === 'TMETIS') {
+  const { TokenRegistryService } = require('./tokenRegistryService');
+  const registered = await TokenRegistryService.getToken(token);
+  if (!registered) {
+    throw new Error(`Unsupported token: ${token}.`);
+  }
+  if (registered.native) {
     return await sendTransaction(walletId, to, amount);
-  } else if (normalizedToken === 'USDT') {
-    return await sendUSDTTransaction(walletId, to, amount);
-  } else {
-    throw new Error(`Unsupported token: ${token}. Only METIS and USDT are supported.`);
   }
+  return await sendErc20Transaction(walletId, to, amount, registered);
 }
 
 async function sendContractTransaction(walletId, transaction) {
@@ -414,267 +476,383 @@ async function sendContractTransaction(walletId, transaction) {
   return { hash };
 }
 
-async function swapMetisToUSDTWithSushi(walletId, amountInMetis, slippage = 0.005) {
-  // Metis Hyperion DEX configuration based on successful transaction analysis
-  const DEX_ROUTER = '0xa1cf48c109f8b5eee38b406591fe27f11f685a1f'; // The working router
-  const WETH = '0x94765a5ad79ae18c6913449bf008a0b5f247d301'; // Wrapped ETH token
-  const USDT = '0x3c099e287ec71b4aa61a7110287d715389329237'; // USDT token
+const SUSHI_ROUTER = (process.env.DEX_ROUTER_ADDRESS || '0xa1cf48c109f8b5eee38b406591fe27f11f685a1f').toLowerCase();
+const MAX_SLIPPAGE = Number(process.env.SWAP_MAX_SLIPPAGE || 0.05); // 5%
+const MAX_PRICE_IMPACT = Number(process.env.SWAP_MAX_PRICE_IMPACT || 0.05); // 5%
 
-  // Router ABI for swapExactETHForTokens
-  const ROUTER_ABI = [
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
-        { "internalType": "address[]", "name": "path", "type": "address[]" },
-        { "internalType": "address", "name": "to", "type": "address" },
-        { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-      ],
-      "name": "swapExactETHForTokens",
-      "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
-      "stateMutability": "payable",
-      "type": "function"
+const SUSHI_ROUTER_ABI = [
+  {
+    "inputs": [
+      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
+      { "internalType": "address[]", "name": "path", "type": "address[]" }
+    ],
+    "name": "getAmountsOut",
+    "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
+      { "internalType": "address[]", "name": "path", "type": "address[]" },
+      { "internalType": "address", "name": "to", "type": "address" },
+      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
+    ],
+    "name": "swapExactETHForTokens",
+    "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
+      { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
+      { "internalType": "address[]", "name": "path", "type": "address[]" },
+      { "internalType": "address", "name": "to", "type": "address" },
+      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
+    ],
+    "name": "swapExactTokensForETH",
+    "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
+      { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
+      { "internalType": "address[]", "name": "path", "type": "address[]" },
+      { "internalType": "address", "name": "to", "type": "address" },
+      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
+    ],
+    "name": "swapExactTokensForTokens",
+    "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+
+const ERC20_ALLOWANCE_ABI = [
+  {
+    "inputs": [
+      { "internalType": "address", "name": "owner", "type": "address" },
+      { "internalType": "address", "name": "spender", "type": "address" }
+    ],
+    "name": "allowance",
+    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "address", "name": "spender", "type": "address" },
+      { "internalType": "uint256", "name": "amount", "type": "uint256" }
+    ],
+    "name": "approve",
+    "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+
+function getPublicClient() {
+  const { createPublicClient } = require('viem');
+  const metisChain = {
+    id: Number(process.env.CHAIN_ID),
+    name: 'Metis',
+    network: 'metis',
+    nativeCurrency: { name: 'Metis', symbol: 'tMETIS', decimals: 18 },
+    rpcUrls: {
+      default: { http: [process.env.ETH_RPC_URL] },
+      public: { http: [process.env.ETH_RPC_URL] },
+    },
+  };
+  return createPublicClient({ chain: metisChain, transport: http(process.env.ETH_RPC_URL) });
+}
+
+/**
+ * Quote a swap on the Sushi router and estimate its price impact.
+ *
+ * Price impact compares the quoted rate with the rate for a tiny probe trade, so the pool fee
+ * cancels out and no pair reserves have to be read.
+ * @param {bigint} amountIn - Input amount in token units
+ * @param {string[]} path - Router path
+ * @returns {Promise<{amountOut: bigint, priceImpact: number}>}
+ */
+async function quoteSushiSwap(amountIn, path) {
+  const publicClient = getPublicClient();
+  const getAmountOut = async (amount) => {
+    const amounts = await publicClient.readContract({
+      address: SUSHI_ROUTER,
+      abi: SUSHI_ROUTER_ABI,
+      functionName: 'getAmountsOut',
+      args: [amount, path]
+    });
+    return amounts[amounts.length - 1];
+  };
+
+  const amountOut = await getAmountOut(amountIn);
+  if (amountOut === 0n) throw new Error('Swap failed: No liquidity for this pair');
+
+  const probeIn = amountIn / 10000n > 0n ? amountIn / 10000n : 1n;
+  const probeOut = await getAmountOut(probeIn);
+  let priceImpact = 0;
+  if (probeOut > 0n) {
+    // Computed in millionths to keep bigint precision
+    const spotOut = probeOut * amountIn / probeIn;
+    priceImpact = spotOut > amountOut ? Number((spotOut - amountOut) * 1000000n / spotOut) / 1000000 : 0;
+  }
+  return { amountOut, priceImpact };
+}
+
+/**
+ * Quote candidate router paths, pick the best one and derive the minimum output for the
+ * requested slippage. Throws when slippage is out of range, no path has liquidity or the
+ * price impact exceeds SWAP_MAX_PRICE_IMPACT.
+ * @param {bigint} amountIn
+ * @param {string[][]} paths - Candidate router paths
+ * @param {number} slippage - Fraction (0.01 = 1%)
+ * @returns {Promise<{path: string[], amountOut: bigint, amountOutMin: bigint, priceImpact: number}>}
+ */
+async function getSwapAmountOutMin(amountIn, paths, slippage) {
+  if (!(slippage > 0) || slippage > MAX_SLIPPAGE) {
+    throw new Error(`Invalid slippage: ${+(slippage * 100).toFixed(2)}%. Use a value above 0% and up to ${+(MAX_SLIPPAGE * 100).toFixed(2)}%.`);
+  }
+
+  let best = null;
+  for (const path of paths) {
+    try {
+      const quote = await quoteSushiSwap(amountIn, path);
+      if (!best || quote.amountOut > best.amountOut) best = { path, ...quote };
+    } catch (error) {
+      logger.debug('No quote for swap path', { path, error: error.message });
     }
-  ];
+  }
+  if (!best) throw new Error('Swap failed: No liquidity for this pair');
+
+  if (best.priceImpact > MAX_PRICE_IMPACT) {
+    throw new Error(`Price impact too high: ${(best.priceImpact * 100).toFixed(2)}% exceeds the ${+(MAX_PRICE_IMPACT * 100).toFixed(2)}% limit. Try a smaller amount.`);
+  }
+  const slippageBps = BigInt(Math.round(slippage * 10000));
+  const amountOutMin = best.amountOut * (10000n - slippageBps) / 10000n;
+  logger.info('Swap quote', { path: best.path, amountIn: amountIn.toString(), amountOut: best.amountOut.toString(), amountOutMin: amountOutMin.toString(), priceImpact: best.priceImpact });
+  return { ...best, amountOutMin };
+}
+
+async function ensureTokenAllowance(walletId, owner, tokenAddress, spender, amount) {
+  const publicClient = getPublicClient();
+  const currentAllowance = await publicClient.readContract({
+    address: tokenAddress,
+    abi: ERC20_ALLOWANCE_ABI,
+    functionName: 'allowance',
+    args: [owner, spender]
+  });
+  if (currentAllowance >= amount) {
+    logger.info('Token allowance sufficient', { tokenAddress, currentAllowance: currentAllowance.toString() });
+    return;
+  }
+
+  logger.info('Token allowance insufficient, sending approval transaction...', {
+    tokenAddress,
+    currentAllowance: currentAllowance.toString(),
+    requiredAmount: amount.toString()
+  });
+  const approvalData = encodeFunctionData({
+    abi: ERC20_ALLOWANCE_ABI,
+    functionName: 'approve',
+    args: [spender, amount]
+  });
+  const { hash } = await sendContractTransaction(walletId, { to: tokenAddress, data: approvalData, value: '0' });
+  await publicClient.waitForTransactionReceipt({ hash, timeout: 60000 });
+}
+
+/**
+ * Swap any two registered tokens through the Sushi router.
+ *
+ * Native METIS is routed as WMETIS. Pairs without a direct pool are routed via WMETIS; when
+ * both routes exist the one with the better quote wins.
+ * @param {string} walletId - Privy wallet ID
+ * @param {string} fromToken - Symbol, alias or address in the token registry
+ * @param {string} toToken - Symbol, alias or address in the token registry
+ * @param {string|number} amount - Input amount in whole token units
+ * @param {number} [slippage] - Fraction (0.01 = 1%)
+ * @returns {Promise<{hash: string, fromToken: string, toToken: string, route: string[], amountOutMin: string, priceImpact: number}>}
+ */
+async function swap(walletId, fromToken, toToken, amount, slippage = 0.005) {
+  const { TokenRegistryService } = require('./tokenRegistryService');
+  const from = await TokenRegistryService.requireToken(fromToken);
+  const to = await TokenRegistryService.requireToken(toToken);
+  const wrapped = await TokenRegistryService.getWrappedNative();
+
+  const fromAddress = from.native ? wrapped.address : from.address;
+  const toAddress = to.native ? wrapped.address : to.address;
+  if (fromAddress === toAddress) {
+    throw new Error(`Cannot swap ${from.symbol} for ${to.symbol}: wrapping and same-token swaps are not supported`);
+  }
 
-  // 1. Get sender wallet address
   const walletDoc = await Wallet.findOne({ walletId });
   if (!walletDoc) throw new Error('Wallet not found for walletId: ' + walletId);
   const sender = walletDoc.address;
 
-  // 2. Prepare swap parameters
-  const amountIn = parseEther(amountInMetis.toString());
-  // Use a much lower minimum output to avoid INSUFFICIENT_OUTPUT_AMOUNT errors
-  const amountOutMin = BigInt('0x1'); // 1 wei minimum (very low to ensure success)
-  const deadline = BigInt(Math.floor(Date.now() / 1000) + 300); // 5 minutes from now
-  const path = [WETH, USDT]; // METIS -> WETH -> USDT path
+  const amountIn = parseUnits(amount.toString(), from.decimals);
+  if (amountIn <= 0n) throw new Error('Swap amount must be greater than 0');
 
-  // 3. Encode the swapExactETHForTokens function call
-  const data = encodeFunctionData({
-    abi: ROUTER_ABI,
-    functionName: 'swapExactETHForTokens',
-    args: [amountOutMin, path, sender, deadline]
-  });
+  if (!from.native) {
+    const balance = await getTokenBalance(sender, from.address, from.decimals);
+    if (parseUnits(balance, from.decimals) < amountIn) {
+      throw new Error(`Insufficient ${from.symbol} balance. Have ${balance} ${from.symbol}, need ${amount} ${from.symbol}`);
+    }
+  }
 
-  // 4. Build the transaction
-  const txData = {
-    to: DEX_ROUTER,
-    data,
-    value: amountIn, // send METIS as value
-  };
+  const candidatePaths = [[fromAddress, toAddress]];
+  if (fromAddress !== wrapped.address && toAddress !== wrapped.address) {
+    candidatePaths.push([fromAddress, wrapped.address, toAddress]);
+  }
+  // Quote before approving so a refused swap doesn't leave an approval behind
+  const { path, amountOutMin, priceImpact } = await getSwapAmountOutMin(amountIn, candidatePaths, slippage);
+
+  if (!from.native) {
+    await ensureTokenAllowance(walletId, sender, from.address, SUSHI_ROUTER, amountIn);
+  }
+
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + 300); // 5 minutes from now
+  let txData;
+  if (from.native) {
+    txData = {
+      to: SUSHI_ROUTER,
+      data: encodeFunctionData({ abi: SUSHI_ROUTER_ABI, functionName: 'swapExactETHForTokens', args: [amountOutMin, path, sender, deadline] }),
+      value: amountIn
+    };
+  } else {
+    const functionName = to.native ? 'swapExactTokensForETH' : 'swapExactTokensForTokens';
+    txData = {
+      to: SUSHI_ROUTER,
+      data: encodeFunctionData({ abi: SUSHI_ROUTER_ABI, functionName, args: [amountIn, amountOutMin, path, sender, deadline] }),
+      value: '0'
+    };
+  }
 
-  // 5. Send the transaction using Privy signing
   const result = await sendContractTransaction(walletId, txData);
-  
-  // 6. Create swap transaction record
+
+  const tokens = await TokenRegistryService.listTokens();
+  const route = path.map(address => (tokens.find(t => t.address === address) || { symbol: address }).symbol);
+  route[0] = from.symbol;
+  route[route.length - 1] = to.symbol;
+
   try {
     const { SwapTransactionService } = require('./swapTransactionService');
-    const swapData = {
+    await SwapTransactionService.createSwapTransaction({
       txHash: result.hash,
       twitterUserId: walletDoc.twitterUserId,
       username: walletDoc.username,
       walletAddress: sender,
-      fromToken: 'METIS',
-      toToken: 'USDT',
-      amountIn: amountInMetis.toString(),
+      fromToken: from.symbol,
+      toToken: to.symbol,
+      protocol: 'SUSHI_ROUTER',
+      amountIn: amount.toString(),
       amountOutMin: amountOutMin.toString(),
       slippage: slippage,
-      dexRouter: DEX_ROUTER,
+      priceImpact,
+      dexRouter: SUSHI_ROUTER,
       status: 'pending',
       explorerUrl: `https://hyperion-testnet-explorer.metisdevops.link/tx/${result.hash}`
-    };
-    
-    await SwapTransactionService.createSwapTransaction(swapData);
-    logger.info('Created swap transaction record for METIS to USDT swap:', { txHash: result.hash });
+    });
+    logger.info('Created swap transaction record:', { txHash: result.hash, route });
   } catch (error) {
     logger.error('Failed to create swap transaction record:', error);
     // Don't fail the swap if record creation fails
   }
-  
-  return result;
+
+  return {
+    ...result,
+    fromToken: from.symbol,
+    toToken: to.symbol,
+    route,
+    amountOutMin: formatUnits(amountOutMin, to.decimals),
+    priceImpact
+  };
+}
+
+async function swapMetisToUSDTWithSushi(walletId, amountInMetis, slippage = 0.005) {
+  return swap(walletId, 'METIS', 'USDT', amountInMetis, slippage);
 }
 
 async function swapUSDTToMetisWithSushi(walletId, amountInUSDT, slippage = 0.005) {
-  // Metis Hyperion DEX configuration for reverse swap (USDT -> METIS)
-  const DEX_ROUTER = '0xa1cf48c109f8b5eee38b406591fe27f11f685a1f'; // The working router
-  const WETH = '0x94765a5ad79ae18c6913449bf008a0b5f247d301'; // Wrapped ETH token
-  const USDT = '0x3c099e287ec71b4aa61a7110287d715389329237'; // USDT token
+  return swap(walletId, 'USDT', 'METIS', amountInUSDT, slippage);
+}
 
-  // Router ABI for swapExactTokensForETH
-  const ROUTER_ABI = [
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
-        { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
-        { "internalType": "address[]", "name": "path", "type": "address[]" },
-        { "internalType": "address", "name": "to", "type": "address" },
-        { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-      ],
-      "name": "swapExactTokensForETH",
-      "outputs": [{ "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    }
-  ];
+const DISPERSE_CONTRACT_ADDRESS = process.env.DISPERSE_CONTRACT_ADDRESS;
+const DISPERSE_ABI = require('../../contracts/Disperse.json');
 
-  // USDT has 6 decimals
-  const parseUSDT = (amount) => BigInt(Math.floor(amount * 1000000));
+function isBatchTransferEnabled() {
+  return Boolean(DISPERSE_CONTRACT_ADDRESS);
+}
+
+/**
+ * Pay several recipients in one transaction through the Disperse contract.
+ *
+ * The batch is all-or-nothing: the contract reverts when any transfer fails, and the call is
+ * simulated first so a batch that would revert is never sent. ERC-20 batches approve the
+ * contract for the total beforehand when the current allowance is too low.
+ * @param {string} walletId - Privy wallet ID
+ * @param {Array<{to: string, amount: string|number}>} transfers - Recipient addresses and amounts in whole token units
+ * @param {string} [token] - Symbol, alias or address in the token registry
+ * @returns {Promise<{hash: string}>}
+ */
+async function sendBatchTransaction(walletId, transfers, token = 'METIS') {
+  if (!isBatchTransferEnabled()) throw new Error('Batch transfers are not configured: set DISPERSE_CONTRACT_ADDRESS');
+  if (!transfers.length) throw new Error('Invalid batch: no transfers');
+  const { TokenRegistryService } = require('./tokenRegistryService');
+  const registered = await TokenRegistryService.requireToken(token);
 
-  // 1. Get sender wallet address
   const walletDoc = await Wallet.findOne({ walletId });
   if (!walletDoc) throw new Error('Wallet not found for walletId: ' + walletId);
   const sender = walletDoc.address;
 
-  // 2. Check USDT balance first
-  const usdtBalance = await getTokenBalance(sender, USDT, 6); // USDT has 6 decimals
-  const amountIn = parseUSDT(amountInUSDT);
-  
-  // Convert balance to wei for comparison (USDT has 6 decimals)
-  const balanceInWei = BigInt(Math.floor(parseFloat(usdtBalance) * 1000000));
-  
-  if (balanceInWei < amountIn) {
-    throw new Error(`Insufficient USDT balance. Have ${usdtBalance} USDT, need ${amountInUSDT} USDT`);
-  }
+  const recipients = transfers.map(transfer => transfer.to);
+  const values = transfers.map(transfer => parseUnits(transfer.amount.toString(), registered.decimals));
+  const total = values.reduce((sum, value) => sum + value, 0n);
 
-  // 3. Check and handle USDT approval for the router
-  const approvalABI = [
-    {
-      "inputs": [
-        { "internalType": "address", "name": "spender", "type": "address" },
-        { "internalType": "uint256", "name": "amount", "type": "uint256" }
-      ],
-      "name": "approve",
-      "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    }
-  ];
-  
-  // Check current allowance
-  const allowanceABI = [
-    {
-      "inputs": [
-        { "internalType": "address", "name": "owner", "type": "address" },
-        { "internalType": "address", "name": "spender", "type": "address" }
-      ],
-      "name": "allowance",
-      "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-      "stateMutability": "view",
-      "type": "function"
-    }
-  ];
-  
-  const { createPublicClient, http } = require('viem');
-  const metisHyperion = {
-    id: 133717,
-    name: 'Metis Hyperion',
-    network: 'metis',
-    nativeCurrency: { name: 'Metis', symbol: 'METIS', decimals: 18 },
-    rpcUrls: {
-      default: { http: ['https://hyperion-testnet.metisdevops.link'] },
-      public: { http: ['https://hyperion-testnet.metisdevops.link'] },
-    },
-    blockExplorers: {
-      default: { name: 'Metis Hyperion Explorer', url: 'https://hyperion-testnet-explorer.metisdevops.link/' },
-    },
-    testnet: true,
-  };
-  
-  const publicClient = createPublicClient({ chain: metisHyperion, transport: http() });
-  
-  // Check current allowance
-  const allowanceData = encodeFunctionData({
-    abi: allowanceABI,
-    functionName: 'allowance',
-    args: [sender, DEX_ROUTER]
-  });
-  
-  const allowanceResult = await publicClient.call({
-    account: sender,
-    to: USDT,
-    data: allowanceData
-  });
-  
-  const currentAllowance = BigInt(allowanceResult.data || '0x0');
-  
-  // If allowance is insufficient, send approval transaction
-  if (currentAllowance < amountIn) {
-    logger.info('USDT allowance insufficient, sending approval transaction...', { 
-      currentAllowance: currentAllowance.toString(), 
-      requiredAmount: amountIn.toString() 
-    });
-    
-    const approvalData = encodeFunctionData({
-      abi: approvalABI,
-      functionName: 'approve',
-      args: [DEX_ROUTER, amountIn]
-    });
-    
-    const approvalTx = {
-      to: USDT,
-      data: approvalData,
-      value: '0'
+  let txData;
+  if (registered.native) {
+    txData = {
+      to: DISPERSE_CONTRACT_ADDRESS,
+      data: encodeFunctionData({ abi: DISPERSE_ABI, functionName: 'disperseEther', args: [recipients, values] }),
+      value: total
     };
-    
-    // Send approval transaction
-    await sendContractTransaction(walletId, approvalTx);
-    
-    // Wait for approval to be processed
-    logger.info('Waiting for USDT approval to be processed...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
   } else {
-    logger.info('USDT allowance sufficient, proceeding with swap...', { 
-      currentAllowance: currentAllowance.toString() 
-    });
+    await ensureTokenAllowance(walletId, sender, registered.address, DISPERSE_CONTRACT_ADDRESS, total);
+    txData = {
+      to: DISPERSE_CONTRACT_ADDRESS,
+      data: encodeFunctionData({ abi: DISPERSE_ABI, functionName: 'disperseToken', args: [registered.address, recipients, values] }),
+      value: '0'
+    };
   }
 
-  // 4. Prepare swap parameters
-  const amountOutMin = BigInt('0x1'); // 1 wei minimum (very low to ensure success)
-  const deadline = BigInt(Math.floor(Date.now() / 1000) + 300); // 5 minutes from now
-  const path = [USDT, WETH]; // USDT -> WETH -> METIS path
+  // eth_call throws with the revert reason when any transfer in the batch would fail
+  await getPublicClient().call({ account: sender, to: txData.to, data: txData.data, value: BigInt(txData.value) });
 
-  // 5. Encode the swapExactTokensForETH function call
-  const data = encodeFunctionData({
-    abi: ROUTER_ABI,
-    functionName: 'swapExactTokensForETH',
-    args: [amountIn, amountOutMin, path, sender, deadline]
-  });
+  logger.info('Sending batch transfer', { token: registered.symbol, recipients: recipients.length, total: total.toString() });
+  return sendContractTransaction(walletId, txData);
+}
 
-  // 6. Build the transaction
-  const txData = {
-    to: DEX_ROUTER,
-    data,
-    value: '0', // No native token being sent, only USDT
-  };
+async function setPrivateMode(twitterUserId, enabled) {
+  const result = await Wallet.updateOne({ twitterUserId }, { $set: { privateMode: Boolean(enabled) } });
+  return result.matchedCount > 0;
+}
 
-  // 7. Send the transaction using Privy signing
-  const result = await sendContractTransaction(walletId, txData);
-  
-  // 8. Create swap transaction record
-  try {
-    const { SwapTransactionService } = require('./swapTransactionService');
-    const swapData = {
-      txHash: result.hash,
-      twitterUserId: walletDoc.twitterUserId,
-      username: walletDoc.username,
-      walletAddress: sender,
-      fromToken: 'USDT',
-      toToken: 'METIS',
-      amountIn: amountInUSDT.toString(),
-      amountOutMin: amountOutMin.toString(),
-      slippage: slippage,
-      dexRouter: DEX_ROUTER,
-      status: 'pending',
-      explorerUrl: `https://hyperion-testnet-explorer.metisdevops.link/tx/${result.hash}`
-    };
-    
-    await SwapTransactionService.createSwapTransaction(swapData);
-    logger.info('Created swap transaction record for USDT to METIS swap:', { txHash: result.hash });
-  } catch (error) {
-    logger.error('Failed to create swap transaction record:', error);
-    // Don't fail the swap if record creation fails
-  }
-  
-  return result;
+async function isPrivateModeEnabled(twitterUserId) {
+  const wallet = await Wallet.findOne({ twitterUserId }, { privateMode: 1 }).lean();
+  return Boolean(wallet && wallet.privateMode);
+}
+
+async function setLanguagePreference(twitterUserId, language) {
+  const result = await Wallet.updateOne({ twitterUserId }, { $set: { language: language || null } });
+  return result.matchedCount > 0;
+}
+
+async function getLanguagePreference(twitterUserId) {
+  const wallet = await Wallet.findOne({ twitterUserId }, { language: 1 }).lean();
+  return (wallet && wallet.language) || null;
 }
 
 async function addTweetReplyToHistory(twitterUserId, tweetObj) {
@@ -686,9 +864,19 @@ async function addTweetReplyToHistory(twitterUserId, tweetObj) {
   );
 }
 
+async function updateTweetReply(twitterUserId, tweetId, update) {
+  // update: {replyId, replyIds, replyStatus, repliedAt}
+  const fields = {};
+  for (const [key, value] of Object.entries(update)) fields[`history.$.${key}`] = value;
+  await TweetHistory.updateOne(
+    { twitterUserId, 'history.tweetId': tweetId },
+    { $set: fields }
+  );
+}
+
 async function getTweetHistoryForUser(twitterUserId) {
   const doc = await TweetHistory.findOne({ twitterUserId });
   return doc ? doc.history : [];
 }
 
-module.exports = { getOrCreateWalletForUser, getWalletForUser, getWalletByUsername, getBalance, getTokenBalance, getEnhancedBalance, sendTransaction, sendUSDTTransaction, sendTokenTransaction, sendContractTransaction, swapMetisToUSDTWithSushi, swapUSDTToMetisWithSushi, Tweet, TweetHistory, DripCooldown, Giveaway, addTweetReplyToHistory, getTweetHistoryForUser, encrypt, decrypt, addChatEntryToHistory, getChatHistoryForUser };
\ No newline at end of file
+module.exports = { getOrCreateWalletForUser, getWalletForUser, getWalletByUsername, saveContact, getContacts, getContact, removeContact, isValidContactName, Contact, getBalance, getTokenBalance, getEnhancedBalance, sendTransaction, sendUSDTTransaction, sendErc20Transaction, sendTokenTransaction, sendContractTransaction, sendBatchTransaction, isBatchTransferEnabled, swap, swapMetisToUSDTWithSushi, swapUSDTToMetisWithSushi, quoteSushiSwap, Tweet, TweetHistory, DripCooldown, Giveaway, setPrivateMode, isPrivateModeEnabled, setLanguagePreference, getLanguagePreference, addTweetReplyToHistory, updateTweetReply, getTweetHistoryForUser, encrypt, decrypt, addChatEntryToHistory, getChatHistoryForUser };
\ No newline at end of file
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ScheduleSchema = new mongoose.Schema({
+  frequency: { type: String, enum: ['once', 'daily', 'weekly', 'monthly'], required: true },
+  runAt: Date, // 'once' only
+  dayOfWeek: Number, // 'weekly', 0 = Sunday
+  dayOfMonth: Number, // 'monthly', clamped to the length of short months
+  hour: { type: Number, default: 12 },
+  minute: { type: Number, default: 0 }
+}, { _id: false });
+
+const ScheduledPaymentSchema = new mongoose.Schema({
+  code: { type: String, required: true, uppercase: true },
+  twitterUserId: { type: String, required: true, index: true },
+  username: String,
+  recipient: { type: String, required: true }, // @handle, 0x address or contact name, resolved at each run
+  amount: { type: String, required: true },
+  token: { type: String, required: true },
+  schedule: { type: ScheduleSchema, required: true },
+  channel: { type: String, enum: ['tweet', 'dm', 'chat'], required: true },
+  sourceId: String, // Tweet that created the schedule; run notifications reply to it
+  status: {
+    type: String,
+    enum: ['active', 'processing', 'completed', 'cancelled', 'failed'],
+    default: 'active'
+  },
+  nextRunAt: Date,
+  runs: { type: Number, default: 0 },
+  consecutiveFailures: { type: Number, default: 0 },
+  lastRunAt: Date,
+  lastResult: { type: mongoose.Schema.Types.Mixed }, // { status, error, txHash }
+  createdAt: { type: Date, default: Date.now },
+  cancelledAt: Date
+});
+
+ScheduledPaymentSchema.index({ status: 1, nextRunAt: 1 });
+ScheduledPaymentSchema.index({ twitterUserId: 1, code: 1 });
+
+const ScheduledPayment = mongoose.model('ScheduledPayment', ScheduledPaymentSchema);
+
+function parseTime(text) {
+  const match = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?:\s*utc)?\b/i);
+  if (!match) return { hour: 12, minute: 0 };
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function atTime(year, month, day, { hour, minute }) {
+  return new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month)), hour, minute));
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function ordinal(n) {
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Scheduled and recurring transfers.
+ *
+ * Schedules are stored with the recipient as typed and run from the bot's main loop through the
+ * regular send commands, so balance checks, spending limits and contact names apply at run time.
+ * All times are UTC.
+ */
+class ScheduledPaymentService {
+  constructor() {
+    this.intervalSeconds = Number(process.env.SCHEDULED_PAYMENT_INTERVAL_SECONDS || 60);
+    this.maxActivePerUser = Number(process.env.SCHEDULED_PAYMENT_MAX_ACTIVE || 10);
+    this.maxConsecutiveFailures = Number(process.env.SCHEDULED_PAYMENT_MAX_FAILURES || 3);
+  }
+
+  /**
+   * Parse a schedule phrase such as "every Friday", "on Dec 1", "daily at 9:00" or
+   * "every month on the 15th".
+   * @param {string} text
+   * @param {Date} [now]
+   * @returns {Object|null} Schedule, or null when the phrase is not understood or in the past
+   */
+  parseSchedule(text, now = new Date()) {
+    const input = String(text || '').trim().toLowerCase();
+    const time = parseTime(input);
+    if (!input || !time) return null;
+
+    if (/^(?:every\s*day|daily)\b/.test(input)) {
+      return { frequency: 'daily', ...time };
+    }
+
+    const weekday = input.match(/^(?:every|weekly\s+on)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b/);
+    if (weekday) {
+      return { frequency: 'weekly', dayOfWeek: WEEKDAYS.indexOf(weekday[1]), ...time };
+    }
+    if (/^(?:every\s+week|weekly)\b/.test(input)) {
+      return { frequency: 'weekly', dayOfWeek: now.getUTCDay(), ...time };
+    }
+
+    const monthly = input.match(/^(?:every\s+month|monthly)(?:\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?)?\b/);
+    if (monthly) {
+      const dayOfMonth = monthly[1] ? Number(monthly[1]) : now.getUTCDate();
+      if (dayOfMonth < 1 || dayOfMonth > 31) return null;
+      return { frequency: 'monthly', dayOfMonth, ...time };
+    }
+
+    return this.parseDate(input, time, now);
+  }
+
+  parseDate(input, time, now) {
+    let year = null;
+    let month;
+    let day;
+    const iso = input.match(/^on\s+(\d{4})-(\d{2})-(\d{2})\b/);
+    const monthFirst = input.match(/^on\s+([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?\b/);
+    const dayFirst = input.match(/^on\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,9})(?:,?\s+(\d{4}))?\b/);
+    if (iso) {
+      [year, month, day] = [Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])];
+    } else if (monthFirst && monthIndex(monthFirst[1]) !== -1) {
+      [month, day, year] = [monthIndex(monthFirst[1]), Number(monthFirst[2]), monthFirst[3] ? Number(monthFirst[3]) : null];
+    } else if (dayFirst && monthIndex(dayFirst[2]) !== -1) {
+      [day, month, year] = [Number(dayFirst[1]), monthIndex(dayFirst[2]), dayFirst[3] ? Number(dayFirst[3]) : null];
+    } else {
+      return null;
+    }
+    if (month < 0 || month > 11 || day < 1) return null;
+
+    const explicitYear = year !== null;
+    if (!explicitYear) year = now.getUTCFullYear();
+    if (day > daysInMonth(year, month)) return null;
+    let runAt = atTime(year, month, day, time);
+    if (runAt <= now) {
+      // "on Dec 1" means the next Dec 1; an explicit past date is rejected
+      if (explicitYear) return null;
+      runAt = atTime(year + 1, month, day, time);
+    }
+    return { frequency: 'once', runAt, ...time };
+  }
+
+  /**
+   * Next run strictly after `after`, or null when a one-off schedule has already run.
+   */
+  computeNextRun(schedule, after = new Date()) {
+    const { frequency, hour, minute } = schedule;
+    const time = { hour, minute };
+    const y = after.getUTCFullYear();
+    const m = after.getUTCMonth();
+    const d = after.getUTCDate();
+
+    switch (frequency) {
+      case 'once':
+        return new Date(schedule.runAt) > after ? new Date(schedule.runAt) : null;
+      case 'daily': {
+        const today = atTime(y, m, d, time);
+        return today > after ? today : new Date(today.getTime() + DAY_MS);
+      }
+      case 'weekly': {
+        const offset = (schedule.dayOfWeek - after.getUTCDay() + 7) % 7;
+        const candidate = new Date(atTime(y, m, d, time).getTime() + offset * DAY_MS);
+        return candidate > after ? candidate : new Date(candidate.getTime() + 7 * DAY_MS);
+      }
+      case 'monthly': {
+        const candidate = atTime(y, m, schedule.dayOfMonth, time);
+        return candidate > after ? candidate : atTime(y, m + 1, schedule.dayOfMonth, time);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Human-readable schedule, e.g. "every Friday at 12:00 UTC".
+   */
+  describeSchedule(schedule) {
+    const time = `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')} UTC`;
+    switch (schedule.frequency) {
+      case 'once': {
+        const runAt = new Date(schedule.runAt);
+        const month = MONTHS[runAt.getUTCMonth()];
+        return `on ${month[0].toUpperCase()}${month.slice(1)} ${runAt.getUTCDate()}, ${runAt.getUTCFullYear()} at ${time}`;
+      }
+      case 'daily':
+        return `every day at ${time}`;
+      case 'weekly': {
+        const day = WEEKDAYS[schedule.dayOfWeek];
+        return `every ${day[0].toUpperCase()}${day.slice(1)} at ${time}`;
+      }
+      case 'monthly':
+        return `every month on the ${ordinal(schedule.dayOfMonth)} at ${time}`;
+      default:
+        return schedule.frequency;
+    }
+  }
+
+  generateCode() {
+    return crypto.randomBytes(3).toString('hex').toUpperCase();
+  }
+
+  async createScheduledPayment({ twitterUserId, username, recipient, amount, token, schedule, channel, sourceId }) {
+    const active = await ScheduledPayment.countDocuments({ twitterUserId, status: { $in: ['active', 'processing'] } });
+    if (active >= this.maxActivePerUser) {
+      throw new Error(`Invalid schedule: you already have ${active} scheduled payments (max ${this.maxActivePerUser})`);
+    }
+    const nextRunAt = this.computeNextRun(schedule);
+    if (!nextRunAt) throw new Error('Invalid schedule: the date is in the past');
+
+    const payment = await ScheduledPayment.create({
+      code: this.generateCode(),
+      twitterUserId,
+      username,
+      recipient,
+      amount,
+      token,
+      schedule,
+      channel,
+      sourceId,
+      nextRunAt
+    });
+    logger.info('Created scheduled payment', { id: payment._id, twitterUserId, frequency: schedule.frequency, nextRunAt });
+    return payment;
+  }
+
+  async listScheduledPayments(twitterUserId) {
+    return ScheduledPayment.find({ twitterUserId, status: { $in: ['active', 'processing'] } })
+      .sort({ nextRunAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Cancel an active schedule. A run already in progress still completes.
+   * @returns {Promise<Object|null>} The cancelled schedule, or null when none matches
+   */
+  async cancelScheduledPayment(twitterUserId, code) {
+    const cancelled = await ScheduledPayment.findOneAndUpdate(
+      { twitterUserId, code: String(code).toUpperCase(), status: { $in: ['active', 'processing'] } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    ).lean();
+    if (cancelled) logger.info('Cancelled scheduled payment', { id: cancelled._id, twitterUserId });
+    return cancelled;
+  }
+
+  /**
+   * Claim due schedules for execution. The next run is committed before the transfer is attempted,
+   * so a crash mid-run skips that occurrence instead of paying twice.
+   * @returns {Promise<Object[]>} Claimed schedules as they were before the claim
+   */
+  async claimDue(limit = 20) {
+    const now = new Date();
+    const due = await ScheduledPayment.find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(limit)
+      .lean();
+    const claimed = [];
+    for (const payment of due) {
+      const next = payment.schedule.frequency === 'once' ? null : this.computeNextRun(payment.schedule, now);
+      const update = next
+        ? { nextRunAt: next, lastRunAt: now, $inc: { runs: 1 } }
+        : { status: 'processing', nextRunAt: null, lastRunAt: now, $inc: { runs: 1 } };
+      const updated = await ScheduledPayment.findOneAndUpdate(
+        { _id: payment._id, status: 'active', nextRunAt: payment.nextRunAt },
+        update,
+        { new: true }
+      ).lean();
+      if (updated) claimed.push(updated);
+    }
+    return claimed;
+  }
+
+  /**
+   * Record the outcome of a run. One-off schedules finish; recurring ones are paused after
+   * too many consecutive failures.
+   * @returns {Promise<Object|null>} The updated schedule
+   */
+  async recordRun(payment, result) {
+    const success = result.status === 'success';
+    const lastResult = {
+      status: result.status,
+      error: result.error || null,
+      txHash: (result.data && result.data.txHash) || null
+    };
+    const failures = success ? 0 : (payment.consecutiveFailures || 0) + 1;
+    const update = { lastResult, consecutiveFailures: failures };
+    if (payment.schedule.frequency === 'once') {
+      update.status = success ? 'completed' : 'failed';
+    } else if (failures >= this.maxConsecutiveFailures) {
+      update.status = 'failed';
+    }
+    // A schedule cancelled while it ran stays cancelled
+    return ScheduledPayment.findOneAndUpdate(
+      { _id: payment._id, status: { $ne: 'cancelled' } },
+      update,
+      { new: true }
+    ).lean();
+  }
+}
+
+module.exports = {
+  ScheduledPayment,
+  ScheduledPaymentService: new ScheduledPaymentService()
+};
@@ -0,0 +1,48 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+const { ScheduledPaymentService } = require('./scheduledPaymentService');
+
+// Wednesday, 15 Oct 2025 10:00 UTC
+const now = new Date(Date.UTC(2025, 9, 15, 10, 0));
+
+describe('ScheduledPaymentService', () => {
+  it('parses recurring and one-off schedules', () => {
+    expect(ScheduledPaymentService.parseSchedule('every Friday', now)).toEqual({ frequency: 'weekly', dayOfWeek: 5, hour: 12, minute: 0 });
+    expect(ScheduledPaymentService.parseSchedule('daily at 9:30pm', now)).toEqual({ frequency: 'daily', hour: 21, minute: 30 });
+    expect(ScheduledPaymentService.parseSchedule('every month on the 31st', now)).toEqual({ frequency: 'monthly', dayOfMonth: 31, hour: 12, minute: 0 });
+    expect(ScheduledPaymentService.parseSchedule('on Dec 1', now)).toEqual({
+      frequency: 'once',
+      runAt: new Date(Date.UTC(2025, 11, 1, 12, 0)),
+      hour: 12,
+      minute: 0
+    });
+    // A date already past this year means next year; an explicit past year is rejected
+    expect(ScheduledPaymentService.parseSchedule('on 1 March', now).runAt).toEqual(new Date(Date.UTC(2026, 2, 1, 12, 0)));
+    expect(ScheduledPaymentService.parseSchedule('on 2024-12-01', now)).toBeNull();
+    expect(ScheduledPaymentService.parseSchedule('whenever', now)).toBeNull();
+  });
+
+  it('computes the next run after a given time', () => {
+    const weekly = { frequency: 'weekly', dayOfWeek: 3, hour: 9, minute: 0 };
+    expect(ScheduledPaymentService.computeNextRun(weekly, now)).toEqual(new Date(Date.UTC(2025, 9, 22, 9, 0)));
+
+    const daily = { frequency: 'daily', hour: 12, minute: 0 };
+    expect(ScheduledPaymentService.computeNextRun(daily, now)).toEqual(new Date(Date.UTC(2025, 9, 15, 12, 0)));
+
+    // Day 31 is clamped to the end of shorter months
+    const monthly = { frequency: 'monthly', dayOfMonth: 31, hour: 12, minute: 0 };
+    const endOfOctober = new Date(Date.UTC(2025, 9, 31, 12, 0));
+    expect(ScheduledPaymentService.computeNextRun(monthly, now)).toEqual(endOfOctober);
+    expect(ScheduledPaymentService.computeNextRun(monthly, endOfOctober)).toEqual(new Date(Date.UTC(2025, 10, 30, 12, 0)));
+
+    const once = { frequency: 'once', runAt: new Date(Date.UTC(2025, 9, 1)), hour: 12, minute: 0 };
+    expect(ScheduledPaymentService.computeNextRun(once, now)).toBeNull();
+  });
+
+  it('describes schedules for replies', () => {
+    expect(ScheduledPaymentService.describeSchedule({ frequency: 'weekly', dayOfWeek: 5, hour: 12, minute: 0 })).toBe('every Friday at 12:00 UTC');
+    expect(ScheduledPaymentService.describeSchedule({ frequency: 'monthly', dayOfMonth: 2, hour: 8, minute: 5 })).toBe('every month on the 2nd at 08:05 UTC');
+  });
+});
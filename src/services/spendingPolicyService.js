@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+const priceService = require('./priceService');
+
+const logger = setupLogger();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIMIT_FIELDS = ['maxPerTransactionUsd', 'maxDailyOutflowUsd', 'maxRecipientsPerDay'];
+
+// One 'global' document holds the admin defaults; 'user' documents hold per-user overrides.
+// Unset limits fall through to the level above; an explicit null means unlimited.
+const SpendingPolicySchema = new mongoose.Schema({
+  scope: { type: String, enum: ['global', 'user'], required: true },
+  twitterUserId: { type: String, default: null },
+  maxPerTransactionUsd: Number,
+  maxDailyOutflowUsd: Number,
+  maxRecipientsPerDay: Number,
+  allowedTokens: { type: [String], default: undefined },
+  setByAdmin: { type: Boolean, default: false },
+  updatedAt: { type: Date, default: Date.now }
+});
+SpendingPolicySchema.index({ scope: 1, twitterUserId: 1 }, { unique: true });
+
+const SpendingPolicy = mongoose.model('SpendingPolicy', SpendingPolicySchema);
+
+// Outflow ledger used for the rolling 24h checks
+const SpendingRecordSchema = new mongoose.Schema({
+  twitterUserId: { type: String, required: true },
+  action: String,
+  legs: [{ token: String, amount: Number, _id: false }],
+  valueUsd: Number,
+  recipients: [String],
+  createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 60 * 60 }
+});
+SpendingRecordSchema.index({ twitterUserId: 1, createdAt: -1 });
+
+const SpendingRecord = mongoose.model('SpendingRecord', SpendingRecordSchema);
+
+function envLimit(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  if (raw === 'none') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function envTokens(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  return raw.split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+}
+
+function normalizeRecipient(recipient) {
+  return String(recipient).trim().toLowerCase();
+}
+
+/**
+ * Per-user spending limits for commands that move funds out of custodial wallets.
+ *
+ * Limits are per-transaction USD value, rolling 24h outflow in USD, distinct recipients per
+ * rolling 24h and an allowed-token list. A null limit means unlimited. Users can only tighten
+ * the global defaults; admins set the defaults and may override any user.
+ */
+class SpendingPolicyService {
+  constructor() {
+    this.defaults = {
+      maxPerTransactionUsd: envLimit('SPENDING_MAX_PER_TX_USD', 500),
+      maxDailyOutflowUsd: envLimit('SPENDING_MAX_DAILY_USD', 2000),
+      maxRecipientsPerDay: envLimit('SPENDING_MAX_RECIPIENTS_PER_DAY', 50),
+      allowedTokens: envTokens('SPENDING_ALLOWED_TOKENS')
+    };
+  }
+
+  /**
+   * Global limits: the stored admin defaults over the environment defaults.
+   */
+  async getGlobalPolicy() {
+    const doc = await SpendingPolicy.findOne({ scope: 'global' }).lean();
+    return this.mergePolicy(this.defaults, doc);
+  }
+
+  /**
+   * Effective limits for a user: the stricter of their override and the global limits,
+   * unless an admin set the override.
+   */
+  async getEffectivePolicy(twitterUserId) {
+    const [globalPolicy, userDoc] = await Promise.all([
+      this.getGlobalPolicy(),
+      SpendingPolicy.findOne({ scope: 'user', twitterUserId }).lean()
+    ]);
+    if (!userDoc) return globalPolicy;
+    if (userDoc.setByAdmin) return this.mergePolicy(globalPolicy, userDoc);
+
+    const policy = { ...globalPolicy };
+    for (const field of LIMIT_FIELDS) {
+      const value = userDoc[field];
+      if (value === null || value === undefined) continue;
+      policy[field] = policy[field] === null ? value : Math.min(policy[field], value);
+    }
+    if (userDoc.allowedTokens && userDoc.allowedTokens.length) {
+      policy.allowedTokens = policy.allowedTokens
+        ? policy.allowedTokens.filter(t => userDoc.allowedTokens.includes(t))
+        : userDoc.allowedTokens;
+    }
+    return policy;
+  }
+
+  mergePolicy(base, doc) {
+    const policy = { ...base };
+    if (!doc) return policy;
+    for (const field of LIMIT_FIELDS) {
+      if (doc[field] !== undefined) policy[field] = doc[field];
+    }
+    if (doc.allowedTokens !== undefined) {
+      policy.allowedTokens = doc.allowedTokens && doc.allowedTokens.length ? doc.allowedTokens : null;
+    }
+    return policy;
+  }
+
+  validateLimits(limits) {
+    const update = {};
+    for (const field of LIMIT_FIELDS) {
+      if (!(field in limits)) continue;
+      const value = limits[field];
+      if (value === null) {
+        update[field] = null;
+        continue;
+      }
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid limit: ${field} must be a non-negative number or null`);
+      update[field] = n;
+    }
+    if ('allowedTokens' in limits) {
+      const tokens = limits.allowedTokens;
+      if (tokens !== null && !Array.isArray(tokens)) throw new Error('Invalid limit: allowedTokens must be an array or null');
+      update.allowedTokens = tokens ? tokens.map(t => String(t).trim().toUpperCase()).filter(Boolean) : [];
+    }
+    return update;
+  }
+
+  /**
+   * Set the global defaults (admin).
+   */
+  async setGlobalPolicy(limits) {
+    const update = this.validateLimits(limits);
+    await SpendingPolicy.findOneAndUpdate(
+      { scope: 'global', twitterUserId: null },
+      { ...update, updatedAt: new Date() },
+      { upsert: true }
+    );
+    logger.info('Updated global spending policy', update);
+    return this.getGlobalPolicy();
+  }
+
+  /**
+   * Set a per-user override. Admin overrides replace the global limits; user overrides can
+   * only tighten them.
+   */
+  async setUserPolicy(twitterUserId, limits, { admin = false } = {}) {
+    const update = this.validateLimits(limits);
+    if (!admin) {
+      const current = await this.getEffectivePolicy(twitterUserId);
+      for (const field of LIMIT_FIELDS) {
+        if (!(field in update)) continue;
+        if (update[field] === null || (current[field] !== null && update[field] > current[field])) {
+          throw new Error(`Invalid limit: you can only lower your limits (current ${field}: ${current[field]})`);
+        }
+      }
+      if (update.allowedTokens && current.allowedTokens) {
+        const disallowed = update.allowedTokens.filter(t => !current.allowedTokens.includes(t));
+        if (disallowed.length) throw new Error(`Invalid limit: ${disallowed.join(', ')} is not allowed for your account`);
+      }
+    }
+    await SpendingPolicy.findOneAndUpdate(
+      { scope: 'user', twitterUserId },
+      { ...update, ...(admin ? { setByAdmin: true } : {}), updatedAt: new Date() },
+      { upsert: true }
+    );
+    logger.info('Updated user spending policy', { twitterUserId, admin, ...update });
+    return this.getEffectivePolicy(twitterUserId);
+  }
+
+  /**
+   * Outflow over the rolling 24h window.
+   * @returns {Promise<{outflowUsd: number, recipients: string[]}>}
+   */
+  async getUsage(twitterUserId) {
+    const records = await SpendingRecord.find({
+      twitterUserId,
+      createdAt: { $gt: new Date(Date.now() - DAY_MS) }
+    }).lean();
+    const recipients = new Set();
+    let outflowUsd = 0;
+    for (const record of records) {
+      outflowUsd += record.valueUsd || 0;
+      (record.recipients || []).forEach(r => recipients.add(r));
+    }
+    return { outflowUsd, recipients: Array.from(recipients) };
+  }
+
+  /**
+   * Check an outflow against the user's limits.
+   * @param {string} twitterUserId
+   * @param {{legs: {token: string, amount: number|string}[], recipients?: string[], internal?: boolean}} outflow
+   *   internal outflows (swaps) stay in the user's wallet and skip the 24h outflow check
+   * @returns {Promise<{allowed: boolean, reason?: string, valueUsd: number|null}>}
+   */
+  async evaluate(twitterUserId, { legs, recipients = [], internal = false }) {
+    const policy = await this.getEffectivePolicy(twitterUserId);
+
+    if (policy.allowedTokens) {
+      const blocked = legs.map(l => String(l.token).toUpperCase()).filter(t => t !== 'USD' && !policy.allowedTokens.includes(t));
+      if (blocked.length) {
+        return { allowed: false, valueUsd: null, reason: `${blocked[0]} is not in your allowed tokens (${policy.allowedTokens.join(', ')}).` };
+      }
+    }
+
+    const valueUsd = await priceService.estimateUsdValue(legs);
+    const needsValue = policy.maxPerTransactionUsd !== null || policy.maxDailyOutflowUsd !== null;
+    if (valueUsd === null && needsValue) {
+      return { allowed: false, valueUsd, reason: 'I could not value this transaction to check it against your spending limits.' };
+    }
+
+    if (policy.maxPerTransactionUsd !== null && valueUsd > policy.maxPerTransactionUsd) {
+      return { allowed: false, valueUsd, reason: `This transaction (~$${valueUsd.toFixed(2)}) exceeds your per-transaction limit of $${policy.maxPerTransactionUsd}.` };
+    }
+
+    const usage = await this.getUsage(twitterUserId);
+    if (!internal && policy.maxDailyOutflowUsd !== null && usage.outflowUsd + valueUsd > policy.maxDailyOutflowUsd) {
+      const remaining = Math.max(0, policy.maxDailyOutflowUsd - usage.outflowUsd);
+      return { allowed: false, valueUsd, reason: `This would exceed your 24h limit of $${policy.maxDailyOutflowUsd} ($${remaining.toFixed(2)} left).` };
+    }
+
+    if (policy.maxRecipientsPerDay !== null && recipients.length) {
+      const seen = new Set(usage.recipients);
+      recipients.forEach(r => seen.add(normalizeRecipient(r)));
+      if (seen.size > policy.maxRecipientsPerDay) {
+        return { allowed: false, valueUsd, reason: `This would exceed your limit of ${policy.maxRecipientsPerDay} recipients per 24h.` };
+      }
+    }
+
+    return { allowed: true, valueUsd };
+  }
+
+  /**
+   * Record a completed outflow in the 24h ledger.
+   */
+  async recordOutflow(twitterUserId, action, { legs, recipients = [], internal = false }, valueUsd) {
+    if (internal) return;
+    await SpendingRecord.create({
+      twitterUserId,
+      action,
+      legs: legs.map(l => ({ token: String(l.token).toUpperCase(), amount: Number(l.amount) })),
+      valueUsd: valueUsd || 0,
+      recipients: recipients.map(normalizeRecipient)
+    });
+  }
+}
+
+module.exports = {
+  SpendingPolicy,
+  SpendingRecord,
+  SpendingPolicyService: new SpendingPolicyService()
+};
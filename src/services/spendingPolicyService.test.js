@@ -0,0 +1,66 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('./priceService', () => ({
+  estimateUsdValue: jest.fn(async (legs) => legs.reduce((sum, l) => sum + Number(l.amount) * (l.token === 'METIS' ? 2 : 1), 0))
+}));
+
+const { SpendingPolicy, SpendingRecord, SpendingPolicyService } = require('./spendingPolicyService');
+
+const query = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('SpendingPolicyService', () => {
+  let globalDoc;
+  let userDoc;
+  let records;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    SpendingPolicyService.defaults = {
+      maxPerTransactionUsd: 500,
+      maxDailyOutflowUsd: 1000,
+      maxRecipientsPerDay: 3,
+      allowedTokens: null
+    };
+    globalDoc = null;
+    userDoc = null;
+    records = [];
+    jest.spyOn(SpendingPolicy, 'findOne').mockImplementation(({ scope }) => query(scope === 'global' ? globalDoc : userDoc));
+    jest.spyOn(SpendingRecord, 'find').mockImplementation(() => query(records));
+  });
+
+  it('enforces the per-transaction and rolling 24h limits', async () => {
+    await expect(SpendingPolicyService.evaluate('u1', { legs: [{ token: 'METIS', amount: '300' }] }))
+      .resolves.toMatchObject({ allowed: false, valueUsd: 600 });
+
+    records = [{ valueUsd: 900, recipients: [] }];
+    const result = await SpendingPolicyService.evaluate('u1', { legs: [{ token: 'USDT', amount: '200' }] });
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toMatch(/24h limit of \$1000 \(\$100\.00 left\)/);
+
+    // Swaps keep funds in the wallet and only count against the per-transaction limit
+    await expect(SpendingPolicyService.evaluate('u1', { legs: [{ token: 'USDT', amount: '200' }], internal: true }))
+      .resolves.toMatchObject({ allowed: true });
+  });
+
+  it('counts distinct recipients across the day', async () => {
+    records = [{ valueUsd: 1, recipients: ['@a', '@b'] }];
+    await expect(SpendingPolicyService.evaluate('u1', { legs: [{ token: 'USDT', amount: 1 }], recipients: ['@A'] }))
+      .resolves.toMatchObject({ allowed: true });
+    await expect(SpendingPolicyService.evaluate('u1', { legs: [{ token: 'USDT', amount: 1 }], recipients: ['@c', '@d'] }))
+      .resolves.toMatchObject({ allowed: false });
+  });
+
+  it('applies the stricter of user and global limits and allowed tokens', async () => {
+    globalDoc = { allowedTokens: ['METIS', 'USDT'] };
+    userDoc = { maxPerTransactionUsd: 50, maxDailyOutflowUsd: 5000 };
+
+    const policy = await SpendingPolicyService.getEffectivePolicy('u1');
+    expect(policy).toMatchObject({ maxPerTransactionUsd: 50, maxDailyOutflowUsd: 1000, allowedTokens: ['METIS', 'USDT'] });
+
+    await expect(SpendingPolicyService.evaluate('u1', { legs: [{ token: 'WMETIS', amount: 1 }] }))
+      .resolves.toMatchObject({ allowed: false });
+    await expect(SpendingPolicyService.setUserPolicy('u1', { maxDailyOutflowUsd: 2000 }))
+      .rejects.toThrow('you can only lower your limits');
+  });
+});
@@ -0,0 +1,196 @@
+const { createPublicClient, http, decodeEventLog, formatUnits, parseAbi } = require('viem');
+const { setupLogger } = require('../utils/logger');
+const { SwapTransactionService } = require('./swapTransactionService');
+const { TokenRegistryService } = require('./tokenRegistryService');
+
+const logger = setupLogger();
+
+const EVENTS_ABI = parseAbi([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Withdrawal(address indexed src, uint256 wad)'
+]);
+const DECIMALS_ABI = parseAbi(['function decimals() view returns (uint8)']);
+
+const metisChain = {
+  id: Number(process.env.CHAIN_ID || 133717),
+  name: 'Metis',
+  network: 'metis',
+  nativeCurrency: { name: 'Metis', symbol: 'METIS', decimals: 18 },
+  rpcUrls: {
+    default: { http: [process.env.ETH_RPC_URL || 'https://hyperion-testnet.metisdevops.link'] },
+    public: { http: [process.env.ETH_RPC_URL || 'https://hyperion-testnet.metisdevops.link'] },
+  },
+};
+
+/**
+ * Background reconciler that moves pending swap records to their final on-chain state.
+ *
+ * Each run loads pending swaps, fetches their receipts and records status, block, gas and the
+ * amount actually received. Transactions the node no longer knows about after
+ * SWAP_DROP_TIMEOUT_MINUTES are marked as dropped.
+ */
+class SwapReconcilerService {
+  constructor() {
+    this.publicClient = createPublicClient({ chain: metisChain, transport: http() });
+    this.batchSize = Number(process.env.SWAP_RECONCILE_BATCH_SIZE || 50);
+    this.dropTimeoutMs = Number(process.env.SWAP_DROP_TIMEOUT_MINUTES || 30) * 60 * 1000;
+    this.intervalSeconds = Number(process.env.SWAP_RECONCILE_INTERVAL_SECONDS || 60);
+    this.decimalsCache = new Map();
+  }
+
+  /**
+   * Reconcile one batch of pending swaps.
+   * @returns {Promise<{checked: number, updated: number}>}
+   */
+  async reconcilePending() {
+    const pending = await SwapTransactionService.getPendingSwapTransactions(this.batchSize);
+    let updated = 0;
+    for (const swap of pending) {
+      try {
+        if (await this.reconcileSwap(swap)) updated++;
+      } catch (error) {
+        logger.error('Error reconciling swap transaction', { txHash: swap.txHash, error: error.message });
+      }
+    }
+    if (pending.length > 0) {
+      logger.info('Swap reconciliation run finished', { checked: pending.length, updated });
+    }
+    return { checked: pending.length, updated };
+  }
+
+  /**
+   * Check a single pending swap and persist its final state when known.
+   * @returns {Promise<boolean>} true when the record was updated
+   */
+  async reconcileSwap(swap) {
+    const receipt = await this.getReceipt(swap.txHash);
+
+    if (!receipt) {
+      const age = Date.now() - new Date(swap.createdAt).getTime();
+      if (age < this.dropTimeoutMs) return false;
+      const stillKnown = await this.isKnownTransaction(swap.txHash);
+      if (stillKnown) return false;
+      await SwapTransactionService.updateSwapTransactionStatus(swap.txHash, 'dropped', {
+        error: `Transaction not found on chain after ${Math.round(age / 60000)} minutes`
+      });
+      return true;
+    }
+
+    const receiptData = {
+      blockNumber: Number(receipt.blockNumber),
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: (receipt.effectiveGasPrice || 0n).toString()
+    };
+
+    if (receipt.status !== 'success') {
+      await SwapTransactionService.updateSwapTransactionStatus(swap.txHash, 'reverted', {
+        ...receiptData,
+        error: 'Transaction reverted'
+      });
+      return true;
+    }
+
+    const amountOut = await this.decodeAmountOut(swap, receipt);
+    await SwapTransactionService.updateSwapTransactionStatus(swap.txHash, 'completed', {
+      ...receiptData,
+      ...(amountOut !== null ? { amountOut } : {})
+    });
+    return true;
+  }
+
+  async getReceipt(txHash) {
+    try {
+      return await this.publicClient.getTransactionReceipt({ hash: txHash });
+    } catch (error) {
+      if (error.name === 'TransactionReceiptNotFoundError') return null;
+      throw error;
+    }
+  }
+
+  async isKnownTransaction(txHash) {
+    try {
+      await this.publicClient.getTransaction({ hash: txHash });
+      return true;
+    } catch (error) {
+      if (error.name === 'TransactionNotFoundError') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Work out how much the wallet actually received, formatted in whole token units.
+   *
+   * Token outputs are summed from Transfer logs to the wallet. Native METIS outputs routed
+   * through the DEX show up as a WMETIS Withdrawal by the router. Returns null when the
+   * receipt carries no usable log (e.g. bonding-curve sells paying out native METIS directly).
+   * @returns {Promise<string|null>}
+   */
+  async decodeAmountOut(swap, receipt) {
+    const wallet = swap.walletAddress.toLowerCase();
+    const outputToken = await this.getOutputTokenAddress(swap);
+
+    if (outputToken) {
+      let total = 0n;
+      let found = false;
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== outputToken) continue;
+        const event = this.decodeLog(log);
+        if (event?.eventName === 'Transfer' && event.args.to.toLowerCase() === wallet) {
+          total += event.args.value;
+          found = true;
+        }
+      }
+      if (!found) return null;
+      return formatUnits(total, await this.getDecimals(outputToken));
+    }
+
+    const outputInfo = await TokenRegistryService.getToken(swap.toToken);
+    if (outputInfo?.native && swap.dexRouter) {
+      const router = swap.dexRouter.toLowerCase();
+      const wrapped = (await TokenRegistryService.getWrappedNative()).address;
+      let total = 0n;
+      let found = false;
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== wrapped) continue;
+        const event = this.decodeLog(log);
+        if (event?.eventName === 'Withdrawal' && event.args.src.toLowerCase() === router) {
+          total += event.args.wad;
+          found = true;
+        }
+      }
+      return found ? formatUnits(total, 18) : null;
+    }
+
+    return null;
+  }
+
+  async getOutputTokenAddress(swap) {
+    if (swap.toToken === 'GM2_TOKEN') return swap.tokenAddress ? swap.tokenAddress.toLowerCase() : null;
+    const token = await TokenRegistryService.getToken(swap.toToken);
+    if (!token || token.native) return null;
+    if (!this.decimalsCache.has(token.address)) this.decimalsCache.set(token.address, token.decimals);
+    return token.address;
+  }
+
+  decodeLog(log) {
+    try {
+      return decodeEventLog({ abi: EVENTS_ABI, data: log.data, topics: log.topics });
+    } catch {
+      return null;
+    }
+  }
+
+  async getDecimals(tokenAddress) {
+    if (this.decimalsCache.has(tokenAddress)) return this.decimalsCache.get(tokenAddress);
+    let decimals = 18;
+    try {
+      decimals = Number(await this.publicClient.readContract({ address: tokenAddress, abi: DECIMALS_ABI, functionName: 'decimals' }));
+    } catch (error) {
+      logger.warn('Failed to fetch token decimals, defaulting to 18', { tokenAddress, error: error.message });
+    }
+    this.decimalsCache.set(tokenAddress, decimals);
+    return decimals;
+  }
+}
+
+module.exports = new SwapReconcilerService();
@@ -0,0 +1,101 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+jest.mock('./swapTransactionService', () => ({
+  SwapTransactionService: {
+    getPendingSwapTransactions: jest.fn(),
+    updateSwapTransactionStatus: jest.fn()
+  }
+}));
+jest.mock('./tokenRegistryService', () => {
+  const tokens = {
+    METIS: { symbol: 'METIS', address: null, decimals: 18, native: true },
+    WMETIS: { symbol: 'WMETIS', address: '0x94765a5ad79ae18c6913449bf008a0b5f247d301', decimals: 18 },
+    USDT: { symbol: 'USDT', address: '0x3c099e287ec71b4aa61a7110287d715389329237', decimals: 6 }
+  };
+  return {
+    TokenRegistryService: {
+      getToken: jest.fn(async (symbol) => tokens[symbol] || null),
+      getWrappedNative: jest.fn(async () => tokens.WMETIS)
+    }
+  };
+});
+
+const { encodeAbiParameters, pad } = require('viem');
+const swapReconcilerService = require('./swapReconcilerService');
+const { SwapTransactionService } = require('./swapTransactionService');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const USDT = '0x3c099e287ec71b4aa61a7110287d715389329237';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+function transferLog(token, to, value) {
+  return {
+    address: token,
+    topics: [TRANSFER_TOPIC, pad('0x2222222222222222222222222222222222222222'), pad(to)],
+    data: encodeAbiParameters([{ type: 'uint256' }], [value])
+  };
+}
+
+describe('swapReconcilerService', () => {
+  const swap = {
+    txHash: '0xabc',
+    walletAddress: WALLET,
+    fromToken: 'METIS',
+    toToken: 'USDT',
+    createdAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    swapReconcilerService.publicClient = {
+      getTransactionReceipt: jest.fn(),
+      getTransaction: jest.fn()
+    };
+  });
+
+  it('marks mined swaps completed with the received amount', async () => {
+    swapReconcilerService.publicClient.getTransactionReceipt.mockResolvedValue({
+      status: 'success',
+      blockNumber: 42n,
+      gasUsed: 21000n,
+      effectiveGasPrice: 1000n,
+      logs: [transferLog(USDT, WALLET, 2500000n)]
+    });
+
+    await expect(swapReconcilerService.reconcileSwap(swap)).resolves.toBe(true);
+    expect(SwapTransactionService.updateSwapTransactionStatus).toHaveBeenCalledWith('0xabc', 'completed', {
+      blockNumber: 42,
+      gasUsed: '21000',
+      gasPrice: '1000',
+      amountOut: '2.5'
+    });
+  });
+
+  it('marks reverted receipts as reverted', async () => {
+    swapReconcilerService.publicClient.getTransactionReceipt.mockResolvedValue({
+      status: 'reverted',
+      blockNumber: 42n,
+      gasUsed: 21000n,
+      effectiveGasPrice: 1000n,
+      logs: []
+    });
+
+    await swapReconcilerService.reconcileSwap(swap);
+    expect(SwapTransactionService.updateSwapTransactionStatus).toHaveBeenCalledWith('0xabc', 'reverted', expect.objectContaining({
+      error: 'Transaction reverted'
+    }));
+  });
+
+  it('marks old transactions unknown to the node as dropped', async () => {
+    const notFound = (name) => Object.assign(new Error(name), { name });
+    swapReconcilerService.publicClient.getTransactionReceipt.mockRejectedValue(notFound('TransactionReceiptNotFoundError'));
+    swapReconcilerService.publicClient.getTransaction.mockRejectedValue(notFound('TransactionNotFoundError'));
+
+    await expect(swapReconcilerService.reconcileSwap(swap)).resolves.toBe(false);
+
+    const oldSwap = { ...swap, createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000) };
+    await expect(swapReconcilerService.reconcileSwap(oldSwap)).resolves.toBe(true);
+    expect(SwapTransactionService.updateSwapTransactionStatus).toHaveBeenCalledWith('0xabc', 'dropped', expect.any(Object));
+  });
+});
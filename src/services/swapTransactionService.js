@@ -14,12 +14,13 @@ const SwapTransactionSchema = new mongoose.Schema({
   tokenAddress: { type: String }, // For GM2 meme token address when applicable
   protocol: { type: String }, // e.g., 'SUSHI_ROUTER', 'GM2_BOND'
   amountIn: { type: String, required: true }, // String to handle decimal precision
-  amountOut: { type: String }, // Output amount (may not be known initially)
+  amountOut: { type: String }, // Output amount in whole token units, filled in by the swap reconciler
   amountOutMin: { type: String }, // Minimum output amount for slippage protection
   slippage: { type: Number, default: 0.005 }, // Slippage tolerance (0.5% default)
+  priceImpact: Number, // Estimated price impact at quote time (0.01 = 1%)
   status: { 
     type: String, 
-    enum: ['pending', 'completed', 'failed', 'reverted'], 
+    enum: ['pending', 'completed', 'failed', 'reverted', 'dropped'], 
     default: 'pending' 
   },
   dexRouter: String, // DEX router address used
@@ -33,6 +34,8 @@ const SwapTransactionSchema = new mongoose.Schema({
   explorerUrl: String // Transaction explorer URL
 });
 
+SwapTransactionSchema.index({ status: 1, createdAt: 1 });
+
 // Update timestamp on save
 SwapTransactionSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -125,6 +128,18 @@ class SwapTransactionService {
     }
   }
 
+  // Get the oldest pending swap transactions (used by the reconciler)
+  async getPendingSwapTransactions(limit = 50) {
+    try {
+      return await SwapTransaction.find({ status: 'pending' })
+        .sort({ createdAt: 1 })
+        .limit(limit);
+    } catch (error) {
+      logger.error('Error fetching pending swap transactions:', error);
+      throw error;
+    }
+  }
+
   // Update swap transaction status
   async updateSwapTransactionStatus(txHash, status, additionalData = {}) {
     try {
@@ -134,7 +149,7 @@ class SwapTransactionService {
         ...additionalData
       };
       
-      if (status === 'completed' || status === 'failed' || status === 'reverted') {
+      if (status === 'completed' || status === 'failed' || status === 'reverted' || status === 'dropped') {
         updateData.completedAt = new Date();
       }
       
@@ -179,6 +194,12 @@ class SwapTransactionService {
             },
             pendingTransactions: {
               $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] }
+            },
+            revertedTransactions: {
+              $sum: { $cond: [{ $eq: ["$status", "reverted"] }, 1, 0] }
+            },
+            droppedTransactions: {
+              $sum: { $cond: [{ $eq: ["$status", "dropped"] }, 1, 0] }
             }
           }
         }
@@ -189,7 +210,9 @@ class SwapTransactionService {
         totalVolume: 0,
         completedTransactions: 0,
         failedTransactions: 0,
-        pendingTransactions: 0
+        pendingTransactions: 0,
+        revertedTransactions: 0,
+        droppedTransactions: 0
       };
     } catch (error) {
       logger.error('Error fetching swap statistics:', error);
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+const CHAIN_ID = Number(process.env.CHAIN_ID || 133717);
+
+// Built-in Metis Hyperion tokens; TOKEN_REGISTRY_FILE and the tokens collection extend or override them
+const DEFAULT_TOKENS = [
+  { symbol: 'METIS', name: 'Metis', address: null, decimals: 18, chainId: 133717, native: true, aliases: ['TMETIS'] },
+  { symbol: 'WMETIS', name: 'Wrapped Metis', address: '0x94765a5ad79ae18c6913449bf008a0b5f247d301', decimals: 18, chainId: 133717 },
+  { symbol: 'USDT', name: 'Tether USD', address: '0x3c099e287ec71b4aa61a7110287d715389329237', decimals: 6, chainId: 133717 }
+];
+
+const TokenSchema = new mongoose.Schema({
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+  name: String,
+  address: { type: String, lowercase: true, trim: true },
+  decimals: { type: Number, required: true },
+  chainId: { type: Number, required: true },
+  native: { type: Boolean, default: false },
+  aliases: [{ type: String, uppercase: true, trim: true }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+TokenSchema.index({ chainId: 1, symbol: 1 }, { unique: true });
+
+const Token = mongoose.model('Token', TokenSchema);
+
+function normalizeToken(token) {
+  return {
+    symbol: String(token.symbol).toUpperCase(),
+    name: token.name || token.symbol,
+    address: token.address ? String(token.address).toLowerCase() : null,
+    decimals: Number(token.decimals),
+    chainId: Number(token.chainId || CHAIN_ID),
+    native: Boolean(token.native),
+    aliases: (token.aliases || []).map(a => String(a).toUpperCase())
+  };
+}
+
+class TokenRegistryService {
+  constructor() {
+    this.chainId = CHAIN_ID;
+    this.cacheTtlMs = Number(process.env.TOKEN_REGISTRY_CACHE_SECONDS || 60) * 1000;
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  loadConfigTokens() {
+    const file = process.env.TOKEN_REGISTRY_FILE;
+    if (!file) return [];
+    try {
+      const tokens = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(tokens) ? tokens : [];
+    } catch (error) {
+      logger.error('Failed to read TOKEN_REGISTRY_FILE', { file, error: error.message });
+      return [];
+    }
+  }
+
+  async loadDbTokens() {
+    try {
+      return await Token.find({ chainId: this.chainId }).lean();
+    } catch (error) {
+      logger.warn('Failed to load tokens from database, using configured tokens only', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * All tokens registered for the configured chain, keyed by symbol.
+   * Database entries override TOKEN_REGISTRY_FILE entries, which override the defaults.
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getRegistry() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < this.cacheTtlMs) return this.cache;
+
+    const registry = new Map();
+    const sources = [DEFAULT_TOKENS, this.loadConfigTokens(), await this.loadDbTokens()];
+    for (const source of sources) {
+      for (const raw of source) {
+        const token = normalizeToken(raw);
+        if (token.chainId !== this.chainId) continue;
+        registry.set(token.symbol, token);
+      }
+    }
+    this.cache = registry;
+    this.cacheLoadedAt = Date.now();
+    return registry;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async listTokens() {
+    return Array.from((await this.getRegistry()).values());
+  }
+
+  /**
+   * Look up a token by symbol, alias or contract address.
+   * @param {string} symbolOrAddress
+   * @returns {Promise<Object|null>}
+   */
+  async getToken(symbolOrAddress) {
+    if (!symbolOrAddress) return null;
+    const key = String(symbolOrAddress).trim();
+    const registry = await this.getRegistry();
+    if (/^0x[a-fA-F0-9]{40}$/.test(key)) {
+      const address = key.toLowerCase();
+      return Array.from(registry.values()).find(t => t.address === address) || null;
+    }
+    const symbol = key.toUpperCase();
+    if (registry.has(symbol)) return registry.get(symbol);
+    return Array.from(registry.values()).find(t => t.aliases.includes(symbol)) || null;
+  }
+
+  /**
+   * Like getToken, but throws for unknown tokens.
+   */
+  async requireToken(symbolOrAddress) {
+    const token = await this.getToken(symbolOrAddress);
+    if (!token) throw new Error(`Unsupported token: ${symbolOrAddress}`);
+    return token;
+  }
+
+  /**
+   * The wrapped native token used for routing (WMETIS).
+   */
+  async getWrappedNative() {
+    const symbol = process.env.WRAPPED_NATIVE_SYMBOL || 'WMETIS';
+    return this.requireToken(symbol);
+  }
+
+  async upsertToken(data) {
+    const token = normalizeToken({ ...data, chainId: data.chainId || this.chainId });
+    if (!token.symbol || !Number.isInteger(token.decimals) || token.decimals < 0) {
+      throw new Error('Invalid token: symbol and integer decimals are required');
+    }
+    if (!token.native && !/^0x[a-f0-9]{40}$/.test(token.address || '')) {
+      throw new Error('Invalid token: a contract address is required');
+    }
+    const doc = await Token.findOneAndUpdate(
+      { chainId: token.chainId, symbol: token.symbol },
+      { ...token, updatedAt: new Date() },
+      { upsert: true, new: true }
+    );
+    this.invalidate();
+    logger.info('Token registry entry saved', { symbol: token.symbol, address: token.address });
+    return doc;
+  }
+
+  async removeToken(symbol) {
+    const result = await Token.deleteOne({ chainId: this.chainId, symbol: String(symbol).toUpperCase() });
+    this.invalidate();
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = {
+  Token,
+  TokenRegistryService: new TokenRegistryService()
+};
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { setupLogger } = require('../utils/logger');
+const { instanceId } = require('./leaderLockService');
+
+const logger = setupLogger();
+
+const MAX_ERROR_HISTORY = 10;
+
+// One job per mention or direct message. 'processing' jobs whose lease expired (crashed worker) are
+// picked up again.
+const TweetJobSchema = new mongoose.Schema({
+  tweetId: { type: String, required: true, unique: true }, // Tweet ID, or "dm:<event id>" for DMs
+  kind: { type: String, enum: ['mention', 'dm'], default: 'mention' },
+  tweet: { type: mongoose.Schema.Types.Mixed, required: true }, // Mention or DM as returned by twitterService
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  attemptErrors: [{ attempt: Number, message: String, at: Date, _id: false }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  deadAt: Date,
+  replayedAt: Date
+});
+
+TweetJobSchema.index({ status: 1, nextAttemptAt: 1 });
+TweetJobSchema.index({ status: 1, lockedUntil: 1 });
+
+const TweetJob = mongoose.model('TweetJob', TweetJobSchema);
+
+/**
+ * Persistent queue for tweet processing.
+ *
+ * Failed jobs are retried with exponential backoff up to maxAttempts, then moved to the 'dead'
+ * state where admins can inspect and replay them.
+ */
+class TweetJobService {
+  constructor() {
+    this.maxAttempts = Number(process.env.TWEET_JOB_MAX_ATTEMPTS || 5);
+    this.backoffSeconds = Number(process.env.TWEET_JOB_BACKOFF_SECONDS || 30);
+    this.maxBackoffSeconds = Number(process.env.TWEET_JOB_MAX_BACKOFF_SECONDS || 30 * 60);
+    this.leaseSeconds = Number(process.env.TWEET_JOB_LEASE_SECONDS || 300);
+    this.intervalSeconds = Number(process.env.TWEET_JOB_INTERVAL_SECONDS || 5);
+  }
+
+  /**
+   * Queue a mention or direct message. Enqueuing the same one twice returns the existing job.
+   * @param {Object} tweet - Mention, or DM event when kind is 'dm'
+   * @param {Object} [options]
+   * @param {string} [options.kind='mention']
+   */
+  async enqueue(tweet, { kind = 'mention' } = {}) {
+    const tweetId = kind === 'dm' ? `dm:${tweet.id}` : tweet.id;
+    return TweetJob.findOneAndUpdate(
+      { tweetId },
+      { $setOnInsert: { tweetId, kind, tweet, maxAttempts: this.maxAttempts, nextAttemptAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  /**
+   * Delay before the next attempt: backoffSeconds doubled per failed attempt, capped, with jitter.
+   */
+  backoffMs(attempts) {
+    const seconds = Math.min(this.backoffSeconds * 2 ** Math.max(0, attempts - 1), this.maxBackoffSeconds);
+    return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Atomically claim the next due job.
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const now = new Date();
+    return TweetJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + this.leaseSeconds * 1000),
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async complete(job) {
+    await TweetJob.updateOne(
+      { _id: job._id, lockedBy: instanceId },
+      { status: 'completed', completedAt: new Date(), updatedAt: new Date(), lockedUntil: null }
+    );
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry, or dead-letter the job once it is out of attempts.
+   * @returns {Promise<{dead: boolean, nextAttemptAt?: Date}>}
+   */
+  async fail(job, error) {
+    const message = (error && error.message) || String(error);
+    const dead = job.attempts >= job.maxAttempts;
+    const now = new Date();
+    const update = {
+      $set: { lastError: message, updatedAt: now, lockedUntil: null },
+      $push: { attemptErrors: { $each: [{ attempt: job.attempts, message, at: now }], $slice: -MAX_ERROR_HISTORY } }
+    };
+    let nextAttemptAt;
+    if (dead) {
+      Object.assign(update.$set, { status: 'dead', deadAt: now });
+    } else {
+      nextAttemptAt = new Date(now.getTime() + this.backoffMs(job.attempts));
+      Object.assign(update.$set, { status: 'queued', nextAttemptAt });
+    }
+    await TweetJob.updateOne({ _id: job._id, lockedBy: instanceId }, update);
+    logger[dead ? 'error' : 'warn'](dead ? 'Tweet job moved to dead-letter' : 'Tweet job failed, will retry', {
+      tweetId: job.tweetId,
+      attempts: job.attempts,
+      error: message,
+      nextAttemptAt
+    });
+    return { dead, nextAttemptAt };
+  }
+
+  async listJobs({ status, limit = 50 } = {}) {
+    const query = status ? { status } : {};
+    return TweetJob.find(query).sort({ updatedAt: -1 }).limit(Math.min(Number(limit) || 50, 200)).lean();
+  }
+
+  async getJob(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return TweetJob.findOne({ tweetId: id }).lean();
+    return TweetJob.findById(id).lean();
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts. Commands that already ran are
+   * not repeated: their results are replayed from the idempotency records.
+   * @returns {Promise<Object|null>} The requeued job, or null when it is not dead
+   */
+  async replay(id) {
+    const filter = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { tweetId: id };
+    const job = await TweetJob.findOneAndUpdate(
+      { ...filter, status: 'dead' },
+      { status: 'queued', attempts: 0, nextAttemptAt: new Date(), replayedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    ).lean();
+    if (job) logger.info('Replaying dead tweet job', { tweetId: job.tweetId });
+    return job;
+  }
+}
+
+module.exports = {
+  TweetJob,
+  TweetJobService: new TweetJobService()
+};
@@ -0,0 +1,49 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+const { TweetJob, TweetJobService } = require('./tweetJobService');
+
+const query = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('TweetJobService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+  });
+
+  it('backs off exponentially up to the cap', () => {
+    expect(TweetJobService.backoffMs(1)).toBe(30 * 1000);
+    expect(TweetJobService.backoffMs(3)).toBe(120 * 1000);
+    expect(TweetJobService.backoffMs(20)).toBe(1800 * 1000);
+  });
+
+  it('requeues a failed job until it runs out of attempts, then dead-letters it', async () => {
+    const update = jest.spyOn(TweetJob, 'updateOne').mockResolvedValue({});
+
+    const retry = await TweetJobService.fail({ _id: 'j1', tweetId: '100', attempts: 2, maxAttempts: 5 }, new Error('429'));
+    expect(retry.dead).toBe(false);
+    expect(update).toHaveBeenLastCalledWith(
+      expect.objectContaining({ _id: 'j1' }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'queued', lastError: '429', nextAttemptAt: retry.nextAttemptAt }) })
+    );
+
+    const dead = await TweetJobService.fail({ _id: 'j1', tweetId: '100', attempts: 5, maxAttempts: 5 }, new Error('RPC timeout'));
+    expect(dead.dead).toBe(true);
+    expect(update).toHaveBeenLastCalledWith(
+      expect.objectContaining({ _id: 'j1' }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'dead', deadAt: expect.any(Date) }) })
+    );
+  });
+
+  it('only replays dead jobs', async () => {
+    const findOneAndUpdate = jest.spyOn(TweetJob, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    await expect(TweetJobService.replay('100')).resolves.toBeNull();
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { tweetId: '100', status: 'dead' },
+      expect.objectContaining({ status: 'queued', attempts: 0 }),
+      { new: true }
+    );
+  });
+});
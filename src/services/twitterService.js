@@ -2,6 +2,7 @@ const { TwitterApi } = require('twitter-api-v2');
 const { TwitterApiRateLimitPlugin } = require('@twitter-api-v2/plugin-rate-limit');
 
 const { setupLogger } = require('../utils/logger');
+const { splitIntoThread } = require('../utils/tweetText');
 const fs = require('fs');
 const path = require('path');
 const { getWalletForUser, getWalletByUsername, getOrCreateWalletForUser } = require('./privyUserService');
@@ -17,9 +18,10 @@ class TwitterService {
       throw new Error('TWITTER_USERNAME is not set in environment variables');
     }
 
-    // Create the rate limiting plugin
+    // Create the rate limiting plugin; it keeps the latest rate-limit headers per endpoint
     const rateLimitPlugin = new TwitterApiRateLimitPlugin();
-    
+    this.rateLimitPlugin = rateLimitPlugin;
+
     this.client = new TwitterApi({
       appKey: process.env.TWITTER_API_KEY,
       appSecret: process.env.TWITTER_API_SECRET,
@@ -145,6 +147,54 @@ class TwitterService {
     }
   }
 
+  /**
+   * Direct messages sent to the bot after sinceTimestamp, oldest first.
+   * GET /2/dm_events has no start_time filter, so the newest page is fetched and filtered here.
+   * @returns {Promise<Object[]>} [{ id, text, sender_id, senderUsername, created_at, dm_conversation_id }]
+   */
+  async getDirectMessages(sinceTimestamp = null) {
+    if (process.env.MOCK_TWITTER === '1') return [];
+    try {
+      const response = await this.client.v2.listDmEvents({
+        event_types: ['MessageCreate'],
+        'dm_event.fields': ['id', 'text', 'created_at', 'sender_id', 'dm_conversation_id'],
+        expansions: ['sender_id'],
+        'user.fields': ['username'],
+        max_results: 100
+      });
+      const usersById = {};
+      for (const user of response.includes?.users || []) usersById[user.id] = user;
+      const sinceMs = sinceTimestamp ? new Date(sinceTimestamp).getTime() : null;
+
+      const messages = (response.events || [])
+        .filter(event => event.event_type === 'MessageCreate' && event.sender_id !== this.userId)
+        .filter(event => !sinceMs || new Date(event.created_at).getTime() > sinceMs)
+        .map(event => ({
+          id: event.id,
+          text: event.text || '',
+          sender_id: event.sender_id,
+          senderUsername: usersById[event.sender_id]?.username,
+          created_at: event.created_at,
+          dm_conversation_id: event.dm_conversation_id
+        }))
+        .reverse();
+      logger.info('Fetched direct messages', { count: messages.length, sinceTimestamp });
+      return messages;
+    } catch (error) {
+      logger.error('Error fetching direct messages', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Send a direct message. Errors are thrown for the outbound queue to classify, like postTweet.
+   * @returns {Promise<{data: {id: string}, ids: string[]}>} The DM event ID
+   */
+  async sendDirectMessage(participantId, text) {
+    const response = await this.client.v2.sendDmToParticipant(participantId, { text });
+    return { data: { id: response.dm_event_id }, ids: [response.dm_event_id] };
+  }
+
   async getUserInfo(userId) {
     console.log('getUserInfo', userId);
     // First try to get from DB
@@ -188,10 +238,7 @@ class TwitterService {
 
   async replyToTweet(inReplyToTweetId, text) {
     try {
-      const response = await this.client.v2.tweet({
-        text,
-        reply: { in_reply_to_tweet_id: inReplyToTweetId }
-      });
+      const response = await this.postTweet(text, { inReplyToTweetId });
       logger.info('Successfully replied to tweet', { inReplyToTweetId, text, response });
       return response;
     } catch (error) {
@@ -200,6 +247,49 @@ class TwitterService {
     }
   }
 
+  /**
+   * Split text into tweets that fit Twitter's weighted 280-character limit, numbered when there is
+   * more than one.
+   */
+  formatThread(text) {
+    return splitIntoThread(text);
+  }
+
+  /**
+   * Post a tweet, or a reply when inReplyToTweetId is given. Text over the length limit is posted
+   * as a numbered thread, each part replying to the previous one.
+   *
+   * Errors are thrown as ApiResponseError (status code, rate-limit headers) so the outbound queue
+   * can decide when to retry. A retry resumes the thread after postedIds.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.inReplyToTweetId]
+   * @param {string[]} [options.postedIds] - IDs of the parts already posted by an earlier attempt
+   * @param {Function} [options.onPosted] - Called with (tweetId, index) after each part is posted
+   * @returns {Promise<{data: {id: string}, ids: string[]}>} The first tweet and the IDs of all parts
+   */
+  async postTweet(text, { inReplyToTweetId, postedIds = [], onPosted } = {}) {
+    const parts = this.formatThread(text);
+    const ids = [...postedIds];
+    for (let index = ids.length; index < parts.length; index++) {
+      const replyTo = index === 0 ? inReplyToTweetId : ids[index - 1];
+      const payload = { text: parts[index] };
+      if (replyTo) payload.reply = { in_reply_to_tweet_id: replyTo };
+      const response = await this.client.v2.tweet(payload);
+      ids.push(response.data.id);
+      if (onPosted) await onPosted(response.data.id, index);
+    }
+    if (parts.length > 1) logger.info('Posted tweet thread', { inReplyToTweetId, ids });
+    return { data: { id: ids[0] }, ids };
+  }
+
+  /**
+   * Rate limit of POST /2/tweets from the last response: { limit, remaining, reset } or undefined.
+   */
+  async getPostRateLimit() {
+    return this.rateLimitPlugin.v2.getRateLimit('tweets', 'POST');
+  }
+
   async getUserInfoByUsername(username) {
     // First try to get from DB
     let walletDoc;
@@ -317,7 +407,7 @@ class TwitterService {
 
   async createTweet(text) {
     try {
-      const response = await this.client.v2.tweet(text);
+      const response = await this.postTweet(text);
       
       if (response.data) {
         logger.info('Tweet created successfully', { tweetId: response.data.id });
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { setupLogger } = require('../utils/logger');
+
+const logger = setupLogger();
+
+/**
+ * Twitter Account Activity API webhook support.
+ *
+ * Twitter validates the endpoint with a CRC challenge (HMAC-SHA256 of crc_token keyed with the
+ * app's consumer secret) and signs every delivery the same way in x-twitter-webhooks-signature.
+ * Tweet events are converted to the shape returned by twitterService.getMentions so they go
+ * through the same handleTweet pipeline and dedupe as polled mentions; direct message events
+ * likewise match twitterService.getDirectMessages.
+ */
+class TwitterWebhookService {
+  constructor() {
+    this.consumerSecret = process.env.TWITTER_API_SECRET || null;
+    this.environment = process.env.TWITTER_WEBHOOK_ENV || null;
+    this.webhookUrl = process.env.TWITTER_WEBHOOK_URL || null;
+    this.botUserId = process.env.BOT_USER_ID || null;
+  }
+
+  isEnabled() {
+    return (process.env.MENTION_INGESTION_MODE || 'polling').toLowerCase() === 'webhook';
+  }
+
+  sign(payload) {
+    if (!this.consumerSecret) throw new Error('TWITTER_API_SECRET is not configured');
+    return `sha256=${crypto.createHmac('sha256', this.consumerSecret).update(payload).digest('base64')}`;
+  }
+
+  /**
+   * Response token for a CRC challenge.
+   */
+  crcResponse(crcToken) {
+    return this.sign(String(crcToken));
+  }
+
+  /**
+   * Check the x-twitter-webhooks-signature header against the raw request body.
+   */
+  verifySignature(rawBody, signature) {
+    if (!rawBody || typeof signature !== 'string' || !this.consumerSecret) return false;
+    const expected = Buffer.from(this.sign(rawBody));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Convert an Account Activity (v1.1) tweet object to the mention shape used by handleTweet.
+   */
+  toMention(event) {
+    const mentions = (event.extended_tweet?.entities || event.entities || {}).user_mentions || [];
+    const referenced = [];
+    if (event.retweeted_status) referenced.push({ type: 'retweeted', id: event.retweeted_status.id_str });
+    if (event.quoted_status_id_str) referenced.push({ type: 'quoted', id: event.quoted_status_id_str });
+    if (event.in_reply_to_status_id_str) referenced.push({ type: 'replied_to', id: event.in_reply_to_status_id_str });
+
+    return {
+      id: event.id_str,
+      text: event.extended_tweet?.full_text || event.full_text || event.text || '',
+      author_id: event.user?.id_str,
+      authorUsername: event.user?.screen_name,
+      created_at: new Date(event.timestamp_ms ? Number(event.timestamp_ms) : event.created_at).toISOString(),
+      in_reply_to_id: event.in_reply_to_user_id_str || undefined,
+      referenced_tweets: referenced.length ? referenced : undefined,
+      mentioned_users: mentions.map(m => ({ username: m.screen_name, id: m.id_str, name: m.name }))
+    };
+  }
+
+  /**
+   * Tweets from a webhook delivery that should be handled as mentions of the bot.
+   * @param {Object} payload - Parsed Account Activity event body
+   * @returns {Object[]} Mentions in the getMentions shape
+   */
+  extractMentions(payload) {
+    if (!payload || !Array.isArray(payload.tweet_create_events)) return [];
+    if (this.botUserId && payload.for_user_id && String(payload.for_user_id) !== String(this.botUserId)) {
+      logger.warn('Ignoring webhook delivery for another account', { forUserId: payload.for_user_id });
+      return [];
+    }
+    return payload.tweet_create_events
+      .filter(event => event && event.id_str && event.user)
+      // The bot's own tweets are delivered too
+      .filter(event => !this.botUserId || event.user.id_str !== String(this.botUserId))
+      .map(event => this.toMention(event));
+  }
+
+  /**
+   * Direct messages to the bot from a webhook delivery, in the twitterService.getDirectMessages shape.
+   * @param {Object} payload - Parsed Account Activity event body
+   * @returns {Object[]}
+   */
+  extractDirectMessages(payload) {
+    if (!payload || !Array.isArray(payload.direct_message_events)) return [];
+    if (this.botUserId && payload.for_user_id && String(payload.for_user_id) !== String(this.botUserId)) return [];
+    const users = payload.users || {};
+    return payload.direct_message_events
+      .filter(event => event && event.type === 'message_create' && event.message_create)
+      // Messages the bot sends are delivered too
+      .filter(event => !this.botUserId || event.message_create.sender_id !== String(this.botUserId))
+      .map(event => ({
+        id: event.id,
+        text: event.message_create.message_data?.text || '',
+        sender_id: event.message_create.sender_id,
+        senderUsername: users[event.message_create.sender_id]?.screen_name,
+        created_at: new Date(Number(event.created_timestamp)).toISOString()
+      }));
+  }
+
+  /**
+   * Register TWITTER_WEBHOOK_URL for the configured Account Activity environment and subscribe the
+   * bot account to it. Twitter sends a CRC challenge to the URL during registration.
+   */
+  async registerWebhook() {
+    if (!this.environment || !this.webhookUrl) {
+      throw new Error('TWITTER_WEBHOOK_ENV and TWITTER_WEBHOOK_URL must be configured');
+    }
+    // Loaded lazily: only needed for registration and it requires the Twitter credentials
+    const twitterService = require('./twitterService');
+    const env = encodeURIComponent(this.environment);
+    const webhook = await twitterService.client.v1.post(`account_activity/all/${env}/webhooks.json`, { url: this.webhookUrl });
+    await twitterService.client.v1.post(`account_activity/all/${env}/subscriptions.json`);
+    logger.info('Registered Account Activity webhook', { environment: this.environment, url: this.webhookUrl, id: webhook && webhook.id });
+    return { id: webhook && webhook.id, url: this.webhookUrl, environment: this.environment };
+  }
+}
+
+module.exports = new TwitterWebhookService();
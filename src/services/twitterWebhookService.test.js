@@ -0,0 +1,82 @@
+jest.mock('../utils/logger', () => ({
+  setupLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}));
+
+const crypto = require('crypto');
+const twitterWebhookService = require('./twitterWebhookService');
+
+describe('TwitterWebhookService', () => {
+  beforeEach(() => {
+    twitterWebhookService.consumerSecret = 'consumer-secret';
+    twitterWebhookService.botUserId = 'bot1';
+  });
+
+  it('answers CRC challenges and verifies delivery signatures', () => {
+    const expected = `sha256=${crypto.createHmac('sha256', 'consumer-secret').update('challenge').digest('base64')}`;
+    expect(twitterWebhookService.crcResponse('challenge')).toBe(expected);
+
+    const body = Buffer.from(JSON.stringify({ for_user_id: 'bot1', tweet_create_events: [] }));
+    const signature = `sha256=${crypto.createHmac('sha256', 'consumer-secret').update(body).digest('base64')}`;
+    expect(twitterWebhookService.verifySignature(body, signature)).toBe(true);
+    expect(twitterWebhookService.verifySignature(body, 'sha256=forged')).toBe(false);
+    expect(twitterWebhookService.verifySignature(Buffer.from('{}'), signature)).toBe(false);
+  });
+
+  it('converts tweet events to mentions and drops the bot\'s own tweets', () => {
+    const mentions = twitterWebhookService.extractMentions({
+      for_user_id: 'bot1',
+      tweet_create_events: [
+        {
+          id_str: '100',
+          text: '@testbot send 1 METIS to @bob',
+          timestamp_ms: '1760000000000',
+          user: { id_str: 'u1', screen_name: 'alice' },
+          in_reply_to_user_id_str: 'u2',
+          entities: { user_mentions: [{ screen_name: 'testbot', id_str: 'bot1' }, { screen_name: 'bob', id_str: 'u3' }] }
+        },
+        { id_str: '101', text: 'reply from the bot', timestamp_ms: '1760000001000', user: { id_str: 'bot1', screen_name: 'testbot' } }
+      ]
+    });
+
+    expect(mentions).toEqual([{
+      id: '100',
+      text: '@testbot send 1 METIS to @bob',
+      author_id: 'u1',
+      authorUsername: 'alice',
+      created_at: new Date(1760000000000).toISOString(),
+      in_reply_to_id: 'u2',
+      referenced_tweets: undefined,
+      mentioned_users: [{ username: 'testbot', id: 'bot1', name: undefined }, { username: 'bob', id: 'u3', name: undefined }]
+    }]);
+    expect(twitterWebhookService.extractMentions({ for_user_id: 'other', tweet_create_events: [{}] })).toEqual([]);
+  });
+
+  it('converts direct message events and drops the bot\'s own messages', () => {
+    const messages = twitterWebhookService.extractDirectMessages({
+      for_user_id: 'bot1',
+      direct_message_events: [
+        {
+          type: 'message_create',
+          id: 'dm1',
+          created_timestamp: '1760000000000',
+          message_create: { target: { recipient_id: 'bot1' }, sender_id: 'u1', message_data: { text: 'balance' } }
+        },
+        {
+          type: 'message_create',
+          id: 'dm2',
+          created_timestamp: '1760000001000',
+          message_create: { target: { recipient_id: 'u1' }, sender_id: 'bot1', message_data: { text: 'Balance: 1 METIS' } }
+        }
+      ],
+      users: { u1: { id: 'u1', screen_name: 'alice' } }
+    });
+
+    expect(messages).toEqual([{
+      id: 'dm1',
+      text: 'balance',
+      sender_id: 'u1',
+      senderUsername: 'alice',
+      created_at: new Date(1760000000000).toISOString()
+    }]);
+  });
+});
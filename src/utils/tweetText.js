@@ -0,0 +1,114 @@
+/**
+ * Tweet length and thread splitting, following Twitter's weighted character count:
+ * most Latin and punctuation code points count 1, everything else (CJK, emoji) counts 2,
+ * and every URL counts as 23 regardless of its length.
+ */
+
+const MAX_TWEET_LENGTH = 280;
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/[^\s]+/gi;
+
+// Code point ranges weighted 1 (twitter-text v3 config); the rest weigh 2
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+/**
+ * Weighted length of a tweet as Twitter counts it against the 280 limit.
+ * @param {string} text
+ * @returns {number}
+ */
+function weightedLength(text) {
+  let length = 0;
+  const withoutUrls = String(text).replace(URL_PATTERN, () => {
+    length += URL_LENGTH;
+    return '';
+  });
+  for (const char of withoutUrls) {
+    length += codePointWeight(char.codePointAt(0));
+  }
+  return length;
+}
+
+// Split one line that is too long at word boundaries, and words that are too long by character
+function splitLine(line, maxLength) {
+  const pieces = [];
+  let current = '';
+  for (const word of line.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (weightedLength(candidate) <= maxLength) {
+      current = candidate;
+      continue;
+    }
+    if (current) pieces.push(current);
+    current = word;
+    while (weightedLength(current) > maxLength) {
+      let cut = '';
+      for (const char of current) {
+        if (weightedLength(cut + char) > maxLength) break;
+        cut += char;
+      }
+      pieces.push(cut);
+      current = current.slice(cut.length);
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+function pack(text, maxLength) {
+  const parts = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const candidate = current === null ? line : `${current}\n${line}`;
+    if (weightedLength(candidate) <= maxLength) {
+      current = candidate;
+      continue;
+    }
+    if (current !== null && current.trim()) parts.push(current.trim());
+    current = null;
+    for (const piece of splitLine(line, maxLength)) {
+      if (current !== null) parts.push(current.trim());
+      current = piece;
+    }
+  }
+  if (current !== null && current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split text into tweets of at most maxLength weighted characters, breaking at line boundaries
+ * where possible. Threads of more than one part are numbered "1/3", "2/3", ...
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=280]
+ * @returns {string[]} Tweet texts in posting order
+ */
+function splitIntoThread(text, { maxLength = MAX_TWEET_LENGTH } = {}) {
+  const trimmed = String(text).trim();
+  if (weightedLength(trimmed) <= maxLength) return [trimmed];
+
+  // The numbering suffix needs room in every part; retry when the part count gains a digit
+  let count = 2;
+  for (;;) {
+    const suffixLength = weightedLength(`\n${count}/${count}`);
+    const parts = pack(trimmed, maxLength - suffixLength);
+    if (String(parts.length).length <= String(count).length) {
+      return parts.map((part, index) => `${part}\n${index + 1}/${parts.length}`);
+    }
+    count = parts.length;
+  }
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  weightedLength,
+  splitIntoThread
+};
@@ -0,0 +1,36 @@
+const { weightedLength, splitIntoThread } = require('./tweetText');
+
+describe('tweetText', () => {
+  it('weighs URLs as 23 and wide characters as 2', () => {
+    expect(weightedLength('hello')).toBe(5);
+    expect(weightedLength(`TX: https://hyperion-testnet-explorer.metisdevops.link/tx/0x${'a'.repeat(64)}`)).toBe(4 + 23);
+    expect(weightedLength('你好')).toBe(4);
+    expect(weightedLength('🎉')).toBe(2);
+  });
+
+  it('keeps short text as a single unnumbered tweet', () => {
+    expect(splitIntoThread('  @alice Balance: 1 METIS  ')).toEqual(['@alice Balance: 1 METIS']);
+  });
+
+  it('splits long text into numbered parts at line boundaries', () => {
+    const lines = Array.from({ length: 12 }, (_, i) => `${i + 1}. Token${i} ($TK${i}) mc:$12345 Contract: 0x${String(i).repeat(40).slice(0, 40)}`);
+    const parts = splitIntoThread(`Top 12 tokens:\n${lines.join('\n')}`);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(weightedLength(part)).toBeLessThanOrEqual(280);
+      expect(part.endsWith(`\n${index + 1}/${parts.length}`)).toBe(true);
+    });
+    // No line is cut in half
+    const rejoined = parts.map(part => part.replace(/\n\d+\/\d+$/, '')).join('\n');
+    expect(rejoined).toBe(`Top 12 tokens:\n${lines.join('\n')}`);
+  });
+
+  it('splits a single long line at word boundaries', () => {
+    const text = Array.from({ length: 120 }, (_, i) => `word${i}`).join(' ');
+    const parts = splitIntoThread(text);
+
+    parts.forEach(part => expect(weightedLength(part)).toBeLessThanOrEqual(280));
+    expect(parts.map(part => part.replace(/\n\d+\/\d+$/, '')).join(' ')).toBe(text);
+  });
+});